@@ -8,6 +8,13 @@
 
 const mongoose = require('mongoose');
 
+// Each verifier rule either blocks a variant or only raises a warning
+const severityField = (defaultValue = 'block') => ({
+    type: String,
+    enum: ['block', 'warn'],
+    default: defaultValue
+});
+
 const brandDNASchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -69,6 +76,87 @@ const brandDNASchema = new mongoose.Schema({
             default: 'auto'
         }
     },
+    // Deterministic verifier rules (see services/agents/verifierRules)
+    verifierRules: {
+        // Minimum Reviewer score; image posts also honour imageGenerationSettings.qualityThreshold
+        scoreThreshold: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 80
+        },
+        scoreSeverity: severityField(),
+        // Contradictions with brand stances found in graph memory
+        coherenceSeverity: severityField(),
+        // Numbers, dates, names, quotes and URLs the source does not contain
+        groundingSeverity: severityField(),
+        // Unsupported names only - detecting them is heuristic, so they warn by default
+        groundingEntitySeverity: severityField('warn'),
+        // Ingest key messages a variant leaves out; unset follows the coverage method
+        // (warn with the lexical tfidf embedder, block otherwise - see coverage.defaultSeverity)
+        coverageSeverity: severityField(null),
+        // 'all': every keyword must appear; 'any': one is enough
+        keywordMatch: {
+            type: String,
+            enum: ['all', 'any'],
+            default: 'all'
+        },
+        keywords: [{
+            _id: false,
+            term: { type: String, required: true },
+            // contains: case-insensitive substring, word: whole word, exact: case-sensitive substring
+            mode: { type: String, enum: ['contains', 'word', 'exact'], default: 'contains' },
+            platforms: [String], // Empty = all platforms
+            severity: severityField()
+        }],
+        patterns: [{
+            _id: false,
+            pattern: { type: String, required: true },
+            flags: { type: String, default: 'i' },
+            // deny: must not match, allow: must match
+            type: { type: String, enum: ['deny', 'allow'], default: 'deny' },
+            message: String,
+            platforms: [String],
+            severity: severityField()
+        }],
+        // Overrides the default per-platform length limits
+        platformLimits: [{
+            _id: false,
+            platform: { type: String, required: true },
+            min: Number,
+            max: Number,
+            severity: severityField()
+        }],
+        // Overrides how many of the top key messages a platform must cover
+        coverage: [{
+            _id: false,
+            platform: { type: String, required: true },
+            // null = all key messages, 0 = none
+            messages: { type: Number, default: null }
+        }]
+    },
+    // Reviewer score calibration (see services/agents/reviewCalibration)
+    calibration: {
+        // Labelled posts: would this brand approve or reject it?
+        examples: [{
+            platform: String,
+            content: { type: String, required: true },
+            label: { type: String, enum: ['approved', 'rejected'], required: true },
+            notes: String,
+            createdAt: { type: Date, default: Date.now }
+        }],
+        // Raw score → approval probability; stale once the examples change
+        fit: {
+            slope: Number,
+            intercept: Number,
+            samples: Number,
+            approved: Number,
+            rejected: Number,
+            accuracy: Number,
+            fittedAt: Date,
+            stale: Boolean
+        }
+    },
     // Raw text of all guidelines (for embedding)
     rawText: String,
     // Vector embedding reference (Pinecone ID)
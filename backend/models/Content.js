@@ -7,18 +7,144 @@
  */
 
 const mongoose = require('mongoose');
+const platformRegistry = require('../services/platforms/platformRegistry');
+
+// Fact grounding report: claims in the variant the source does not support
+const groundingSchema = new mongoose.Schema({
+    checked: Boolean,
+    passed: Boolean,
+    claims: Number,
+    supported: Number,
+    // Character spans in the variant content
+    unsupported: [{
+        _id: false,
+        type: { type: String },
+        text: String,
+        start: Number,
+        end: Number
+    }],
+    // Claim type → { claims, unsupported }
+    byType: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Key-message coverage of one variant (see services/agents/coverage)
+const coverageSchema = new mongoose.Schema({
+    checked: Boolean,
+    passed: Boolean,
+    method: String,
+    threshold: Number,
+    // Top key messages this platform must cover
+    required: Number,
+    covered: Number,
+    // One entry per ingest key message, in ingest order
+    messages: [{
+        _id: false,
+        index: Number,
+        score: Number,
+        covered: Boolean,
+        required: Boolean
+    }],
+    missing: [String],
+    reason: String
+}, { _id: false });
+
+// A fact a variant states differently from the other variants of its run
+const consistencyConflictSchema = new mongoose.Schema({
+    // date | price | percent | number | name | cta | link
+    type: { type: String },
+    label: String,
+    value: String,
+    // The value to use instead (null when neither the source nor most variants settle it)
+    canonical: String,
+    basis: { type: String, enum: ['source', 'majority', null] },
+    others: [{
+        _id: false,
+        platform: String,
+        text: String
+    }]
+}, { _id: false });
+
+// A verifier check an attempt failed, as reported at the time
+const failedCheckSchema = new mongoose.Schema({
+    name: String,
+    message: String,
+    // block | warn
+    severity: { type: String, enum: ['block', 'warn'] }
+}, { _id: false });
+
+// One generate → review → verify attempt within an orchestration run
+const attemptSchema = new mongoose.Schema({
+    attempt: Number,
+    content: String,
+    // Memories and project overrides the Generator saw (see contextAssembler)
+    context: {
+        tokens: Number,
+        budget: Number,
+        used: [String],
+        dropped: [String],
+        truncated: [String]
+    },
+    // Best-of-N candidate variation that won this attempt
+    variation: String,
+    review: {
+        score: Number,
+        passed: Boolean,
+        feedback: String
+    },
+    verification: {
+        passed: Boolean,
+        summary: String,
+        failures: [failedCheckSchema],
+        coherence: {
+            checked: Boolean,
+            coherent: Boolean,
+            issues: [String],
+            reason: String
+        },
+        grounding: groundingSchema,
+        coverage: coverageSchema,
+        // Set when the cross-variant consistency check overturned a passed attempt
+        consistency: [consistencyConflictSchema]
+    },
+    reflection: {
+        rootCause: String,
+        strategy: String
+    },
+    outcome: {
+        type: String,
+        enum: ['passed', 'retry', 'escalated']
+    },
+    reason: String,
+    timestamp: Date
+}, { _id: false });
+
+// Best-of-N runner-up for a variant, ranked below the chosen draft
+const alternateSchema = new mongoose.Schema({
+    content: String,
+    thread: [String],
+    metadata: {
+        charCount: Number,
+        hashtags: [String]
+    },
+    variation: String,
+    score: Number,
+    passed: Boolean,
+    summary: String
+}, { _id: false });
 
 // Repurposed content variant schema
 const variantSchema = new mongoose.Schema({
     platform: {
         type: String,
-        enum: ['twitter', 'linkedin', 'email', 'instagram', 'blog'],
+        enum: platformRegistry.ids(),
         required: true
     },
     content: {
         type: String,
         required: true
     },
+    // Twitter thread: the numbered tweets, in order (content holds them joined by blank lines)
+    thread: [String],
     metadata: {
         charCount: Number,
         hashtags: [String],
@@ -36,9 +162,47 @@ const variantSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'approved', 'flagged', 'published'],
+        enum: ['pending', 'approved', 'flagged', 'escalated', 'published'],
         default: 'pending'
     },
+    // Reviewer ensemble: final per-dimension scores, the raw score before
+    // calibration and how far the judge samples disagreed
+    scoreBreakdown: {
+        tone: Number,
+        values: Number,
+        keywords: Number,
+        avoidWords: Number,
+        audience: Number,
+        rawScore: Number,
+        calibrated: Boolean,
+        judges: [String],
+        samples: [Number],
+        stdDev: Number,
+        range: Number,
+        // Per dimension: { llm, lexical, final, stdDev }
+        dimensions: mongoose.Schema.Types.Mixed
+    },
+    // Reviewer feedback plus any brand coherence issues
+    feedback: String,
+    // Graph memory coherence for the final draft (checked: false when Neo4j was unavailable)
+    coherence: {
+        checked: Boolean,
+        coherent: Boolean,
+        issues: [String],
+        reason: String
+    },
+    // Fact grounding of the final draft against the source content
+    grounding: groundingSchema,
+    // Coverage of the ingest key messages by the final draft
+    coverage: coverageSchema,
+    // Facts this variant states differently from the other variants of the run
+    consistencyConflicts: [consistencyConflictSchema],
+    // Why the Manager gave up on this variant (status 'escalated')
+    escalationReason: String,
+    // Attempt history from the latest orchestration run
+    attempts: [attemptSchema],
+    // Best-of-N runner-ups from the latest attempt, swappable from the UI
+    alternates: [alternateSchema],
     generatedAt: {
         type: Date,
         default: Date.now
@@ -74,7 +238,7 @@ const variantSchema = new mongoose.Schema({
 const imageSchema = new mongoose.Schema({
     platform: {
         type: String,
-        enum: ['twitter', 'linkedin', 'email', 'instagram', 'blog', 'generic'],
+        enum: [...platformRegistry.ids(), 'generic'],
         required: true
     },
     url: {
@@ -167,7 +331,7 @@ const contentSchema = new mongoose.Schema({
     // Orchestration status
     orchestrationStatus: {
         type: String,
-        enum: ['pending', 'processing', 'completed', 'failed'],
+        enum: ['pending', 'processing', 'completed', 'failed', 'paused', 'cancelled'],
         default: 'pending'
     },
     // Publication preferences for this content
@@ -180,6 +344,12 @@ const contentSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Twitter variant as a single tweet or a thread; auto picks a thread for
+    // long sources, unset follows TWITTER_THREAD_MODE
+    threadMode: {
+        type: String,
+        enum: ['auto', 'single', 'thread']
+    },
     // Overall publish summary
     publishSummary: {
         totalVariants: Number,
@@ -201,6 +371,26 @@ const contentSchema = new mongoose.Schema({
         decided: mongoose.Schema.Types.Mixed,
         passedOn: mongoose.Schema.Types.Mixed
     }],
+    // Key message × platform coverage from the latest orchestration run
+    coverage: {
+        method: String,
+        threshold: Number,
+        messages: [{
+            _id: false,
+            index: Number,
+            text: String
+        }],
+        platforms: [{
+            _id: false,
+            platform: String,
+            required: Number,
+            covered: Number,
+            passed: Boolean,
+            // Per message, in message order
+            scores: [Number],
+            coveredMessages: [Boolean]
+        }]
+    },
     // KPIs for this content
     kpis: {
         hitRate: Number, // % variants passing review
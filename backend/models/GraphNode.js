@@ -0,0 +1,69 @@
+/**
+ * GraphNode Model
+ * Local brand identity graph used when Neo4j is not configured
+ *
+ * Each document is one node of the graph in graphMemory: the Brand itself, or a
+ * node the brand points to (rel is the relationship from the brand, e.g.
+ * HAS_BELIEF, OPPOSES, AUTHORED). Topic nodes are folded into PastWork.topics.
+ */
+
+const mongoose = require('mongoose');
+
+const graphNodeSchema = new mongoose.Schema({
+    // Same ID the Neo4j backend uses (Brand nodes: the BrandDNA id)
+    nodeId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    brandId: {
+        type: String,
+        required: true
+    },
+    label: {
+        type: String,
+        enum: ['Brand', 'Belief', 'Stance', 'Tone', 'ForbiddenPhrase', 'PastWork'],
+        required: true
+    },
+    // Relationship from the brand; null for the Brand node
+    rel: {
+        type: String,
+        default: null
+    },
+
+    // Identity nodes (Belief, Stance, Tone, ForbiddenPhrase)
+    text: String,
+    source: {
+        type: String,
+        enum: ['brandDNA', 'user']
+    },
+
+    // PastWork
+    title: String,
+    platform: String,
+    content: String,
+    score: Number,
+    topics: {
+        type: [String],
+        default: undefined
+    },
+
+    // Brand properties (name, targetAudience, ...)
+    properties: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    }
+}, {
+    timestamps: true
+});
+
+// Every lookup is scoped to one brand and relationship
+graphNodeSchema.index({ brandId: 1, rel: 1, createdAt: -1 });
+graphNodeSchema.index({ brandId: 1, topics: 1 });
+// One identity node per text, so concurrent syncs and curation can't duplicate a belief
+graphNodeSchema.index(
+    { brandId: 1, label: 1, rel: 1, text: 1 },
+    { unique: true, partialFilterExpression: { text: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('GraphNode', graphNodeSchema);
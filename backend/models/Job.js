@@ -0,0 +1,90 @@
+/**
+ * Job Model
+ * Durable background work (orchestration runs) consumed by the job worker
+ *
+ * Lifecycle: queued → running → completed
+ *                       ↓ error → queued again (backoff) → ... → failed (dead-lettered)
+ * A running job whose lock expires (worker died) is re-queued as a failed attempt.
+ */
+
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    // Handler name, e.g. 'orchestrate' or 'resume'
+    type: {
+        type: String,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        index: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Higher runs first
+    priority: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'cancelled', 'failed'],
+        default: 'queued'
+    },
+    // At most one queued/running job per key (e.g. one orchestration per content)
+    dedupeKey: String,
+    // Not claimable before this time (retry backoff)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Visibility timeout: the job is invisible to other workers until lockedUntil
+    lockedBy: String,
+    lockedUntil: Date,
+    // Stop request for the run this job executes, kept until the run picks it up (see runControl)
+    control: {
+        type: String,
+        enum: ['pause', 'cancel', null],
+        default: null
+    },
+    lastError: String,
+    // Error per failed attempt
+    failures: [{
+        attempt: Number,
+        error: String,
+        at: { type: Date, default: Date.now }
+    }],
+    result: mongoose.Schema.Types.Mixed,
+    startedAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+// Claim order: highest priority, then oldest
+jobSchema.index({ status: 1, priority: -1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+// Enforces one active job per dedupeKey even when two enqueues race
+jobSchema.index({ dedupeKey: 1 }, {
+    unique: true,
+    partialFilterExpression: { dedupeKey: { $type: 'string' }, status: { $in: ['queued', 'running'] } }
+});
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const platformRegistry = require('../services/platforms/platformRegistry');
 
 const libraryItemSchema = new mongoose.Schema({
     userId: {
@@ -15,7 +16,7 @@ const libraryItemSchema = new mongoose.Schema({
     },
     platform: {
         type: String,
-        enum: ['twitter', 'linkedin', 'email', 'instagram', 'blog'],
+        enum: platformRegistry.ids(),
         required: true,
         index: true
     },
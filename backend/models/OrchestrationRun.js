@@ -0,0 +1,60 @@
+/**
+ * OrchestrationRun Model
+ * Checkpointed AgentState for an in-progress (or finished) orchestration run
+ * One run per content: a new orchestration overwrites the previous checkpoint
+ */
+
+const mongoose = require('mongoose');
+
+const orchestrationRunSchema = new mongoose.Schema({
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content',
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'paused', 'completed', 'failed', 'cancelled'],
+        default: 'running'
+    },
+    // Pending stop request for the owning process (see runControl)
+    control: {
+        type: String,
+        enum: ['pause', 'cancel', null],
+        default: null
+    },
+    // Process executing the run (host:pid) - heartbeats only count from the owner
+    owner: String,
+    // Refreshed while the run is alive; a stale heartbeat means the process died
+    heartbeatAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Times this run was picked up again after an interruption
+    resumeCount: {
+        type: Number,
+        default: 0
+    },
+    // Last plan step that settled, e.g. "reviewer:review (twitter) completed"
+    lastStep: String,
+    error: String,
+    // AgentState.toCheckpoint() snapshot (content and Brand DNA by id)
+    state: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Sweeper: running runs ordered by heartbeat
+orchestrationRunSchema.index({ status: 1, heartbeatAt: 1 });
+
+module.exports = mongoose.model('OrchestrationRun', orchestrationRunSchema);
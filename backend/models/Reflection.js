@@ -0,0 +1,51 @@
+/**
+ * Reflection Model
+ * Reflection memory: every verifier failure the Manager reflected on, the
+ * strategy it tried, and whether the retry then passed
+ *
+ * Strategies that fixed a failure are offered to later reflections and
+ * first-attempt generations for the same brand and platform.
+ */
+
+const mongoose = require('mongoose');
+
+const reflectionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    brandId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BrandDNA',
+        default: null
+    },
+    contentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Content'
+    },
+    platform: {
+        type: String,
+        required: true
+    },
+    // Verification summary that triggered the reflection
+    failureSummary: String,
+    // Blocking checks that failed (length, forbidden, score, coherence, ...)
+    failedChecks: [String],
+    rootCause: String,
+    strategy: String,
+    // pending until the retry is verified; escalated when the reflector gave up
+    outcome: {
+        type: String,
+        enum: ['pending', 'passed', 'failed', 'escalated'],
+        default: 'pending'
+    },
+    resolvedAt: Date
+}, {
+    timestamps: true
+});
+
+// Lookups are always per user + platform, filtered by the failed checks
+reflectionSchema.index({ userId: 1, platform: 1, failedChecks: 1, outcome: 1 });
+
+module.exports = mongoose.model('Reflection', reflectionSchema);
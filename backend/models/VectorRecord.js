@@ -0,0 +1,38 @@
+/**
+ * VectorRecord Model
+ * Durable local vector store used when Pinecone is not configured or unavailable
+ * Keeps RAG memory across restarts for development, CI and air-gapped deployments
+ */
+
+const mongoose = require('mongoose');
+
+const vectorRecordSchema = new mongoose.Schema({
+    // Same ID the caller gets back from vectorStore.upsert (also used by Pinecone)
+    vectorId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Full source text - kept so the record can be re-embedded with a new model
+    text: {
+        type: String,
+        default: ''
+    },
+    values: {
+        type: [Number],
+        required: true
+    },
+    // Pinecone-style flat metadata (userId, brandId, type, embeddingModel, ...)
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Tenant + model scoping is applied to every query
+vectorRecordSchema.index({ 'metadata.userId': 1, 'metadata.embeddingModel': 1 });
+
+module.exports = mongoose.model('VectorRecord', vectorRecordSchema);
@@ -11,6 +11,12 @@ const BrandDNA = require('../models/BrandDNA');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
 const vectorStore = require('../services/vectorStore');
+const graphMemory = require('../services/memory/graphMemory');
+const verifiers = require('../services/agents/verifiers');
+const verifierRules = require('../services/agents/verifierRules');
+const coverage = require('../services/agents/coverage');
+const reviewerAgent = require('../services/agents/reviewerAgent');
+const reviewCalibration = require('../services/agents/reviewCalibration');
 
 const router = express.Router();
 
@@ -83,6 +89,14 @@ router.post('/', async (req, res) => {
             }
         }
 
+        // Mirror beliefs, stances, tone and forbidden phrases into the brand graph
+        try {
+            await graphMemory.syncBrandDNA(brandDNA);
+        } catch (graphError) {
+            console.error('Brand graph sync failed:', graphError.message);
+            // Continue without graph - not critical
+        }
+
         // Link to user
         await User.findByIdAndUpdate(req.userId, {
             brandDNA: brandDNA._id
@@ -125,6 +139,11 @@ router.get('/', async (req, res) => {
                 name: brandDNA.name,
                 guidelines: brandDNA.guidelines,
                 examples: brandDNA.examples,
+                verifierRules: brandDNA.verifierRules,
+                calibration: {
+                    examples: brandDNA.calibration?.examples?.length || 0,
+                    fit: brandDNA.calibration?.fit?.fittedAt ? brandDNA.calibration.fit : null
+                },
                 usageCount: brandDNA.usageCount,
                 avgScore: brandDNA.avgScore,
                 createdAt: brandDNA.createdAt,
@@ -166,7 +185,7 @@ router.put('/guidelines', async (req, res) => {
             try {
                 // Delete old vector if exists
                 if (brandDNA.vectorId) {
-                    await vectorStore.delete(brandDNA.vectorId);
+                    await vectorStore.delete(brandDNA.vectorId, req.userId.toString());
                 }
                 // Create new embedding
                 const vectorId = await vectorStore.upsert(brandDNA.rawText, {
@@ -181,6 +200,14 @@ router.put('/guidelines', async (req, res) => {
             }
         }
 
+        // Mirror beliefs, stances, tone and forbidden phrases into the brand graph
+        try {
+            await graphMemory.syncBrandDNA(brandDNA);
+        } catch (graphError) {
+            console.error('Brand graph sync failed:', graphError.message);
+            // Continue without graph - not critical
+        }
+
         res.json({
             message: 'Guidelines updated',
             guidelines: brandDNA.guidelines
@@ -222,6 +249,218 @@ router.post('/examples', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/brand/calibration
+ * Labelled examples and the current Reviewer score calibration
+ */
+router.get('/calibration', async (req, res) => {
+    try {
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+
+        if (!brandDNA) {
+            return res.status(404).json({ error: 'Brand DNA not found. Create one first.' });
+        }
+
+        res.json({
+            examples: brandDNA.calibration?.examples || [],
+            fit: brandDNA.calibration?.fit?.fittedAt ? brandDNA.calibration.fit : null,
+            minPerLabel: reviewCalibration.MIN_PER_LABEL,
+            maxExamples: reviewCalibration.MAX_EXAMPLES
+        });
+    } catch (error) {
+        console.error('Calibration fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch calibration' });
+    }
+});
+
+/**
+ * POST /api/brand/calibration/examples
+ * Add a labelled example ({ content, label: 'approved' | 'rejected', platform, notes })
+ */
+router.post('/calibration/examples', async (req, res) => {
+    try {
+        const { platform, content, label, notes } = req.body;
+
+        if (!content || !['approved', 'rejected'].includes(label)) {
+            return res.status(400).json({ error: 'Content and a label of "approved" or "rejected" are required' });
+        }
+
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+
+        if (!brandDNA) {
+            return res.status(404).json({ error: 'Brand DNA not found. Create one first.' });
+        }
+
+        if (brandDNA.calibration.examples.length >= reviewCalibration.MAX_EXAMPLES) {
+            return res.status(400).json({
+                error: `A brand can keep at most ${reviewCalibration.MAX_EXAMPLES} calibration examples - remove one first`
+            });
+        }
+
+        brandDNA.calibration.examples.push({ platform, content, label, notes });
+        if (brandDNA.calibration.fit?.fittedAt) brandDNA.calibration.fit.stale = true;
+        await brandDNA.save();
+
+        res.status(201).json({
+            message: 'Calibration example added',
+            example: brandDNA.calibration.examples.at(-1),
+            examplesCount: brandDNA.calibration.examples.length
+        });
+    } catch (error) {
+        console.error('Calibration example add error:', error);
+        res.status(500).json({ error: 'Failed to add calibration example' });
+    }
+});
+
+/**
+ * DELETE /api/brand/calibration/examples/:exampleId
+ */
+router.delete('/calibration/examples/:exampleId', async (req, res) => {
+    try {
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+        const example = brandDNA?.calibration?.examples.id(req.params.exampleId);
+
+        if (!example) {
+            return res.status(404).json({ error: 'Calibration example not found' });
+        }
+
+        example.deleteOne();
+        if (brandDNA.calibration.fit?.fittedAt) brandDNA.calibration.fit.stale = true;
+        await brandDNA.save();
+
+        res.json({ message: 'Calibration example removed', examplesCount: brandDNA.calibration.examples.length });
+    } catch (error) {
+        console.error('Calibration example delete error:', error);
+        res.status(500).json({ error: 'Failed to remove calibration example' });
+    }
+});
+
+/**
+ * POST /api/brand/calibration/fit
+ * Review every labelled example (at most reviewCalibration.MAX_EXAMPLES) and fit raw
+ * score → approval probability. Scores of later reviews are calibrated with this fit.
+ */
+router.post('/calibration/fit', async (req, res) => {
+    try {
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+
+        if (!brandDNA) {
+            return res.status(404).json({ error: 'Brand DNA not found. Create one first.' });
+        }
+
+        const { fit, points } = await reviewerAgent.calibrate(brandDNA);
+        brandDNA.calibration.fit = fit;
+        await brandDNA.save();
+
+        res.json({
+            message: 'Reviewer calibration fitted',
+            fit: brandDNA.calibration.fit,
+            points,
+            // Calibrated score for a few raw scores
+            preview: [50, 60, 70, 80, 90].map(raw => ({ raw, calibrated: reviewCalibration.apply(fit, raw) }))
+        });
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_EXAMPLES') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Calibration fit error:', error);
+        res.status(500).json({ error: 'Failed to fit calibration' });
+    }
+});
+
+/**
+ * GET /api/brand/rules
+ * Stored verifier rules plus the effective rule set (defaults and guideline keywords applied)
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+
+        res.json({
+            rules: brandDNA?.verifierRules || null,
+            effective: verifierRules.resolve(brandDNA),
+            defaults: {
+                scoreThreshold: verifierRules.DEFAULT_SCORE_THRESHOLD,
+                platformLimits: verifiers.PLATFORM_LIMITS,
+                coverage: coverage.DEFAULT_REQUIRED,
+                coverageSeverity: coverage.defaultSeverity()
+            }
+        });
+    } catch (error) {
+        console.error('Verifier rules fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch verifier rules' });
+    }
+});
+
+/**
+ * PUT /api/brand/rules
+ * Replace the brand's verifier rules
+ */
+router.put('/rules', async (req, res) => {
+    try {
+        const rules = req.body.rules || {};
+        const errors = verifierRules.validate(rules);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid verifier rules', details: errors });
+        }
+
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+
+        if (!brandDNA) {
+            return res.status(404).json({ error: 'Brand DNA not found. Create one first.' });
+        }
+
+        brandDNA.verifierRules = rules;
+        await brandDNA.save();
+
+        res.json({
+            message: 'Verifier rules updated',
+            rules: brandDNA.verifierRules,
+            effective: verifierRules.resolve(brandDNA)
+        });
+    } catch (error) {
+        console.error('Verifier rules update error:', error);
+        res.status(500).json({ error: 'Failed to update verifier rules' });
+    }
+});
+
+/**
+ * POST /api/brand/rules/dry-run
+ * Run the verifiers on a sample text without saving anything
+ * Body: { text, platform, score, hasImage, source, rules } - rules (optional) tests unsaved edits,
+ * source (optional) runs the grounding check against it
+ */
+router.post('/rules/dry-run', async (req, res) => {
+    try {
+        const { text, platform = 'twitter', score = 100, hasImage = false, source = null, rules } = req.body;
+
+        if (!text) {
+            return res.status(400).json({ error: 'Sample text is required' });
+        }
+        if (rules) {
+            const errors = verifierRules.validate(rules);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid verifier rules', details: errors });
+            }
+        }
+
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+        const effective = verifierRules.resolve(brandDNA, rules);
+
+        const verification = verifiers.verifyAll({
+            platform,
+            content: text,
+            consistencyScore: Number(score),
+            hasImage: !!hasImage
+        }, { ...effective, sourceText: source });
+
+        res.json({ verification, effective });
+    } catch (error) {
+        console.error('Verifier dry run error:', error);
+        res.status(500).json({ error: 'Failed to run verifiers' });
+    }
+});
+
 /**
  * DELETE /api/brand
  * Delete brand DNA
@@ -237,12 +476,19 @@ router.delete('/', async (req, res) => {
         // Delete vector
         if (brandDNA.vectorId) {
             try {
-                await vectorStore.delete(brandDNA.vectorId);
+                await vectorStore.delete(brandDNA.vectorId, req.userId.toString());
             } catch (vecError) {
                 console.error('Vector delete failed:', vecError.message);
             }
         }
 
+        // Delete brand graph
+        try {
+            await graphMemory.deleteBrand(brandDNA._id.toString());
+        } catch (graphError) {
+            console.error('Brand graph delete failed:', graphError.message);
+        }
+
         // Remove from user
         await User.findByIdAndUpdate(req.userId, {
             $unset: { brandDNA: 1 }
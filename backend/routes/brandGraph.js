@@ -0,0 +1,212 @@
+/**
+ * Brand Graph Routes
+ * Inspect and curate the user's brand identity graph (Neo4j or the local store)
+ *
+ * The graph is kept in sync with Brand DNA automatically; these endpoints let
+ * users add their own beliefs and opposed stances on top of it and browse the
+ * past work and topics the Manager recorded. Nodes added or edited here are
+ * never overwritten by a sync.
+ */
+
+const express = require('express');
+const BrandDNA = require('../models/BrandDNA');
+const authMiddleware = require('../middleware/auth');
+const graphMemory = require('../services/memory/graphMemory');
+
+const router = express.Router();
+
+// All brand graph routes require authentication
+router.use(authMiddleware);
+
+/**
+ * Resolve the user's brand and make sure the graph is reachable
+ * Sets req.brandDNA and req.brandId
+ */
+router.use(async (req, res, next) => {
+    try {
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+        if (!brandDNA) {
+            return res.status(404).json({ error: 'Brand DNA not found. Create one first.' });
+        }
+        if (!await graphMemory.available()) {
+            return res.status(503).json({ error: 'Brand graph is not available' });
+        }
+
+        req.brandDNA = brandDNA;
+        req.brandId = brandDNA._id.toString();
+        next();
+    } catch (error) {
+        console.error('Brand graph lookup error:', error);
+        res.status(500).json({ error: 'Failed to load brand graph' });
+    }
+});
+
+/**
+ * GET /api/brand/graph
+ * Brand identity as the Manager sees it, plus topic counts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const identity = await graphMemory.queryBrandIdentity(req.brandId);
+        const topics = await graphMemory.listTopics(req.brandId, 20);
+
+        res.json({
+            backend: await graphMemory.backendName(),
+            synced: !!identity,
+            identity,
+            topics
+        });
+    } catch (error) {
+        console.error('Brand graph fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch brand graph' });
+    }
+});
+
+/**
+ * POST /api/brand/graph/sync
+ * Re-sync the graph from Brand DNA (user-curated nodes are kept)
+ */
+router.post('/sync', async (req, res) => {
+    try {
+        const synced = await graphMemory.syncBrandDNA(req.brandDNA);
+
+        res.json({
+            message: 'Brand graph synced',
+            synced
+        });
+    } catch (error) {
+        console.error('Brand graph sync error:', error);
+        res.status(500).json({ error: 'Failed to sync brand graph' });
+    }
+});
+
+/**
+ * CRUD routes for one kind of identity node
+ * @param {string} path - Route path, e.g. '/beliefs'
+ * @param {string} kind - graphMemory.IDENTITY_KINDS key
+ * @param {string} noun - Singular name for messages
+ */
+function identityRoutes(path, kind, noun) {
+    const readText = (req, res) => {
+        const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text) {
+            res.status(400).json({ error: 'Text is required' });
+            return null;
+        }
+        return text;
+    };
+
+    router.get(path, async (req, res) => {
+        try {
+            const nodes = await graphMemory.listIdentityNodes(req.brandId, kind);
+            res.json({ [kind]: nodes });
+        } catch (error) {
+            console.error(`Brand graph ${noun} list error:`, error);
+            res.status(500).json({ error: `Failed to fetch ${noun}s` });
+        }
+    });
+
+    router.post(path, async (req, res) => {
+        try {
+            const text = readText(req, res);
+            if (!text) return;
+
+            const node = await graphMemory.addIdentityNode(req.brandId, kind, text);
+            res.status(201).json({ message: `${noun} added`, node });
+        } catch (error) {
+            console.error(`Brand graph ${noun} add error:`, error);
+            res.status(500).json({ error: `Failed to add ${noun}` });
+        }
+    });
+
+    router.put(`${path}/:nodeId`, async (req, res) => {
+        try {
+            const text = readText(req, res);
+            if (!text) return;
+
+            const node = await graphMemory.updateIdentityNode(req.brandId, kind, req.params.nodeId, text);
+            if (!node) {
+                return res.status(404).json({ error: `${noun} not found` });
+            }
+
+            res.json({ message: `${noun} updated`, node });
+        } catch (error) {
+            if (error.code === 'DUPLICATE_NODE') {
+                return res.status(409).json({ error: error.message });
+            }
+            console.error(`Brand graph ${noun} update error:`, error);
+            res.status(500).json({ error: `Failed to update ${noun}` });
+        }
+    });
+
+    router.delete(`${path}/:nodeId`, async (req, res) => {
+        try {
+            const removed = await graphMemory.removeIdentityNode(req.brandId, kind, req.params.nodeId);
+            if (!removed) {
+                return res.status(404).json({ error: `${noun} not found` });
+            }
+
+            res.json({ message: `${noun} deleted` });
+        } catch (error) {
+            console.error(`Brand graph ${noun} delete error:`, error);
+            res.status(500).json({ error: `Failed to delete ${noun}` });
+        }
+    });
+}
+
+/**
+ * GET|POST /api/brand/graph/beliefs
+ * PUT|DELETE /api/brand/graph/beliefs/:nodeId
+ */
+identityRoutes('/beliefs', 'beliefs', 'Belief');
+
+/**
+ * GET|POST /api/brand/graph/opposed-stances
+ * PUT|DELETE /api/brand/graph/opposed-stances/:nodeId
+ * Drafts that touch an opposed stance fail the brand coherence check
+ */
+identityRoutes('/opposed-stances', 'opposedStances', 'Opposed stance');
+
+/**
+ * GET /api/brand/graph/past-work
+ * Past work recorded on publish, newest first
+ * Query: topic, platform, page, limit
+ */
+router.get('/past-work', async (req, res) => {
+    try {
+        const { topic, platform } = req.query;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+        const items = await graphMemory.listPastWork(req.brandId, {
+            topic: topic || null,
+            platform: platform || null,
+            limit,
+            skip: (page - 1) * limit
+        });
+
+        res.json({
+            items,
+            pagination: { page, limit }
+        });
+    } catch (error) {
+        console.error('Brand graph past work error:', error);
+        res.status(500).json({ error: 'Failed to fetch past work' });
+    }
+});
+
+/**
+ * GET /api/brand/graph/topics
+ * Topics covered by the brand's past work, with counts
+ */
+router.get('/topics', async (req, res) => {
+    try {
+        const topics = await graphMemory.listTopics(req.brandId);
+        res.json({ topics });
+    } catch (error) {
+        console.error('Brand graph topics error:', error);
+        res.status(500).json({ error: 'Failed to fetch topics' });
+    }
+});
+
+module.exports = router;
@@ -7,14 +7,26 @@
  */
 
 const express = require('express');
+const charCount = require('@saco/shared/charCount');
 const Content = require('../models/Content');
 const BrandDNA = require('../models/BrandDNA');
+const LibraryItem = require('../models/LibraryItem');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
 const managerAgent = require('../services/agents/managerAgent');
-const managerInteract = require('../services/agents/managerInteract');
+const checkpointStore = require('../services/agents/checkpointStore');
+const verifiers = require('../services/agents/verifiers');
+const verifierRules = require('../services/agents/verifierRules');
+const consistency = require('../services/agents/consistency');
+const coverage = require('../services/agents/coverage');
+const twitterThread = require('../services/agents/twitterThread');
+const runControl = require('../services/agents/runControl');
+const jobQueue = require('../services/jobQueue');
+const orchestrationJobs = require('../services/orchestrationJobs');
 const contentHandler = require('../services/contentHandler');
 const orchestrationEmitter = require('../services/orchestrationEmitter');
+const llmProvider = require('../services/llm/providerRegistry');
+const platformRegistry = require('../services/platforms/platformRegistry');
 
 const router = express.Router();
 
@@ -107,12 +119,22 @@ router.get('/:id/stream', async (req, res) => {
         cleanup();
     };
 
+    // Cancelled and paused runs end the stream too
+    const onStopped = (data) => {
+        console.log(`[SSE] Sending ${data.type} to client`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+        res.end();
+        cleanup();
+    };
+
     // Subscribe to events
     console.log(`[SSE] Subscribing to events for contentId: ${contentId}`);
     orchestrationEmitter.on(`log:${contentId}`, onLog);
     orchestrationEmitter.on(`step:${contentId}`, onStep);
     orchestrationEmitter.on(`complete:${contentId}`, onComplete);
     orchestrationEmitter.on(`error:${contentId}`, onError);
+    orchestrationEmitter.on(`cancelled:${contentId}`, onStopped);
+    orchestrationEmitter.on(`paused:${contentId}`, onStopped);
     console.log(`[SSE] Active listeners - log: ${orchestrationEmitter.listenerCount(`log:${contentId}`)}, step: ${orchestrationEmitter.listenerCount(`step:${contentId}`)}`);
 
 
@@ -122,6 +144,8 @@ router.get('/:id/stream', async (req, res) => {
         orchestrationEmitter.off(`step:${contentId}`, onStep);
         orchestrationEmitter.off(`complete:${contentId}`, onComplete);
         orchestrationEmitter.off(`error:${contentId}`, onError);
+        orchestrationEmitter.off(`cancelled:${contentId}`, onStopped);
+        orchestrationEmitter.off(`paused:${contentId}`, onStopped);
     };
 
     req.on('close', cleanup);
@@ -157,7 +181,7 @@ router.get('/stats/platforms', async (req, res) => {
 
         // Build response with all platforms (default 0)
         // Include both 'blog' (DB enum) and 'blogs' (frontend alias)
-        const platforms = { instagram: 0, twitter: 0, linkedin: 0, email: 0, blog: 0 };
+        const platforms = platformRegistry.map(() => 0);
         result.forEach(item => {
             if (platforms.hasOwnProperty(item._id)) {
                 platforms[item._id] = item.variants;
@@ -184,8 +208,7 @@ router.get('/variants/:platform', async (req, res) => {
         // Normalize: frontend 'blogs' → DB 'blog'
         if (platform === 'blogs') platform = 'blog';
 
-        const validPlatforms = ['twitter', 'linkedin', 'email', 'instagram', 'blog'];
-        if (!validPlatforms.includes(platform)) {
+        if (!platformRegistry.has(platform)) {
             return res.status(400).json({ error: 'Invalid platform' });
         }
 
@@ -230,10 +253,7 @@ router.post('/generate-title', async (req, res) => {
             return res.status(400).json({ error: 'Content must be at least 20 characters' });
         }
 
-        const { ChatGroq } = require('@langchain/groq');
-        const llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            modelName: 'llama-3.3-70b-versatile',
+        const llm = llmProvider.getChatModel('titleGenerator', {
             temperature: 0.3,
             maxTokens: 60,
         });
@@ -264,7 +284,7 @@ router.post('/generate-title', async (req, res) => {
  */
 router.post('/', async (req, res) => {
     try {
-        const { title, data, type = 'text', publicationMode, autoPublish } = req.body;
+        const { title, data, type = 'text', publicationMode, autoPublish, threadMode } = req.body;
 
         if (!data) {
             return res.status(400).json({ error: 'Content data is required' });
@@ -284,6 +304,7 @@ router.post('/', async (req, res) => {
             orchestrationStatus: 'pending',
             publicationMode: publicationMode || 'mock',
             autoPublish: autoPublish || false,
+            threadMode: twitterThread.MODES.includes(threadMode) ? threadMode : undefined,
         });
 
         await content.save();
@@ -379,6 +400,126 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/content/:id/variants/:platform/alternates/:index/swap
+ * Swap a best-of-N alternate in as the variant's content
+ * The replaced content becomes an alternate itself, so the swap can be undone.
+ */
+router.post('/:id/variants/:platform/alternates/:index/swap', async (req, res) => {
+    try {
+        const content = await Content.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+
+        const variant = content.variants.find(v => v.platform === req.params.platform);
+        const index = parseInt(req.params.index, 10);
+        const alternate = variant?.alternates?.[index];
+        if (!alternate) {
+            return res.status(404).json({ error: 'Alternate not found' });
+        }
+        if (variant.isLocked || variant.status === 'published') {
+            return res.status(409).json({ error: `Variant is ${variant.isLocked ? 'locked' : 'already published'}` });
+        }
+
+        const current = {
+            content: variant.content,
+            thread: [...(variant.thread || [])],
+            metadata: { charCount: variant.metadata?.charCount, hashtags: variant.metadata?.hashtags || [] },
+            variation: variant.attempts?.at(-1)?.variation || null,
+            score: variant.consistencyScore,
+            passed: variant.status === 'approved',
+            summary: 'Previously selected draft'
+        };
+
+        variant.generationHistory.push({ content: variant.content, generatedAt: new Date(), source: 'user' });
+        variant.content = alternate.content;
+        variant.thread = [...(alternate.thread || [])];
+        variant.metadata.charCount = charCount.count(alternate.content, variant.platform);
+        variant.metadata.hashtags = alternate.metadata?.hashtags || [];
+        variant.consistencyScore = alternate.score;
+        variant.isUserModified = true;
+        variant.alternates.splice(index, 1, current);
+
+        // The review breakdown and attempt history describe the replaced draft
+        variant.scoreBreakdown = undefined;
+        variant.attempts = [];
+        variant.feedback = alternate.summary || '';
+
+        // The grounding, coherence and coverage reports belong to the content they were checked on
+        const brandDNA = await BrandDNA.findOne({ userId: req.userId });
+        const rules = verifierRules.resolve(brandDNA);
+        const checks = [];
+
+        const { message, severity, ...grounding } = verifiers.checkGrounding(variant.content, content.data, {
+            allowTerms: rules.groundingAllowTerms,
+            severity: rules.groundingSeverity,
+            entitySeverity: rules.groundingEntitySeverity
+        });
+        variant.grounding = grounding;
+        checks.push({ passed: grounding.passed, severity });
+
+        const coherence = await managerAgent.checkCoherence({ brandDNA }, variant.content);
+        variant.coherence = coherence;
+        checks.push(verifiers.checkCoherence(coherence, rules.coherenceSeverity));
+
+        // Same for key-message coverage, here and in the content's matrix
+        const keyMessages = (content.coverage?.messages || []).map(m => m.text);
+        if (keyMessages.length > 0) {
+            const report = await coverage.measure(variant.content, keyMessages, variant.platform, {
+                requirements: rules.coverageRequirements
+            });
+            const check = verifiers.checkCoverage(report, rules.coverageSeverity);
+            checks.push(check);
+            variant.coverage = { ...report, passed: check.passed };
+            const row = content.coverage.platforms.find(p => p.platform === variant.platform);
+            if (row && report.checked) {
+                row.required = report.required;
+                row.covered = report.covered;
+                row.passed = check.passed;
+                row.scores = report.messages.map(m => m.score);
+                row.coveredMessages = report.messages.map(m => m.covered);
+            }
+        }
+
+        const blocked = checks.some(c => !c.passed && c.severity === 'block');
+        variant.status = alternate.passed && !blocked ? 'approved' : 'flagged';
+
+        // Conflicts are between variants, so every variant's marks are recomputed
+        const report = consistency.compareVariants(
+            content.variants.map(v => ({ platform: v.platform, content: v.content })),
+            content.data
+        );
+        for (const v of content.variants) {
+            v.consistencyConflicts = consistency.conflictsFor(report, v.platform);
+        }
+
+        await content.save();
+
+        // Library copies saved from this variant follow the swap
+        await LibraryItem.updateMany(
+            { userId: req.userId, platform: variant.platform, 'metadata.sourceContentId': content._id },
+            {
+                $set: {
+                    content: variant.content,
+                    'metadata.charCount': variant.metadata.charCount,
+                    'metadata.hashtags': variant.metadata.hashtags,
+                    'metadata.consistencyScore': variant.consistencyScore
+                }
+            }
+        );
+
+        res.json({ message: 'Alternate swapped in', variant });
+    } catch (error) {
+        console.error('Alternate swap error:', error);
+        res.status(500).json({ error: 'Failed to swap alternate' });
+    }
+});
+
 /**
  * POST /api/content/:id/orchestrate
  * Trigger COPE pipeline for content transformation
@@ -387,11 +528,10 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/:id/orchestrate', async (req, res) => {
     try {
-        const { platforms = ['twitter', 'linkedin', 'email'], publicationMode, autoPublish } = req.body;
+        const { platforms = ['twitter', 'linkedin', 'email'], publicationMode, autoPublish, threadMode } = req.body;
 
         // Validate platforms
-        const validPlatforms = ['twitter', 'linkedin', 'email', 'instagram', 'blog'];
-        const selectedPlatforms = platforms.filter(p => validPlatforms.includes(p));
+        const selectedPlatforms = platforms.filter(p => platformRegistry.has(p));
 
         if (selectedPlatforms.length === 0) {
             return res.status(400).json({ error: 'At least one valid platform required' });
@@ -409,54 +549,218 @@ router.post('/:id/orchestrate', async (req, res) => {
 
         // Check if already processing
         if (content.orchestrationStatus === 'processing') {
-            return res.status(409).json({ error: 'Orchestration already in progress' });
+            // A run whose process died can be resumed instead
+            const run = await checkpointStore.load(content._id, '-state');
+            return res.status(409).json({
+                error: 'Orchestration already in progress',
+                job: await jobQueue.describe(await jobQueue.latestForContent(content._id)),
+                resumable: !!run && checkpointStore.isStale(run)
+            });
         }
 
-        // Update status to processing
+        // Publication preferences and status are saved before the job exists: the worker
+        // can claim it right away and reads them from the content
+        const previous = {
+            orchestrationStatus: content.orchestrationStatus,
+            orchestrationLog: content.orchestrationLog.toObject(),
+            publicationMode: content.publicationMode,
+            autoPublish: content.autoPublish,
+            threadMode: content.threadMode
+        };
         content.orchestrationStatus = 'processing';
         content.orchestrationLog = [];
-        // Persist publication preferences if provided
         if (publicationMode) content.publicationMode = publicationMode;
         if (autoPublish !== undefined) content.autoPublish = autoPublish;
+        if (twitterThread.MODES.includes(threadMode)) content.threadMode = threadMode;
         await content.save();
 
-        // Send response first to allow frontend to connect SSE
+        // Phase 2: Route through Manager Agent for authority enforcement
+        // This ensures the architectural invariant: all generation passes through Manager
+        // The queue worker runs it (one active job per content)
+        // Undone when no job is created: an active job keeps the settings it started with
+        const restore = () => Content.updateOne({ _id: content._id }, { $set: previous });
+        let enqueued;
+        try {
+            enqueued = await orchestrationJobs.enqueueOrchestration(content, req.userId, {
+                message: `Execute full orchestration pipeline for platforms: ${selectedPlatforms.join(', ')}`,
+                platforms: selectedPlatforms
+            });
+        } catch (error) {
+            await restore();
+            throw error;
+        }
+
+        const { job, created } = enqueued;
+        if (!created) {
+            await restore();
+            return res.status(409).json({ error: 'Orchestration already queued', job: await jobQueue.describe(job) });
+        }
+
+        console.log(`[Orchestrator] Queued orchestration job ${job._id} for content: ${content._id}`);
         res.json({
-            message: 'Orchestration started via Manager',
+            message: 'Orchestration queued for the Manager',
             contentId: content._id,
             platforms: selectedPlatforms,
-            status: 'processing'
+            status: 'processing',
+            job: await jobQueue.describe(job)
         });
-
-        // Phase 2: Route through Manager Agent for authority enforcement
-        // This ensures the architectural invariant: all generation passes through Manager
-        setTimeout(async () => {
-            try {
-                console.log(`[Orchestrator] Routing through Manager for content: ${content._id}`);
-                const platformList = selectedPlatforms.join(', ');
-                await managerInteract.interact(
-                    content._id,
-                    `Execute full orchestration pipeline for platforms: ${platformList}`,
-                    req.userId
-                );
-            } catch (error) {
-                console.error(`[Orchestrator] Manager routing failed for ${content._id}:`, error);
-                content.orchestrationStatus = 'failed';
-                content.orchestrationLog.push({
-                    agent: 'system',
-                    action: 'error',
-                    timestamp: new Date(),
-                    details: { error: error.message }
-                });
-                await content.save();
-            }
-        }, 500);
     } catch (error) {
         console.error('Orchestration start error:', error);
         res.status(500).json({ error: 'Failed to start orchestration' });
     }
 });
 
+/**
+ * POST /api/content/:id/orchestrate/resume
+ * Continue a failed, paused or interrupted orchestration from its last checkpoint
+ * Completed steps (and already-published platforms) are not re-run
+ */
+router.post('/:id/orchestrate/resume', async (req, res) => {
+    try {
+        const content = await Content.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+
+        const run = await checkpointStore.load(content._id);
+        if (!run) {
+            return res.status(404).json({ error: 'No checkpoint to resume from' });
+        }
+        if (run.status === 'completed' || run.status === 'cancelled') {
+            return res.status(409).json({ error: `Orchestration already ${run.status}` });
+        }
+        // The worker claims the run atomically; this only rejects runs that are visibly alive
+        if (run.status === 'running' && !checkpointStore.isStale(run)) {
+            return res.status(409).json({ error: 'Orchestration already in progress' });
+        }
+
+        const { job, created } = await orchestrationJobs.enqueueResume(content._id, req.userId);
+        if (!created) {
+            return res.status(409).json({ error: 'Orchestration already queued', job: await jobQueue.describe(job) });
+        }
+
+        content.orchestrationStatus = 'processing';
+        await content.save();
+
+        const steps = run.state.plan || [];
+        res.json({
+            message: 'Orchestration queued to resume from checkpoint',
+            contentId: content._id,
+            platforms: run.state.platforms,
+            lastStep: run.lastStep,
+            completedSteps: steps.filter(s => s.status === 'completed').length,
+            totalSteps: steps.length,
+            status: 'processing',
+            job: await jobQueue.describe(job)
+        });
+    } catch (error) {
+        console.error('Orchestration resume error:', error);
+        res.status(500).json({ error: 'Failed to resume orchestration' });
+    }
+});
+
+/**
+ * A run is live when a process is executing it: its job is running, or its
+ * checkpoint is heartbeating
+ */
+function isLive(run, job) {
+    return job?.status === 'running' || (run?.status === 'running' && !checkpointStore.isStale(run));
+}
+
+/**
+ * POST /api/content/:id/orchestrate/cancel
+ * Stop an orchestration for good
+ * A queued job is dropped; a live run aborts its in-flight LLM calls and
+ * publishes nothing further; a paused or failed run can no longer be resumed
+ */
+router.post('/:id/orchestrate/cancel', async (req, res) => {
+    try {
+        const content = await Content.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+
+        const [run, job] = await Promise.all([
+            checkpointStore.load(content._id, '-state'),
+            jobQueue.latestForContent(content._id)
+        ]);
+
+        // Running: the Manager stops at its next check and reports 'cancelled' itself
+        if (isLive(run, job)) {
+            await runControl.request(content._id, 'cancel');
+            return res.status(202).json({
+                message: 'Cancellation requested',
+                contentId: content._id,
+                status: 'cancelling'
+            });
+        }
+
+        const jobCancelled = job?.status === 'queued' && !!(await jobQueue.cancel(job._id, req.userId));
+        const runCancelled = await checkpointStore.cancel(content._id);
+
+        if (!jobCancelled && !runCancelled) {
+            return res.status(409).json({ error: 'No orchestration to cancel' });
+        }
+
+        content.orchestrationStatus = 'cancelled';
+        await content.save();
+        orchestrationEmitter.cancelled(String(content._id), 'Orchestration cancelled by user');
+
+        res.json({
+            message: 'Orchestration cancelled',
+            contentId: content._id,
+            status: 'cancelled'
+        });
+    } catch (error) {
+        console.error('Orchestration cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel orchestration' });
+    }
+});
+
+/**
+ * POST /api/content/:id/orchestrate/pause
+ * Stop a running orchestration after its in-flight steps and keep the checkpoint
+ * Continue it with POST /api/content/:id/orchestrate/resume
+ */
+router.post('/:id/orchestrate/pause', async (req, res) => {
+    try {
+        const content = await Content.findOne({
+            _id: req.params.id,
+            userId: req.userId
+        });
+
+        if (!content) {
+            return res.status(404).json({ error: 'Content not found' });
+        }
+
+        const [run, job] = await Promise.all([
+            checkpointStore.load(content._id, '-state'),
+            jobQueue.latestForContent(content._id)
+        ]);
+
+        if (!isLive(run, job)) {
+            return res.status(409).json({ error: 'No running orchestration to pause' });
+        }
+
+        await runControl.request(content._id, 'pause');
+        res.status(202).json({
+            message: 'Pause requested - running steps finish first',
+            contentId: content._id,
+            status: 'pausing'
+        });
+    } catch (error) {
+        console.error('Orchestration pause error:', error);
+        res.status(500).json({ error: 'Failed to pause orchestration' });
+    }
+});
 
 /**
  * Background orchestration function
@@ -474,11 +778,19 @@ async function orchestrateInBackground(content, brandDNA, platforms, userId) {
         content.variants = result.variants.map(v => ({
             platform: v.platform,
             content: v.content,
+            thread: v.thread,
             metadata: v.metadata,
             image: v.image, // Include generated image URL
             consistencyScore: v.consistencyScore,
             status: v.status,
             feedback: v.feedback,
+            scoreBreakdown: v.scoreBreakdown,
+            grounding: v.grounding,
+            consistencyConflicts: v.consistencyConflicts,
+            coverage: v.coverage,
+            escalationReason: v.escalationReason,
+            attempts: v.attempts,
+            alternates: v.alternates,
             publishStatus: v.publishStatus || null,
         }));
 
@@ -486,6 +798,7 @@ async function orchestrateInBackground(content, brandDNA, platforms, userId) {
         content.orchestrationLog = result.log || [];
         content.pipelineTrace = result.pipelineTrace; // End-to-end agent observability
         content.kpis = result.kpis;
+        if (result.coverage) content.coverage = result.coverage;
         content.orchestrationStatus = result.status === 'completed' ? 'completed' : 'failed';
 
         await content.save();
@@ -531,13 +844,26 @@ router.get('/:id/status', async (req, res) => {
             return res.status(404).json({ error: 'Content not found' });
         }
 
+        const run = await checkpointStore.load(content._id, '-state');
+        const job = await jobQueue.latestForContent(content._id);
+
         res.json({
             status: content.orchestrationStatus,
             log: content.orchestrationLog, // All log entries for complete progress display
             pipelineTrace: content.pipelineTrace, // Full agent trace for observability
             kpis: content.kpis,
             variantsCount: content.variants?.length || 0,
-            variants: content.orchestrationStatus === 'completed' ? content.variants : undefined
+            variants: content.orchestrationStatus === 'completed' ? content.variants : undefined,
+            // Latest checkpoint; resumable when the run failed or its process died
+            checkpoint: run ? {
+                status: run.status,
+                lastStep: run.lastStep,
+                resumeCount: run.resumeCount,
+                updatedAt: run.updatedAt,
+                resumable: run.status === 'failed' || checkpointStore.isStale(run)
+            } : null,
+            // Queue job behind the run (queued/running/failed), with queue position while queued
+            job: await jobQueue.describe(job)
         });
     } catch (error) {
         console.error('Status check error:', error);
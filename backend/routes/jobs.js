@@ -0,0 +1,127 @@
+/**
+ * Job Routes
+ * Visibility into the background job queue (queued / running / failed work)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const authMiddleware = require('../middleware/auth');
+const jobQueue = require('../services/jobQueue');
+
+const router = express.Router();
+
+// All job routes require authentication
+router.use(authMiddleware);
+
+const STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+
+/**
+ * GET /api/jobs
+ * List the user's jobs, newest first
+ * Query: status, contentId, limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, contentId, limit = 50 } = req.query;
+
+        if (status && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Use one of: ${STATUSES.join(', ')}` });
+        }
+        if (contentId && !mongoose.isValidObjectId(contentId)) {
+            return res.status(400).json({ error: 'Invalid contentId' });
+        }
+
+        const jobs = await jobQueue.list({
+            userId: req.userId,
+            status,
+            contentId,
+            limit: Math.min(parseInt(limit, 10) || 50, 200)
+        });
+
+        res.json({ jobs: await Promise.all(jobs.map(job => jobQueue.describe(job))) });
+    } catch (error) {
+        console.error('Job list error:', error);
+        res.status(500).json({ error: 'Failed to list jobs' });
+    }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, queue position and failure history
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = await jobQueue.get(req.params.id, req.userId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({ job: { ...(await jobQueue.describe(job)), contentId: job.contentId, result: job.result || null } });
+    } catch (error) {
+        console.error('Job fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch job' });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Re-queue a dead-lettered or cancelled job
+ */
+router.post('/:id/retry', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = await jobQueue.retry(req.params.id, req.userId);
+        if (!job) {
+            return res.status(409).json({ error: 'Job is not failed or cancelled, or the content already has an active job' });
+        }
+
+        if (job.contentId) {
+            await Content.updateOne({ _id: job.contentId }, { $set: { orchestrationStatus: 'processing' } });
+        }
+
+        res.json({ message: 'Job re-queued', job: await jobQueue.describe(job) });
+    } catch (error) {
+        console.error('Job retry error:', error);
+        res.status(500).json({ error: 'Failed to retry job' });
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a job that hasn't started yet
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = await jobQueue.cancel(req.params.id, req.userId);
+        if (!job) {
+            return res.status(409).json({ error: 'Only queued jobs can be cancelled' });
+        }
+
+        // The content never started processing for this job: back to where it was
+        if (job.contentId) {
+            await Content.updateOne(
+                { _id: job.contentId, orchestrationStatus: 'processing' },
+                { $set: { orchestrationStatus: job.type === 'resume' ? 'failed' : 'pending' } }
+            );
+        }
+
+        res.json({ message: 'Job cancelled', job: await jobQueue.describe(job) });
+    } catch (error) {
+        console.error('Job cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel job' });
+    }
+});
+
+module.exports = router;
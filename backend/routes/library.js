@@ -7,6 +7,7 @@
 const express = require('express');
 const LibraryItem = require('../models/LibraryItem');
 const authMiddleware = require('../middleware/auth');
+const platformRegistry = require('../services/platforms/platformRegistry');
 
 const router = express.Router();
 
@@ -25,8 +26,7 @@ router.get('/:platform', async (req, res) => {
 
         const { status, page = 1, limit = 50 } = req.query;
 
-        const validPlatforms = ['twitter', 'linkedin', 'email', 'instagram', 'blog'];
-        if (!validPlatforms.includes(platform)) {
+        if (!platformRegistry.has(platform)) {
             return res.status(400).json({ error: 'Invalid platform' });
         }
 
@@ -67,8 +67,7 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Platform, title, and content are required' });
         }
 
-        const validPlatforms = ['twitter', 'linkedin', 'email', 'instagram', 'blog'];
-        if (!validPlatforms.includes(platform)) {
+        if (!platformRegistry.has(platform)) {
             return res.status(400).json({ error: 'Invalid platform' });
         }
 
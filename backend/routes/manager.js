@@ -13,6 +13,7 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const managerInteract = require('../services/agents/managerInteract');
+const reflectionMemory = require('../services/memory/reflectionMemory');
 const orchestrationEmitter = require('../services/orchestrationEmitter');
 const jwt = require('jsonwebtoken');
 const Content = require('../models/Content');
@@ -70,12 +71,18 @@ router.get('/:contentId/stream', async (req, res) => {
         res.write(`data: ${JSON.stringify({ type: 'manager_complete', ...data })}\n\n`);
     };
 
+    const onStopped = (data) => {
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
     // Subscribe to all event types
     orchestrationEmitter.on(`log:${contentId}`, onLog);
     orchestrationEmitter.on(`decision:${contentId}`, onDecision);
     orchestrationEmitter.on(`progress:${contentId}`, onProgress);
     orchestrationEmitter.on(`result:${contentId}`, onResult);
     orchestrationEmitter.on(`complete:${contentId}`, onComplete);
+    orchestrationEmitter.on(`cancelled:${contentId}`, onStopped);
+    orchestrationEmitter.on(`paused:${contentId}`, onStopped);
 
     // Cleanup on disconnect
     const cleanup = () => {
@@ -84,6 +91,8 @@ router.get('/:contentId/stream', async (req, res) => {
         orchestrationEmitter.off(`progress:${contentId}`, onProgress);
         orchestrationEmitter.off(`result:${contentId}`, onResult);
         orchestrationEmitter.off(`complete:${contentId}`, onComplete);
+        orchestrationEmitter.off(`cancelled:${contentId}`, onStopped);
+        orchestrationEmitter.off(`paused:${contentId}`, onStopped);
     };
 
     req.on('close', cleanup);
@@ -99,6 +108,39 @@ router.get('/:contentId/stream', async (req, res) => {
 // All other routes require authentication
 router.use(authMiddleware);
 
+/**
+ * GET /api/manager/reflections/stats
+ * Most common verifier failure causes and how often a reflected retry fixed them
+ *
+ * Query: platform, days (look-back window), allBrands=true (include reflections
+ * recorded under earlier brand DNA)
+ */
+router.get('/reflections/stats', async (req, res) => {
+    try {
+        const { platform, days, allBrands } = req.query;
+        const brandDNA = allBrands === 'true' ? null : await BrandDNA.findOne({ userId: req.userId }).select('_id');
+        const since = parseInt(days, 10) > 0 ? new Date(Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000) : null;
+
+        const causes = await reflectionMemory.failureStats({
+            userId: req.userId,
+            brandId: allBrands === 'true' ? undefined : brandDNA?._id || null,
+            platform: platform || null,
+            since
+        });
+
+        res.json({
+            causes,
+            totals: {
+                failures: causes.reduce((sum, c) => sum + c.failures, 0),
+                fixed: causes.reduce((sum, c) => sum + c.fixed, 0)
+            }
+        });
+    } catch (error) {
+        console.error('[Manager] Reflection stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch reflection stats' });
+    }
+});
+
 /**
  * POST /api/manager/interact
  * Main interaction endpoint for Manager Agent
@@ -0,0 +1,47 @@
+/**
+ * Platform Routes
+ * The registered publishing platforms (services/platforms), for the frontend
+ * platform pickers and previews
+ */
+
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const platformRegistry = require('../services/platforms/platformRegistry');
+
+const router = express.Router();
+
+// All platform routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/platforms
+ * Every registered platform: limits, counting rule, image size, publish support and preview metadata
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ platforms: platformRegistry.ids().map(id => platformRegistry.describe(id)) });
+    } catch (error) {
+        console.error('Platform list error:', error);
+        res.status(500).json({ error: 'Failed to list platforms' });
+    }
+});
+
+/**
+ * GET /api/platforms/:id
+ * One platform's definition
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const platform = platformRegistry.describe(req.params.id);
+        if (!platform) {
+            return res.status(404).json({ error: 'Platform not found' });
+        }
+
+        res.json({ platform });
+    } catch (error) {
+        console.error('Platform fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch platform' });
+    }
+});
+
+module.exports = router;
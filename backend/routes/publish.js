@@ -5,11 +5,13 @@
  */
 
 const express = require('express');
+const charCount = require('@saco/shared/charCount');
 const Content = require('../models/Content');
 const User = require('../models/User');
 const authMiddleware = require('../middleware/auth');
 const publisherAgent = require('../services/agents/publisherAgent');
 const ayrshareClient = require('../services/ayrshareClient');
+const platformRegistry = require('../services/platforms/platformRegistry');
 
 const router = express.Router();
 
@@ -45,8 +47,8 @@ router.get('/status', async (req, res) => {
             ayrshare_configured: configured,
             ayrshare_user: ayrshareUser,
             supported_platforms: {
-                live: ['twitter', 'linkedin', 'instagram'],
-                mock_only: ['email', 'blog'],
+                live: platformRegistry.liveIds(),
+                mock_only: platformRegistry.ids().filter(id => !platformRegistry.liveIds().includes(id)),
             },
         });
     } catch (error) {
@@ -85,15 +87,14 @@ router.post('/preview', async (req, res) => {
         const previews = content.variants
             .filter(v => v.status === 'approved')
             .map(v => {
-                const formatter = publisherAgent.formatters[v.platform] || publisherAgent.formatGeneric.bind(publisherAgent);
-                const formatted = formatter(v);
+                const formatted = publisherAgent.formatVariant(v);
                 return {
                     platform: v.platform,
                     content: v.content,
                     formatted,
                     consistencyScore: v.consistencyScore,
                     image: v.image || null,
-                    charCount: v.content?.length || 0,
+                    charCount: charCount.count(v.content, v.platform),
                 };
             });
 
@@ -0,0 +1,127 @@
+/**
+ * Graph Brand Id Migration
+ * Re-keys legacy Neo4j Brand nodes by BrandDNA id
+ *
+ * Before tenant isolation, Brand nodes were merged by name (usually the shared
+ * "Unknown Brand") with Belief and Tone nodes shared across brands. The graph is
+ * now keyed by BrandDNA id, so the legacy nodes are unreachable. For each legacy
+ * Brand node this script:
+ * - Resolves the owner: the one BrandDNA with that name (ambiguous names are not resolved)
+ * - Syncs the owner's identity from Brand DNA and moves the legacy PastWork to its Brand node
+ * - Deletes the legacy node, and its PastWork when no owner was found
+ * Belief, Tone and Topic nodes left without relationships are deleted afterwards.
+ *
+ * Usage:
+ *   node scripts/migrateGraphBrandIds.js            # dry run, reports only
+ *   node scripts/migrateGraphBrandIds.js --apply    # move / delete for real
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const graphMemory = require('../services/memory/graphMemory');
+const BrandDNA = require('../models/BrandDNA');
+
+const apply = process.argv.includes('--apply');
+
+/**
+ * The BrandDNA a legacy name-keyed Brand node belongs to, when unambiguous
+ */
+async function resolveOwner(name) {
+    if (!name) return null;
+    const matches = await BrandDNA.find({ name }).limit(2);
+    return matches.length === 1 ? matches[0] : null;
+}
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const driver = await graphMemory.connect();
+    if (!driver) {
+        throw new Error('Neo4j is not configured or not reachable - nothing to migrate');
+    }
+
+    const session = driver.session();
+    const stats = { brands: 0, moved: 0, purged: 0, purgedPastWork: 0, orphans: 0, failed: 0 };
+
+    console.log(`[Migrate] ${apply ? 'APPLYING' : 'DRY RUN'} - legacy Brand nodes without an id`);
+
+    try {
+        const legacy = await session.run(`
+            MATCH (b:Brand) WHERE b.id IS NULL
+            OPTIONAL MATCH (b)-[:AUTHORED]->(w:PastWork)
+            RETURN elementId(b) AS nodeId, b.name AS name, count(w) AS pastWork
+        `);
+
+        for (const record of legacy.records) {
+            stats.brands++;
+            const nodeId = record.get('nodeId');
+            const name = record.get('name');
+            const pastWork = record.get('pastWork');
+            const owner = await resolveOwner(name);
+
+            try {
+                if (owner) {
+                    console.log(`[Migrate] move  "${name}" → brand ${owner._id} (${pastWork} past work)`);
+                    if (apply) {
+                        await graphMemory.syncBrandDNA(owner);
+                        await session.run(`
+                            MATCH (old:Brand) WHERE elementId(old) = $nodeId
+                            MATCH (old)-[r:AUTHORED]->(w:PastWork)
+                            MERGE (b:Brand {id: $brandId})
+                            SET w.brandId = $brandId, w.id = coalesce(w.id, randomUUID())
+                            MERGE (b)-[:AUTHORED]->(w)
+                            DELETE r
+                        `, { nodeId, brandId: String(owner._id) });
+                    }
+                    stats.moved++;
+                } else {
+                    console.log(`[Migrate] purge "${name}" (${pastWork} past work, owner ${name ? 'ambiguous or unknown' : 'unknown'})`);
+                    if (apply) {
+                        await session.run(`
+                            MATCH (old:Brand) WHERE elementId(old) = $nodeId
+                            MATCH (old)-[:AUTHORED]->(w:PastWork)
+                            DETACH DELETE w
+                        `, { nodeId });
+                    }
+                    stats.purged++;
+                    stats.purgedPastWork += pastWork;
+                }
+
+                if (apply) {
+                    await session.run('MATCH (old:Brand) WHERE elementId(old) = $nodeId DETACH DELETE old', { nodeId });
+                }
+            } catch (error) {
+                stats.failed++;
+                console.error(`[Migrate] "${name}" failed:`, error.message);
+            }
+        }
+
+        // Shared legacy identity nodes and topics nothing points to any more
+        // (only known once the legacy nodes are gone, so counted on --apply)
+        if (apply) {
+            const orphans = await session.run(`
+                MATCH (n) WHERE (n:Belief OR n:Tone OR n:Topic) AND n.brandId IS NULL AND NOT (n)--()
+                DELETE n
+                RETURN count(*) AS count
+            `);
+            stats.orphans = orphans.records[0]?.get('count') || 0;
+        }
+    } finally {
+        await session.close();
+    }
+
+    console.log('[Migrate] Done:', stats);
+    if (!apply) {
+        console.log('[Migrate] Dry run only - re-run with --apply to move and delete');
+    }
+}
+
+migrate()
+    .catch(error => {
+        console.error('[Migrate] Aborted:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(async () => {
+        await graphMemory.disconnect();
+        await mongoose.disconnect();
+    });
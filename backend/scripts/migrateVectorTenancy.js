@@ -0,0 +1,119 @@
+/**
+ * Vector Tenancy Migration
+ * Moves legacy vectors out of the shared default Pinecone namespace
+ *
+ * Before tenant isolation, vectors were written to the default namespace,
+ * often without a userId. For each legacy vector this script:
+ * - Resolves the owner: metadata.userId, else the BrandDNA / Content it came from
+ * - Re-embeds its stored text into the owner's namespace with the active
+ *   embedding model (legacy vectors used the old pseudo-embedding)
+ * - Purges it from the default namespace, whether or not an owner was found
+ *
+ * Usage:
+ *   node scripts/migrateVectorTenancy.js            # dry run, reports only
+ *   node scripts/migrateVectorTenancy.js --apply    # tag / purge for real
+ *
+ * Requires a serverless Pinecone index (listing IDs is not supported on pod indexes).
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const vectorStore = require('../services/vectorStore');
+const BrandDNA = require('../models/BrandDNA');
+const Content = require('../models/Content');
+
+const BATCH_SIZE = 100;
+const apply = process.argv.includes('--apply');
+
+/**
+ * Work out which user a legacy vector belongs to
+ */
+async function resolveOwner(metadata = {}) {
+    if (metadata.userId) {
+        return { userId: String(metadata.userId), brandId: metadata.brandId };
+    }
+
+    if (metadata.brandId) {
+        const brand = await BrandDNA.findById(metadata.brandId).select('userId');
+        if (brand) return { userId: String(brand.userId), brandId: String(brand._id) };
+    }
+
+    if (metadata.contentId) {
+        const content = await Content.findById(metadata.contentId).select('userId');
+        if (content) return { userId: String(content.userId), contentId: String(content._id) };
+    }
+
+    // Published variants were stored with only a title - accept it only when unambiguous
+    if (metadata.title) {
+        const matches = await Content.find({ title: metadata.title }).select('userId').limit(2);
+        if (matches.length === 1) {
+            return { userId: String(matches[0].userId), contentId: String(matches[0]._id) };
+        }
+    }
+
+    return null;
+}
+
+async function migrate() {
+    await mongoose.connect(process.env.MONGO_URI);
+    await vectorStore.initialize();
+
+    if (vectorStore.useLocalStore) {
+        throw new Error('Pinecone is not configured - nothing to migrate');
+    }
+
+    const legacyIndex = vectorStore.index; // Default namespace
+    const stats = { scanned: 0, tagged: 0, purged: 0, failed: 0 };
+    let paginationToken;
+
+    console.log(`[Migrate] ${apply ? 'APPLYING' : 'DRY RUN'} - embedding model ${vectorStore.embedder.id}`);
+
+    do {
+        const page = await legacyIndex.listPaginated({ limit: BATCH_SIZE, paginationToken });
+        const ids = (page.vectors || []).map(v => v.id);
+        paginationToken = page.pagination?.next;
+
+        if (ids.length === 0) break;
+
+        const { records } = await legacyIndex.fetch(ids);
+
+        for (const id of ids) {
+            stats.scanned++;
+            const metadata = records[id]?.metadata || {};
+            const owner = await resolveOwner(metadata);
+
+            try {
+                if (owner && metadata.text) {
+                    console.log(`[Migrate] tag   ${id} → user ${owner.userId} (${metadata.type || 'unknown'})`);
+                    if (apply) {
+                        const { text, embeddingModel, embeddingDim, ...rest } = metadata;
+                        await vectorStore.upsert(text, { ...rest, ...owner }, { id });
+                    }
+                    stats.tagged++;
+                } else {
+                    console.log(`[Migrate] purge ${id} (${owner ? 'no stored text' : 'owner unknown'})`);
+                    stats.purged++;
+                }
+
+                if (apply) {
+                    await legacyIndex.deleteOne(id);
+                }
+            } catch (error) {
+                stats.failed++;
+                console.error(`[Migrate] ${id} failed:`, error.message);
+            }
+        }
+    } while (paginationToken);
+
+    console.log('[Migrate] Done:', stats);
+    if (!apply) {
+        console.log('[Migrate] Dry run only - re-run with --apply to tag and purge');
+    }
+}
+
+migrate()
+    .catch(error => {
+        console.error('[Migrate] Aborted:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
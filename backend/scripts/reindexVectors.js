@@ -0,0 +1,35 @@
+/**
+ * Vector Re-index
+ * Re-embeds the local vector store with the active embedding model
+ *
+ * Run after changing EMBEDDING_PROVIDER / EMBEDDING_MODEL: vectors built with
+ * the previous model are re-embedded from their stored text under the same
+ * IDs, so existing references (e.g. BrandDNA.vectorId) stay valid.
+ *
+ * Usage:
+ *   node scripts/reindexVectors.js                  # every stale vector
+ *   node scripts/reindexVectors.js --user <userId>  # one tenant only
+ *   node scripts/reindexVectors.js --force          # include current-model vectors
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const vectorStore = require('../services/vectorStore');
+
+const args = process.argv.slice(2);
+const userFlag = args.indexOf('--user');
+const userId = userFlag !== -1 ? args[userFlag + 1] : undefined;
+const force = args.includes('--force');
+
+async function reindex() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`[Reindex] ${userId ? `user ${userId}` : 'all users'} → ${vectorStore.embedder.id}${force ? ' (forced)' : ''}`);
+    await vectorStore.reindex({ userId, force });
+}
+
+reindex()
+    .catch(error => {
+        console.error('[Reindex] Aborted:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -14,13 +14,28 @@ const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
 
+// Checked before the routes load: their agents build LLM clients when required
+const providerRegistry = require('./services/llm/providerRegistry');
+try {
+  providerRegistry.assertConfigured();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const contentRoutes = require('./routes/content');
 const brandRoutes = require('./routes/brand');
+const brandGraphRoutes = require('./routes/brandGraph');
 const managerRoutes = require('./routes/manager');
 const libraryRoutes = require('./routes/library');
 const publishRoutes = require('./routes/publish');
+const jobRoutes = require('./routes/jobs');
+const platformRoutes = require('./routes/platforms');
+const orchestrationSweeper = require('./services/orchestrationSweeper');
+const jobWorker = require('./services/jobWorker');
+const orchestrationJobs = require('./services/orchestrationJobs');
 
 const app = express();
 
@@ -52,7 +67,16 @@ app.use(express.json({ limit: '10mb' })); // Allow larger payloads for content
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('✅ MongoDB connected successfully'))
+  .then(() => {
+    console.log('✅ MongoDB connected successfully');
+    // Resume or fail orchestration runs interrupted by the last shutdown
+    orchestrationSweeper.start();
+    // Run queued jobs here unless dedicated workers (npm run worker) handle them
+    if (process.env.JOB_WORKER_IN_PROCESS !== 'false') {
+      orchestrationJobs.register(jobWorker);
+      jobWorker.start();
+    }
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err.message);
     process.exit(1);
@@ -65,10 +89,13 @@ app.use('/api/images', express.static(path.join(__dirname, '../uploads/images'))
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/content', contentRoutes);
+app.use('/api/brand/graph', brandGraphRoutes);
 app.use('/api/brand', brandRoutes);
 app.use('/api/manager', managerRoutes);
 app.use('/api/library', libraryRoutes);
 app.use('/api/publish', publishRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/platforms', platformRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -13,17 +13,24 @@
  * @property {Object} content - Original content to repurpose
  * @property {Object|null} brandDNA - Brand guidelines from MongoDB
  * @property {string[]} platforms - Target platforms for repurposing
- * @property {Object|null} plan - JSON manifest of tasks
- * @property {number} currentStep - Current step index in plan
+ * @property {Object[]|null} plan - Validated step manifest; each step carries status/attempts/reason (see planExecutor)
+ * @property {number} currentStep - Index of the plan step being executed
  * @property {Object|null} identityContext - Merged Pinecone + Neo4j context
  * @property {Object|null} ingest - Ingest worker output
  * @property {Object} drafts - Platform → generated content map
  * @property {Object} reviews - Platform → review results map
+ * @property {Object} platformStatus - Platform → lane status (generating|reviewing|verifying|reflecting|passed|escalated)
  * @property {string[]} published - List of published platforms
+ * @property {Object} publishResults - Platform → publish status from the Publisher
+ * @property {Object|null} imageGeneration - Image enrichment outcome (status, images, error)
  * @property {Object[]} errors - Error history for reflection
+ * @property {Object} retryCounts - Platform → retries used (each platform has its own maxRetries budget)
+ * @property {Object} attempts - Platform → per-attempt history (draft, review, verification, reflection)
+ * @property {Object} escalations - Platform → reason the platform was escalated instead of retried
+ * @property {Object|null} consistency - Latest cross-variant consistency report (see consistency.js)
  * @property {Object[]} history - Decision history for reflection
  * @property {Object[]} pipelineTrace - End-to-end observability trace
- * @property {string} status - Current status: planning|executing|reflecting|completed|failed
+ * @property {string} status - Current status: planning|executing|reflecting|completed|failed|paused|cancelled
  */
 
 class AgentState {
@@ -46,13 +53,19 @@ class AgentState {
         this.ingest = initialData.ingest || null;
         this.drafts = initialData.drafts || {};
         this.reviews = initialData.reviews || {};
+        this.platformStatus = initialData.platformStatus || {};
         this.published = initialData.published || [];
+        this.publishResults = initialData.publishResults || {};
+        this.imageGeneration = initialData.imageGeneration || null;
 
         // Reflection and error recovery
         this.errors = initialData.errors || [];
         this.history = initialData.history || [];
-        this.retryCount = initialData.retryCount || 0;
-        this.maxRetries = initialData.maxRetries || 3;
+        this.retryCounts = initialData.retryCounts || {};
+        this.maxRetries = initialData.maxRetries || 3; // Per platform
+        this.attempts = initialData.attempts || {};
+        this.escalations = initialData.escalations || {};
+        this.consistency = initialData.consistency || null;
 
         // Observability
         this.pipelineTrace = initialData.pipelineTrace || [];
@@ -64,16 +77,19 @@ class AgentState {
     }
 
     /**
-     * Add an error to history and increment retry count
+     * Add an error to history
+     * @param {Object|string} error - Error, or { message, reflectionStrategy } from a failed verification
+     * @param {string} step - e.g. 'verify:twitter' or 'orchestration'
      */
     recordError(error, step) {
+        const platform = step?.includes(':') ? step.split(':')[1] : null;
         this.errors.push({
             step,
             error: error.message || error,
+            reflectionStrategy: error.reflectionStrategy || null,
             timestamp: new Date(),
-            retryCount: this.retryCount
+            retryCount: platform ? this.getRetryCount(platform) : 0
         });
-        this.retryCount++;
         this.updatedAt = new Date();
     }
 
@@ -105,10 +121,76 @@ class AgentState {
     }
 
     /**
-     * Check if we can retry
+     * Platform lanes run concurrently: each lane writes only its own key,
+     * through these setters, and never reads another lane's entries mid-flight.
      */
-    canRetry() {
-        return this.retryCount < this.maxRetries;
+    setDraft(platform, draft) {
+        this.drafts[platform] = draft;
+        this.updatedAt = new Date();
+    }
+
+    setReview(platform, review) {
+        this.reviews[platform] = review;
+        this.updatedAt = new Date();
+    }
+
+    setPlatformStatus(platform, status) {
+        this.platformStatus[platform] = status;
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Most recent error recorded for a step (e.g. 'verify:twitter')
+     */
+    getLastError(step) {
+        for (let i = this.errors.length - 1; i >= 0; i--) {
+            if (this.errors[i].step === step) return this.errors[i];
+        }
+        return null;
+    }
+
+    /**
+     * Retries a platform has used so far
+     */
+    getRetryCount(platform) {
+        return this.retryCounts[platform] || 0;
+    }
+
+    /**
+     * Check if a platform has retry budget left
+     */
+    canRetry(platform) {
+        return this.getRetryCount(platform) < this.maxRetries;
+    }
+
+    /**
+     * Spend one of a platform's retries
+     */
+    consumeRetry(platform) {
+        this.retryCounts[platform] = this.getRetryCount(platform) + 1;
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Append to a platform's attempt history
+     * @param {Object} entry - { content, review, verification, reflection, outcome, reason }
+     */
+    recordAttempt(platform, entry) {
+        if (!this.attempts[platform]) this.attempts[platform] = [];
+        this.attempts[platform].push({
+            attempt: this.attempts[platform].length + 1,
+            ...entry,
+            timestamp: new Date()
+        });
+        this.updatedAt = new Date();
+    }
+
+    /**
+     * Give up on a platform: it keeps its last draft but is never published
+     */
+    escalate(platform, reason) {
+        this.escalations[platform] = reason;
+        this.setPlatformStatus(platform, 'escalated');
     }
 
     /**
@@ -126,7 +208,6 @@ class AgentState {
      */
     nextStep() {
         this.currentStep++;
-        this.retryCount = 0; // Reset retries for new step
         this.updatedAt = new Date();
     }
 
@@ -138,10 +219,12 @@ class AgentState {
         const approvedCount = Object.values(this.reviews).filter(r => r.passed).length;
         const publishedCount = this.published.length;
         const reflectionCount = this.errors.length;
+        const escalatedCount = Object.keys(this.escalations).length;
 
         return {
             hitRate: totalPlatforms > 0 ? Math.round((approvedCount / totalPlatforms) * 100) : 0,
-            automationRate: reflectionCount === 0 ? 100 : Math.round(((totalPlatforms - reflectionCount) / totalPlatforms) * 100),
+            // Escalated platforms are the ones that need a human
+            automationRate: totalPlatforms > 0 ? Math.round(((totalPlatforms - escalatedCount) / totalPlatforms) * 100) : 100,
             publishedCount,
             reflectionCount,
             processingTime: Math.round((Date.now() - this.startedAt.getTime()) / 1000)
@@ -164,10 +247,17 @@ class AgentState {
             ingest: this.ingest,
             drafts: this.drafts,
             reviews: this.reviews,
+            platformStatus: this.platformStatus,
             published: this.published,
+            publishResults: this.publishResults,
+            imageGeneration: this.imageGeneration,
             errors: this.errors,
             history: this.history,
-            retryCount: this.retryCount,
+            retryCounts: this.retryCounts,
+            maxRetries: this.maxRetries,
+            attempts: this.attempts,
+            escalations: this.escalations,
+            consistency: this.consistency,
             pipelineTrace: this.pipelineTrace,
             status: this.status,
             startedAt: this.startedAt,
@@ -176,7 +266,19 @@ class AgentState {
     }
 
     /**
-     * Restore from persisted state
+     * Serialize for checkpoints: the content and Brand DNA documents are stored
+     * by id and reloaded on resume, everything else is what the steps produced
+     */
+    toCheckpoint() {
+        const { content, brandDNA, ...rest } = this.toJSON();
+        return {
+            ...rest,
+            brandDNAId: brandDNA?._id || null
+        };
+    }
+
+    /**
+     * Restore from persisted state (a checkpoint is passed fresh content and Brand DNA documents)
      */
     static fromJSON(json) {
         return new AgentState({
@@ -0,0 +1,199 @@
+/**
+ * Checkpoint Store
+ * Persists AgentState to the OrchestrationRun collection so runs survive restarts
+ *
+ * The Manager checkpoints after every settled plan step. While a run is alive
+ * its owning process refreshes a heartbeat; a run whose heartbeat has gone
+ * stale was orphaned by a crash or restart and can be claimed and resumed
+ * from its last checkpoint (see orchestrationSweeper and the resume endpoint).
+ *
+ * Checkpointing never breaks a run: write failures are logged, and without a
+ * MongoDB connection (offline scripts, smoke runs) checkpoints are skipped.
+ *
+ * Configuration (env):
+ * - ORCHESTRATION_STALE_MS: heartbeat age after which a run counts as dead (default 300000)
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const OrchestrationRun = require('../../models/OrchestrationRun');
+
+class CheckpointStore {
+    constructor() {
+        this.owner = `${os.hostname()}:${process.pid}`;
+        this.staleMs = Math.max(1000, parseInt(process.env.ORCHESTRATION_STALE_MS, 10) || 5 * 60 * 1000);
+        this.writes = new Map(); // contentId → tail of that run's write queue
+    }
+
+    isAvailable() {
+        return mongoose.connection.readyState !== mongoose.ConnectionStates.disconnected;
+    }
+
+    /**
+     * Plain-JSON copy of the state's checkpoint, taken synchronously so
+     * concurrent lanes can't change it while the write is queued
+     */
+    snapshot(state) {
+        return JSON.parse(JSON.stringify(state.toCheckpoint()));
+    }
+
+    /**
+     * Writes for one run are applied in order (lanes checkpoint concurrently)
+     */
+    enqueue(contentId, write) {
+        const tail = (this.writes.get(contentId) || Promise.resolve())
+            .then(write)
+            .catch(error => console.warn(`[Checkpoint] Write failed for ${contentId}:`, error.message));
+
+        this.writes.set(contentId, tail);
+        tail.then(() => {
+            if (this.writes.get(contentId) === tail) this.writes.delete(contentId);
+        });
+        return tail;
+    }
+
+    /**
+     * Register a run as owned by this process
+     * @param {AgentState} state
+     * @param {Object} options - { resumed } keeps the run's resume count
+     */
+    async begin(state, { resumed = false } = {}) {
+        if (!this.isAvailable()) return;
+        const snapshot = this.snapshot(state);
+        const userId = state.content?.userId;
+
+        return this.enqueue(state.contentId, () => OrchestrationRun.updateOne(
+            { contentId: state.contentId },
+            {
+                $set: {
+                    userId,
+                    status: 'running',
+                    owner: this.owner,
+                    heartbeatAt: new Date(),
+                    error: null,
+                    state: snapshot,
+                    ...(resumed ? {} : { resumeCount: 0, lastStep: null })
+                }
+            },
+            { upsert: true }
+        ));
+    }
+
+    /**
+     * Checkpoint the state after a step
+     * @param {AgentState} state
+     * @param {string} lastStep - Human-readable description of the step that settled
+     */
+    async save(state, lastStep = null) {
+        if (!this.isAvailable()) return;
+        const snapshot = this.snapshot(state);
+
+        return this.enqueue(state.contentId, () => OrchestrationRun.updateOne(
+            // Only the owner writes: a run claimed by another process is no longer ours
+            { contentId: state.contentId, owner: this.owner },
+            { $set: { state: snapshot, heartbeatAt: new Date(), ...(lastStep ? { lastStep } : {}) } }
+        ));
+    }
+
+    /**
+     * Record the final state of a run
+     * @param {string} status - 'completed' | 'failed' | 'paused' | 'cancelled'
+     */
+    async finish(state, status, error = null) {
+        if (!this.isAvailable()) return;
+        const snapshot = this.snapshot(state);
+
+        return this.enqueue(state.contentId, () => OrchestrationRun.updateOne(
+            { contentId: state.contentId, owner: this.owner },
+            { $set: { state: snapshot, status, control: null, error: error?.message || null, heartbeatAt: new Date() } }
+        ));
+    }
+
+    /**
+     * Keep a run's heartbeat fresh while it executes (long LLM or image calls
+     * can outlast the stale window between checkpoints)
+     * @returns {Function} stop
+     */
+    startHeartbeat(contentId) {
+        if (!this.isAvailable()) return () => {};
+
+        const timer = setInterval(() => {
+            OrchestrationRun.updateOne(
+                { contentId, owner: this.owner, status: 'running' },
+                { $set: { heartbeatAt: new Date() } }
+            ).catch(error => console.warn(`[Checkpoint] Heartbeat failed for ${contentId}:`, error.message));
+        }, Math.max(1000, Math.floor(this.staleMs / 3)));
+        timer.unref();
+
+        return () => clearInterval(timer);
+    }
+
+    staleCutoff() {
+        return new Date(Date.now() - this.staleMs);
+    }
+
+    /**
+     * A running run whose owner stopped heartbeating
+     */
+    isStale(run) {
+        return run.status === 'running' && run.heartbeatAt < this.staleCutoff();
+    }
+
+    /**
+     * @param {string} projection - Optional field selection (e.g. '-state' for status checks)
+     */
+    async load(contentId, projection = null) {
+        return OrchestrationRun.findOne({ contentId }).select(projection).lean();
+    }
+
+    /**
+     * Take over a failed, paused or stale run so it can be resumed
+     * Atomic: of two processes claiming the same run, one gets null
+     */
+    async claim(contentId) {
+        return OrchestrationRun.findOneAndUpdate(
+            {
+                contentId,
+                $or: [
+                    { status: { $in: ['failed', 'paused'] } },
+                    { status: 'running', heartbeatAt: { $lt: this.staleCutoff() } }
+                ]
+            },
+            {
+                $set: { status: 'running', owner: this.owner, heartbeatAt: new Date(), error: null, control: null },
+                $inc: { resumeCount: 1 }
+            },
+            { new: true, lean: true }
+        );
+    }
+
+    /**
+     * Cancel a run nobody is executing (paused, failed or stale) so it can't be resumed
+     * @returns {boolean} false when the run is live or already finished
+     */
+    async cancel(contentId, reason = 'Orchestration cancelled by user') {
+        const result = await OrchestrationRun.updateOne(
+            {
+                contentId,
+                $or: [
+                    { status: { $in: ['failed', 'paused'] } },
+                    { status: 'running', heartbeatAt: { $lt: this.staleCutoff() } }
+                ]
+            },
+            { $set: { status: 'cancelled', error: reason, control: null } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Give up on a claimed run without resuming it
+     */
+    async markFailed(contentId, reason) {
+        return OrchestrationRun.updateOne(
+            { contentId, owner: this.owner },
+            { $set: { status: 'failed', error: reason } }
+        );
+    }
+}
+
+module.exports = new CheckpointStore();
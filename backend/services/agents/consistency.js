@@ -0,0 +1,359 @@
+/**
+ * Cross-Variant Consistency
+ * Compares the drafts of one run for facts they disagree on
+ *
+ * Each variant is verified on its own, so the tweet can say "May 3" while the
+ * email says "May 5". This check pairs up what the variants state:
+ * - dates, prices and percentages: by the words around them ("launching",
+ *   "off", "per month"), or directly when each variant states only one
+ * - other numbers: by the words around them only
+ * - names: capitalised names sharing a word ("Acme Pro" / "Acme Plus")
+ * - calls to action: the action asked for (register, buy, download, ...) and links
+ * Two values for the same slot are a conflict. The canonical value is the one
+ * the source states (majority of variants when the source doesn't settle it);
+ * variants that differ from it are the conflicting ones.
+ *
+ * Heuristic by design: values paired only because each variant states one of
+ * them are not a conflict when the source backs both.
+ */
+
+const grounding = require('./grounding');
+
+// Words that never anchor a value
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'by', 'for', 'with', 'from', 'as', 'is',
+    'are', 'was', 'be', 'will', 'it', 'its', 'this', 'that', 'we', 'our', 'you', 'your', 'us', 'just', 'only', 'up',
+    'than', 'over', 'about', 'all', 'now', 'new', 'more', 'first', 'each'
+]);
+
+// Words read on each side of a value for its anchors
+const ANCHOR_WINDOW = { before: 3, after: 2 };
+
+// Kinds paired directly when each variant states exactly one such value
+const SINGLE_VALUE_KINDS = ['date', 'price', 'percent'];
+
+const KIND_LABELS = {
+    date: 'date',
+    price: 'price',
+    percent: 'percentage',
+    number: 'number',
+    name: 'name',
+    cta: 'call to action',
+    link: 'link'
+};
+
+// Calls to action by what they ask the reader to do
+const CTA_INTENTS = {
+    register: ['sign up', 'signup', 'register', 'rsvp', 'save your seat', 'save your spot', 'reserve your spot', 'enroll'],
+    purchase: ['buy', 'shop now', 'order now', 'pre-order', 'preorder', 'purchase', 'claim your discount', 'get yours'],
+    download: ['download', 'get the guide', 'grab the guide', 'get your copy'],
+    demo: ['book a demo', 'request a demo', 'schedule a call', 'book a call', 'talk to sales'],
+    trial: ['free trial', 'try it free', 'try it for free', 'start for free'],
+    subscribe: ['subscribe', 'join the newsletter', 'join our newsletter']
+};
+
+// Most conflicts worth listing in a message
+const MAX_LISTED = 3;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stem(word) {
+    return word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word;
+}
+
+function anchorWords(text) {
+    return (text.toLowerCase().match(/\p{L}+/gu) || []).filter(w => !STOPWORDS.has(w));
+}
+
+/**
+ * Content words next to a claim, within its sentence
+ */
+function anchorsOf(text, claim) {
+    const sentenceStart = Math.max(...['.', '!', '?', '\n'].map(mark => text.lastIndexOf(mark, claim.start - 1))) + 1;
+    const rest = text.slice(claim.end);
+    const sentenceEnd = rest.search(/[.!?\n](?:\s|$)/);
+
+    const before = anchorWords(text.slice(sentenceStart, claim.start)).slice(-ANCHOR_WINDOW.before);
+    const after = anchorWords(sentenceEnd === -1 ? rest : rest.slice(0, sentenceEnd)).slice(0, ANCHOR_WINDOW.after);
+    return new Set([...before, ...after].map(stem));
+}
+
+function kindOf(claim) {
+    if (claim.type === 'date') return 'date';
+    if (claim.type === 'entity') return 'name';
+    if (claim.type === 'url') return 'link';
+    if (claim.type !== 'number') return null;
+    return claim.unit === 'currency' ? 'price' : claim.unit === 'percent' ? 'percent' : 'number';
+}
+
+function keyOf(fact) {
+    if (fact.kind === 'date') {
+        const { year, month, day, raw } = fact.claim.value;
+        return raw || `${year || '*'}-${month || '*'}-${day || '*'}`;
+    }
+    if (fact.kind === 'name') return fact.claim.value.join(' ');
+    if (fact.kind === 'cta') return fact.intent;
+    return String(fact.claim.value);
+}
+
+/**
+ * Same value: dates match on every part both state, numbers within rounding
+ */
+function sameValue(a, b) {
+    if (a.kind === 'date') {
+        const x = a.claim.value;
+        const y = b.claim.value;
+        if (x.raw || y.raw) return (x.raw || '').toLowerCase() === (y.raw || '').toLowerCase();
+        return ['year', 'month', 'day'].every(part => !x[part] || !y[part] || x[part] === y[part]);
+    }
+    if (['price', 'percent', 'number'].includes(a.kind)) return Math.abs(a.claim.value - b.claim.value) < 1e-9;
+    return keyOf(a) === keyOf(b);
+}
+
+function ctaFacts(text) {
+    const facts = [];
+    for (const [intent, phrases] of Object.entries(CTA_INTENTS)) {
+        for (const phrase of phrases) {
+            const match = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapeRegex(phrase)})($|[^\\p{L}\\p{N}])`, 'iu').exec(text);
+            if (match) {
+                facts.push({ kind: 'cta', intent, text: match[2], anchors: new Set() });
+                break;
+            }
+        }
+    }
+    return facts;
+}
+
+/**
+ * Everything a text states that another variant could contradict
+ */
+function factsOf(text) {
+    const content = text || '';
+    const facts = grounding.extractClaims(content)
+        .map(claim => ({ kind: kindOf(claim), claim, text: claim.text, anchors: anchorsOf(content, claim) }))
+        .filter(fact => fact.kind);
+    return [...facts, ...ctaFacts(content)];
+}
+
+function sharesAnchor(a, b) {
+    return [...a.anchors].some(word => b.anchors.has(word));
+}
+
+function sharesNameWord(a, b) {
+    return a.claim.value.some(word => b.claim.value.includes(word));
+}
+
+/**
+ * Conflicting value pairs between two variants
+ * @returns {Object[]} [{ kind, a, b, anchored }]
+ */
+function pairConflicts(factsA, factsB, backed) {
+    const pairs = [];
+    const kinds = new Set([...factsA, ...factsB].map(f => f.kind));
+
+    for (const kind of kinds) {
+        const ofA = factsA.filter(f => f.kind === kind);
+        const ofB = factsB.filter(f => f.kind === kind);
+        if (ofA.length === 0 || ofB.length === 0) continue;
+
+        // Links and calls to action conflict when the variants share none
+        if (kind === 'link' || kind === 'cta') {
+            if (ofA.some(a => ofB.some(b => sameValue(a, b)))) continue;
+            if ([...ofA, ...ofB].every(backed)) continue;
+            pairs.push({ kind, a: ofA[0], b: ofB[0], anchored: false });
+            continue;
+        }
+
+        for (const a of ofA) {
+            // Stated elsewhere in the other variant: not a disagreement
+            if (ofB.some(b => sameValue(a, b))) continue;
+
+            let candidates = kind === 'name'
+                ? ofB.filter(b => sharesNameWord(a, b))
+                : ofB.filter(b => sharesAnchor(a, b));
+            const anchored = kind !== 'name' && candidates.length > 0;
+            if (candidates.length === 0 && SINGLE_VALUE_KINDS.includes(kind) && ofA.length === 1 && ofB.length === 1) {
+                candidates = ofB;
+            }
+
+            for (const b of candidates) {
+                if (ofA.some(other => sameValue(other, b))) continue;
+                // Two different facts the source states - not one fact told two ways
+                if (!anchored && backed(a) && backed(b)) continue;
+                pairs.push({ kind, a, b, anchored });
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Value the source states for a conflict, else the variants' majority
+ * @returns {Object|null} The canonical fact, or null when neither settles it
+ */
+function resolveCanonical(conflict, backed, sourceFacts) {
+    // Entries stating the same value ("May 3" / "May 3, 2025") side together
+    const sides = [];
+    for (const entry of conflict.entries) {
+        const side = sides.find(s => sameValue(s.fact, entry.fact));
+        if (side) side.platforms.push(entry.platform);
+        else sides.push({ fact: entry.fact, platforms: [entry.platform] });
+    }
+
+    let inSource = sides.filter(side => backed(side.fact));
+    if (inSource.length > 1 && conflict.anchored) {
+        // The source states several: keep the one it states in the same place
+        const stated = conflict.entries.map(e => e.fact);
+        inSource = inSource.filter(side => sourceFacts.some(s =>
+            s.kind === conflict.kind && sameValue(s, side.fact) && stated.some(f => sharesAnchor(f, s))
+        ));
+    }
+
+    if (inSource.length === 1) {
+        const match = sourceFacts.find(s => s.kind === conflict.kind && sameValue(s, inSource[0].fact));
+        return { fact: inSource[0].fact, text: match?.text || inSource[0].fact.text, basis: 'source' };
+    }
+
+    const [top] = sides.sort((a, b) => b.platforms.length - a.platforms.length);
+    if (top.platforms.length * 2 > conflict.entries.length) {
+        return { fact: top.fact, text: top.fact.text, basis: 'majority' };
+    }
+    return null;
+}
+
+function describe(conflict) {
+    const values = conflict.values.map(v => `${v.platform} "${v.text}"`).join(' vs ');
+    const canonical = conflict.canonical
+        ? ` (${conflict.basis === 'source' ? 'source' : 'most variants'}: "${conflict.canonical}")`
+        : ' (the source does not settle it)';
+    return `${KIND_LABELS[conflict.type]} ${values}${canonical}`;
+}
+
+/**
+ * Compare the variants of one run
+ * @param {Object[]} variants - [{ platform, content }]
+ * @param {string} sourceText - Original content (content.data)
+ * @returns {Object} { checked, passed, compared, conflicts[{ type, values[{ platform, text }], canonical,
+ *   basis: 'source' | 'majority' | null, platforms }], byPlatform, message }
+ */
+function compareVariants(variants, sourceText = '') {
+    const compared = variants.filter(v => v.content?.trim()).map(v => v.platform);
+    if (compared.length < 2) {
+        return {
+            checked: false,
+            passed: true,
+            compared,
+            conflicts: [],
+            byPlatform: {},
+            message: 'Consistency unchecked: fewer than two variants'
+        };
+    }
+
+    const source = grounding.indexSource(sourceText);
+    const sourceFacts = factsOf(sourceText);
+    const sourceIntents = new Set(sourceFacts.filter(f => f.kind === 'cta').map(f => f.intent));
+    const backed = (fact) => fact.kind === 'cta'
+        ? sourceIntents.has(fact.intent)
+        : Boolean(sourceText?.trim()) && grounding.supported(fact.claim, source);
+
+    const facts = new Map(variants.filter(v => compared.includes(v.platform)).map(v => [v.platform, factsOf(v.content)]));
+
+    // One conflict per kind and pair of disagreeing values, across every pair of variants
+    const grouped = [];
+    const states = (conflict, fact) => conflict.entries.some(e => sameValue(e.fact, fact));
+    for (let i = 0; i < compared.length; i++) {
+        for (let j = i + 1; j < compared.length; j++) {
+            const [pa, pb] = [compared[i], compared[j]];
+            for (const pair of pairConflicts(facts.get(pa), facts.get(pb), backed)) {
+                let conflict = grouped.find(c => c.kind === pair.kind && states(c, pair.a) && states(c, pair.b));
+                if (!conflict) {
+                    conflict = { kind: pair.kind, anchored: false, entries: [] };
+                    grouped.push(conflict);
+                }
+                conflict.anchored = conflict.anchored || pair.anchored;
+                for (const [platform, fact] of [[pa, pair.a], [pb, pair.b]]) {
+                    if (!conflict.entries.some(e => e.platform === platform)) conflict.entries.push({ platform, fact });
+                }
+            }
+        }
+    }
+
+    // Variants repeating one side of a conflict elsewhere in the text count towards that side
+    for (const conflict of grouped) {
+        const sides = conflict.entries.map(e => e.fact);
+        for (const platform of compared) {
+            if (conflict.entries.some(e => e.platform === platform)) continue;
+            const fact = facts.get(platform).find(f => f.kind === conflict.kind && sides.some(s => sameValue(s, f)));
+            if (fact) conflict.entries.push({ platform, fact });
+        }
+    }
+
+    const conflicts = grouped.map(conflict => {
+        const canonical = resolveCanonical(conflict, backed, sourceFacts);
+        return {
+            type: conflict.kind,
+            values: conflict.entries.map(e => ({ platform: e.platform, text: e.fact.text })),
+            canonical: canonical?.text || null,
+            basis: canonical?.basis || null,
+            platforms: conflict.entries
+                .filter(e => !canonical || !sameValue(e.fact, canonical.fact))
+                .map(e => e.platform)
+        };
+    });
+
+    const byPlatform = {};
+    for (const conflict of conflicts) {
+        for (const platform of conflict.platforms) {
+            (byPlatform[platform] = byPlatform[platform] || []).push(conflict);
+        }
+    }
+
+    const listed = conflicts.slice(0, MAX_LISTED).map(describe).join('; ');
+    const more = conflicts.length > MAX_LISTED ? ` and ${conflicts.length - MAX_LISTED} more` : '';
+
+    return {
+        checked: true,
+        passed: conflicts.length === 0,
+        compared,
+        conflicts,
+        byPlatform,
+        message: conflicts.length === 0
+            ? `${compared.length} variants agree on facts, dates, offers and calls to action`
+            : `Cross-variant conflicts: ${listed}${more}`
+    };
+}
+
+/**
+ * The conflicts one variant has to fix, from its own side
+ * @returns {Object[]} [{ type, label, value, canonical, basis, others[{ platform, text }] }]
+ */
+function conflictsFor(report, platform) {
+    return (report?.byPlatform?.[platform] || []).map(conflict => ({
+        type: conflict.type,
+        label: KIND_LABELS[conflict.type],
+        value: conflict.values.find(v => v.platform === platform)?.text || null,
+        canonical: conflict.canonical,
+        basis: conflict.basis,
+        others: conflict.values.filter(v => v.platform !== platform)
+    }));
+}
+
+/**
+ * One-line verifier-style summary of a variant's conflicts
+ */
+function summarize(conflicts) {
+    const details = conflicts.map(c => c.canonical
+        ? `${c.label} "${c.value}" (use "${c.canonical}")`
+        : `${c.label} "${c.value}" (variants disagree; leave it out)`);
+    return `Cross-variant conflict: ${details.join(', ')}`;
+}
+
+module.exports = {
+    KIND_LABELS,
+    CTA_INTENTS,
+    compareVariants,
+    conflictsFor,
+    summarize
+};
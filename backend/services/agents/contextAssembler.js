@@ -0,0 +1,252 @@
+/**
+ * Context Assembler
+ * Curates the memory and project direction a worker sees for one platform
+ *
+ * Workers never query memory themselves - the Manager hands them this block.
+ * Sources, highest priority first:
+ * 1. Project overrides (Content.projectStateOverrides): tone, audience, custom instructions
+ * 2. Brand beliefs and stances from graph memory
+ * 3. Lessons from reflection memory: retry strategies that fixed this platform
+ *    before (generator only)
+ * 4. Similar past content from vector memory (generator only)
+ * 5. Past published work from graph memory (generator only)
+ *
+ * Items are added in priority order until the agent's token budget is spent
+ * (CONTEXT_TOKEN_BUDGET, default 600 for the generator;
+ * CONTEXT_REVIEW_TOKEN_BUDGET, default 300 for the reviewer). Whatever does not
+ * fit is reported as dropped, so the trace shows exactly what each prompt saw -
+ * except project overrides, which are cut to the space left instead (reported
+ * as truncated) so the user's direction is never lost to the budget.
+ *
+ * The generator also gets the platform's few-shot examples (memory/exemplars,
+ * best first) under a separate budget: FEW_SHOT_TOKEN_BUDGET, default 800.
+ */
+
+const DEFAULT_BUDGETS = {
+    generator: parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 600,
+    reviewer: parseInt(process.env.CONTEXT_REVIEW_TOKEN_BUDGET, 10) || 300
+};
+const FEW_SHOT_BUDGET = parseInt(process.env.FEW_SHOT_TOKEN_BUDGET, 10) || 800;
+
+// Longest excerpt of a remembered post
+const MAX_EXCERPT_CHARS = 300;
+// Longest few-shot example
+const MAX_EXAMPLE_CHARS = 1500;
+
+const SECTIONS = {
+    override: 'PROJECT DIRECTION (takes precedence over brand defaults):',
+    belief: 'BRAND BELIEFS:',
+    stance: 'BRAND STANCES:',
+    lesson: 'LESSONS FROM PAST RETRIES ON THIS PLATFORM (apply up front):',
+    memory: 'SIMILAR PAST CONTENT (for continuity - do not copy):',
+    pastWork: 'PAST PUBLISHED WORK:'
+};
+
+/**
+ * Rough token count (~4 characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function excerpt(text) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > MAX_EXCERPT_CHARS ? `${clean.substring(0, MAX_EXCERPT_CHARS - 3)}...` : clean;
+}
+
+// Shortest truncated override worth keeping
+const MIN_TRUNCATED_TOKENS = 8;
+
+/**
+ * Cut a line to a token count, marking the cut
+ */
+function truncateLine(line, tokens) {
+    const chars = tokens * 4;
+    return line.length > chars ? `${line.substring(0, chars - 3)}...` : line;
+}
+
+/**
+ * Plain project overrides from a Content document or checkpointed object
+ */
+function overridesOf(content) {
+    const overrides = content?.projectStateOverrides;
+    return typeof overrides?.toObject === 'function' ? overrides.toObject() : (overrides || {});
+}
+
+/**
+ * Candidate context items in priority order
+ * Each item: { source, ref, line } - ref identifies it in traces
+ */
+function candidates(state, agent, platform) {
+    const items = [];
+    const overrides = overridesOf(state.content);
+    const identity = state.identityContext || {};
+    const graph = identity.graph || {};
+
+    if (overrides.toneOverride) {
+        items.push({ source: 'override', ref: 'override:tone', line: `- Tone: ${overrides.toneOverride}` });
+    }
+    if (overrides.audienceOverride) {
+        items.push({ source: 'override', ref: 'override:audience', line: `- Audience: ${overrides.audienceOverride}` });
+    }
+    if (overrides.customInstructions) {
+        items.push({ source: 'override', ref: 'override:instructions', line: `- Instructions: ${overrides.customInstructions}` });
+    }
+
+    for (const belief of identity.brandBeliefs || graph.beliefs || []) {
+        items.push({ source: 'belief', ref: `belief:${belief}`, line: `- ${belief}` });
+    }
+    for (const stance of graph.stances || []) {
+        items.push({ source: 'stance', ref: `stance:${stance}`, line: `- ${stance}` });
+    }
+    for (const stance of graph.opposedStances || []) {
+        items.push({ source: 'stance', ref: `opposes:${stance}`, line: `- Opposes: ${stance}` });
+    }
+
+    if (agent === 'generator') {
+        for (const lesson of identity.lessons?.[platform] || []) {
+            items.push({ source: 'lesson', ref: `lesson:${lesson.id}`, line: `- ${lesson.strategy}` });
+        }
+
+        const currentId = state.contentId ? String(state.contentId) : null;
+        (identity.vectors || [])
+            .filter(v => v.text && (!currentId || v.contentId !== currentId))
+            .forEach((v, i) => {
+                const match = Number.isFinite(v.score) ? ` (${Math.round(v.score * 100)}% match)` : '';
+                items.push({
+                    source: 'memory',
+                    ref: `memory:${v.id || i}`,
+                    line: `- [${v.type || 'content'}${match}] "${excerpt(v.text)}"`
+                });
+            });
+
+        for (const work of identity.pastWorks || graph.pastWorks || []) {
+            if (!work?.title) continue;
+            const score = Number.isFinite(work.score) ? `, score ${work.score}` : '';
+            items.push({
+                source: 'pastWork',
+                ref: `pastWork:${work.title}`,
+                line: `- "${work.title}" (${work.platform || 'unknown'}${score})`
+            });
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Few-shot examples for a platform, best first, within the few-shot budget
+ * @returns {Object} { text, tokens, used, dropped }
+ */
+function assembleExamples(state, platform) {
+    const exemplars = state.identityContext?.exemplars?.[platform] || [];
+    const blocks = [];
+    const used = [];
+    const dropped = [];
+    let tokens = 0;
+
+    for (const example of exemplars) {
+        const ref = `example:${example.id}`;
+        const body = example.content.length > MAX_EXAMPLE_CHARS
+            ? `${example.content.substring(0, MAX_EXAMPLE_CHARS - 3)}...`
+            : example.content;
+        const label = example.source === 'brand'
+            ? `brand example${example.platform ? ` for ${example.platform}` : ''}`
+            : `past ${platform} post${Number.isFinite(example.score) ? `, review score ${example.score}` : ''}`;
+        const block = `Example ${blocks.length + 1} (${label}):\n---\n${body}\n---`;
+        const cost = estimateTokens(block);
+
+        if (tokens + cost > FEW_SHOT_BUDGET) {
+            dropped.push(ref);
+            continue;
+        }
+        blocks.push(block);
+        used.push(ref);
+        tokens += cost;
+    }
+
+    return { text: blocks.join('\n\n'), tokens, used, dropped };
+}
+
+/**
+ * Assemble the context block for one worker call
+ * @param {AgentState} state
+ * @param {Object} options - { agent: 'generator' | 'reviewer', platform, budget }
+ * @returns {Object} { text, examples, tokens, budget, used, dropped, truncated } - used / dropped /
+ *   truncated are item refs (truncated items are also in used)
+ */
+function assemble(state, { agent = 'generator', platform = null, budget = null } = {}) {
+    const limit = budget || DEFAULT_BUDGETS[agent] || DEFAULT_BUDGETS.generator;
+    const included = [];
+    const dropped = [];
+    const truncated = [];
+    let tokens = 0;
+
+    for (const item of candidates(state, agent, platform)) {
+        // Each new section also pays for its header
+        const header = included.some(i => i.source === item.source) ? 0 : estimateTokens(SECTIONS[item.source]);
+        const cost = header + estimateTokens(item.line);
+
+        if (tokens + cost > limit) {
+            // Overrides outrank everything else, so they are shortened rather than dropped
+            const room = limit - tokens - header;
+            if (item.source === 'override' && room >= MIN_TRUNCATED_TOKENS) {
+                const line = truncateLine(item.line, room);
+                included.push({ ...item, line });
+                truncated.push(item.ref);
+                tokens += header + estimateTokens(line);
+            } else {
+                dropped.push(item.ref);
+            }
+            continue;
+        }
+        included.push(item);
+        tokens += cost;
+    }
+
+    const text = Object.keys(SECTIONS)
+        .map(source => {
+            const lines = included.filter(i => i.source === source).map(i => i.line);
+            return lines.length > 0 ? [SECTIONS[source], ...lines].join('\n') : null;
+        })
+        .filter(Boolean)
+        .join('\n\n');
+
+    const examples = agent === 'generator' && platform
+        ? assembleExamples(state, platform)
+        : { text: '', tokens: 0, used: [], dropped: [] };
+
+    return {
+        agent,
+        platform,
+        text,
+        examples: examples.text,
+        tokens: tokens + examples.tokens,
+        budget: limit + (agent === 'generator' ? FEW_SHOT_BUDGET : 0),
+        used: [...included.map(i => i.ref), ...examples.used],
+        dropped: [...dropped, ...examples.dropped],
+        truncated
+    };
+}
+
+/**
+ * Compact record of an assembled context for traces and attempt history
+ */
+function describe(context) {
+    if (!context) return null;
+    return {
+        tokens: context.tokens,
+        budget: context.budget,
+        used: context.used,
+        dropped: context.dropped,
+        truncated: context.truncated || []
+    };
+}
+
+module.exports = {
+    DEFAULT_BUDGETS,
+    FEW_SHOT_BUDGET,
+    estimateTokens,
+    assemble,
+    describe
+};
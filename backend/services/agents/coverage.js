@@ -0,0 +1,210 @@
+/**
+ * Key-Message Coverage
+ * Scores how well a variant carries the key messages Ingest extracted
+ *
+ * Ingest lists the source's key messages, most important first. Each message
+ * gets a 0-100 coverage score per variant:
+ * - embedding (default): best cosine similarity between the message and the
+ *   variant's sentences (single or adjacent pairs) or the whole variant
+ * - entailment: the LLM provider judges whether the variant states each message
+ * A message is covered at the threshold or above. Each platform requires its
+ * top N messages to be covered - the primary one on Twitter and Instagram, all
+ * of them in email and on the blog; brands override N per platform
+ * (verifierRules.coverage).
+ * The lexical tfidf embedder misses paraphrases, so with it a missing message
+ * only warns unless the brand sets verifierRules.coverageSeverity.
+ *
+ * Configuration (env):
+ * - COVERAGE_METHOD: embedding | entailment (default embedding)
+ * - COVERAGE_THRESHOLD: 0-100, default per embedder (lexical tfidf vectors score lower)
+ */
+
+const { PromptTemplate } = require('@langchain/core/prompts');
+const { RunnableSequence } = require('@langchain/core/runnables');
+const { StringOutputParser } = require('@langchain/core/output_parsers');
+const llmProvider = require('../llm/providerRegistry');
+const embeddingProvider = require('../embeddings/embeddingProvider');
+const platformRegistry = require('../platforms/platformRegistry');
+
+const METHODS = ['embedding', 'entailment'];
+
+// Top key messages each platform must cover ('all' = every message), from the platform definitions
+const DEFAULT_REQUIRED = platformRegistry.map(p => p.keyMessages);
+
+// Similarity that counts as covered, by embedding provider
+const EMBEDDING_THRESHOLDS = {
+    tfidf: 30,
+    local: 50,
+    openai: 45
+};
+const ENTAILMENT_THRESHOLD = 50;
+
+// Embedders that match words rather than meaning
+const LEXICAL_EMBEDDERS = ['tfidf'];
+
+const entailmentPrompt = PromptTemplate.fromTemplate(`
+You check whether a social media post carries the key messages of its source.
+
+POST ({platform}):
+{content}
+
+KEY MESSAGES:
+{messages}
+
+A message is covered when a reader of the post would take that message away,
+even in other words. Mentioning the topic without the message is not enough.
+
+Respond in JSON:
+{{
+    "messages": [
+        {{"index": 1, "covered": true, "confidence": 0.9}}
+    ]
+}}
+`);
+
+let entailmentChain = null;
+
+function method() {
+    return METHODS.includes(process.env.COVERAGE_METHOD) ? process.env.COVERAGE_METHOD : 'embedding';
+}
+
+function threshold(coverageMethod) {
+    const configured = parseFloat(process.env.COVERAGE_THRESHOLD);
+    if (Number.isFinite(configured)) return configured;
+    if (coverageMethod === 'entailment') return ENTAILMENT_THRESHOLD;
+    return EMBEDDING_THRESHOLDS[embeddingProvider.get().provider] ?? 40;
+}
+
+/**
+ * Severity for brands that have not set one: block only when coverage is
+ * measured semantically (entailment or a semantic embedder)
+ */
+function defaultSeverity() {
+    if (method() === 'entailment') return 'block';
+    return LEXICAL_EMBEDDERS.includes(embeddingProvider.get().provider) ? 'warn' : 'block';
+}
+
+/**
+ * How many of the top messages a platform must cover
+ * @param {Object} requirements - Platform → N | 'all' overriding DEFAULT_REQUIRED
+ */
+function requiredCount(platform, messageCount, requirements = {}) {
+    const required = requirements[platform] ?? DEFAULT_REQUIRED[platform] ?? 1;
+    return required === 'all' ? messageCount : Math.min(Math.max(0, required), messageCount);
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Sentences, adjacent sentence pairs and the whole text
+ */
+function passages(content) {
+    const sentences = content.split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(s => s.length > 0);
+    const pairs = sentences.slice(1).map((sentence, i) => `${sentences[i]} ${sentence}`);
+    return [...new Set([...sentences, ...pairs, content.trim()])];
+}
+
+async function embeddingScores(content, messages) {
+    const embedder = embeddingProvider.get();
+    const chunks = passages(content);
+    const [messageVectors, chunkVectors] = await Promise.all([
+        embedder.embedDocuments(messages),
+        embedder.embedDocuments(chunks)
+    ]);
+
+    return messageVectors.map(vector =>
+        Math.round(Math.max(0, ...chunkVectors.map(chunk => cosine(vector, chunk))) * 100)
+    );
+}
+
+async function entailmentScores(content, messages, platform) {
+    if (!entailmentChain) {
+        entailmentChain = RunnableSequence.from([
+            entailmentPrompt,
+            llmProvider.getChatModel('coverage', { temperature: 0 }),
+            new StringOutputParser()
+        ]);
+    }
+
+    const response = await entailmentChain.invoke({
+        platform,
+        content,
+        messages: messages.map((message, i) => `${i + 1}. ${message}`).join('\n')
+    });
+
+    let clean = response.trim();
+    if (clean.startsWith('```')) {
+        clean = clean.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+    }
+    const judged = JSON.parse(clean).messages || [];
+
+    return messages.map((_, i) => {
+        const verdict = judged.find(j => Number(j.index) === i + 1);
+        if (!verdict) return 0;
+        const confidence = Number.isFinite(verdict.confidence) ? verdict.confidence : 1;
+        // A "not covered" verdict is confident the message is missing
+        return Math.round((verdict.covered ? confidence : 1 - confidence) * 100);
+    });
+}
+
+/**
+ * Coverage of each key message in a variant
+ * @param {string} content - Variant text
+ * @param {string[]} keyMessages - Ingest key messages, most important first
+ * @param {string} platform
+ * @param {Object} options - { requirements: platform → N | 'all' }
+ * @returns {Object} { checked, method, threshold, required, covered, messages[{ index, text, score, covered, required }], missing, reason }
+ */
+async function measure(content, keyMessages, platform, { requirements = {} } = {}) {
+    const messages = (keyMessages || []).map(m => String(m || '').trim()).filter(Boolean);
+    const coverageMethod = method();
+
+    if (messages.length === 0) {
+        return { checked: false, method: coverageMethod, messages: [], missing: [], reason: 'No key messages from ingest' };
+    }
+    if (!content?.trim()) {
+        return { checked: false, method: coverageMethod, messages: [], missing: [], reason: 'Empty variant' };
+    }
+
+    const scores = coverageMethod === 'entailment'
+        ? await entailmentScores(content, messages, platform)
+        : await embeddingScores(content, messages);
+
+    const minimum = threshold(coverageMethod);
+    const required = requiredCount(platform, messages.length, requirements);
+    const rows = messages.map((text, index) => ({
+        index,
+        text,
+        score: scores[index],
+        covered: scores[index] >= minimum,
+        required: index < required
+    }));
+
+    return {
+        checked: true,
+        method: coverageMethod,
+        threshold: minimum,
+        required,
+        covered: rows.filter(r => r.required && r.covered).length,
+        messages: rows,
+        missing: rows.filter(r => r.required && !r.covered).map(r => r.text)
+    };
+}
+
+module.exports = {
+    METHODS,
+    DEFAULT_REQUIRED,
+    requiredCount,
+    defaultSeverity,
+    measure
+};
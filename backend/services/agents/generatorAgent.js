@@ -4,106 +4,52 @@
  * 
  * Implements COPE (Create Once, Publish Everywhere):
  * - Adapts content to platform constraints (Twitter: 280 chars, LinkedIn: 3000)
+ * - Writes Twitter threads as an ordered list of numbered tweets (see twitterThread)
  * - Incorporates brand DNA via RAG
  * - Grounds generation in facts to avoid hallucination
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const charCount = require('@saco/shared/charCount');
+const llmProvider = require('../llm/providerRegistry');
+const platformRegistry = require('../platforms/platformRegistry');
+const twitterThread = require('./twitterThread');
 
-// Platform-specific constraints and guidelines
-const PLATFORM_SPECS = {
-    twitter: {
-        maxChars: 280,
-        style: 'concise, punchy, use 2-3 hashtags max',
-        format: 'short text with hashtags at the end',
-        template: `Create a Twitter/X post (max 280 chars):
-- Hook in the first sentence
-- Core message in 2-3 sentences
-- End with 2-3 relevant hashtags
-- Make it shareable and thought-provoking
-Example: "As teams scale, talent isn't the issue, it's the process. Investing early preserves clarity and supports growth. #AIpowered #ScalingTeams"`
-    },
-    linkedin: {
-        maxChars: 3000,
-        style: 'professional thought-leadership with strategic use of emojis',
-        format: 'hook + body with bullet points + call-to-action',
-        template: `Create a LinkedIn post (max 3000 chars):
-- Start with a powerful hook (1-2 sentences)
-- Use 1-2 emojis strategically (not excessive)
-- Break into digestible sections
-- Include "Key takeaways:" section with bullet points (*)
-- End with brand voice statement or insight
-- Professional but engaging tone
-Example structure:
-"As teams scale, talent alone is not enough 🚀
-High-performing organizations invest in process optimization early.
-
-Key takeaways:
-* Scaling exposes process weaknesses, not talent gaps
-* Early investment in optimization preserves clarity
-* AI-powered systems enable dynamic adaptation
-
-We make complex AI topics accessible, inspiring action through facts, not hype."`
-    },
-    email: {
-        maxChars: 5000,
-        style: 'newsletter format with clear structure and scannable sections',
-        format: 'subject line + greeting + sections with headers + closing',
-        template: `Create an email newsletter (max 5000 chars):
-- Start with implied subject line context
-- Use clear section breaks with spacing
-- Make it scannable with short paragraphs
-- Include concrete insights or examples
-- Professional yet conversational tone
-- End with a subtle call-to-action or insight
-Example structure:
-"As teams scale, shortcuts stop working.
-
-Communication breaks down, decisions slow, and ownership becomes unclear.
-
-High-performing organizations invest in process early to preserve clarity as complexity grows.
-
-AI-powered systems are changing how teams design, build, and operate digital products.
-
-By embedding intelligent capabilities directly into workflows, organizations can automate routine decisions and adapt systems dynamically."`
-    },
-    instagram: {
-        maxChars: 2200,
-        style: 'visual-first caption with storytelling and emojis',
-        format: 'engaging story + line break + hashtag block',
-        template: `Create an Instagram caption (max 2200 chars):
-- Tell a story or share an insight
-- Use emojis naturally throughout
-- Break into short, readable paragraphs
-- Add spacing for visual appeal
-- End with 8-15 relevant hashtags grouped together
-- Engaging and approachable tone`
-    },
-    blog: {
-        maxChars: 10000,
-        style: 'SEO-optimized long-form with clear structure',
-        format: 'intro + H2 sections + conclusion',
-        template: `Create a blog post (max 10000 chars):
-- Start with compelling introduction
-- Use clear headers (H2: ##, H3: ###)
-- Include bullet points for lists
-- Provide depth and examples
-- SEO-conscious language
-- Professional and authoritative tone`
-    }
+/**
+ * Platform constraints and guidelines from the platform definitions
+ * Unknown platforms are written like a blog post.
+ */
+function platformSpecs(platform) {
+    const definition = platformRegistry.get(platform) || platformRegistry.get('blog');
+    return { maxChars: definition.limits.max, ...definition.generator };
+}
+
+// JSON the generation prompt asks for - a thread returns its tweets in order
+const OUTPUT_FORMATS = {
+    post: '{"content": "line1\\nline2\\nline3", "hashtags": ["tag1"], "hook": "first line", "charCount": 123}',
+    thread: '{"thread": ["first tweet", "second tweet", "last tweet #tag1"], "hashtags": ["tag1"], "hook": "first tweet"}'
 };
 
+// Candidate variations for best-of-N generation (BEST_OF_N): each changes the
+// opening and sampling temperature so the candidates actually differ
+const VARIATIONS = [
+    { id: 'default', temperature: null, hookStyle: null }, // configured temperature, no hook constraint
+    { id: 'question', temperature: 0.7, hookStyle: 'Open with a sharp question the audience is already asking themselves' },
+    { id: 'bold-claim', temperature: 0.8, hookStyle: 'Open with a bold, specific claim taken from the content' },
+    { id: 'story', temperature: 0.9, hookStyle: 'Open with a short concrete scenario or moment, then make the point' },
+    { id: 'insight', temperature: 0.6, hookStyle: 'Open with the single most surprising fact or takeaway in the content' }
+];
+
 class GeneratorAgent {
     constructor() {
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
+        this.llm = llmProvider.getChatModel('generator', {
             temperature: 0.5,  // Lower temp for better JSON compliance
             maxTokens: 4096    // Prevent truncation on long-form content (email/blog)
         });
+        // Extra chains per candidate temperature, built on first use
+        this.chainsByTemperature = new Map();
 
         // Stricter retry prompt for when initial generation fails JSON parsing
         this.retryPrompt = PromptTemplate.fromTemplate(`
@@ -145,14 +91,25 @@ ENRICHED CONTENT:
 BRAND DNA:
 {brandDNA}
 
+PROJECT CONTEXT & MEMORY:
+{projectContext}
+
+OPENING STYLE:
+{hookStyle}
+
+EXAMPLES OF THIS BRAND'S BEST {platform} POSTS:
+{fewShotExamples}
+(Match their voice, structure and length. Never reuse their sentences, hooks or hashtags - write for the new content.)
+
 CRITICAL INSTRUCTIONS:
 1. Follow the platform template structure EXACTLY as shown in the example
 2. For LinkedIn: Include "Key takeaways:" section with bullet points (*)
 3. For Email: Use clear paragraph breaks with spacing between sections
-4. For Twitter: Keep under 280 chars with hashtags at the end
+4. For Twitter: Keep under 280 chars with hashtags at the end (in a thread: every tweet under 280 chars, hashtags in the last one)
 5. Adapt the CORE MESSAGE while preserving facts - NO hallucination
 6. Match the example formatting style precisely
 7. Incorporate brand voice naturally
+8. Where PROJECT DIRECTION is given, it overrides the brand defaults for tone and audience
 
 OUTPUT REQUIREMENTS:
 - Stay under {maxChars} characters
@@ -167,7 +124,7 @@ CRITICAL JSON RULES:
 - Content must be a SINGLE LINE string with escape sequences
 
 Output format:
-{{"content": "line1\\nline2\\nline3", "hashtags": ["tag1"], "hook": "first line", "charCount": 123}}
+{outputFormat}
 `);
 
         this.chain = RunnableSequence.from([
@@ -177,6 +134,31 @@ Output format:
         ]);
     }
 
+    /**
+     * Variations for N candidates, the default first
+     * @param {number} count
+     */
+    variations(count) {
+        return VARIATIONS.slice(0, Math.max(1, Math.min(count, VARIATIONS.length)));
+    }
+
+    /**
+     * Generation chain for a sampling temperature (default chain when none is given)
+     */
+    chainFor(temperature) {
+        if (temperature === undefined || temperature === null) return this.chain;
+
+        if (!this.chainsByTemperature.has(temperature)) {
+            const llm = llmProvider.getChatModel('generator', { temperature, maxTokens: 4096 });
+            this.chainsByTemperature.set(temperature, RunnableSequence.from([
+                this.generationPrompt,
+                llm,
+                new StringOutputParser()
+            ]));
+        }
+        return this.chainsByTemperature.get(temperature);
+    }
+
     /**
      * Generate platform-specific content variant
      * @param {object} content - Original content
@@ -184,9 +166,14 @@ Output format:
      * @param {object} ingestResult - Analysis from Ingest Agent
      * @param {object} brandDNA - Brand guidelines
      * @param {string} reflectionHint - Optional hint from reflector for retry attempts
+     * @param {object} context - Assembled project overrides and memory (contextAssembler)
+     * @param {object} variation - Best-of-N candidate variation ({ id, temperature, hookStyle })
      */
-    async generate(content, platform, ingestResult, brandDNA = null, reflectionHint = null) {
-        const specs = PLATFORM_SPECS[platform] || PLATFORM_SPECS.blog;
+    async generate(content, platform, ingestResult, brandDNA = null, reflectionHint = null, context = null, variation = null) {
+        const specs = platformSpecs(platform);
+        // A thread is several tweets of maxChars each
+        const isThread = platform === 'twitter' && twitterThread.resolveMode(content) === 'thread';
+        const budget = isThread ? specs.maxChars * twitterThread.maxTweets() : specs.maxChars;
 
         try {
             // Build brand text with reflection hint if retrying
@@ -195,12 +182,18 @@ Output format:
                 brandText += `\n\nIMPORTANT: Previous attempt failed. ${reflectionHint}`;
             }
 
-            const response = await this.chain.invoke({
+            const response = await this.chainFor(variation?.temperature).invoke({
                 platform,
-                maxChars: specs.maxChars,
-                platformTemplate: specs.template,
+                maxChars: isThread ? `${specs.maxChars} per tweet` : specs.maxChars,
+                platformTemplate: isThread
+                    ? specs.threadTemplate.replace('{maxTweets}', twitterThread.maxTweets())
+                    : specs.template,
                 enrichedContent: ingestResult.enrichedContent || content.data,
-                brandDNA: brandText
+                brandDNA: brandText,
+                projectContext: context?.text || 'None',
+                fewShotExamples: context?.examples || 'None',
+                hookStyle: variation?.hookStyle || 'Whatever hook fits the content best',
+                outputFormat: isThread ? OUTPUT_FORMATS.thread : OUTPUT_FORMATS.post
             });
 
             let result = this._parseJsonResponse(response);
@@ -216,8 +209,8 @@ Output format:
                 try {
                     const retryResponse = await this.retryChain.invoke({
                         platform,
-                        rawContent: rawContent.substring(0, specs.maxChars),
-                        maxChars: specs.maxChars
+                        rawContent: rawContent.substring(0, budget),
+                        maxChars: budget
                     });
                     result = this._parseJsonResponse(retryResponse);
                     if (result) {
@@ -230,31 +223,38 @@ Output format:
                 // Final fallback: use extracted content directly
                 if (!result) {
                     console.warn('[Generator] Using fallback content extraction for', platform);
-                    const fallback = rawContent.substring(0, specs.maxChars);
+                    const fallback = charCount.truncate(rawContent, platform, budget, '');
                     result = {
                         content: fallback,
                         hashtags: [],
-                        hook: fallback.substring(0, 50),
-                        charCount: fallback.length
+                        hook: fallback.substring(0, 50)
                     };
                 }
             }
 
-            // Ensure content is within limits
-            if (result.content.length > specs.maxChars) {
-                result.content = result.content.substring(0, specs.maxChars - 3) + '...';
-                result.charCount = result.content.length;
+            if (isThread) {
+                result = this._toThread(result, specs.maxChars);
+            }
+
+            // Ensure content is within limits, as the platform counts them - a thread's
+            // tweets are verified one by one instead
+            if (!result.thread && !charCount.fits(result.content, platform, specs.maxChars)) {
+                result.content = charCount.truncate(result.content, platform, specs.maxChars);
                 result.truncated = true;
             }
+            // The model's own count is not trusted
+            result.charCount = charCount.count(result.content, platform);
 
             return {
                 content: result.content,
+                thread: result.thread || null,
                 metadata: {
                     platform,
                     hashtags: result.hashtags || [],
                     hook: result.hook,
-                    charCount: result.charCount || result.content.length,
+                    charCount: result.charCount,
                     truncated: result.truncated || false,
+                    tweetCount: result.thread?.length || null,
                     themes: ingestResult.themes
                 },
                 // Trace: captures what this agent received, decided, and passed on
@@ -265,20 +265,24 @@ Output format:
                         platformSpecs: specs,
                         enrichedContentLength: (ingestResult.enrichedContent || content.data).length,
                         themesFromIngest: ingestResult.themes,
-                        hasBrandDNA: !!brandDNA
+                        hasBrandDNA: !!brandDNA,
+                        context: context ? { tokens: context.tokens, used: context.used, dropped: context.dropped, truncated: context.truncated } : null,
+                        variation: variation ? variation.id : null
                     },
                     decided: {
                         targetMaxChars: specs.maxChars,
                         styleApplied: specs.style,
                         formatUsed: specs.format,
-                        finalCharCount: result.content.length,
+                        finalCharCount: result.charCount,
                         wasTruncated: result.truncated || false,
+                        threadMode: isThread,
+                        tweetCount: result.thread?.length || null,
                         hashtagsGenerated: result.hashtags?.length || 0
                     },
                     passedOn: {
                         contentPreview: result.content.substring(0, 150) + (result.content.length > 150 ? '...' : ''),
                         hook: result.hook,
-                        charCount: result.charCount || result.content.length
+                        charCount: result.charCount
                     }
                 }
             };
@@ -287,26 +291,50 @@ Output format:
             console.error(`Generator Agent error for ${platform}:`, error);
 
             // Fallback: simple truncation of original content
-            const fallbackContent = content.data.substring(0, specs.maxChars - 50);
+            const fallbackContent = charCount.truncate(content.data, platform, specs.maxChars);
             return {
-                content: fallbackContent + '...',
+                content: fallbackContent,
                 metadata: {
                     platform,
                     hashtags: [],
                     hook: content.title,
-                    charCount: fallbackContent.length,
+                    charCount: charCount.count(fallbackContent, platform),
                     error: 'Generation failed, using fallback'
                 },
                 trace: {
                     agent: 'generator',
                     received: { platform, enrichedContentLength: (ingestResult.enrichedContent || content.data).length },
                     decided: { usedFallback: true, error: error.message },
-                    passedOn: { contentPreview: fallbackContent.substring(0, 100), charCount: fallbackContent.length }
+                    passedOn: { contentPreview: fallbackContent.substring(0, 100), charCount: charCount.count(fallbackContent, platform) }
                 }
             };
         }
     }
 
+    /**
+     * Shape a thread result: numbered tweets on `thread`, joined on `content`
+     * A thread that comes back as plain text is split into tweets; one that
+     * fits a single tweet is returned as a single tweet.
+     */
+    _toThread(result, maxChars) {
+        const tweets = Array.isArray(result.thread) && result.thread.length > 0
+            ? result.thread.map(t => String(t || '').trim()).filter(Boolean)
+            : twitterThread.fromText(result.content || '', maxChars);
+
+        if (tweets.length < 2) {
+            return { ...result, content: tweets[0] || result.content || '', thread: null };
+        }
+
+        const thread = twitterThread.number(tweets);
+        const content = twitterThread.join(thread);
+        return {
+            ...result,
+            content,
+            thread,
+            hook: result.hook || thread[0]
+        };
+    }
+
     /**
      * Attempt to parse a JSON response from the LLM, with cleanup for common issues.
      * Returns the parsed object or null if parsing fails.
@@ -0,0 +1,347 @@
+/**
+ * Fact Grounding
+ * Deterministic check that a variant only states facts found in its source
+ *
+ * Claims are extracted from the variant with their character spans:
+ * - numbers (with %, currency and k / million / billion suffixes)
+ * - dates (ISO, "May 3, 2025", "3 May", "March 2025", years)
+ * - named entities (capitalised names and acronyms mid-sentence)
+ * - quotes ("..." with three or more words)
+ * - URLs and bare domains
+ * Each claim must appear in (numbers and dates: match in value) the source
+ * content. Unsupported claims fail the verifier's grounding check, which the
+ * reflector turns into a retry strategy.
+ *
+ * Heuristic by design: bare integers below 10, list markers, hashtags,
+ * mentions and title-case headings are not treated as claims.
+ */
+
+const MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+const DATE_PATTERNS = [
+    { regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: m => ({ year: +m[1], month: +m[2], day: +m[3] }) },
+    {
+        regex: new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi'),
+        parts: m => ({ month: MONTHS[m[1].toLowerCase()], day: +m[2], year: m[3] ? +m[3] : null })
+    },
+    {
+        regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b\\.?(?:,?\\s+(\\d{4})\\b)?`, 'gi'),
+        parts: m => ({ day: +m[1], month: MONTHS[m[2].toLowerCase()], year: m[3] ? +m[3] : null })
+    },
+    {
+        regex: new RegExp(`\\b(${MONTH_PATTERN})\\.?,?\\s+(\\d{4})\\b`, 'gi'),
+        parts: m => ({ month: MONTHS[m[1].toLowerCase()], year: +m[2] })
+    },
+    { regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: m => ({ raw: m[0] }) },
+    { regex: /\b(?:19|20)\d{2}\b/g, parts: m => ({ year: +m[0] }) }
+];
+
+const NUMBER_REGEX = /(?<![\p{L}\p{N}#@_.,])([$€£])?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\s?(%|percent\b|k\b|K\b|m\b|M\b|bn\b|million\b|billion\b|thousand\b|x\b)?/gu;
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9 };
+
+const WORD_NUMBERS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+    eighty: 80, ninety: 90, hundred: 100, half: 50
+};
+
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>()"']+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|io|ai|org|net|co|dev|app)\b(?:\/[^\s<>()"']*)?/gi;
+const QUOTE_REGEX = /["“]([^"“”\n]{8,}?)["”]/g;
+const ENTITY_REGEX = /(?<![#@\p{L}\p{N}_])\p{Lu}[\p{L}\p{N}&'’-]*(?:\s+\p{Lu}[\p{L}\p{N}&'’-]*)*/gu;
+
+// Capitalised words that are not names
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'so', 'yet', 'for', 'nor', 'of', 'in', 'on', 'at', 'to', 'by', 'with',
+    'i', 'we', 'you', 'they', 'he', 'she', 'it', 'our', 'your', 'their', 'my', 'us', 'this', 'that', 'these', 'those',
+    'what', 'why', 'how', 'when', 'where', 'who', 'which', 'here', 'there', 'now', 'today', 'tomorrow', 'yesterday',
+    'is', 'are', 'was', 'be', 'do', 'does', 'did', 'can', 'will', 'just', 'not', 'no', 'yes', 'all', 'every', 'more',
+    'key', 'takeaways', 'subject', 'dear', 'hi', 'hello', 'hey', 'thanks', 'cheers', 'best', 'regards', 'ps', 'p.s',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    ...Object.keys(MONTHS)
+]);
+
+// Most claims worth listing in a verifier message
+const MAX_LISTED = 5;
+
+function words(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function normalizeText(text) {
+    return words(text).join(' ');
+}
+
+function normalizeUrl(url) {
+    return url.toLowerCase()
+        .replace(/[.,;:!?]+$/, '')
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/+$/, '');
+}
+
+function overlaps(span, taken) {
+    return taken.some(t => span.start < t.end && t.start < span.end);
+}
+
+/**
+ * Dates with their normalised parts
+ */
+function extractDates(text) {
+    const dates = [];
+    for (const { regex, parts } of DATE_PATTERNS) {
+        for (const match of text.matchAll(regex)) {
+            const span = { start: match.index, end: match.index + match[0].length };
+            if (overlaps(span, dates)) continue;
+            dates.push({ type: 'date', text: match[0], ...span, value: parts(match) });
+        }
+    }
+    return dates;
+}
+
+/**
+ * Numbers with their value and unit, skipping spans already claimed (dates, URLs)
+ */
+function extractNumbers(text, taken = []) {
+    const numbers = [];
+    for (const match of text.matchAll(NUMBER_REGEX)) {
+        const [raw, currency, integer, fraction, suffixRaw] = match;
+        const span = { start: match.index, end: match.index + raw.trimEnd().length };
+        if (overlaps(span, taken)) continue;
+
+        // "1." / "2)" list markers
+        const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+        if (/^\s*$/.test(text.slice(lineStart, match.index)) && /^[.)]\s/.test(text.slice(span.end, span.end + 2))) continue;
+
+        const suffix = suffixRaw?.toLowerCase();
+        const base = parseFloat(`${integer.replace(/,/g, '')}${fraction || ''}`);
+        const value = base * (MULTIPLIERS[suffix] || 1);
+        const unit = currency ? 'currency' : (suffix === '%' || suffix === 'percent') ? 'percent' : null;
+
+        // Bare small integers ("3 tips") are phrasing, not facts
+        if (!unit && !suffix && !fraction && value < 10) continue;
+
+        numbers.push({ type: 'number', text: raw.trimEnd(), ...span, value, unit });
+    }
+    return numbers;
+}
+
+function extractUrls(text) {
+    return [...text.matchAll(URL_REGEX)].map(match => {
+        const clean = match[0].replace(/[.,;:!?]+$/, '');
+        return { type: 'url', text: clean, start: match.index, end: match.index + clean.length, value: normalizeUrl(clean) };
+    });
+}
+
+function extractQuotes(text) {
+    return [...text.matchAll(QUOTE_REGEX)]
+        .filter(match => words(match[1]).length >= 3)
+        .map(match => ({
+            type: 'quote',
+            text: match[0],
+            start: match.index,
+            end: match.index + match[0].length,
+            value: normalizeText(match[1])
+        }));
+}
+
+// Bullets and numbered-list markers at the start of a line
+const LIST_MARKER_REGEX = /^\s*(?:[-*•◦▪▸►✓✔→]|\p{Extended_Pictographic}\uFE0F?|\d{1,2}[.)])\s+/u;
+
+/**
+ * Headings and title-case lines capitalise every word - no names to find there
+ */
+function isHeadingLine(line) {
+    if (/^\s*#{1,6}\s/.test(line)) return true;
+    const tokens = line.match(/[\p{L}][\p{L}'’-]*/gu) || [];
+    if (tokens.length === 0) return false;
+    // Short lines ("Sales Demo") are only headings without sentence punctuation
+    if (tokens.length < 3 && /[.!?:,;]\s*$/.test(line)) return false;
+    return tokens.filter(t => /^\p{Lu}/u.test(t)).length / tokens.length >= 0.6;
+}
+
+/**
+ * Capitalised names and acronyms; the first word of a sentence only counts as
+ * part of a multi-word name
+ */
+function extractEntities(text, taken = []) {
+    const entities = [];
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+        if (!isHeadingLine(line)) {
+            const marker = line.match(LIST_MARKER_REGEX)?.[0].length || 0;
+            for (const match of line.matchAll(ENTITY_REGEX)) {
+                if (match.index < marker) continue;
+                let start = offset + match.index;
+                let name = match[0];
+
+                // Sentence start: first word of the line or list item, or the previous
+                // non-space character on the line is not part of a sentence
+                const before = line.slice(marker, match.index).trimEnd();
+                const sentenceStart = before.length === 0 || !/[\p{L}\p{N},;()'"’-]$/u.test(before);
+                if (sentenceStart) {
+                    const rest = name.match(/^\S+\s+(.*)$/s);
+                    if (!rest) continue;
+                    start += name.length - rest[1].length;
+                    name = rest[1];
+                }
+
+                const nameWords = words(name).filter(w => !STOPWORDS.has(w));
+                if (nameWords.length === 0 || nameWords.every(w => /^\d+$/.test(w))) continue;
+
+                const span = { start, end: start + name.length };
+                if (overlaps(span, taken)) continue;
+                entities.push({ type: 'entity', text: name, ...span, value: nameWords });
+            }
+        }
+        offset += line.length + 1;
+    }
+    return entities;
+}
+
+/**
+ * All claims in a text, in reading order
+ * @returns {Object[]} [{ type, text, start, end, value }]
+ */
+function extractClaims(text) {
+    const content = text || '';
+    const urls = extractUrls(content);
+    const quotes = extractQuotes(content);
+    const dates = extractDates(content).filter(d => !overlaps(d, urls));
+    const numbers = extractNumbers(content, [...urls, ...dates]);
+    const entities = extractEntities(content, [...urls, ...quotes]);
+
+    return [...urls, ...quotes, ...dates, ...numbers, ...entities].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * What the source supports, indexed for lookups
+ */
+function indexSource(sourceText, allowTerms = []) {
+    const source = sourceText || '';
+    const dates = extractDates(source);
+    const numbers = extractNumbers(source, dates);
+    const tokens = new Set([...words(source), ...allowTerms.flatMap(words)]);
+
+    // "three" / "half" in the source support 3 / 50 in the variant
+    const values = new Set(numbers.map(n => n.value));
+    for (const word of words(source)) {
+        if (WORD_NUMBERS[word] !== undefined) values.add(WORD_NUMBERS[word]);
+    }
+    // Date parts are numbers too ("2025", the 3 in "May 3")
+    for (const { value } of dates) {
+        ['year', 'day'].forEach(part => Number.isFinite(value[part]) && values.add(value[part]));
+    }
+
+    return {
+        text: normalizeText(source),
+        urls: extractUrls(source).map(u => u.value),
+        rawLower: source.toLowerCase(),
+        dates: dates.map(d => d.value),
+        years: new Set(dates.map(d => d.value.year).filter(Boolean)),
+        numbers,
+        values,
+        tokens
+    };
+}
+
+function dateSupported(claim, source) {
+    const date = claim.value;
+    if (date.raw) return source.rawLower.includes(date.raw.toLowerCase());
+
+    return source.dates.some(s =>
+        (!date.month || s.month === date.month)
+        && (!date.day || s.day === date.day)
+        && (!date.year || s.year === date.year || (!s.year && source.years.has(date.year)))
+        // A year-only source date only backs a year-only claim
+        && (date.month || date.day || s.year === date.year)
+    );
+}
+
+function numberSupported(claim, source) {
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    if (claim.unit) {
+        // "40%" needs a 40 percent (or a spelled-out 40) in the source, not 40 of anything
+        return source.numbers.some(n => close(n.value, claim.value) && (n.unit === claim.unit || !n.unit))
+            || (claim.unit === 'percent' && [...source.values].some(v => close(v, claim.value)));
+    }
+    return [...source.values].some(v => close(v, claim.value));
+}
+
+function supported(claim, source) {
+    switch (claim.type) {
+        case 'url': return source.urls.some(u => u === claim.value || u.startsWith(`${claim.value}/`))
+            || source.rawLower.includes(claim.value);
+        case 'quote': return source.text.includes(claim.value);
+        case 'date': return dateSupported(claim, source);
+        case 'number': return numberSupported(claim, source);
+        case 'entity': return claim.value.every(word => source.tokens.has(word));
+        default: return true;
+    }
+}
+
+/**
+ * Check every claim in a variant against the source
+ * @param {string} content - Variant text
+ * @param {string} sourceText - Original content (content.data)
+ * @param {Object} options - { allowTerms: names the brand may always use, severity,
+ *   entitySeverity: severity when only names are unsupported }
+ * @returns {Object} Verifier check: { passed, claims, supported, unsupported[{ type, text, start, end }], byType, severity, message }
+ */
+function checkGrounding(content, sourceText, { allowTerms = [], severity = 'block', entitySeverity = 'warn' } = {}) {
+    if (!sourceText?.trim()) {
+        return {
+            passed: true,
+            checked: false,
+            claims: 0,
+            supported: 0,
+            unsupported: [],
+            byType: {},
+            severity: 'warn',
+            message: 'Grounding unchecked: no source text'
+        };
+    }
+
+    const source = indexSource(sourceText, allowTerms);
+    const claims = extractClaims(content);
+    const unsupported = claims
+        .filter(claim => !supported(claim, source))
+        .map(({ type, text, start, end }) => ({ type, text, start, end }));
+
+    const byType = {};
+    for (const claim of claims) {
+        byType[claim.type] = byType[claim.type] || { claims: 0, unsupported: 0 };
+        byType[claim.type].claims++;
+    }
+    for (const claim of unsupported) byType[claim.type].unsupported++;
+
+    const listed = unsupported.slice(0, MAX_LISTED).map(c => `${c.type} "${c.text}"`).join(', ');
+    const more = unsupported.length > MAX_LISTED ? ` and ${unsupported.length - MAX_LISTED} more` : '';
+
+    return {
+        passed: unsupported.length === 0,
+        checked: true,
+        claims: claims.length,
+        supported: claims.length - unsupported.length,
+        unsupported,
+        byType,
+        // Name detection is heuristic, so names alone fail at their own severity
+        severity: unsupported.length > 0 && unsupported.every(c => c.type === 'entity') ? entitySeverity : severity,
+        message: unsupported.length === 0
+            ? `All ${claims.length} claim(s) found in the source`
+            : `Unsupported claims not in the source: ${listed}${more}`
+    };
+}
+
+module.exports = {
+    extractClaims,
+    indexSource,
+    supported,
+    checkGrounding
+};
@@ -16,6 +16,10 @@
 const promptConstructor = require('../promptConstructor');
 const imageAPI = require('../imageAPI');
 const imageStorage = require('../imageStorage');
+const platformRegistry = require('../platforms/platformRegistry');
+
+// Images for platforms without a definition (e.g. 'generic')
+const GENERIC_DIMENSIONS = { width: 1024, height: 576, aspectRatio: '16:9' };
 
 class ImageGeneratorAgent {
     constructor() {
@@ -174,19 +178,10 @@ class ImageGeneratorAgent {
     }
 
     /**
-     * Get platform-specific image dimensions
+     * Get platform-specific image dimensions (from the platform definition)
      */
     getPlatformDimensions(platform) {
-        const specs = {
-            twitter: { width: 1200, height: 675, aspectRatio: '16:9' },
-            linkedin: { width: 1200, height: 627, aspectRatio: '1.91:1' },
-            instagram: { width: 1080, height: 1080, aspectRatio: '1:1' },
-            email: { width: 600, height: 400, aspectRatio: '3:2' },
-            blog: { width: 1920, height: 1080, aspectRatio: '16:9' },
-            generic: { width: 1024, height: 576, aspectRatio: '16:9' }
-        };
-
-        return specs[platform] || specs.generic;
+        return platformRegistry.get(platform)?.image || GENERIC_DIMENSIONS;
     }
 
     /**
@@ -8,17 +8,15 @@
  * - Enriches input for downstream agents (Chekhov's Gun tracking)
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
 const vectorStore = require('../vectorStore');
+const llmProvider = require('../llm/providerRegistry');
 
 class IngestAgent {
     constructor() {
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
+        this.llm = llmProvider.getChatModel('ingest', {
             temperature: 0.2
         });
 
@@ -35,7 +33,7 @@ Extract:
 2. Keywords (5-10 SEO-relevant keywords)
 3. Sentiment (positive/negative/neutral)
 4. Target audience inference
-5. Key messages (2-3 main takeaways)
+5. Key messages (2-3 main takeaways, most important first)
 
 Output as JSON:
 {{
@@ -117,19 +115,23 @@ Only output valid JSON.
             result.keyMessages = analysis.keyMessages;
             result.summary = analysis.summary;
 
-            // Step 2: Store content embedding in vector DB
+            // Step 2: Store content embedding in vector DB (scoped to the owning user)
+            const userId = content.userId?.toString();
             const vectorId = await vectorStore.upsert(content.data, {
                 type: 'content',
                 title: content.title,
                 themes: result.themes.join(', '),
-                userId: content.userId?.toString()
+                userId,
+                brandId: brandDNA?._id?.toString(),
+                contentId: (content._id || content.id)?.toString()
             });
             result.vectorId = vectorId;
 
             // Step 3: RAG - Retrieve relevant context
-            // Query for similar past content and brand guidelines
+            // Query for similar past content and brand guidelines from this user only
             const contextQuery = `${content.title} ${result.themes.join(' ')}`;
             const contextResults = await vectorStore.query(contextQuery, 3, {
+                userId,
                 type: { $in: ['content', 'brand'] }
             });
 
@@ -143,7 +145,8 @@ Only output valid JSON.
             if (brandDNA) {
                 const brandContext = await vectorStore.query(
                     brandDNA.rawText || brandDNA.guidelines?.voice || '',
-                    1
+                    1,
+                    { userId, type: 'brand' }
                 );
                 if (brandContext.length > 0) {
                     result.brandContext = brandContext[0];
@@ -14,10 +14,13 @@
  * - Approval is not guaranteed
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const charCount = require('@saco/shared/charCount');
+const llmProvider = require('../llm/providerRegistry');
+const rateLimiter = require('../llm/rateLimiter');
+const platformRegistry = require('../platforms/platformRegistry');
 
 // Worker agents (stateless)
 const ingestAgent = require('./ingestAgent');
@@ -28,24 +31,41 @@ const imageGeneratorAgent = require('./imageGeneratorAgent');
 
 // State management
 const AgentState = require('./agentState');
+const planExecutor = require('./planExecutor');
+const checkpointStore = require('./checkpointStore');
+const runControl = require('./runControl');
 
 // Verification and reflection
 const verifiers = require('./verifiers');
+const verifierRules = require('./verifierRules');
+const consistency = require('./consistency');
+const coverage = require('./coverage');
+const twitterThread = require('./twitterThread');
 const reflector = require('./reflector');
+const contextAssembler = require('./contextAssembler');
 
 // Memory systems
 const vectorStore = require('../vectorStore');
 const graphMemory = require('../memory/graphMemory');
+const exemplars = require('../memory/exemplars');
+const reflectionMemory = require('../memory/reflectionMemory');
 
 // Real-time streaming
 const orchestrationEmitter = require('../orchestrationEmitter');
 
+// Platform lanes processed at once (ORCHESTRATION_CONCURRENCY, default 3)
+const CONCURRENCY = Math.max(1, parseInt(process.env.ORCHESTRATION_CONCURRENCY, 10) || 3);
+
+// Candidates generated per platform and attempt (BEST_OF_N, default 1 = off)
+const BEST_OF_N = Math.max(1, parseInt(process.env.BEST_OF_N, 10) || 1);
+
 /**
  * Emit a natural language log message directly via SSE
  * Simple and direct - no database writes
+ * Platform lanes run concurrently, so lane messages carry their platform
+ * (in the payload and the text) and read correctly in any order.
  */
-// Helper for logging
-function emit(contentId, message) {
+function emit(contentId, message, platform = null) {
     if (!contentId) {
         console.warn(`[Stream] ⚠️ WARNING: Missing contentId for log: "${message}"`);
         console.trace();
@@ -54,15 +74,13 @@ function emit(contentId, message) {
     // Ensure contentId is always a string
     const idString = String(contentId);
     console.log(`[Stream] Emitting log:${idString} - ${message}`);
-    orchestrationEmitter.log(idString, message);
+    orchestrationEmitter.log(idString, message, platform ? { platform } : {});
 }
 
 class ManagerAgent {
     constructor() {
         // Initialize LLM for planning and reasoning
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
+        this.llm = llmProvider.getChatModel('manager', {
             temperature: 0.3
         });
 
@@ -75,13 +93,27 @@ CONTENT: "{contentTitle}" ({contentType})
 TARGET PLATFORMS: {platforms}
 BRAND CONTEXT AVAILABLE: {hasBrandContext}
 
+AVAILABLE STEPS (agent:action):
+- ingest:analyze (platform null) - must come first
+- image:generate (platform null) - optional image enrichment
+- generator:generate, reviewer:review, verifier:verify (one target platform each)
+- consistency:check (platform null) - compares all variants once verified; added automatically for several platforms
+- publisher:publish (platform "all_approved" or one target platform)
+
+Optional step fields:
+- "dependsOn": [step ids] that must finish first (pipeline order is enforced automatically)
+- "when": run only if a condition holds, else skip. Conditions: {conditions} (prefix "!" to negate)
+  e.g. a second reviewer:review with "when": "reviewBorderline" adds an extra review pass for close calls
+
 Create a detailed execution plan as JSON:
 {{
     "goal": "restated goal",
     "steps": [
         {{"id": 1, "agent": "ingest", "action": "analyze", "platform": null}},
-        {{"id": 2, "agent": "generator", "action": "generate", "platform": "twitter"}},
-        {{"id": 3, "agent": "reviewer", "action": "review", "platform": "twitter"}},
+        {{"id": 2, "agent": "image", "action": "generate", "platform": null, "when": "imageEnabled"}},
+        {{"id": 3, "agent": "generator", "action": "generate", "platform": "twitter"}},
+        {{"id": 4, "agent": "reviewer", "action": "review", "platform": "twitter"}},
+        {{"id": 5, "agent": "verifier", "action": "verify", "platform": "twitter"}},
         ...repeat for each platform...
         {{"id": N, "agent": "publisher", "action": "publish", "platform": "all_approved"}}
     ],
@@ -102,40 +134,69 @@ Output only valid JSON.
     /**
      * Main orchestration entry point
      * Implements the agentic control loop
+     * @param {Object} options - { checkpoint }: AgentState JSON of an interrupted run to resume
      */
-    async orchestrate(content, brandDNA, platforms = ['twitter', 'linkedin', 'email']) {
+    async orchestrate(content, brandDNA, platforms = ['twitter', 'linkedin', 'email'], options = {}) {
         console.log('[Manager] Starting agentic orchestration loop');
         // CRITICAL: Convert to string immediately for consistent SSE channel names
         const contentId = String(content._id || content.id);
         console.log(`[Manager] contentId for SSE: ${contentId}`);
 
-        // Emit start event
-        emit(contentId, '⚡ Starting orchestration...');
-
-        // Initialize state
-        const state = new AgentState({
-            goal: `Transform "${content.title}" for multi-platform distribution`,
-            content,
-            brandDNA,
-            platforms,
-            status: 'planning',
-            contentId  // Store for emitting
-        });
+        const resuming = !!options.checkpoint;
+
+        // Initialize state - a resumed run continues from its checkpoint with fresh content/brand documents
+        const state = resuming
+            ? AgentState.fromJSON({ ...options.checkpoint, content, brandDNA })
+            : new AgentState({
+                goal: `Transform "${content.title}" for multi-platform distribution`,
+                content,
+                brandDNA,
+                platforms,
+                status: 'planning',
+                contentId  // Store for emitting
+            });
 
         // FORCE contentId ensures it persists even if AgentState constructor is flaky
         state.contentId = contentId;
 
         console.log(`[Manager] Initialized state with contentId: ${state.contentId} (type: ${typeof state.contentId})`);
 
+        if (resuming) {
+            const done = (state.plan || []).filter(s => s.status === 'completed').length;
+            emit(contentId, `♻️ Resuming orchestration from checkpoint (${done}/${state.plan?.length || 0} steps done)...`);
+            state.recordDecision('resume', 'resumed', `Resumed from checkpoint at step ${state.currentStep}`);
+        } else {
+            emit(contentId, '⚡ Starting orchestration...');
+        }
+
+        // Cancel / pause requests for this run; cancelling aborts in-flight LLM calls
+        const control = runControl.register(contentId);
+        // A stop requested while the job was starting up applies before the first step
+        await runControl.applyPending(control);
+        await checkpointStore.begin(state, { resumed: resuming });
+        const stopHeartbeat = checkpointStore.startHeartbeat(contentId);
+
         try {
-            // Step 0: Query workspace memory (Pinecone + Neo4j)
-            await this.queryMemory(state);
+            await rateLimiter.withSignal(control.signal, async () => {
+                control.throwIfStopped();
 
-            // Step 1: Plan the workflow
-            await this.planStep(state);
+                // Step 0: Query workspace memory (Pinecone + Neo4j)
+                if (!state.identityContext) {
+                    await this.queryMemory(state);
+                    await checkpointStore.save(state, 'queryMemory');
+                }
+                control.throwIfStopped();
 
-            // Step 2-N: Execute the plan with verification and reflection
-            await this.executeLoop(state);
+                // Step 1: Plan the workflow
+                if (!state.plan) {
+                    await this.planStep(state);
+                    await checkpointStore.save(state, 'plan');
+                }
+                control.throwIfStopped();
+
+                // Step 2-N: Execute the plan with verification and reflection
+                await this.executeLoop(state, { resume: resuming, control });
+            });
 
             // Step N+1: Persist outcomes to memory
             await this.persistOutcomes(state);
@@ -143,6 +204,7 @@ Output only valid JSON.
             // Return results
             state.status = 'completed';
             const results = this.buildResults(state);
+            await checkpointStore.finish(state, 'completed');
 
             // Emit completion
             orchestrationEmitter.complete(contentId, results.kpis, results.variants);
@@ -151,12 +213,47 @@ Output only valid JSON.
             return results;
 
         } catch (error) {
+            if (runControl.isStopError(error)) {
+                return this.stopRun(state, error);
+            }
+
             console.error('[Manager] Fatal error:', error);
             state.recordError(error, 'orchestration');
             state.status = 'failed';
 
-            return this.buildResults(state, error);
+            const results = this.buildResults(state, error);
+            await checkpointStore.finish(state, 'failed', error);
+            return results;
+        } finally {
+            stopHeartbeat();
+            runControl.unregister(contentId);
+        }
+    }
+
+    /**
+     * Wind down a cancelled or paused run
+     * Paused runs keep their checkpoint for the resume endpoint; cancelled runs are final.
+     */
+    async stopRun(state, error) {
+        const status = runControl.stopStatus(error);
+        const done = (state.plan || []).filter(s => s.status === 'completed').length;
+        console.log(`[Manager] Run ${status} after ${done} completed steps`);
+
+        state.status = status;
+        state.recordDecision('orchestration', status, error.message);
+
+        const results = this.buildResults(state);
+        await checkpointStore.finish(state, status);
+
+        if (status === 'cancelled') {
+            emit(state.contentId, `⏹️ Orchestration cancelled - ${state.published.length > 0 ? `already published: ${state.published.join(', ')}` : 'nothing was published'}`);
+            orchestrationEmitter.cancelled(state.contentId, error.message, state.published);
+        } else {
+            emit(state.contentId, `⏸️ Orchestration paused after ${done}/${state.plan?.length || 0} steps - resume to continue`);
+            orchestrationEmitter.paused(state.contentId, done, state.plan?.length || 0);
         }
+
+        return results;
     }
 
     /**
@@ -172,22 +269,28 @@ Output only valid JSON.
             vectors: [],
             graph: null,
             brandBeliefs: [],
-            pastWorks: []
+            pastWorks: [],
+            exemplars: {},
+            lessons: {}
         };
 
         try {
-            // Vector memory: semantic search for similar content
+            // Vector memory: semantic search for similar content (this user's memory only)
             const vectorQuery = `${content.title} ${content.data?.substring(0, 200)}`;
-            const vectorResults = await vectorStore.query(vectorQuery, 3);
+            const vectorResults = await vectorStore.query(vectorQuery, 3, {
+                userId: content.userId?.toString()
+            });
             identityContext.vectors = vectorResults.map(r => ({
+                id: r.id,
                 text: r.text,
                 score: r.score,
-                type: r.metadata?.type
+                type: r.metadata?.type,
+                contentId: r.metadata?.contentId
             }));
 
             // Graph memory: brand identity traversal
-            if (brandDNA?.companyName) {
-                const graphContext = await graphMemory.queryBrandIdentity(brandDNA.companyName);
+            if (brandDNA?._id) {
+                const graphContext = await graphMemory.queryBrandIdentity(String(brandDNA._id));
                 if (graphContext) {
                     identityContext.graph = graphContext;
                     identityContext.brandBeliefs = graphContext.beliefs || [];
@@ -195,6 +298,12 @@ Output only valid JSON.
                 }
             }
 
+            // Few-shot examples: the best past posts per platform
+            identityContext.exemplars = await this.findExemplars(state);
+
+            // Reflection memory: retry strategies that proved themselves per platform
+            identityContext.lessons = await this.findLessons(state);
+
             state.identityContext = identityContext;
 
             // Rich logging of what was found
@@ -206,7 +315,7 @@ Output only valid JSON.
             }
 
             if (identityContext.graph) {
-                emit(state.contentId, `✅ Brand graph context loaded for ${brandDNA.companyName}`);
+                emit(state.contentId, `✅ Brand graph context loaded for ${brandDNA.name}`);
             }
 
             state.addTrace('manager',
@@ -222,6 +331,57 @@ Output only valid JSON.
         }
     }
 
+    /**
+     * Best past posts and brand examples for each target platform
+     * A failed lookup only costs the examples, never the run
+     */
+    async findExemplars(state) {
+        const found = {};
+
+        for (const platform of state.platforms) {
+            try {
+                found[platform] = await exemplars.findExemplars(platform, {
+                    userId: state.content.userId,
+                    brandDNA: state.brandDNA,
+                    excludeContentId: state.contentId,
+                    sourceText: state.content.data
+                });
+            } catch (error) {
+                console.warn(`[Manager] Few-shot lookup failed for ${platform}:`, error.message);
+                found[platform] = [];
+            }
+        }
+
+        const counts = Object.entries(found).filter(([, list]) => list.length > 0);
+        if (counts.length > 0) {
+            emit(state.contentId, `✅ Few-shot examples: ${counts.map(([platform, list]) => `${platform} ${list.length}`).join(', ')}`);
+        }
+
+        return found;
+    }
+
+    /**
+     * Strategies that fixed failures on each platform before, for first attempts
+     */
+    async findLessons(state) {
+        const lessons = {};
+
+        for (const platform of state.platforms) {
+            try {
+                lessons[platform] = await reflectionMemory.provenStrategies({
+                    userId: state.content.userId,
+                    brandId: state.brandDNA?._id,
+                    platform
+                });
+            } catch (error) {
+                console.warn(`[Manager] Reflection memory lookup failed for ${platform}:`, error.message);
+                lessons[platform] = [];
+            }
+        }
+
+        return lessons;
+    }
+
     /**
      * Generate execution plan (JSON manifest)
      */
@@ -237,7 +397,8 @@ Output only valid JSON.
                 contentTitle: state.content.title,
                 contentType: state.content.type || 'text',
                 platforms: state.platforms.join(', '),
-                hasBrandContext: state.identityContext?.graph ? 'Yes' : 'No'
+                hasBrandContext: state.identityContext?.graph ? 'Yes' : 'No',
+                conditions: Object.keys(planExecutor.CONDITIONS).join(', ')
             });
 
             // Parse plan
@@ -247,8 +408,18 @@ Output only valid JSON.
             }
 
             const plan = JSON.parse(cleanResponse);
-            state.plan = plan.steps || this.defaultPlan(state.platforms);
-            state.recordDecision('plan', 'created', `${state.plan.length} steps planned`);
+            const validation = planExecutor.validatePlan(plan.steps || this.defaultPlan(state.platforms), state.platforms);
+
+            if (validation.valid) {
+                state.plan = validation.steps;
+                const notes = validation.notes.length > 0 ? ` (${validation.notes.join('; ')})` : '';
+                state.recordDecision('plan', 'created', `${state.plan.length} steps planned${notes}`);
+            } else {
+                console.warn(`[Manager] Plan rejected: ${validation.errors.join('; ')}`);
+                emit(state.contentId, `⚠️ Generated plan was invalid (${validation.errors[0]}) - using the default plan`);
+                state.plan = planExecutor.validatePlan(this.defaultPlan(state.platforms), state.platforms).steps;
+                state.recordDecision('plan', 'rejected', validation.errors.join('; '));
+            }
 
             state.addTrace('manager',
                 { step: 'plan', goal: state.goal },
@@ -266,7 +437,7 @@ Output only valid JSON.
 
         } catch (error) {
             console.warn('[Manager] Planning failed, using default plan:', error.message);
-            state.plan = this.defaultPlan(state.platforms);
+            state.plan = planExecutor.validatePlan(this.defaultPlan(state.platforms), state.platforms).steps;
         }
     }
 
@@ -274,81 +445,93 @@ Output only valid JSON.
      * Default fallback plan
      */
     defaultPlan(platforms) {
-        const steps = [{ id: 1, agent: 'ingest', action: 'analyze', platform: null }];
-        let id = 2;
-
-        for (const platform of platforms) {
-            steps.push({ id: id++, agent: 'generator', action: 'generate', platform });
-            steps.push({ id: id++, agent: 'reviewer', action: 'review', platform });
-        }
-
-        steps.push({ id: id, agent: 'publisher', action: 'publish', platform: 'all_approved' });
-        return steps;
+        return planExecutor.defaultPlan(platforms);
     }
 
     /**
-     * Main execution loop with verification and reflection
+     * Execute the validated plan as a dependency graph with verification and reflection
+     * The plan executor sequences steps; these handlers are the Manager's delegations.
      */
-    async executeLoop(state) {
+    async executeLoop(state, { resume = false, control = null } = {}) {
         console.log('[Manager] Entering execution loop...');
         state.status = 'executing';
 
-        // Execute Ingest
-        await this.executeIngest(state);
-
-        // Execute Image Generation (optional, non-blocking)
-        // Images are treated as enrichments, not core outputs
-        this.executeImageGeneration(state).catch(err => {
-            console.log('[Manager] Image generation skipped:', err.message);
-        });
+        const handlers = {
+            'ingest:analyze': () => this.executeIngest(state),
 
-        // Execute per-platform: Generate → Review → Verify
-        for (const platform of state.platforms) {
-            let success = false;
+            // Images are enrichments, not core outputs - the executor runs this step in the background
+            'image:generate': async () => {
+                await this.executeImageGeneration(state);
+                await state.imageGenerationPromise;
+                const { status, error } = state.imageGeneration || {};
+                if (status === 'skipped') return { status: 'skipped', reason: 'Image generation disabled' };
+                if (status === 'failed') return { status: 'failed', reason: error };
+            },
 
-            while (!success && state.canRetry()) {
-                // Generate
-                const draft = await this.executeGenerator(state, platform);
+            'generator:generate': (step) => this.executeGenerator(state, step.platform),
 
-                // Review
-                const review = await this.executeReviewer(state, platform);
+            'reviewer:review': (step) => {
+                const pass = state.plan.filter(s => s.agent === 'reviewer' && s.platform === step.platform && s.status === 'completed').length + 1;
+                if (pass > 1) {
+                    emit(state.contentId, `🔁 Extra review pass #${pass} for ${step.platform.toUpperCase()} (planned: ${step.when || 'always'})`, step.platform);
+                }
+                return this.executeReviewer(state, step.platform);
+            },
 
-                // Verify (deterministic checks)
+            'verifier:verify': async (step) => {
+                const platform = step.platform;
                 const verification = await this.verifyVariant(state, platform);
+                const attempt = this.describeAttempt(state, platform, verification);
+
+                // Settle the reflection behind this retry in reflection memory
+                await this.resolveReflection(state, platform, verification.passed);
 
                 if (verification.passed) {
-                    success = true;
+                    state.setPlatformStatus(platform, 'passed');
+                    state.recordAttempt(platform, { ...attempt, outcome: 'passed' });
                     state.recordDecision(`verify:${platform}`, 'passed', verification.summary);
-                } else {
-                    // Reflection and retry
-                    state.status = 'reflecting';
-                    console.log(`[Manager] Verification failed for ${platform}: ${verification.summary}`);
+                    return { status: 'completed' };
+                }
 
-                    const reflection = await this.reflectAndRetry(state, platform, verification);
+                // Reflection and retry (other lanes keep running meanwhile)
+                const { decision, reflection } = await this.retryOrEscalate(state, platform, verification);
+                if (decision.action === 'escalate') {
+                    state.recordAttempt(platform, { ...attempt, reflection, outcome: 'escalated', reason: decision.reason });
+                    return { status: 'failed', reason: decision.reason };
+                }
 
-                    if (reflection.action === 'escalate') {
-                        console.log(`[Manager] Escalating ${platform}: ${reflection.reason}`);
-                        state.recordDecision(`reflect:${platform}`, 'escalated', reflection.reason);
-                        break;
-                    }
+                state.recordAttempt(platform, { ...attempt, reflection, outcome: 'retry' });
 
-                    state.status = 'executing';
-                    // Loop continues with updated strategy
-                }
-            }
-        }
+                // Re-run this platform's generate → review → verify with the updated strategy
+                return { retryLane: true, reason: verification.summary };
+            },
 
-        // Wait for image generation to complete before publishing
-        if (state.imageGenerationPromise) {
-            try {
-                await state.imageGenerationPromise;
-            } catch (err) {
-                console.log('[Manager] Image generation promise rejected:', err.message);
-            }
-        }
+            'consistency:check': () => this.checkConsistency(state),
+
+            'publisher:publish': (step) => this.executePublisher(
+                state,
+                ['all', 'all_approved', null].includes(step.platform) ? state.platforms : [step.platform],
+                control
+            )
+        };
 
-        // Publish approved variants
-        await this.executePublisher(state);
+        await planExecutor.execute(state, handlers, {
+            concurrency: CONCURRENCY,
+            scoreThreshold: verifierRules.resolve(state.brandDNA).scoreThreshold,
+            imageEnabled: imageGeneratorAgent.shouldGenerate(state.content, state.brandDNA),
+            resume,
+            shouldStop: () => control?.stopError() || null,
+            onStepUpdate: (step) => {
+                const { event } = planExecutor.STEP_CATALOG[`${step.agent}:${step.action}`];
+                if (step.status !== 'running') {
+                    orchestrationEmitter.step(state.contentId, event, step.platform, step.status);
+                }
+            },
+            onCheckpoint: (step) => checkpointStore.save(
+                state,
+                `${step.agent}:${step.action}${step.platform ? ` (${step.platform})` : ''} ${step.status}`
+            )
+        });
     }
 
     /**
@@ -451,7 +634,6 @@ Output only valid JSON.
         emit(state.contentId, `✅ Content analysis complete - ready for multi-platform generation`);
 
         state.recordDecision('ingest', 'completed', `Extracted ${result.themes?.length || 0} themes`);
-        state.nextStep();
     }
 
     /**
@@ -460,27 +642,33 @@ Output only valid JSON.
     async executeGenerator(state, platform) {
         console.log(`[Manager] Delegating to Generator for ${platform}...`);
         orchestrationEmitter.step(state.contentId, 'generate', platform, 'running');
+        state.setPlatformStatus(platform, 'generating');
 
         // Rich pre-generation thinking
-        const platformSpecs = {
-            twitter: { chars: 280, style: 'punchy, hashtags' },
-            linkedin: { chars: 3000, style: 'professional, thought-leadership' },
-            email: { chars: 5000, style: 'newsletter, scannable' },
-            instagram: { chars: 2200, style: 'visual, engaging' },
-            blog: { chars: 10000, style: 'long-form, SEO' }
-        }[platform] || { chars: 1000, style: 'general' };
-
-        emit(state.contentId, `✨ Generating ${platform.toUpperCase()} variant...`);
-        emit(state.contentId, `  → Platform constraints: max ${platformSpecs.chars} chars, style: ${platformSpecs.style}`);
-        emit(state.contentId, `  → Applying brand voice: ${state.brandDNA?.voice?.personality || 'professional'}`);
-        emit(state.contentId, `  → Using themes: ${state.ingest?.themes?.slice(0, 3).join(', ') || 'content-derived'}`);
+        const definition = platformRegistry.get(platform);
+        const platformSpecs = definition
+            ? { chars: definition.limits.max, style: definition.generator.brief }
+            : { chars: 1000, style: 'general' };
+        const asThread = platform === 'twitter' && twitterThread.resolveMode(state.content) === 'thread';
+
+        emit(state.contentId, `✨ Generating ${platform.toUpperCase()} ${asThread ? 'thread' : 'variant'}...`, platform);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Platform constraints: max ${platformSpecs.chars} chars${asThread ? ` per tweet, up to ${twitterThread.maxTweets()} tweets` : ''}, style: ${platformSpecs.style}`, platform);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Applying brand voice: ${state.brandDNA?.voice?.personality || 'professional'}`, platform);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Using themes: ${state.ingest?.themes?.slice(0, 3).join(', ') || 'content-derived'}`, platform);
 
         // Include reflection strategy if retrying
-        const lastError = state.errors.find(e => e.step?.includes(platform));
+        const lastError = state.getLastError(`verify:${platform}`);
         const reflectionHint = lastError?.reflectionStrategy || null;
 
         if (reflectionHint) {
-            emit(state.contentId, `  ⚠️ Retry with reflection: ${reflectionHint}`);
+            emit(state.contentId, `  ⚠️ [${platform.toUpperCase()}] Retry with reflection: ${reflectionHint}`, platform);
+        }
+
+        // Project overrides and memory the Generator gets to see, within its token budget
+        const context = this.assembleContext(state, 'generator', platform);
+
+        if (BEST_OF_N > 1) {
+            return this.generateCandidates(state, platform, reflectionHint, context);
         }
 
         const result = await generatorAgent.generate(
@@ -488,10 +676,12 @@ Output only valid JSON.
             platform,
             state.ingest,
             state.brandDNA,
-            reflectionHint // Pass strategy to generator for retry
+            reflectionHint, // Pass strategy to generator for retry
+            context
         );
 
-        state.drafts[platform] = result;
+        state.setDraft(platform, { ...result, context: contextAssembler.describe(context) });
+        this.flagCopiedExamples(state, platform, result);
 
         if (result.trace) {
             state.pipelineTrace.push(result.trace);
@@ -500,17 +690,147 @@ Output only valid JSON.
         return result;
     }
 
+    /**
+     * Best-of-N: generate one candidate per variation, score each with the
+     * Reviewer and the deterministic verifiers, keep the best as the draft
+     * Runner-ups stay on the draft as alternates the user can swap in later.
+     */
+    async generateCandidates(state, platform, reflectionHint, context) {
+        const variations = generatorAgent.variations(BEST_OF_N);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Best of ${variations.length}: generating ${variations.map(v => v.id).join(', ')}`, platform);
+
+        const reviewContext = this.assembleContext(state, 'reviewer', platform);
+        const candidates = [];
+        for (const [index, variation] of variations.entries()) {
+            const result = await generatorAgent.generate(
+                state.content,
+                platform,
+                state.ingest,
+                state.brandDNA,
+                reflectionHint,
+                context,
+                variation
+            );
+            const review = await reviewerAgent.review(
+                { platform, content: result.content, metadata: result.metadata },
+                state.brandDNA,
+                reviewContext
+            );
+            const { verification } = await this.runVerifiers(state, platform, result.content, review.score, result.thread);
+
+            candidates.push({ index, variation, result, review, verification });
+        }
+
+        // Passing all blocking checks beats any score; then review score, then fewer failures
+        const failures = (c) => Object.values(c.verification.results).filter(r => !r.passed && r.severity !== 'warn').length;
+        candidates.sort((a, b) =>
+            Number(b.verification.passed) - Number(a.verification.passed)
+            || b.review.score - a.review.score
+            || failures(a) - failures(b)
+            || a.index - b.index
+        );
+
+        // Near-identical runner-ups are no real choice for the editor
+        const [best, ...ranked] = candidates;
+        const runnersUp = [];
+        for (const candidate of ranked) {
+            const kept = [best, ...runnersUp];
+            if (kept.some(k => exemplars.overlap(candidate.result.content, k.result.content) >= exemplars.DUPLICATE_SIMILARITY)) continue;
+            runnersUp.push(candidate);
+        }
+        const alternates = runnersUp.map(c => ({
+            content: c.result.content,
+            thread: c.result.thread || undefined,
+            metadata: { charCount: c.result.metadata?.charCount, hashtags: c.result.metadata?.hashtags || [] },
+            variation: c.variation.id,
+            score: c.review.score,
+            passed: c.verification.passed,
+            summary: c.verification.summary
+        }));
+
+        state.setDraft(platform, {
+            ...best.result,
+            context: contextAssembler.describe(context),
+            variation: best.variation.id,
+            // Already reviewed while ranking - the review step reuses it
+            candidateReview: { ...best.review, context: contextAssembler.describe(reviewContext) },
+            alternates
+        });
+        this.flagCopiedExamples(state, platform, best.result);
+
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Picked "${best.variation.id}" (${best.review.score}%${best.verification.passed ? ', passes checks' : ''}) over ${ranked.map(c => `${c.variation.id} ${c.review.score}%`).join(', ')}`, platform);
+        state.addTrace('generator',
+            { platform, candidates: variations.map(v => v.id), reflectionHint },
+            {
+                ranking: candidates.map(c => ({
+                    variation: c.variation.id,
+                    score: c.review.score,
+                    passed: c.verification.passed,
+                    summary: c.verification.summary
+                }))
+            },
+            { selected: best.variation.id, alternates: alternates.length }
+        );
+
+        if (best.result.trace) {
+            state.pipelineTrace.push(best.result.trace);
+        }
+
+        return best.result;
+    }
+
+    /**
+     * Few-shot examples are for style only - flag drafts that lifted one
+     */
+    flagCopiedExamples(state, platform, result) {
+
+        const copied = (state.identityContext?.exemplars?.[platform] || [])
+            .map(example => ({ id: example.id, overlap: exemplars.overlap(result.content, example.content) }))
+            .filter(match => match.overlap >= exemplars.DUPLICATE_SIMILARITY);
+        if (copied.length > 0) {
+            emit(state.contentId, `  ⚠️ [${platform.toUpperCase()}] Draft closely follows a few-shot example (${Math.round(copied[0].overlap * 100)}% overlap)`, platform);
+            state.addTrace('generator',
+                { platform, check: 'exampleOverlap' },
+                { copiedExamples: copied },
+                { flagged: true }
+            );
+        }
+    }
+
+    /**
+     * Build a worker's context block and record exactly what went into it
+     * @param {string} agent - 'generator' | 'reviewer'
+     */
+    assembleContext(state, agent, platform) {
+        const context = contextAssembler.assemble(state, { agent, platform });
+
+        if (context.used.length > 0) {
+            const dropped = context.dropped.length > 0 ? `, ${context.dropped.length} dropped for budget` : '';
+            const truncated = context.truncated.length > 0 ? `, ${context.truncated.length} shortened` : '';
+            emit(state.contentId, `  → [${platform.toUpperCase()}] ${agent === 'generator' ? 'Generator' : 'Reviewer'} context: ${context.used.length} item(s), ~${context.tokens}/${context.budget} tokens${dropped}${truncated}`, platform);
+        }
+
+        state.addTrace('context',
+            { agent, platform, budget: context.budget },
+            { used: context.used, dropped: context.dropped, truncated: context.truncated },
+            { tokens: context.tokens }
+        );
+
+        return context;
+    }
+
     /**
      * Execute Reviewer Agent for a platform
      */
     async executeReviewer(state, platform) {
         console.log(`[Manager] Delegating to Reviewer for ${platform}...`);
         orchestrationEmitter.step(state.contentId, 'review', platform, 'running');
+        state.setPlatformStatus(platform, 'reviewing');
 
         const draft = state.drafts[platform];
-        emit(state.contentId, `🔍 Reviewing ${platform.toUpperCase()} variant for brand alignment...`);
-        emit(state.contentId, `  → Checking tone, values, keywords, and audience fit`);
-        emit(state.contentId, `  → Content preview: "${draft.content?.substring(0, 60)}..."`);
+        emit(state.contentId, `🔍 Reviewing ${platform.toUpperCase()} variant for brand alignment...`, platform);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Checking tone, values, keywords, and audience fit`, platform);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Content preview: "${draft.content?.substring(0, 60)}..."`, platform);
 
         const variant = {
             platform,
@@ -518,19 +838,32 @@ Output only valid JSON.
             metadata: draft.metadata
         };
 
-        const result = await reviewerAgent.review(variant, state.brandDNA);
-        state.reviews[platform] = result;
+        // Best-of-N drafts were reviewed while ranking the candidates
+        let result = draft.candidateReview;
+        if (result) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Reusing the review from candidate ranking`, platform);
+            delete draft.candidateReview;
+            state.setReview(platform, result);
+        } else {
+            const context = this.assembleContext(state, 'reviewer', platform);
+            result = await reviewerAgent.review(variant, state.brandDNA, context);
+            state.setReview(platform, { ...result, context: contextAssembler.describe(context) });
+        }
 
         if (result.trace) {
             state.pipelineTrace.push(result.trace);
         }
 
         // Rich logging of review results
-        emit(state.contentId, `✅ Brand consistency score: ${result.score}%`);
+        emit(state.contentId, `✅ ${platform.toUpperCase()} brand consistency score: ${result.score}%`, platform);
+        if (result.breakdown) {
+            const { rawScore, calibrated, samples, variance } = result.breakdown;
+            emit(state.contentId, `  → [${platform.toUpperCase()}] ${samples.length} judge sample(s), spread ±${variance.stdDev}${calibrated ? `, calibrated from raw ${rawScore}%` : ''}`, platform);
+        }
         if (result.passed) {
-            emit(state.contentId, `✅ Review PASSED - content aligns with brand voice`);
+            emit(state.contentId, `✅ ${platform.toUpperCase()} review PASSED - content aligns with brand voice`, platform);
         } else {
-            emit(state.contentId, `⚠️ Review flagged issues: ${result.suggestions?.[0] || 'needs refinement'}`);
+            emit(state.contentId, `⚠️ ${platform.toUpperCase()} review flagged issues: ${result.suggestions?.[0] || 'needs refinement'}`, platform);
         }
 
         return result;
@@ -542,61 +875,391 @@ Output only valid JSON.
     async verifyVariant(state, platform) {
         console.log(`[Manager] Running verifiers for ${platform}...`);
         orchestrationEmitter.step(state.contentId, 'verify', platform, 'running');
+        state.setPlatformStatus(platform, 'verifying');
 
         const draft = state.drafts[platform];
         const review = state.reviews[platform];
 
-        emit(state.contentId, `✅ Running quality checks for ${platform.toUpperCase()}...`);
-        emit(state.contentId, `  → Length verification: ${draft.content?.length || 0} chars`);
-        emit(state.contentId, `  → Review score: ${review.score}% (threshold: 80%)`);
-        emit(state.contentId, `  → Checking: keywords, forbidden words, content structure`);
+        emit(state.contentId, `✅ Running quality checks for ${platform.toUpperCase()}...`, platform);
+        if (draft.thread?.length) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Thread verification: ${draft.thread.length} tweets, ${draft.thread.map(t => charCount.count(t, 'twitter')).join('/')} chars`, platform);
+        } else {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Length verification: ${charCount.count(draft.content, platform)} chars`, platform);
+        }
+
+        const { rules, coherence, verification } = await this.runVerifiers(state, platform, draft.content, review.score, draft.thread);
+
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Review score: ${review.score}% (threshold: ${rules.scoreThreshold}%)`, platform);
+        emit(state.contentId, `  → [${platform.toUpperCase()}] Checking: ${rules.keywords.length} keyword(s), ${rules.patterns.length} pattern rule(s), forbidden words, content structure`, platform);
+        if (!coherence.checked) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Brand coherence unchecked (${coherence.reason})`, platform);
+        } else if (!coherence.coherent) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Brand coherence issues: ${coherence.issues.join('; ')}`, platform);
+        }
+        const grounding = verification.results.grounding;
+        if (grounding?.checked) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Fact grounding: ${grounding.supported}/${grounding.claims} claim(s) found in the source`, platform);
+        }
+        const messageCoverage = verification.results.coverage;
+        if (messageCoverage?.checked) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Key messages: ${messageCoverage.covered}/${messageCoverage.required} required covered (${messageCoverage.method})`, platform);
+        } else if (messageCoverage) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Key-message coverage unchecked (${messageCoverage.reason})`, platform);
+        }
 
+        for (const warning of verification.warnings) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] ⚠️ ${warning}`, platform);
+        }
+
+        state.addTrace('verifier',
+            { platform, contentLength: charCount.count(draft.content, platform), score: review.score },
+            {
+                passed: verification.passed,
+                checks: Object.keys(verification.results),
+                coherence: { checked: coherence.checked, coherent: coherence.coherent, issues: coherence.issues, reason: coherence.reason },
+                grounding: grounding ? { claims: grounding.claims, unsupported: grounding.unsupported } : null,
+                coverage: messageCoverage?.checked
+                    ? { scores: messageCoverage.messages.map(m => m.score), missing: messageCoverage.missing }
+                    : null
+            },
+            { verdict: verification.passed ? 'approved' : 'failed', issues: verification.summary }
+        );
+
+        return verification;
+    }
+
+    /**
+     * Deterministic checks for one piece of content, without logging
+     * @param {string[]|null} thread - Tweets of a Twitter thread, checked one by one
+     * @returns {Object} { rules, coherence, verification }
+     */
+    async runVerifiers(state, platform, content, score, thread = null) {
+        // Brand rule set: thresholds, keywords, regex rules, length limits
+        const rules = verifierRules.resolve(state.brandDNA);
         const variant = {
             platform,
-            content: draft.content,
-            consistencyScore: review.score
+            content,
+            thread,
+            consistencyScore: score,
+            hasImage: imageGeneratorAgent.shouldGenerate(state.content, state.brandDNA)
         };
 
-        // Get forbidden phrases from brand DNA
-        const forbiddenPhrases = state.brandDNA?.guidelines?.avoidWords || [];
-        const requiredKeywords = state.brandDNA?.guidelines?.keyTerms || [];
-
+        // Contradictions with brand stances in graph memory count like any other rule
+        const [coherence, messageCoverage] = await Promise.all([
+            this.checkCoherence(state, content),
+            this.measureCoverage(state, platform, content, rules)
+        ]);
+        // Facts must come from the source - unsupported claims fail like any other rule
         const verification = verifiers.verifyAll(variant, {
-            forbiddenPhrases,
-            requiredKeywords,
-            scoreThreshold: 80
+            ...rules,
+            coherence,
+            coverage: messageCoverage,
+            sourceText: state.content?.data || ''
         });
 
-        // Also check graph coherence if available
-        if (state.brandDNA?.companyName && state.identityContext?.graph) {
-            graphMemory.checkCoherence(state.brandDNA.companyName, draft.content)
-                .then(coherence => {
-                    if (!coherence.coherent) {
-                        console.log(`[Manager] Graph coherence issues: ${coherence.issues.join(', ')}`);
-                    }
-                })
-                .catch(() => { }); // Non-blocking
+        return { rules, coherence, verification };
+    }
+
+    /**
+     * Check a draft against the brand's stances in graph memory
+     * @returns {Object} { checked, coherent, issues, reason } - checked is false when it couldn't run
+     */
+    async checkCoherence(state, content) {
+        const brandId = state.brandDNA?._id;
+        if (!brandId) {
+            return { checked: false, coherent: null, issues: [], reason: 'No brand DNA configured' };
+        }
+
+        try {
+            return await graphMemory.checkCoherence(String(brandId), content || '');
+        } catch (error) {
+            return { checked: false, coherent: null, issues: [], reason: error.message };
+        }
+    }
+
+    /**
+     * Score a draft's coverage of the ingest key messages
+     * @returns {Object} Coverage report (see coverage.js) - checked is false when it couldn't run
+     */
+    async measureCoverage(state, platform, content, rules) {
+        try {
+            return await coverage.measure(content, state.ingest?.keyMessages, platform, {
+                requirements: rules.coverageRequirements
+            });
+        } catch (error) {
+            return { checked: false, messages: [], missing: [], reason: error.message };
         }
+    }
 
+    /**
+     * Snapshot of one generate → review → verify attempt for the variant's history
+     */
+    describeAttempt(state, platform, verification) {
+        const draft = state.drafts[platform] || {};
+        const review = state.reviews[platform] || {};
+
+        return {
+            content: draft.content,
+            context: draft.context || null,
+            variation: draft.variation || null,
+            review: { score: review.score, passed: review.passed, feedback: review.feedback },
+            verification: {
+                passed: verification.passed,
+                summary: verification.summary,
+                failures: Object.entries(verification.results || {})
+                    .filter(([, result]) => !result.passed)
+                    .map(([name, result]) => ({ name, message: result.message, severity: result.severity })),
+                coherence: this.describeCoherence(verification),
+                grounding: this.describeGrounding(verification),
+                coverage: this.describeCoverage(verification)
+            }
+        };
+    }
+
+    /**
+     * Coherence outcome of a verification, as recorded on attempts and variants
+     */
+    describeCoherence(verification) {
+        const check = verification?.results?.coherence;
+        if (!check) return null;
+
+        return {
+            checked: check.checked,
+            coherent: check.checked ? check.passed : null,
+            issues: check.issues,
+            reason: check.checked ? null : check.reason
+        };
+    }
+
+    /**
+     * Grounding report of a verification, as recorded on attempts and variants
+     */
+    describeGrounding(verification) {
+        const check = verification?.results?.grounding;
+        if (!check) return null;
+
+        return {
+            checked: check.checked,
+            passed: check.passed,
+            claims: check.claims,
+            supported: check.supported,
+            unsupported: check.unsupported,
+            byType: check.byType
+        };
+    }
+
+    /**
+     * Key-message coverage of a verification, as recorded on attempts and variants
+     */
+    describeCoverage(verification) {
+        const check = verification?.results?.coverage;
+        if (!check) return null;
+
+        return {
+            checked: check.checked,
+            passed: check.passed,
+            method: check.method || null,
+            threshold: check.threshold ?? null,
+            required: check.required ?? 0,
+            covered: check.covered ?? 0,
+            messages: check.messages.map(({ index, score, covered, required }) => ({ index, score, covered, required })),
+            missing: check.missing,
+            reason: check.checked ? null : check.reason
+        };
+    }
+
+    /**
+     * Key message × platform coverage for the whole run, stored on the content
+     * @returns {Object|null} { method, threshold, messages[{ index, text }], platforms[{ platform, required, covered, passed, scores, coveredMessages }] }
+     */
+    buildCoverageMatrix(state) {
+        const keyMessages = (state.ingest?.keyMessages || []).map(m => String(m || '').trim()).filter(Boolean);
+        if (keyMessages.length === 0) return null;
+
+        let method = null;
+        let threshold = null;
+        const platforms = [];
+        for (const platform of state.platforms) {
+            const report = state.attempts[platform]?.at(-1)?.verification?.coverage;
+            if (!report?.checked) continue;
+
+            method = report.method;
+            threshold = report.threshold;
+            platforms.push({
+                platform,
+                required: report.required,
+                covered: report.covered,
+                passed: report.passed,
+                scores: report.messages.map(m => m.score),
+                coveredMessages: report.messages.map(m => m.covered)
+            });
+        }
+        if (platforms.length === 0) return null;
+
+        return {
+            method,
+            threshold,
+            messages: keyMessages.map((text, index) => ({ index, text })),
+            platforms
+        };
+    }
+
+    /**
+     * Compare every platform's draft for conflicting facts, dates, offers and calls to action
+     * Lane verification sees one variant at a time; this runs once all lanes are
+     * verified. Approved variants that disagree with the canonical value go back
+     * through reflection and their lane runs again; the others are only marked.
+     */
+    async checkConsistency(state) {
+        console.log('[Manager] Checking cross-variant consistency...');
+        orchestrationEmitter.step(state.contentId, 'consistency', null, 'running');
+
+        const variants = state.platforms
+            .filter(platform => state.drafts[platform]?.content)
+            .map(platform => ({ platform, content: state.drafts[platform].content }));
+        const report = consistency.compareVariants(variants, state.content?.data || '');
+        state.consistency = report;
+
+        // Retries sent back by an earlier check are judged by this one
+        for (const platform of report.compared) {
+            await this.resolveReflection(state, platform, !report.byPlatform[platform], { crossVariant: true });
+        }
+
+        if (!report.checked) {
+            return { status: 'skipped', reason: report.message };
+        }
+
+        emit(state.contentId, `🔗 Comparing ${report.compared.length} variants for conflicting facts, dates, offers and calls to action...`);
         state.addTrace('verifier',
-            { platform, contentLength: draft.content?.length, score: review.score },
-            { passed: verification.passed, checks: Object.keys(verification.results) },
-            { verdict: verification.passed ? 'approved' : 'failed', issues: verification.summary }
+            { step: 'consistency', platforms: report.compared },
+            { passed: report.passed, conflicts: report.conflicts },
+            { conflicting: Object.keys(report.byPlatform) }
         );
 
-        return verification;
+        if (report.passed) {
+            emit(state.contentId, `  → ✅ ${report.message}`);
+            state.recordDecision('consistency', 'passed', report.message);
+            return { status: 'completed' };
+        }
+
+        emit(state.contentId, `  → ⚠️ ${report.message}`);
+        state.recordDecision('consistency', 'conflicts', report.message);
+
+        const retryLanes = [];
+        for (const platform of Object.keys(report.byPlatform)) {
+            // Escalated and flagged variants keep their marks without another attempt
+            if (state.platformStatus[platform] !== 'passed') continue;
+
+            const conflicts = consistency.conflictsFor(report, platform);
+            const summary = consistency.summarize(conflicts);
+            const verification = {
+                passed: false,
+                summary,
+                results: { consistency: { passed: false, severity: 'block', conflicts, message: summary } },
+                warnings: []
+            };
+            emit(state.contentId, `  → [${platform.toUpperCase()}] ${summary}`, platform);
+
+            const { decision, reflection } = await this.retryOrEscalate(state, platform, verification);
+
+            // The lane's last attempt passed on its own; it is what the conflict overturns
+            const attempt = state.attempts[platform]?.at(-1);
+            if (attempt) {
+                attempt.verification = {
+                    ...attempt.verification,
+                    passed: false,
+                    summary,
+                    failures: [
+                        ...(attempt.verification?.failures || []),
+                        { name: 'consistency', message: summary, severity: 'block' }
+                    ],
+                    consistency: conflicts
+                };
+                attempt.reflection = reflection;
+                attempt.outcome = decision.action === 'escalate' ? 'escalated' : 'retry';
+                attempt.reason = decision.reason || null;
+            }
+
+            if (decision.action !== 'escalate') retryLanes.push(platform);
+        }
+
+        if (retryLanes.length === 0) {
+            return { status: 'completed', reason: `${report.conflicts.length} conflict(s) marked` };
+        }
+        // Re-run the conflicting lanes, then compare again
+        return { retryLanes, reason: report.message };
+    }
+
+    /**
+     * Reflect on a failed verification and either spend a retry or escalate
+     * @returns {Object} { decision, reflection } - the caller records the attempt
+     */
+    async retryOrEscalate(state, platform, verification) {
+        state.setPlatformStatus(platform, 'reflecting');
+        console.log(`[Manager] Verification failed for ${platform}: ${verification.summary}`);
+
+        const decision = await this.reflectAndRetry(state, platform, verification);
+        const reflection = decision.reflection
+            ? {
+                rootCause: decision.reflection.rootCause,
+                strategy: decision.reflection.strategy,
+                memoryId: decision.reflection.memoryId || null,
+                // Settled by the next consistency check rather than by lane verification
+                crossVariant: Boolean(verification.results?.consistency)
+            }
+            : null;
+
+        if (decision.action === 'escalate') {
+            console.log(`[Manager] Escalating ${platform}: ${decision.reason}`);
+            state.escalate(platform, decision.reason);
+            state.recordDecision(`reflect:${platform}`, 'escalated', decision.reason);
+            emit(state.contentId, `🛑 ${platform.toUpperCase()} escalated for human review: ${decision.reason}`, platform);
+        }
+
+        return { decision, reflection };
     }
 
     /**
      * Reflect on failure and decide retry strategy
+     * Each platform has its own retry budget, so one stubborn platform never starves the others.
+     * @returns {Object} shouldRetry decision ({ action, reason | strategy }) plus the reflection
      */
     async reflectAndRetry(state, platform, verification) {
         console.log(`[Manager] Reflecting on failure for ${platform}...`);
 
+        // Budget spent: escalate without paying for another reflection
+        if (!state.canRetry(platform)) {
+            const decision = reflector.shouldRetry({}, state.getRetryCount(platform), state.maxRetries);
+            state.recordError({ message: verification.summary }, `verify:${platform}`);
+            return { ...decision, reflection: null };
+        }
+
+        const memoryScope = {
+            userId: state.content?.userId,
+            brandId: state.brandDNA?._id,
+            platform
+        };
+        const pastStrategies = await reflectionMemory.similarStrategies({ ...memoryScope, verification })
+            .catch((error) => {
+                console.warn('[Manager] Reflection memory lookup failed:', error.message);
+                return [];
+            });
+        if (pastStrategies.length > 0) {
+            emit(state.contentId, `  → [${platform.toUpperCase()}] Reflection memory: ${pastStrategies.length} strategy(ies) fixed similar failures before`, platform);
+        }
+
         const reflection = await reflector.reflect(verification.summary, {
             platform,
             goal: state.goal,
-            history: state.history,
+            coherenceIssues: verification.results?.coherence?.issues || [],
+            unsupportedClaims: verification.results?.grounding?.unsupported || [],
+            consistencyConflicts: verification.results?.consistency?.conflicts || [],
+            missingMessages: verification.results?.coverage?.missing || [],
+            pastStrategies,
+            history: (state.attempts[platform] || []).map(a => ({
+                decision: a.outcome,
+                reasoning: `${a.verification?.summary}${a.reflection?.strategy ? ` | strategy: ${a.reflection.strategy}` : ''}`
+            })),
             content: state.drafts[platform]?.content
         });
 
@@ -605,23 +1268,63 @@ Output only valid JSON.
             reflectionStrategy: reflection.strategy
         }, `verify:${platform}`);
 
+        const decision = reflector.shouldRetry(reflection, state.getRetryCount(platform), state.maxRetries);
+        if (decision.action === 'retry') {
+            state.consumeRetry(platform);
+        }
+
+        // Retries stay pending until verified; reflections that gave up are settled now
+        reflection.memoryId = await reflectionMemory.record({
+            ...memoryScope,
+            contentId: state.contentId,
+            verification,
+            reflection,
+            outcome: decision.action === 'retry' ? 'pending' : 'escalated'
+        }).catch((error) => {
+            console.warn('[Manager] Failed to record reflection:', error.message);
+            return null;
+        });
+
         state.addTrace('reflector',
-            { platform, error: verification.summary },
-            { canFix: reflection.canFix, strategy: reflection.strategy },
-            { action: reflection.canFix ? 'retry' : 'escalate' }
+            { platform, error: verification.summary, retriesUsed: state.getRetryCount(platform), maxRetries: state.maxRetries },
+            { canFix: reflection.canFix, strategy: reflection.strategy, pastStrategies: pastStrategies.map(p => p.id) },
+            { action: decision.action, reason: decision.reason || null }
         );
 
-        return reflector.shouldRetry(reflection, state.retryCount, state.maxRetries);
+        return { ...decision, reflection };
+    }
+
+    /**
+     * Mark the reflection behind the platform's latest retry as passed / failed
+     * A cross-variant retry only passes once the consistency check agrees; lane
+     * verification can still fail it first.
+     */
+    async resolveReflection(state, platform, passed, { crossVariant = false } = {}) {
+        const retry = (state.attempts[platform] || []).filter(a => a.outcome === 'retry').pop();
+        const reflection = retry?.reflection;
+        if (!reflection?.memoryId || reflection.resolved) return;
+        if (crossVariant ? !reflection.crossVariant : reflection.crossVariant && passed) return;
+
+        reflection.resolved = true;
+        try {
+            await reflectionMemory.resolve(reflection.memoryId, passed);
+        } catch (error) {
+            console.warn('[Manager] Failed to resolve reflection:', error.message);
+        }
     }
 
     /**
      * Execute Publisher for approved variants
+     * @param {string[]} platforms - Platforms this publish step covers (defaults to all)
+     * @param {Object} control - Run controller; nothing is published once a stop is requested
      */
-    async executePublisher(state) {
+    async executePublisher(state, platforms = state.platforms, control = null) {
         console.log('[Manager] Executing Publisher for approved variants...');
         orchestrationEmitter.step(state.contentId, 'publish', null, 'running');
 
-        const approvedCount = state.platforms.filter(p => state.reviews[p]?.passed).length;
+        // Only platforms that passed verification - escalated ones are never published
+        const isPublishable = (p) => state.platformStatus[p] === 'passed' && !state.published.includes(p);
+        const approvedCount = platforms.filter(isPublishable).length;
 
         // Determine publication mode from content document
         const pubMode = state.content?.publicationMode || 'mock';
@@ -645,18 +1348,20 @@ Output only valid JSON.
             emit(state.contentId, `🚀 Preparing to publish ${approvedCount} approved variants (${pubMode} mode)...`);
         }
 
-        for (const platform of state.platforms) {
+        for (const platform of platforms) {
             const review = state.reviews[platform];
 
-            if (review?.passed) {
+            if (isPublishable(platform)) {
+                control?.throwIfStopped();
                 const draft = state.drafts[platform];
 
-                emit(state.contentId, `  → Formatting ${platform.toUpperCase()} for API submission...`);
-                emit(state.contentId, `    Score: ${review.score}% | Length: ${draft.content?.length || 0} chars`);
+                emit(state.contentId, `  → Formatting ${platform.toUpperCase()} for API submission...`, platform);
+                emit(state.contentId, `    ${platform.toUpperCase()} score: ${review.score}% | Length: ${charCount.count(draft.content, platform)} chars`, platform);
 
                 const variant = {
                     platform,
                     content: draft.content,
+                    thread: draft.thread,
                     metadata: draft.metadata,
                     consistencyScore: review.score,
                     status: 'approved'
@@ -670,7 +1375,7 @@ Output only valid JSON.
                         prompt: image.prompt,
                         provider: image.provider
                     };
-                    emit(state.contentId, `  → Attaching generated image to ${platform}`);
+                    emit(state.contentId, `  → Attaching generated image to ${platform}`, platform);
                 }
 
                 // Use publication mode: auto-publish uses content mode, manual defaults to mock
@@ -679,12 +1384,14 @@ Output only valid JSON.
                 state.published.push(platform);
 
                 // Store publish result on state for buildResults
-                if (!state.publishResults) state.publishResults = {};
                 state.publishResults[platform] = published.publishStatus || {};
 
+                // Checkpoint per platform so a resumed run never publishes it twice
+                await checkpointStore.save(state, `publisher:publish (${platform}) published`);
+
                 const postId = published.publishStatus?.postId || published.publishResult?.mockId || 'pending';
                 const modeLabel = published.publishStatus?.mode || effectiveMode;
-                emit(state.contentId, `  ✅ ${platform.toUpperCase()} published successfully (${modeLabel} | ID: ${postId})`);
+                emit(state.contentId, `  ✅ ${platform.toUpperCase()} published successfully (${modeLabel} | ID: ${postId})`, platform);
 
                 if (published.trace) {
                     state.pipelineTrace.push(published.trace);
@@ -709,12 +1416,15 @@ Output only valid JSON.
                     type: 'published',
                     platform,
                     title: state.content.title,
-                    score: review.score
+                    score: review.score,
+                    userId: state.content.userId?.toString(),
+                    brandId: state.brandDNA?._id?.toString(),
+                    contentId: state.contentId
                 });
 
                 // Graph store: record past work
-                if (state.brandDNA?.companyName) {
-                    await graphMemory.recordPastWork(state.brandDNA.companyName, {
+                if (state.brandDNA?._id) {
+                    await graphMemory.recordPastWork(String(state.brandDNA._id), {
                         title: state.content.title,
                         platform,
                         content: draft.content,
@@ -741,15 +1451,68 @@ Output only valid JSON.
             const review = state.reviews[platform];
             const fallbackContent = `[Content generation failed for ${platform}]`;
 
+            const escalationReason = state.escalations[platform];
+            const coherence = state.attempts[platform]?.at(-1)?.verification?.coherence || null;
+            const grounding = state.attempts[platform]?.at(-1)?.verification?.grounding || null;
+            const messageCoverage = state.attempts[platform]?.at(-1)?.verification?.coverage || null;
+            const conflicts = consistency.conflictsFor(state.consistency, platform);
             const variant = {
                 platform,
                 content: draft?.content || fallbackContent,
                 metadata: draft?.metadata || {},
                 consistencyScore: state.reviews[platform]?.score || 0,
-                status: state.reviews[platform]?.passed ? 'approved' : 'flagged',
-                feedback: state.reviews[platform]?.feedback || ''
+                status: escalationReason ? 'escalated'
+                    : state.platformStatus[platform] === 'passed' && conflicts.length === 0 ? 'approved' : 'flagged',
+                feedback: [
+                    state.reviews[platform]?.feedback,
+                    coherence?.issues?.length ? `Brand coherence: ${coherence.issues.join('; ')}` : null,
+                    conflicts.length > 0 ? consistency.summarize(conflicts) : null
+                ].filter(Boolean).join('\n'),
+                attempts: state.attempts[platform] || []
             };
 
+            if (escalationReason) {
+                variant.escalationReason = escalationReason;
+            }
+
+            if (draft?.thread?.length) {
+                variant.thread = draft.thread;
+            }
+
+            if (coherence) {
+                variant.coherence = coherence;
+            }
+
+            if (grounding) {
+                variant.grounding = grounding;
+            }
+
+            if (conflicts.length > 0) {
+                variant.consistencyConflicts = conflicts;
+            }
+
+            if (messageCoverage) {
+                variant.coverage = messageCoverage;
+            }
+
+            if (review?.breakdown) {
+                variant.scoreBreakdown = {
+                    ...review.scores,
+                    rawScore: review.breakdown.rawScore,
+                    calibrated: review.breakdown.calibrated,
+                    judges: review.breakdown.judges,
+                    samples: review.breakdown.samples,
+                    stdDev: review.breakdown.variance.stdDev,
+                    range: review.breakdown.variance.range,
+                    dimensions: review.breakdown.dimensions
+                };
+            }
+
+            // Best-of-N runner-ups the user can swap in
+            if (draft?.alternates?.length > 0) {
+                variant.alternates = draft.alternates;
+            }
+
             // Attach image if available
             if (state.imageGeneration?.status === 'succeeded' && state.imageGeneration.images?.length > 0) {
                 const image = state.imageGeneration.images[0];
@@ -775,6 +1538,7 @@ Output only valid JSON.
                 totalVariants: state.platforms.length,
                 approved: state.published.length,
                 flagged: state.platforms.length - state.published.length,
+                escalated: Object.keys(state.escalations),
                 reflectionsTriggered: state.errors.length
             },
             { kpis, published: state.published, status: state.status }
@@ -783,6 +1547,7 @@ Output only valid JSON.
         return {
             variants,
             publishedVariants: state.published.map(p => state.drafts[p]),
+            published: state.published,
             kpis,
             status: state.status,
             log: state.history.map(h => ({
@@ -791,6 +1556,7 @@ Output only valid JSON.
                 timestamp: h.timestamp,
                 details: { reasoning: h.reasoning }
             })),
+            coverage: this.buildCoverageMatrix(state),
             pipelineTrace: state.pipelineTrace,
             errors: state.errors,
             error: error?.message
@@ -12,29 +12,27 @@
  * - Error recovery: If something is ambiguous, ask smart clarifying questions
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const charCount = require('@saco/shared/charCount');
+const llmProvider = require('../llm/providerRegistry');
 
 const Content = require('../../models/Content');
 const BrandDNA = require('../../models/BrandDNA');
 const managerAgent = require('./managerAgent');
+const twitterThread = require('./twitterThread');
 const orchestrationEmitter = require('../orchestrationEmitter');
 
 class ManagerInteract {
     constructor() {
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
+        this.llm = llmProvider.getChatModel('managerInteract', {
             temperature: 0.1, // Lower temperature for more consistent JSON output
             // Note: Groq doesn't support response_format yet, but keeping low temp helps
         });
 
         // Separate LLM for content editing - can be more creative
-        this.editLLM = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
+        this.editLLM = llmProvider.getChatModel('managerEdit', {
             temperature: 0.4 // Slightly higher for creative content edits
         });
 
@@ -332,7 +330,7 @@ Provide a helpful, conversational answer. Be specific and reference actual data
                 return `
 ${v.platform.toUpperCase()} ${status} ${hasImage}
 Preview: ${preview}...
-Char count: ${v.content?.length || 0}
+Char count: ${charCount.count(v.content || '', v.platform)}
                 `.trim();
             }).join('\n\n')
             : 'No variants generated yet';
@@ -556,16 +554,48 @@ Audience: ${brandDNA.audience?.primary || 'Not defined'}
         this.emitProgress(idString, `🚀 Generating for: ${platformsToProcess.join(', ')}`);
 
         const result = await managerAgent.orchestrate(content, brandDNA, platformsToProcess);
+        await this.saveOrchestrationResult(content, result, platformsToProcess);
+
+        return { action: 'orchestration_complete', platforms: platformsToProcess, result };
+    }
+
+    /**
+     * Continue an interrupted orchestration from its checkpoint
+     * @param {Object} checkpoint - AgentState JSON from the OrchestrationRun
+     */
+    async resumeOrchestration(content, brandDNA, checkpoint) {
+        const result = await managerAgent.orchestrate(content, brandDNA, checkpoint.platforms, { checkpoint });
+        await this.saveOrchestrationResult(content, result, checkpoint.platforms);
+
+        return { action: 'orchestration_resumed', platforms: checkpoint.platforms, result };
+    }
+
+    /**
+     * Write an orchestration result back to the content
+     */
+    async saveOrchestrationResult(content, result, platforms) {
+        const idString = String(content._id);
+
+        // Stopped runs: a paused run writes its variants when resumed; a cancelled
+        // run only records what it already published
+        if (result.status === 'cancelled' || result.status === 'paused') {
+            if (result.status === 'cancelled') {
+                const published = new Set(result.published || []);
+                await this.updateContentVariants(content, result.variants?.filter(v => published.has(v.platform)), false);
+            }
+            content.orchestrationStatus = result.status;
+            await content.save();
+            return;
+        }
 
         // Update variants
         await this.updateContentVariants(content, result.variants, false);
-        content.orchestrationStatus = 'completed';
+        if (result.coverage) content.coverage = result.coverage;
+        content.orchestrationStatus = result.status === 'failed' ? 'failed' : 'completed';
         await content.save();
 
-        this.emitResult(idString, { platforms: platformsToProcess, count: platformsToProcess.length },
-            `✅ Generated ${platformsToProcess.length} variant(s)`);
-
-        return { action: 'orchestration_complete', platforms: platformsToProcess, result };
+        this.emitResult(idString, { platforms, count: platforms.length },
+            `✅ Generated ${platforms.length} variant(s)`);
     }
 
     /**
@@ -616,11 +646,12 @@ Audience: ${brandDNA.audience?.primary || 'Not defined'}
 
             // Update variant
             variant.content = refinedContent.trim();
-            variant.metadata = { ...variant.metadata, charCount: refinedContent.length };
+            this.syncThread(variant);
+            variant.metadata = { ...variant.metadata, charCount: charCount.count(variant.content, platform) };
             variant.isUserModified = true;
 
             results.push({ platform, success: true });
-            this.emitProgress(idString, `✓ ${platform} refined (${refinedContent.length} chars)`, platform);
+            this.emitProgress(idString, `✓ ${platform} refined (${variant.metadata.charCount} chars)`, platform);
         }
 
         await content.save();
@@ -692,16 +723,17 @@ Audience: ${brandDNA.audience?.primary || 'Not defined'}
                 });
 
                 variant.content = editedContent.trim();
+                this.syncThread(variant);
                 variant.metadata = { 
                     ...variant.metadata, 
-                    charCount: editedContent.length,
+                    charCount: charCount.count(variant.content, platform),
                     lastEditedAt: new Date(),
                     editType: preserveMode ? 'surgical' : 'standard'
                 };
                 variant.isUserModified = true;
                 edited++;
 
-                this.emitProgress(idString, `✓ ${platform} updated (${editedContent.length} chars)`, platform);
+                this.emitProgress(idString, `✓ ${platform} updated (${variant.metadata.charCount} chars)`, platform);
             } catch (editError) {
                 console.error(`[ManagerInteract] Edit failed for ${platform}:`, editError);
                 this.emit(idString, `❌ Failed to edit ${platform}: ${editError.message}`);
@@ -867,6 +899,17 @@ Audience: ${brandDNA.audience?.primary || 'Not defined'}
         return { action: 'query_answered', answer };
     }
 
+    /**
+     * Re-derive a thread variant's tweets after its content was edited
+     */
+    syncThread(variant) {
+        if (!variant.thread?.length) return;
+
+        const thread = twitterThread.rethread(variant.content);
+        variant.thread = thread || [];
+        if (thread) variant.content = twitterThread.join(thread);
+    }
+
     /**
      * Update content variants (helper method)
      */
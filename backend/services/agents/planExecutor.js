@@ -0,0 +1,421 @@
+/**
+ * Plan Executor
+ * Validates the Manager's JSON step manifest and runs it as a dependency graph
+ *
+ * A step looks like:
+ *   { "id": 3, "agent": "reviewer", "action": "review", "platform": "twitter",
+ *     "dependsOn": [2], "when": "reviewBorderline" }
+ *
+ * - agent/action must be in STEP_CATALOG; platform-bound steps must target a requested platform
+ * - dependsOn is optional: the executor always adds the dependencies the pipeline
+ *   needs (generate → review → verify → consistency → publish), the plan can only add more
+ * - when names a CONDITIONS entry (prefix with "!" to negate); unmet → step skipped
+ * - verifier and reviewer steps missing from the plan are added - verification is never optional
+ * - with several platforms a consistency:check step runs once every lane is verified
+ *
+ * Independent steps run concurrently. At most `concurrency` platform lanes
+ * (generate → review → verify) have a step in flight at once; other steps
+ * (ingest, image, publish) only wait for their dependencies.
+ *
+ * The executor only sequences. Each agent:action is run by a handler the Manager
+ * supplies, so the Manager stays the only decision-maker. A handler may return
+ * { status: 'skipped' | 'failed', reason } and, for verification, { retryLane: true }
+ * to re-run that platform's generate → review → verify steps. A step spanning
+ * platforms (consistency:check) returns { retryLanes: [platforms] } instead and
+ * runs again once those lanes are settled.
+ *
+ * Runs can be resumed from a checkpoint: with options.resume, settled steps keep
+ * their status and only unfinished ones (running or fatally failed when the
+ * checkpoint was taken) run again.
+ *
+ * Runs can be stopped (cancel / pause): once options.shouldStop() returns an
+ * error no new step starts; steps interrupted by it go back to pending, and
+ * after in-flight steps settle the executor throws that error.
+ */
+
+const STEP_CATALOG = {
+    'ingest:analyze': { event: 'ingest', platform: 'none' },
+    'image:generate': { event: 'image', platform: 'none', optional: true },
+    'generator:generate': { event: 'generate', platform: 'required' },
+    'reviewer:review': { event: 'review', platform: 'required' },
+    'verifier:verify': { event: 'verify', platform: 'required' },
+    'consistency:check': { event: 'consistency', platform: 'none' },
+    'publisher:publish': { event: 'publish', platform: 'any' }
+};
+
+// Agents whose steps form a platform's retry lane
+const LANE_AGENTS = ['generator', 'reviewer', 'verifier'];
+
+// Reviews this close to the threshold count as borderline
+const BORDERLINE_MARGIN = 10;
+
+/**
+ * Named conditions usable in a step's "when" field
+ * Each receives (state, step, options) and returns a boolean
+ */
+const CONDITIONS = {
+    always: () => true,
+    imageEnabled: (state, step, options) => options.imageEnabled === true,
+    reviewPassed: (state, step) => state.reviews[step.platform]?.passed === true,
+    reviewFailed: (state, step) => state.reviews[step.platform]?.passed === false,
+    reviewBorderline: (state, step, options) => {
+        const score = state.reviews[step.platform]?.score;
+        return typeof score === 'number' && Math.abs(score - options.scoreThreshold) <= BORDERLINE_MARGIN;
+    },
+    hasApproved: (state) => Object.values(state.reviews).some(r => r?.passed)
+};
+
+const TERMINAL = ['completed', 'skipped', 'failed'];
+
+function stepKey(step) {
+    return `${step.agent}:${step.action}`;
+}
+
+function isAllPlatforms(platform) {
+    return !platform || platform === 'all' || platform === 'all_approved';
+}
+
+/**
+ * Default plan: ingest, optional image, generate → review → verify per platform,
+ * cross-variant consistency (several platforms), publish
+ */
+function defaultPlan(platforms) {
+    const steps = [
+        { id: 1, agent: 'ingest', action: 'analyze', platform: null },
+        { id: 2, agent: 'image', action: 'generate', platform: null, when: 'imageEnabled' }
+    ];
+    let id = 3;
+
+    for (const platform of platforms) {
+        steps.push({ id: id++, agent: 'generator', action: 'generate', platform });
+        steps.push({ id: id++, agent: 'reviewer', action: 'review', platform });
+        steps.push({ id: id++, agent: 'verifier', action: 'verify', platform });
+    }
+
+    if (platforms.length > 1) {
+        steps.push({ id: id++, agent: 'consistency', action: 'check', platform: null });
+    }
+    steps.push({ id, agent: 'publisher', action: 'publish', platform: 'all_approved' });
+    return steps;
+}
+
+/**
+ * Find a dependency cycle (returns the step ids involved, or null)
+ */
+function findCycle(steps) {
+    const byId = new Map(steps.map(s => [s.id, s]));
+    const visiting = new Set();
+    const done = new Set();
+
+    const visit = (step, path) => {
+        if (done.has(step.id)) return null;
+        if (visiting.has(step.id)) return [...path, step.id];
+        visiting.add(step.id);
+        for (const depId of step.dependsOn) {
+            const cycle = visit(byId.get(depId), [...path, step.id]);
+            if (cycle) return cycle;
+        }
+        visiting.delete(step.id);
+        done.add(step.id);
+        return null;
+    };
+
+    for (const step of steps) {
+        const cycle = visit(step, []);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Validate and normalize a plan manifest
+ * @param {Object[]} rawSteps - Steps from the LLM
+ * @param {string[]} platforms - Requested platforms
+ * @returns {Object} { valid, errors, notes, steps }
+ */
+function validatePlan(rawSteps, platforms) {
+    const errors = [];
+    const notes = [];
+
+    if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+        return { valid: false, errors: ['Plan has no steps'], notes, steps: [] };
+    }
+
+    const seenIds = new Set();
+    const steps = rawSteps.map((raw, index) => {
+        const step = {
+            id: String(raw?.id ?? index + 1),
+            agent: raw?.agent,
+            action: raw?.action,
+            platform: raw?.platform ?? null,
+            dependsOn: Array.isArray(raw?.dependsOn) ? raw.dependsOn.map(String) : [],
+            when: raw?.when || null
+        };
+
+        const spec = STEP_CATALOG[stepKey(step)];
+        if (!spec) {
+            errors.push(`Step ${step.id}: unknown agent/action "${stepKey(step)}"`);
+        } else if (spec.platform === 'required' && !platforms.includes(step.platform)) {
+            errors.push(`Step ${step.id}: ${stepKey(step)} needs one of the target platforms, got "${step.platform}"`);
+        } else if (spec.platform === 'any' && !isAllPlatforms(step.platform) && !platforms.includes(step.platform)) {
+            errors.push(`Step ${step.id}: unknown platform "${step.platform}"`);
+        }
+
+        if (step.when && !CONDITIONS[step.when.replace(/^!/, '')]) {
+            errors.push(`Step ${step.id}: unknown condition "${step.when}"`);
+        }
+        if (seenIds.has(step.id)) {
+            errors.push(`Duplicate step id ${step.id}`);
+        }
+        seenIds.add(step.id);
+
+        return step;
+    });
+
+    for (const step of steps) {
+        for (const depId of step.dependsOn) {
+            if (!seenIds.has(depId)) errors.push(`Step ${step.id}: depends on unknown step ${depId}`);
+            if (depId === step.id) errors.push(`Step ${step.id}: depends on itself`);
+        }
+    }
+
+    if (!steps.some(s => s.agent === 'ingest')) {
+        errors.push('Plan has no ingest step');
+    }
+    for (const platform of platforms) {
+        if (!steps.some(s => s.agent === 'generator' && s.platform === platform)) {
+            errors.push(`Plan has no generator step for ${platform}`);
+        }
+        // A lane runs generate → review → verify: nothing is reviewed or verified before it is drafted
+        const lane = steps.filter(s => s.platform === platform && LANE_AGENTS.includes(s.agent));
+        const hasReviewer = lane.some(s => s.agent === 'reviewer');
+        lane.forEach((step, index) => {
+            const earlier = lane.slice(0, index).map(s => s.agent);
+            const needs = step.agent === 'reviewer' ? ['generator']
+                : step.agent === 'verifier' ? ['generator', ...(hasReviewer ? ['reviewer'] : [])]
+                    : [];
+            for (const agent of needs.filter(a => !earlier.includes(a))) {
+                errors.push(`Step ${step.id}: ${stepKey(step)} for ${platform} comes before its ${agent} step`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, notes, steps: [] };
+    }
+
+    // Fill in the steps the pipeline guarantees
+    let nextId = Math.max(0, ...steps.map(s => Number(s.id)).filter(Number.isFinite)) + 1;
+    for (const platform of platforms) {
+        for (const [agent, action] of [['reviewer', 'review'], ['verifier', 'verify']]) {
+            if (steps.some(s => s.agent === agent && s.platform === platform)) continue;
+            // Slot in ahead of the platform's verifier (a review), else after its last step, so the lane order holds
+            const step = { id: String(nextId++), agent, action, platform, dependsOn: [], when: null };
+            const verifier = steps.find(s => s.agent === 'verifier' && s.platform === platform);
+            if (agent === 'reviewer' && verifier) {
+                steps.splice(steps.indexOf(verifier), 0, step);
+            } else {
+                const last = steps.filter(s => s.platform === platform).pop();
+                steps.splice(steps.indexOf(last) + 1, 0, step);
+            }
+            notes.push(`Added ${action} step for ${platform}`);
+        }
+    }
+    if (platforms.length > 1 && !steps.some(s => s.agent === 'consistency')) {
+        // Before the first publish step, so the plan reads in run order
+        const publish = steps.findIndex(s => s.agent === 'publisher');
+        const step = { id: String(nextId++), agent: 'consistency', action: 'check', platform: null, dependsOn: [], when: null };
+        steps.splice(publish === -1 ? steps.length : publish, 0, step);
+        notes.push('Added consistency check');
+    }
+    if (!steps.some(s => s.agent === 'publisher')) {
+        steps.push({ id: String(nextId++), agent: 'publisher', action: 'publish', platform: 'all_approved', dependsOn: [], when: null });
+        notes.push('Added publish step');
+    }
+
+    // Pipeline dependencies, in plan order
+    const ingestIds = steps.filter(s => s.agent === 'ingest').map(s => s.id);
+    const imageIds = steps.filter(s => s.agent === 'image').map(s => s.id);
+    const verifierIds = steps.filter(s => s.agent === 'verifier').map(s => s.id);
+    const consistencyIds = steps.filter(s => s.agent === 'consistency').map(s => s.id);
+    for (const step of steps) {
+        const inferred = [];
+        const earlierLane = steps
+            .slice(0, steps.indexOf(step))
+            .filter(s => s.platform === step.platform && LANE_AGENTS.includes(s.agent));
+
+        if (step.agent === 'image' || step.agent === 'generator') {
+            inferred.push(...ingestIds);
+        } else if (step.agent === 'reviewer' || step.agent === 'verifier') {
+            // The platform's draft, and the lane step right before this one
+            inferred.push(...earlierLane.filter(s => s.agent === 'generator').map(s => s.id));
+            inferred.push(earlierLane[earlierLane.length - 1].id);
+        } else if (step.agent === 'consistency') {
+            inferred.push(...verifierIds);
+        } else if (step.agent === 'publisher') {
+            inferred.push(...imageIds, ...consistencyIds);
+            inferred.push(...steps
+                .filter(s => s.agent === 'verifier' && (isAllPlatforms(step.platform) || s.platform === step.platform))
+                .map(s => s.id));
+        }
+        step.dependsOn = [...new Set([...step.dependsOn, ...inferred])];
+    }
+
+    const cycle = findCycle(steps);
+    if (cycle) {
+        errors.push(`Dependency cycle: ${cycle.join(' → ')}`);
+    }
+
+    return { valid: errors.length === 0, errors, notes, steps: errors.length === 0 ? steps : [] };
+}
+
+/**
+ * Evaluate a step's "when" condition
+ */
+function conditionMet(step, state, options) {
+    if (!step.when) return true;
+    const negate = step.when.startsWith('!');
+    const met = CONDITIONS[step.when.replace(/^!/, '')](state, step, options);
+    return negate ? !met : met;
+}
+
+/**
+ * Run a validated plan (state.plan) to completion
+ * @param {AgentState} state - Orchestration state; step status is written onto state.plan
+ * @param {Object} handlers - 'agent:action' → async (step) → result
+ * @param {Object} options - { concurrency, scoreThreshold, imageEnabled, resume,
+ *   onStepUpdate(step), async onCheckpoint(step) after each step settles,
+ *   shouldStop() → Error|null }
+ */
+async function execute(state, handlers, options = {}) {
+    const steps = state.plan;
+    const byId = new Map(steps.map(s => [s.id, s]));
+    const concurrency = Math.max(1, options.concurrency || 1);
+    const inFlight = new Map(); // step id → promise
+    let fatalError = null;
+
+    for (const step of steps) {
+        if (options.resume && TERMINAL.includes(step.status) && !step.fatal) continue;
+
+        step.status = 'pending';
+        step.attempts = options.resume ? step.attempts || 0 : 0;
+        step.reason = null;
+        step.fatal = false;
+    }
+
+    const settle = (step, status, reason = null, startedAt = Date.now()) => {
+        step.status = status;
+        step.reason = reason;
+
+        state.addTrace('manager',
+            { planStep: step.id, agent: step.agent, action: step.action, platform: step.platform, attempt: step.attempts },
+            { status, reason },
+            { durationMs: Date.now() - startedAt }
+        );
+        options.onStepUpdate?.(step);
+    };
+
+    const ready = (step) => step.status === 'pending'
+        && step.dependsOn.every(id => TERMINAL.includes(byId.get(id).status));
+
+    const resetLane = (platform) => {
+        for (const step of steps) {
+            if (step.platform === platform && LANE_AGENTS.includes(step.agent)) {
+                step.status = 'pending';
+                step.reason = null;
+            }
+        }
+    };
+
+    const run = async (step) => {
+        const spec = STEP_CATALOG[stepKey(step)];
+        const startedAt = Date.now();
+        step.attempts++;
+        step.status = 'running';
+        options.onStepUpdate?.(step);
+
+        try {
+            const result = await handlers[stepKey(step)](step);
+
+            if (result?.retryLane) {
+                settle(step, 'failed', result.reason || 'retrying', startedAt);
+                resetLane(step.platform);
+            } else if (result?.retryLanes?.length > 0) {
+                settle(step, 'failed', result.reason || 'retrying', startedAt);
+                result.retryLanes.forEach(resetLane);
+                // Runs again once the lanes it sent back are settled
+                step.status = 'pending';
+            } else {
+                settle(step, result?.status || 'completed', result?.reason || null, startedAt);
+            }
+        } catch (error) {
+            if (options.shouldStop?.()) {
+                // Interrupted by cancel/pause, not a failure: a resume runs it again
+                step.status = 'pending';
+                step.attempts--;
+                return;
+            }
+
+            settle(step, 'failed', error.message, startedAt);
+            if (!spec.optional) {
+                step.fatal = true; // Re-run on resume
+                throw error;
+            }
+        }
+
+        // After any lane reset, so a checkpoint never holds a half-reset lane
+        await options.onCheckpoint?.(step);
+    };
+
+    const isLaneStep = (step) => LANE_AGENTS.includes(step.agent);
+    const activeLanes = () => new Set(
+        [...inFlight.keys()].map(id => byId.get(id)).filter(isLaneStep).map(s => s.platform)
+    );
+
+    for (;;) {
+        // Launch everything that is ready, re-scanning while skips unblock further steps
+        let changed = true;
+        while (changed && !fatalError && !options.shouldStop?.()) {
+            changed = false;
+
+            for (const step of steps) {
+                if (fatalError || !ready(step)) continue;
+
+                if (!conditionMet(step, state, options)) {
+                    settle(step, 'skipped', `Condition "${step.when}" not met`);
+                    changed = true;
+                    continue;
+                }
+
+                const lanes = activeLanes();
+                if (isLaneStep(step) && !lanes.has(step.platform) && lanes.size >= concurrency) continue;
+
+                state.currentStep = steps.indexOf(step);
+                const promise = run(step)
+                    .catch(error => { fatalError = fatalError || error; })
+                    .finally(() => inFlight.delete(step.id));
+                inFlight.set(step.id, promise);
+            }
+        }
+
+        if (inFlight.size === 0) break;
+        await Promise.race(inFlight.values());
+    }
+
+    if (fatalError) throw fatalError;
+
+    // A stop requested after the last step settled doesn't interrupt anything
+    const stopError = options.shouldStop?.();
+    if (stopError && steps.some(s => s.status === 'pending')) throw stopError;
+
+    state.currentStep = steps.length;
+    return steps;
+}
+
+module.exports = {
+    STEP_CATALOG,
+    CONDITIONS,
+    defaultPlan,
+    validatePlan,
+    execute
+};
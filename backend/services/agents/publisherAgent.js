@@ -6,33 +6,30 @@
  * - MOCK (default): Simulates publishing for development/testing
  * - LIVE: Real publishing via Ayrshare API
  * 
+ * Formatting and the Ayrshare network come from each platform's definition
+ * (platforms/platformRegistry); platforms without a publish adapter are mock only.
+ *
  * Mode controlled by:
  * 1. PUBLICATION_MODE env variable (global default)
  * 2. Per-request mode override
  */
 
+const charCount = require('@saco/shared/charCount');
 const ayrshareClient = require('../ayrshareClient');
+const platformRegistry = require('../platforms/platformRegistry');
 
 class PublisherAgent {
     constructor() {
         // Default mode from env (safe default: mock)
         this.defaultMode = (process.env.PUBLICATION_MODE || 'mock').toLowerCase();
+    }
 
-        // Platform formatters
-        this.formatters = {
-            twitter: this.formatTwitter.bind(this),
-            linkedin: this.formatLinkedIn.bind(this),
-            email: this.formatEmail.bind(this),
-            instagram: this.formatInstagram.bind(this),
-            blog: this.formatBlog.bind(this)
-        };
-
-        // Ayrshare platform name mapping
-        this.ayrshareMap = {
-            twitter: 'twitter',
-            linkedin: 'linkedin',
-            instagram: 'instagram',
-        };
+    /**
+     * Format a variant for its platform without publishing (the platform definition's formatter)
+     */
+    formatVariant(variant) {
+        const definition = platformRegistry.get(variant.platform);
+        return definition ? definition.format(variant) : this.formatGeneric(variant);
     }
 
     /**
@@ -42,14 +39,13 @@ class PublisherAgent {
      * @param {string} apiKey - Per-user Ayrshare API key (optional)
      */
     async format(variant, modeOverride = null, apiKey = null) {
-        const formatter = this.formatters[variant.platform] || this.formatGeneric.bind(this);
-        const formatted = await formatter(variant);
+        const formatted = this.formatVariant(variant);
 
         // Determine publish mode
         const mode = modeOverride || this.defaultMode;
 
         let publishResult;
-        if (mode === 'live' && this.ayrshareMap[variant.platform] && ayrshareClient.isConfigured(apiKey)) {
+        if (mode === 'live' && platformRegistry.get(variant.platform)?.publish && ayrshareClient.isConfigured(apiKey)) {
             publishResult = await this._publishLive(variant.platform, formatted, variant, apiKey);
         } else {
             publishResult = await this.mockPublish(variant.platform, formatted);
@@ -80,7 +76,7 @@ class PublisherAgent {
                     platform: variant.platform,
                     reviewStatus: variant.status,
                     consistencyScore: variant.consistencyScore,
-                    contentLength: variant.content?.length || 0,
+                    contentLength: charCount.count(variant.content, variant.platform),
                     requestedMode: mode
                 },
                 decided: {
@@ -115,8 +111,8 @@ class PublisherAgent {
     async _publishLive(platform, formatted, variant, apiKey = null) {
         console.log(`[Publisher] LIVE publish to ${platform} via Ayrshare`);
 
-        const ayrPlatform = this.ayrshareMap[platform];
-        if (!ayrPlatform) {
+        const adapter = platformRegistry.get(platform)?.publish;
+        if (!adapter) {
             // Platform not supported by Ayrshare, fallback to mock
             const mockResult = await this.mockPublish(platform, formatted);
             mockResult.fallbackToMock = true;
@@ -125,12 +121,15 @@ class PublisherAgent {
         }
 
         try {
+            const ayrPlatform = adapter.network;
             const payload = {
                 post: formatted.content || formatted.body || formatted.apiFormat?.text || '',
                 platforms: [ayrPlatform],
+                // Platform options, e.g. twitterOptions for a thread
+                ...(adapter.options ? adapter.options(formatted, variant) : {})
             };
 
-            // Attach image if available
+            // Attach image if available (a thread carries it on the first tweet)
             if (variant.image?.url) {
                 payload.mediaUrls = [variant.image.url];
             }
@@ -172,145 +171,6 @@ class PublisherAgent {
         }
     }
 
-    /**
-     * Twitter formatter - handles threads and hashtags
-     */
-    formatTwitter(variant) {
-        let content = variant.content;
-        const hashtags = variant.metadata?.hashtags || [];
-
-        // If content is too long, it should already be a thread format
-        if (!content.includes('1/')) {
-            // Add hashtags if space allows
-            const hashtagStr = hashtags.map(t => `#${t.replace(/^#/, '')}`).join(' ');
-            if (content.length + hashtagStr.length + 1 <= 280) {
-                content = `${content}\n\n${hashtagStr}`;
-            }
-        }
-
-        return {
-            type: 'tweet',
-            content,
-            hashtags,
-            charCount: content.length,
-            isThread: content.includes('/'),
-            apiFormat: {
-                text: content,
-                // reply_settings, etc. would go here
-            }
-        };
-    }
-
-    /**
-     * LinkedIn formatter - professional with engagement hooks
-     */
-    formatLinkedIn(variant) {
-        const content = variant.content;
-        const hashtags = variant.metadata?.hashtags || [];
-
-        // LinkedIn likes hooks and CTAs
-        const formatted = content;
-
-        return {
-            type: 'linkedin_post',
-            content: formatted,
-            hashtags,
-            charCount: formatted.length,
-            apiFormat: {
-                commentary: formatted,
-                visibility: 'PUBLIC'
-            }
-        };
-    }
-
-    /**
-     * Email formatter - subject line and body structure
-     */
-    formatEmail(variant) {
-        const content = variant.content;
-        const hook = variant.metadata?.hook || variant.content.split('\n')[0];
-
-        // Parse subject if included, otherwise use hook
-        let subject = hook.substring(0, 60);
-        let body = content;
-
-        if (content.toLowerCase().includes('subject:')) {
-            const lines = content.split('\n');
-            const subjectLine = lines.find(l => l.toLowerCase().startsWith('subject:'));
-            if (subjectLine) {
-                subject = subjectLine.replace(/^subject:\s*/i, '').substring(0, 60);
-                body = lines.filter(l => !l.toLowerCase().startsWith('subject:')).join('\n').trim();
-            }
-        }
-
-        return {
-            type: 'email_newsletter',
-            subject,
-            body,
-            preview: body.substring(0, 100),
-            charCount: body.length,
-            apiFormat: {
-                subject,
-                html_body: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          ${body.split('\n\n').map(p => `<p>${p}</p>`).join('')}
-        </div>`,
-                plain_body: body
-            }
-        };
-    }
-
-    /**
-     * Instagram formatter - caption with hashtag block
-     */
-    formatInstagram(variant) {
-        const content = variant.content;
-        const hashtags = variant.metadata?.hashtags || [];
-
-        // Instagram: content + line breaks + hashtag block
-        const hashtagBlock = hashtags.map(t => `#${t.replace(/^#/, '')}`).join(' ');
-        const formatted = content.includes('#')
-            ? content
-            : `${content}\n\n.\n.\n.\n\n${hashtagBlock}`;
-
-        return {
-            type: 'instagram_caption',
-            content: formatted,
-            hashtags,
-            charCount: formatted.length,
-            apiFormat: {
-                caption: formatted
-            }
-        };
-    }
-
-    /**
-     * Blog formatter - SEO-ready with headers
-     */
-    formatBlog(variant) {
-        const content = variant.content;
-        const keywords = variant.metadata?.themes || [];
-
-        return {
-            type: 'blog_post',
-            content,
-            charCount: content.length,
-            seoMeta: {
-                title: variant.metadata?.hook || 'Blog Post',
-                description: content.substring(0, 160),
-                keywords
-            },
-            apiFormat: {
-                html: content.split('\n\n').map(p => {
-                    if (p.startsWith('# ')) return `<h1>${p.substring(2)}</h1>`;
-                    if (p.startsWith('## ')) return `<h2>${p.substring(3)}</h2>`;
-                    if (p.startsWith('### ')) return `<h3>${p.substring(4)}</h3>`;
-                    return `<p>${p}</p>`;
-                }).join('\n'),
-                markdown: content
-            }
-        };
-    }
-
     /**
      * Generic formatter fallback
      */
@@ -318,7 +178,7 @@ class PublisherAgent {
         return {
             type: 'generic',
             content: variant.content,
-            charCount: variant.content.length,
+            charCount: charCount.count(variant.content, variant.platform),
             apiFormat: { text: variant.content }
         };
     }
@@ -3,17 +3,17 @@
  * Analyzes failures and proposes fix strategies for self-correction
  * 
  * When verifiers fail, this module reflects on "why" and suggests
- * concrete changes for the next retry attempt.
+ * concrete changes for the next retry attempt. Strategies that fixed similar
+ * failures before (reflection memory) are offered as a starting point.
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const llmProvider = require('../llm/providerRegistry');
 
 // Low temperature for analytical reasoning
-const llm = new ChatGroq({
-    model: 'llama-3.3-70b-versatile',
+const llm = llmProvider.getChatModel('reflector', {
     temperature: 0.2
 });
 
@@ -33,6 +33,24 @@ PREVIOUS ATTEMPTS (if any):
 THE FAILED CONTENT:
 {content}
 
+BRAND COHERENCE ISSUES (contradictions with the brand's stances in graph memory):
+{coherence}
+
+UNSUPPORTED CLAIMS (facts in the content that the source does not contain):
+{unsupportedClaims}
+Remove these or replace them with what the source actually says - never invent facts.
+
+KEY MESSAGES MISSING (the source's main takeaways this platform must carry):
+{missingMessages}
+
+CONFLICTS WITH THE OTHER VARIANTS OF THIS RUN:
+{consistencyConflicts}
+State each of these exactly as the canonical value given - every platform must tell the same facts.
+
+STRATEGIES THAT FIXED SIMILAR FAILURES BEFORE (same brand and platform):
+{pastStrategies}
+Reuse one if it fits this failure; otherwise propose something new.
+
 Analyze WHY this failed and provide a concrete strategy to fix it.
 
 Respond in JSON format:
@@ -61,7 +79,12 @@ async function reflect(error, context) {
         platform = 'unknown',
         goal = 'content repurposing',
         history = [],
-        content = ''
+        content = '',
+        coherenceIssues = [],
+        unsupportedClaims = [],
+        consistencyConflicts = [],
+        missingMessages = [],
+        pastStrategies = []
     } = context;
 
     try {
@@ -72,7 +95,20 @@ async function reflect(error, context) {
             history: history.length > 0
                 ? history.map((h, i) => `Attempt ${i + 1}: ${h.decision} - ${h.reasoning}`).join('\n')
                 : 'No previous attempts',
-            content: content.substring(0, 500) // Limit content length
+            content: content.substring(0, 500), // Limit content length
+            coherence: coherenceIssues.length > 0 ? coherenceIssues.join('\n') : 'None',
+            unsupportedClaims: unsupportedClaims.length > 0
+                ? unsupportedClaims.map(c => `- ${c.type}: ${c.text}`).join('\n')
+                : 'None',
+            missingMessages: missingMessages.length > 0
+                ? missingMessages.map(m => `- ${m}`).join('\n')
+                : 'None',
+            consistencyConflicts: consistencyConflicts.length > 0
+                ? consistencyConflicts.map(c => `- ${c.label}: "${c.value}" → ${c.canonical ? `use "${c.canonical}"` : 'variants disagree and the source does not settle it; leave it out'}`).join('\n')
+                : 'None',
+            pastStrategies: pastStrategies.length > 0
+                ? pastStrategies.map(p => `- [${p.failedChecks.join(', ')}] ${p.strategy} (fixed ${p.fixes}x)`).join('\n')
+                : 'None recorded'
         });
 
         // Strip markdown code blocks if present
@@ -83,25 +119,63 @@ async function reflect(error, context) {
 
         const result = JSON.parse(cleanResponse);
 
-        return {
+        return withCanonicalValues({
             canFix: result.canFix ?? true,
             rootCause: result.rootCause || 'Unknown',
             strategy: result.strategy || 'Retry with more careful attention to requirements',
             focusAreas: result.focusAreas || [],
             avoidPatterns: result.avoidPatterns || []
-        };
+        }, consistencyConflicts);
     } catch (parseError) {
         console.warn('[Reflector] Failed to parse reflection:', parseError.message);
 
         // Fallback: simple heuristic-based reflection
-        return heuristicReflection(error, context);
+        return withCanonicalValues(heuristicReflection(error, context), consistencyConflicts);
     }
 }
 
+/**
+ * Instruction carrying the canonical value of each cross-variant conflict
+ */
+function canonicalInstruction(conflicts = []) {
+    const use = conflicts.filter(c => c.canonical).map(c => `${c.label} "${c.canonical}" (not "${c.value}")`);
+    const drop = conflicts.filter(c => !c.canonical).map(c => `${c.label} "${c.value}"`);
+
+    return [
+        use.length > 0 ? `Match the other variants and the source: use ${use.join(', ')}.` : null,
+        drop.length > 0 ? `Leave out ${drop.join(', ')} - the variants disagree and the source does not settle it.` : null
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * A cross-variant retry has to carry the canonical values, whatever strategy was proposed
+ */
+function withCanonicalValues(reflection, conflicts) {
+    const instruction = canonicalInstruction(conflicts);
+    if (!instruction || reflection.strategy.includes(instruction)) return reflection;
+    return { ...reflection, strategy: `${reflection.strategy} ${instruction}` };
+}
+
 /**
  * Heuristic-based reflection when LLM fails
+ * A strategy that already fixed this kind of failure beats the generic one.
  */
 function heuristicReflection(error, context) {
+    const reflection = patternReflection(error, context);
+    const proven = context.pastStrategies?.[0];
+
+    if (!proven) return reflection;
+    return {
+        ...reflection,
+        strategy: proven.strategy,
+        focusAreas: [...reflection.focusAreas, `Proven fix (${proven.fixes}x): ${proven.strategy}`].slice(0, 5)
+    };
+}
+
+/**
+ * Pattern matching for common failures
+ */
+function patternReflection(error, context) {
     const errorStr = typeof error === 'string' ? error : JSON.stringify(error);
 
     // Pattern matching for common failures
@@ -115,6 +189,26 @@ function heuristicReflection(error, context) {
         };
     }
 
+    if (errorStr.includes('Tweet(s) too long')) {
+        return {
+            canFix: true,
+            rootCause: 'Thread tweets exceeded the per-tweet limit',
+            strategy: 'Keep every tweet of the thread under 280 characters: split an overlong tweet in two or cut it to its point.',
+            focusAreas: ['One idea per tweet', 'Shorten the overlong tweets', 'Links count as 23 characters, emoji as 2'],
+            avoidPatterns: ['Several points in one tweet', 'Long lists inside a tweet']
+        };
+    }
+
+    if (errorStr.includes('Thread too long')) {
+        return {
+            canFix: true,
+            rootCause: 'Thread had more tweets than allowed',
+            strategy: 'Write fewer tweets: merge related points and drop the minor ones.',
+            focusAreas: ['Merge related tweets', 'Keep only the key points'],
+            avoidPatterns: ['One sentence per tweet', 'Repeating points across tweets']
+        };
+    }
+
     if (errorStr.includes('too long')) {
         return {
             canFix: true,
@@ -135,6 +229,50 @@ function heuristicReflection(error, context) {
         };
     }
 
+    if (errorStr.includes('Cross-variant conflict')) {
+        const conflicts = context.consistencyConflicts || [];
+        return {
+            canFix: true,
+            rootCause: 'Content states a fact differently from the other variants of this run',
+            strategy: canonicalInstruction(conflicts) || 'State numbers, dates, offers and calls to action exactly as the source does.',
+            focusAreas: ['Use the canonical numbers, dates and names', 'Keep the same call to action as the other variants'],
+            avoidPatterns: conflicts.map(c => c.value).filter(Boolean)
+        };
+    }
+
+    if (errorStr.includes('Key messages missing')) {
+        const missing = context.missingMessages || [];
+        return {
+            canFix: true,
+            rootCause: 'Content leaves out key messages of the source',
+            strategy: `Make sure the post clearly states: ${missing.map(m => `"${m}"`).join('; ') || 'the source\'s main takeaways'}.`,
+            focusAreas: ['Lead with the primary message', 'Cut secondary detail to make room'],
+            avoidPatterns: ['Topic mentions without the actual message']
+        };
+    }
+
+    if (errorStr.includes('Unsupported claims')) {
+        const claims = (context.unsupportedClaims || []).map(c => c.text);
+        return {
+            canFix: true,
+            rootCause: 'Content states facts that are not in the source',
+            strategy: `Use only facts from the source content. Remove or correct: ${claims.slice(0, 5).join(', ') || 'the unsupported claims'}.`,
+            focusAreas: ['Copy numbers, dates and names exactly from the source', 'Drop claims the source does not make'],
+            avoidPatterns: claims
+        };
+    }
+
+    // Before 'forbidden': coherence issues can mention forbidden phrases from the graph
+    if (errorStr.includes('coherence')) {
+        return {
+            canFix: true,
+            rootCause: 'Content contradicts the brand\'s stances',
+            strategy: 'Rephrase to stay consistent with the brand\'s positions; drop the conflicting claims.',
+            focusAreas: ['Brand stances', 'Remove conflicting statements'],
+            avoidPatterns: context.coherenceIssues || []
+        };
+    }
+
     if (errorStr.includes('forbidden')) {
         return {
             canFix: true,
@@ -0,0 +1,96 @@
+/**
+ * Review Calibration
+ * Maps the Reviewer's raw ensemble score to the chance a brand would approve
+ *
+ * Each brand can keep a labelled set of approved / rejected examples
+ * (BrandDNA.calibration.examples). Fitting reviews every example and fits a
+ * one-feature logistic regression from raw score to approval; the calibrated
+ * score is that probability in percent, so the 80% gate means "four in five
+ * posts scored like this were approved". Brands without a fit, or whose examples
+ * changed since the last fit, use raw scores.
+ */
+
+// Fewest examples per label before a fit means anything
+const MIN_PER_LABEL = 2;
+// Most examples a brand keeps - fitting reviews each one inside the request
+const MAX_EXAMPLES = parseInt(process.env.CALIBRATION_MAX_EXAMPLES, 10) || 40;
+
+const ITERATIONS = 2000;
+const LEARNING_RATE = 0.1;
+// Keeps perfectly separable sets from pushing the slope to infinity
+const L2_PENALTY = 0.01;
+
+// Raw scores are centred and scaled before fitting
+const CENTER = 50;
+const SCALE = 25;
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Fit raw score → approval probability
+ * @param {Object[]} points - [{ score, label: 'approved' | 'rejected' }]
+ * @returns {Object} { slope, intercept, samples, approved, rejected, accuracy, fittedAt }
+ */
+function fit(points) {
+    const data = points
+        .filter(p => Number.isFinite(p.score) && ['approved', 'rejected'].includes(p.label))
+        .map(p => ({ x: (p.score - CENTER) / SCALE, y: p.label === 'approved' ? 1 : 0 }));
+
+    const approved = data.filter(d => d.y === 1).length;
+    const rejected = data.length - approved;
+    if (approved < MIN_PER_LABEL || rejected < MIN_PER_LABEL) {
+        throw Object.assign(
+            new Error(`Calibration needs at least ${MIN_PER_LABEL} approved and ${MIN_PER_LABEL} rejected examples (have ${approved} / ${rejected})`),
+            { code: 'INSUFFICIENT_EXAMPLES' }
+        );
+    }
+
+    let slope = 1;
+    let intercept = 0;
+    for (let i = 0; i < ITERATIONS; i++) {
+        let gradSlope = 0;
+        let gradIntercept = 0;
+        for (const { x, y } of data) {
+            const error = sigmoid(slope * x + intercept) - y;
+            gradSlope += error * x;
+            gradIntercept += error;
+        }
+        slope -= LEARNING_RATE * (gradSlope / data.length + L2_PENALTY * slope);
+        intercept -= LEARNING_RATE * (gradIntercept / data.length);
+    }
+
+    const correct = data.filter(({ x, y }) => (sigmoid(slope * x + intercept) >= 0.5 ? 1 : 0) === y).length;
+
+    return {
+        slope,
+        intercept,
+        samples: data.length,
+        approved,
+        rejected,
+        accuracy: Math.round((correct / data.length) * 100),
+        fittedAt: new Date(),
+        stale: false
+    };
+}
+
+/**
+ * Calibrated score for a raw score, or null when the brand has no usable fit
+ * (a stale fit - examples changed since fitting - is not used until refitted)
+ */
+function apply(calibration, rawScore) {
+    if (calibration?.stale) return null;
+    if (!Number.isFinite(calibration?.slope) || !Number.isFinite(calibration?.intercept) || !Number.isFinite(rawScore)) {
+        return null;
+    }
+    const x = (rawScore - CENTER) / SCALE;
+    return Math.round(sigmoid(calibration.slope * x + calibration.intercept) * 100);
+}
+
+module.exports = {
+    MIN_PER_LABEL,
+    MAX_EXAMPLES,
+    fit,
+    apply
+};
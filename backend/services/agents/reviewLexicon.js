@@ -0,0 +1,131 @@
+/**
+ * Review Lexicon
+ * Deterministic half of the Reviewer's score
+ *
+ * LLM judges drift between samples; word lists do not. For the dimensions a
+ * lexicon can actually measure, the Reviewer blends these scores into the
+ * judges' median:
+ * - keywords: share of the brand's must-use keywords present
+ * - avoidWords: penalty per avoid-word found
+ * - tone: markers and clashes for the brand's tone (professional, casual, ...)
+ * A dimension is null when the brand gives nothing to measure it against.
+ */
+
+// Share of the final dimension score taken from the lexicon
+const LEXICAL_WEIGHTS = {
+    keywords: 0.5,
+    avoidWords: 0.5,
+    tone: 0.25
+};
+
+// Words and punctuation that signal (markers) or break (clashes) a tone
+const TONE_LEXICON = {
+    professional: {
+        markers: ['strategy', 'insight', 'results', 'process', 'data', 'growth', 'effective', 'clarity', 'teams', 'organizations'],
+        clashes: ['lol', 'omg', 'dude', 'gonna', 'wanna', 'crazy', '!!!']
+    },
+    casual: {
+        markers: ['hey', "let's", 'super', 'pretty', 'stuff', 'fun', 'honestly', 'cool'],
+        clashes: ['furthermore', 'henceforth', 'pursuant', 'herein', 'aforementioned']
+    },
+    friendly: {
+        markers: ['you', 'your', 'together', 'thanks', 'welcome', 'happy', 'help'],
+        clashes: ['must comply', 'failure to', 'pursuant', 'obviously']
+    },
+    inspirational: {
+        markers: ['imagine', 'future', 'believe', 'possible', 'together', 'inspire', 'change', 'dream'],
+        clashes: ['impossible', 'hopeless', 'pointless', 'give up']
+    },
+    authoritative: {
+        markers: ['research', 'evidence', 'proven', 'data', 'analysis', 'experts', 'according'],
+        clashes: ['maybe', 'i guess', 'kinda', 'sort of', 'not sure']
+    },
+    playful: {
+        markers: ['fun', 'oh', 'wow', 'yay', 'guess what', 'spoiler'],
+        clashes: ['pursuant', 'herein', 'aforementioned', 'compliance']
+    },
+    educational: {
+        markers: ['learn', 'how to', 'step', 'example', 'means', 'because', 'guide', 'tip'],
+        clashes: ['trust me', 'just believe', 'no need to understand']
+    }
+};
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word, case-insensitive match (plain substring for punctuation-only terms)
+ */
+function contains(text, term) {
+    const clean = (term || '').trim();
+    if (!clean) return false;
+    if (!/\w/.test(clean)) return text.includes(clean);
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(clean)}($|[^\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+function clamp(score) {
+    return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+function keywordScore(text, keywords) {
+    const terms = (keywords || []).filter(k => k?.trim());
+    if (terms.length === 0) return { score: null, found: [], missing: [] };
+
+    const found = terms.filter(term => contains(text, term));
+    return {
+        score: clamp((found.length / terms.length) * 100),
+        found,
+        missing: terms.filter(term => !found.includes(term))
+    };
+}
+
+function avoidWordScore(text, avoidWords) {
+    const terms = (avoidWords || []).filter(w => w?.trim());
+    if (terms.length === 0) return { score: null, found: [] };
+
+    const found = terms.filter(term => contains(text, term));
+    return { score: clamp(100 - found.length * 50), found };
+}
+
+function toneScore(text, tone) {
+    const wanted = Object.keys(TONE_LEXICON).filter(name => contains(tone || '', name));
+    if (wanted.length === 0) return { score: null, tones: [], markers: [], clashes: [] };
+
+    const markers = new Set();
+    const clashes = new Set();
+    for (const name of wanted) {
+        TONE_LEXICON[name].markers.filter(term => contains(text, term)).forEach(term => markers.add(term));
+        TONE_LEXICON[name].clashes.filter(term => contains(text, term)).forEach(term => clashes.add(term));
+    }
+
+    return {
+        score: clamp(70 + Math.min(markers.size, 5) * 6 - clashes.size * 15),
+        tones: wanted,
+        markers: [...markers],
+        clashes: [...clashes]
+    };
+}
+
+/**
+ * Lexical scores for a variant against its brand
+ * @param {string} content
+ * @param {object} brandDNA
+ * @returns {Object} { keywords, avoidWords, tone } - each { score (0-100 or null), ...matches }
+ */
+function score(content, brandDNA) {
+    const text = content || '';
+    const guidelines = brandDNA?.guidelines || {};
+
+    return {
+        keywords: keywordScore(text, guidelines.keywords),
+        avoidWords: avoidWordScore(text, guidelines.avoidWords),
+        tone: toneScore(text, guidelines.tone)
+    };
+}
+
+module.exports = {
+    LEXICAL_WEIGHTS,
+    TONE_LEXICON,
+    score
+};
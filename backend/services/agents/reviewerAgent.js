@@ -6,25 +6,123 @@
  * - Scores variants against brand DNA (threshold: 80%)
  * - Uses cosine similarity on embeddings for semantic matching
  * - Flags low-score content for human review (HOTL)
+ *
+ * One LLM sample is too noisy for a hard gate, so a review is an ensemble:
+ * - Several judge samples (REVIEW_SAMPLES, default 3), or several judge models
+ *   (REVIEW_JUDGES=provider:model,...), combined per dimension by median
+ * - A deterministic lexical score (reviewLexicon) blended into keywords,
+ *   avoid-words and tone
+ * - Per-brand calibration (reviewCalibration) of the raw score against
+ *   labelled approved / rejected examples, when the brand has a fit
+ * Sample spread is reported as variance alongside the per-dimension breakdown.
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
 const vectorStore = require('../vectorStore');
+const llmProvider = require('../llm/providerRegistry');
+const reviewLexicon = require('./reviewLexicon');
+const reviewCalibration = require('./reviewCalibration');
 
 // Threshold from sources: 80% consistency required
 const CONSISTENCY_THRESHOLD = 80;
 
-class ReviewerAgent {
-    constructor() {
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
-            temperature: 0.1
+// Weighted average of the review dimensions
+const DIMENSION_WEIGHTS = {
+    tone: 0.30,
+    values: 0.25,
+    keywords: 0.15,
+    avoidWords: 0.15,
+    audience: 0.15
+};
+
+const REVIEW_SAMPLES = Math.max(1, parseInt(process.env.REVIEW_SAMPLES, 10) || 1);
+
+/**
+ * Judges from REVIEW_JUDGES ("groq:llama-3.3-70b-versatile,openai:gpt-4o-mini" or bare
+ * model names for the reviewer's provider); otherwise REVIEW_SAMPLES samples of the reviewer model
+ */
+function judgeConfigs() {
+    const configured = (process.env.REVIEW_JUDGES || '').split(',').map(j => j.trim()).filter(Boolean);
+    if (configured.length > 0) {
+        return configured.map((entry) => {
+            const [first, ...rest] = entry.split(':');
+            const overrides = rest.length > 0 ? { provider: first, model: rest.join(':') } : { model: first };
+            return { name: entry, temperature: 0.1, overrides };
         });
+    }
+
+    // The first sample stays near-deterministic; the others explore a little
+    return Array.from({ length: REVIEW_SAMPLES }, (_, i) => ({
+        name: `sample-${i + 1}`,
+        temperature: i === 0 ? 0.1 : 0.4,
+        overrides: {}
+    }));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stdDev(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Weighted overall score over the dimensions that have a value
+ */
+function weightedScore(scores) {
+    const present = Object.keys(DIMENSION_WEIGHTS).filter(dim => Number.isFinite(scores?.[dim]));
+    if (present.length === 0) return null;
+
+    const weight = present.reduce((sum, dim) => sum + DIMENSION_WEIGHTS[dim], 0);
+    return Math.round(present.reduce((sum, dim) => sum + scores[dim] * DIMENSION_WEIGHTS[dim], 0) / weight);
+}
 
+/**
+ * Last resort when no judge returned JSON: pull scores out of prose
+ */
+function extractProseScores(response) {
+    // Extract scores from prose like "Score: 90" or "Tone Match: 85"
+    const extractScore = (text, patterns) => {
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) return parseInt(match[1], 10);
+        }
+        return null;
+    };
+
+    return {
+        tone: extractScore(response, [
+            /tone(?:\s+match)?[:\s]+(\d+)/i,
+            /\*\*tone(?:\s+match)?[:\s*]*\**\s*[^0-9]*(\d+)/i
+        ]) || 85,
+        values: extractScore(response, [
+            /value(?:s)?(?:\s+alignment)?[:\s]+(\d+)/i,
+            /\*\*value(?:s)?(?:\s+alignment)?[:\s*]*\**\s*[^0-9]*(\d+)/i
+        ]) || 85,
+        keywords: extractScore(response, [
+            /keyword(?:s)?(?:\s+usage)?[:\s]+(\d+)/i,
+            /\*\*keyword(?:s)?(?:\s+usage)?[:\s*]*\**\s*[^0-9]*(\d+)/i
+        ]) || 80,
+        avoidWords: extractScore(response, [
+            /avoid(?:\s+words)?(?:\s+check)?[:\s]+(\d+)/i,
+            /\*\*avoid(?:\s+words)?[:\s*]*\**\s*[^0-9]*(\d+)/i
+        ]) || 90,
+        audience: extractScore(response, [
+            /audience(?:\s+fit)?[:\s]+(\d+)/i,
+            /\*\*audience(?:\s+fit)?[:\s*]*\**\s*[^0-9]*(\d+)/i
+        ]) || 85
+    };
+}
+
+class ReviewerAgent {
+    constructor() {
         this.reviewPrompt = PromptTemplate.fromTemplate(`
 You are the Reviewer Agent - a brand consistency auditor for SACO.
 Score the following content variant against the brand guidelines.
@@ -36,6 +134,10 @@ Content: {content}
 BRAND DNA:
 {brandDNA}
 
+PROJECT CONTEXT:
+{projectContext}
+(Where PROJECT DIRECTION is given, score tone and audience fit against it rather than the brand defaults.)
+
 REVIEW CRITERIA:
 1. Tone Match (0-100): Does the tone align with brand voice?
 2. Value Alignment (0-100): Are brand values reflected?
@@ -68,116 +170,165 @@ Output as JSON (IMPORTANT: output ONLY the JSON object, no markdown, no code blo
 THRESHOLD: Content must score >= {threshold} to pass.
 `);
 
-        this.chain = RunnableSequence.from([
-            this.reviewPrompt,
-            this.llm,
-            new StringOutputParser()
-        ]);
+        this.judges = judgeConfigs().map(judge => ({
+            name: judge.name,
+            chain: RunnableSequence.from([
+                this.reviewPrompt,
+                llmProvider.getChatModel('reviewer', { temperature: judge.temperature }, judge.overrides),
+                new StringOutputParser()
+            ])
+        }));
+    }
+
+    /**
+     * Parse one judge's response
+     * @returns {Object} { judge, parsed, scores, overallScore, feedback, suggestions }
+     */
+    parseSample(response, judge) {
+        try {
+            // Strip markdown code blocks if present (LLM often wraps JSON in ```json ... ```)
+            let cleanResponse = response.trim();
+            if (cleanResponse.startsWith('```')) {
+                cleanResponse = cleanResponse
+                    .replace(/^```(?:json)?[\r\n]*/i, '')
+                    .replace(/[\r\n]*```$/g, '')
+                    .trim();
+            }
+
+            const result = JSON.parse(cleanResponse);
+            const scores = {};
+            for (const dim of Object.keys(DIMENSION_WEIGHTS)) {
+                const value = Number(result.scores?.[dim]);
+                if (Number.isFinite(value)) scores[dim] = value;
+            }
+            const overallScore = weightedScore(scores) ?? Number(result.overallScore);
+            if (!Number.isFinite(overallScore)) return null;
+
+            return {
+                judge,
+                parsed: true,
+                scores,
+                overallScore,
+                feedback: result.feedback,
+                suggestions: result.suggestions || []
+            };
+        } catch (parseError) {
+            console.warn(`[Reviewer] ${judge} returned prose - extracting scores`);
+            const scores = extractProseScores(response);
+            return {
+                judge,
+                parsed: false,
+                scores,
+                overallScore: weightedScore(scores),
+                feedback: 'Scores extracted from LLM prose response.',
+                suggestions: []
+            };
+        }
+    }
+
+    /**
+     * Combine judge samples and lexical scores into one review
+     * @returns {Object} { scores, rawScore, dimensions, variance }
+     */
+    combine(samples, lexical) {
+        const scores = {};
+        const dimensions = {};
+
+        for (const dim of Object.keys(DIMENSION_WEIGHTS)) {
+            const values = samples.map(s => s.scores[dim]).filter(Number.isFinite);
+            const llm = values.length > 0 ? median(values) : null;
+            const lex = lexical[dim]?.score ?? null;
+            const weight = reviewLexicon.LEXICAL_WEIGHTS[dim] || 0;
+
+            let final = llm;
+            if (llm !== null && lex !== null) final = llm * (1 - weight) + lex * weight;
+            else if (llm === null) final = lex;
+
+            if (final !== null) scores[dim] = Math.round(final);
+            dimensions[dim] = {
+                llm: llm !== null ? Math.round(llm) : null,
+                lexical: lex,
+                final: final !== null ? Math.round(final) : null,
+                stdDev: Math.round(stdDev(values) * 10) / 10
+            };
+        }
+
+        const overalls = samples.map(s => s.overallScore);
+        return {
+            scores,
+            rawScore: weightedScore(scores) ?? Math.round(median(overalls)),
+            dimensions,
+            variance: {
+                stdDev: Math.round(stdDev(overalls) * 10) / 10,
+                range: Math.round(Math.max(...overalls) - Math.min(...overalls))
+            }
+        };
     }
 
     /**
      * Review a content variant for brand consistency
      * @param {object} variant - Generated variant
      * @param {object} brandDNA - Brand guidelines
+     * @param {object} context - Assembled project overrides and brand beliefs (contextAssembler)
      */
-    async review(variant, brandDNA = null) {
+    async review(variant, brandDNA = null, context = null) {
         // If no brand DNA, use semantic similarity as backup
         if (!brandDNA || !brandDNA.rawText) {
             return this.semanticReview(variant);
         }
 
         try {
-            const response = await this.chain.invoke({
+            const input = {
                 platform: variant.platform,
                 content: variant.content,
                 brandDNA: brandDNA.rawText,
+                projectContext: context?.text || 'None',
                 threshold: CONSISTENCY_THRESHOLD
-            });
+            };
 
-            let result;
-            try {
-                // Strip markdown code blocks if present (LLM often wraps JSON in ```json ... ```)
-                let cleanResponse = response.trim();
-
-                // More robust code block stripping
-                if (cleanResponse.startsWith('```')) {
-                    cleanResponse = cleanResponse
-                        .replace(/^```(?:json)?[\r\n]*/i, '')
-                        .replace(/[\r\n]*```$/g, '')
-                        .trim();
-                }
+            const settled = await Promise.allSettled(this.judges.map(judge => judge.chain.invoke(input)));
+            const samples = settled
+                .map((outcome, i) => (outcome.status === 'fulfilled' ? this.parseSample(outcome.value, this.judges[i].name) : null))
+                .filter(Boolean);
+            if (samples.length === 0) {
+                throw settled.find(outcome => outcome.status === 'rejected')?.reason || new Error('No judge returned a review');
+            }
 
-                result = JSON.parse(cleanResponse);
-            } catch (parseError) {
-                // LLM returned prose - try to extract scores from text
-                console.warn('[Reviewer] Parsing prose response to extract scores...');
+            // Prose-scraped scores only count when no judge returned JSON
+            const used = samples.some(s => s.parsed) ? samples.filter(s => s.parsed) : samples;
+            const lexical = reviewLexicon.score(variant.content, brandDNA);
+            const { scores, rawScore, dimensions, variance } = this.combine(used, lexical);
 
-                // Extract scores from prose like "Score: 90" or "Tone Match: 85"
-                const extractScore = (text, patterns) => {
-                    for (const pattern of patterns) {
-                        const match = text.match(pattern);
-                        if (match) return parseInt(match[1], 10);
-                    }
-                    return null;
-                };
-
-                const toneScore = extractScore(response, [
-                    /tone(?:\s+match)?[:\s]+(\d+)/i,
-                    /\*\*tone(?:\s+match)?[:\s*]*\**\s*[^0-9]*(\d+)/i
-                ]) || 85;
-
-                const valuesScore = extractScore(response, [
-                    /value(?:s)?(?:\s+alignment)?[:\s]+(\d+)/i,
-                    /\*\*value(?:s)?(?:\s+alignment)?[:\s*]*\**\s*[^0-9]*(\d+)/i
-                ]) || 85;
-
-                const keywordsScore = extractScore(response, [
-                    /keyword(?:s)?(?:\s+usage)?[:\s]+(\d+)/i,
-                    /\*\*keyword(?:s)?(?:\s+usage)?[:\s*]*\**\s*[^0-9]*(\d+)/i
-                ]) || 80;
-
-                const avoidScore = extractScore(response, [
-                    /avoid(?:\s+words)?(?:\s+check)?[:\s]+(\d+)/i,
-                    /\*\*avoid(?:\s+words)?[:\s*]*\**\s*[^0-9]*(\d+)/i
-                ]) || 90;
-
-                const audienceScore = extractScore(response, [
-                    /audience(?:\s+fit)?[:\s]+(\d+)/i,
-                    /\*\*audience(?:\s+fit)?[:\s*]*\**\s*[^0-9]*(\d+)/i
-                ]) || 85;
-
-                // Calculate weighted overall score
-                const overallScore = Math.round(
-                    toneScore * 0.30 +
-                    valuesScore * 0.25 +
-                    keywordsScore * 0.15 +
-                    avoidScore * 0.15 +
-                    audienceScore * 0.15
-                );
+            const calibration = brandDNA.calibration?.fit;
+            const calibrated = reviewCalibration.apply(calibration, rawScore);
+            const score = calibrated ?? rawScore;
+            const passed = score >= CONSISTENCY_THRESHOLD;
 
-                console.log(`[Reviewer] Extracted scores: tone=${toneScore}, values=${valuesScore}, keywords=${keywordsScore}, avoid=${avoidScore}, audience=${audienceScore} -> overall=${overallScore}`);
+            // Feedback from the judge closest to the ensemble
+            const representative = [...used].sort((a, b) => Math.abs(a.overallScore - rawScore) - Math.abs(b.overallScore - rawScore))[0];
+            const suggestions = [...new Set(used.flatMap(s => s.suggestions))].slice(0, 5);
 
-                result = {
-                    scores: {
-                        tone: toneScore,
-                        values: valuesScore,
-                        keywords: keywordsScore,
-                        avoidWords: avoidScore,
-                        audience: audienceScore
-                    },
-                    overallScore,
-                    passed: overallScore >= CONSISTENCY_THRESHOLD,
-                    feedback: 'Scores extracted from LLM prose response.',
-                    suggestions: []
-                };
-            }
+            console.log(`[Reviewer] ${variant.platform}: ${used.length} judge sample(s) -> raw ${rawScore} (±${variance.stdDev})${calibrated !== null ? `, calibrated ${calibrated}` : ''}`);
 
             return {
-                score: result.overallScore,
-                passed: result.overallScore >= CONSISTENCY_THRESHOLD,
-                feedback: result.feedback,
-                scores: result.scores,
-                suggestions: result.suggestions || [],
+                score,
+                passed,
+                feedback: representative.feedback,
+                scores,
+                suggestions,
+                breakdown: {
+                    rawScore,
+                    calibrated: calibrated !== null,
+                    judges: used.map(s => s.judge),
+                    samples: used.map(s => s.overallScore),
+                    variance,
+                    dimensions,
+                    lexical: {
+                        keywordsMissing: lexical.keywords.missing || [],
+                        avoidWordsFound: lexical.avoidWords.found || [],
+                        toneClashes: lexical.tone.clashes || []
+                    }
+                },
                 // Trace: captures what this agent received, decided, and passed on
                 trace: {
                     agent: 'reviewer',
@@ -185,19 +336,24 @@ THRESHOLD: Content must score >= {threshold} to pass.
                         platform: variant.platform,
                         contentLength: variant.content?.length || 0,
                         contentPreview: variant.content?.substring(0, 100),
-                        hasBrandDNA: !!brandDNA
+                        hasBrandDNA: !!brandDNA,
+                        context: context ? { tokens: context.tokens, used: context.used, dropped: context.dropped, truncated: context.truncated } : null
                     },
                     decided: {
-                        scores: result.scores,
-                        overallScore: result.overallScore,
+                        scores,
+                        judges: used.map(s => ({ judge: s.judge, score: s.overallScore, parsed: s.parsed })),
+                        rawScore,
+                        calibratedScore: calibrated,
+                        variance,
+                        overallScore: score,
                         threshold: CONSISTENCY_THRESHOLD,
-                        passed: result.overallScore >= CONSISTENCY_THRESHOLD,
-                        reasoning: result.feedback
+                        passed,
+                        reasoning: representative.feedback
                     },
                     passedOn: {
-                        verdict: result.overallScore >= CONSISTENCY_THRESHOLD ? 'approved' : 'flagged',
-                        score: result.overallScore,
-                        suggestions: result.suggestions || []
+                        verdict: passed ? 'approved' : 'flagged',
+                        score,
+                        suggestions
                     }
                 }
             };
@@ -210,6 +366,36 @@ THRESHOLD: Content must score >= {threshold} to pass.
         }
     }
 
+    /**
+     * Fit the brand's score calibration from its labelled examples
+     * Fitting uses raw (uncalibrated) ensemble scores; examples whose review fell back to
+     * semantic scoring are on another scale and are skipped. Throws INSUFFICIENT_EXAMPLES
+     * when a label has too few usable examples.
+     * @param {object} brandDNA
+     * @returns {Object} { fit, points } - fit is stored on brandDNA.calibration.fit
+     */
+    async calibrate(brandDNA) {
+        const points = [];
+        // Newest examples first in line if a brand holds more than the cap
+        const examples = (brandDNA.calibration?.examples || []).slice(-reviewCalibration.MAX_EXAMPLES);
+        for (const example of examples) {
+            const result = await this.review({ platform: example.platform || 'generic', content: example.content }, brandDNA);
+            const rawScore = result.breakdown?.rawScore;
+            points.push({
+                exampleId: example._id,
+                label: example.label,
+                score: Number.isFinite(rawScore) ? rawScore : null,
+                ...(Number.isFinite(rawScore) ? {} : { skipped: 'Judge review failed (semantic fallback score not comparable)' })
+            });
+        }
+        const skipped = points.filter(p => p.skipped).length;
+        if (skipped > 0) {
+            console.warn(`[Reviewer] Calibration skipped ${skipped} example(s) whose judge review failed`);
+        }
+
+        return { fit: reviewCalibration.fit(points), points };
+    }
+
     /**
      * Fallback: Score using embedding similarity
      * Uses cosine similarity between content and brand DNA embeddings
@@ -0,0 +1,167 @@
+/**
+ * Run Control
+ * Cancel and pause requests for orchestration runs in progress
+ *
+ * Each run executing in this process registers a controller. A request reaches
+ * it directly when the run is local, and through the run's checkpoint record
+ * (OrchestrationRun.control, polled every ORCHESTRATION_CONTROL_POLL_MS) when
+ * a separate worker process is executing it. Requests are also kept on the
+ * running job (Job.control), so one made after the worker claimed the job but
+ * before the Manager registered the run is applied when it registers.
+ *
+ * - cancel: aborts in-flight LLM calls immediately, no further steps run and
+ *   nothing more is published
+ * - pause: steps already running finish, then the run stops and is
+ *   checkpointed; the resume endpoint continues it later
+ *
+ * The Manager checks cooperatively (between steps and before each publish) via
+ * throwIfStopped(); the error it throws carries code ORCHESTRATION_CANCELLED
+ * or ORCHESTRATION_PAUSED.
+ */
+
+const mongoose = require('mongoose');
+const OrchestrationRun = require('../../models/OrchestrationRun');
+const jobQueue = require('../jobQueue');
+
+const STOP_CODES = {
+    cancel: 'ORCHESTRATION_CANCELLED',
+    pause: 'ORCHESTRATION_PAUSED'
+};
+
+class RunController {
+    constructor(contentId) {
+        this.contentId = contentId;
+        this.abortController = new AbortController();
+        this.requested = null; // null | 'pause' | 'cancel'
+        this.error = null;
+    }
+
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    get cancelled() {
+        return this.requested === 'cancel';
+    }
+
+    request(action) {
+        if (this.cancelled || this.requested === action) return; // Cancel wins over pause
+
+        this.requested = action;
+        this.error = Object.assign(
+            new Error(action === 'cancel' ? 'Orchestration cancelled by user' : 'Orchestration paused by user'),
+            { code: STOP_CODES[action] }
+        );
+
+        if (action === 'cancel') {
+            this.abortController.abort(this.error);
+        }
+    }
+
+    /**
+     * Error describing the pending stop request, or null
+     */
+    stopError() {
+        return this.error;
+    }
+
+    throwIfStopped() {
+        if (this.error) throw this.error;
+    }
+}
+
+class RunControlRegistry {
+    constructor() {
+        this.controllers = new Map(); // contentId → RunController
+        this.pollMs = Math.max(250, parseInt(process.env.ORCHESTRATION_CONTROL_POLL_MS, 10) || 2000);
+        this.timer = null;
+    }
+
+    register(contentId) {
+        const controller = new RunController(String(contentId));
+        this.controllers.set(controller.contentId, controller);
+        this.watch();
+        return controller;
+    }
+
+    /**
+     * Apply a stop request made before the run registered
+     */
+    async applyPending(controller) {
+        if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) return;
+
+        try {
+            const [job] = await jobQueue.pendingControls([controller.contentId]);
+            if (job) controller.request(job.control);
+        } catch (error) {
+            console.warn('[RunControl] Pending request check failed:', error.message);
+        }
+    }
+
+    unregister(contentId) {
+        this.controllers.delete(String(contentId));
+        if (this.controllers.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Ask a run to stop, wherever it executes
+     * @param {string} action - 'cancel' | 'pause'
+     */
+    async request(contentId, action) {
+        this.controllers.get(String(contentId))?.request(action);
+        if (mongoose.connection.readyState === mongoose.ConnectionStates.disconnected) return;
+
+        await Promise.all([
+            OrchestrationRun.updateOne(
+                { contentId, status: 'running' },
+                { $set: { control: action } }
+            ),
+            jobQueue.requestControl(contentId, action)
+        ]);
+    }
+
+    isStopError(error) {
+        return Object.values(STOP_CODES).includes(error?.code);
+    }
+
+    /**
+     * 'cancelled' | 'paused' for a stop error
+     */
+    stopStatus(error) {
+        return error.code === STOP_CODES.cancel ? 'cancelled' : 'paused';
+    }
+
+    /**
+     * Pick up requests written by other processes
+     */
+    watch() {
+        if (this.timer) return;
+
+        this.timer = setInterval(async () => {
+            if (mongoose.connection.readyState !== mongoose.ConnectionStates.connected) return;
+
+            try {
+                const contentIds = [...this.controllers.keys()];
+                const requested = [
+                    ...await OrchestrationRun.find({
+                        contentId: { $in: contentIds },
+                        control: { $ne: null }
+                    }).select('contentId control').lean(),
+                    ...await jobQueue.pendingControls(contentIds)
+                ];
+
+                for (const run of requested) {
+                    this.controllers.get(String(run.contentId))?.request(run.control);
+                }
+            } catch (error) {
+                console.warn('[RunControl] Poll failed:', error.message);
+            }
+        }, this.pollMs);
+        this.timer.unref();
+    }
+}
+
+module.exports = new RunControlRegistry();
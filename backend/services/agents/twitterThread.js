@@ -0,0 +1,154 @@
+/**
+ * Twitter/X Threads
+ * Thread mode for the Twitter variant: an ordered list of numbered tweets
+ *
+ * A thread variant keeps its tweets on `thread` and, for every check that
+ * reads plain text (review, grounding, coverage, consistency), the same
+ * tweets joined by blank lines on `content`. Tweets never contain a blank
+ * line themselves, so split(join(tweets)) gives the tweets back - edits
+ * made to the content re-derive the thread that way.
+ *
+ * Lengths are X's weighted count (see @saco/shared/charCount).
+ *
+ * Configuration (env):
+ * - TWITTER_THREAD_MODE: auto | single | thread - default when the content sets none (default auto)
+ * - TWITTER_THREAD_MIN_CHARS: source length at which auto mode writes a thread (default 1200)
+ * - TWITTER_THREAD_MAX: most tweets in a thread (default 10)
+ */
+
+const charCount = require('@saco/shared/charCount');
+
+const MODES = ['auto', 'single', 'thread'];
+
+// "1/5", "(1/5)", "[1/5]", "1/" or "🧵 1/5" at either end of a tweet
+const LEADING_NUMBER = /^\s*(?:🧵\s*)?[([]?(\d{1,2})\s*\/\s*(\d{1,2})?[)\]]?[.:]?\s+/u;
+const TRAILING_NUMBER = /\s+(?:🧵\s*)?[([]?(\d{1,2})\s*\/\s*(\d{1,2})[)\]]?\s*$/u;
+
+function maxTweets() {
+    return parseInt(process.env.TWITTER_THREAD_MAX, 10) || 10;
+}
+
+/**
+ * Thread mode for a piece of content: 'thread' or 'single'
+ * @param {Object} content - Content document; threadMode overrides TWITTER_THREAD_MODE
+ */
+function resolveMode(content) {
+    const configured = [content?.threadMode, process.env.TWITTER_THREAD_MODE].find(mode => MODES.includes(mode)) || 'auto';
+    if (configured !== 'auto') return configured;
+
+    const minChars = parseInt(process.env.TWITTER_THREAD_MIN_CHARS, 10) || 1200;
+    return (content?.data?.length || 0) >= minChars ? 'thread' : 'single';
+}
+
+/**
+ * The "i/n" marker of a tweet, at its start or end
+ * @returns {Object|null} { index, total } - total is null for an open "1/" marker
+ */
+function parseNumber(tweet) {
+    for (const pattern of [TRAILING_NUMBER, LEADING_NUMBER]) {
+        const match = String(tweet || '').match(pattern);
+        if (match && isMarker(match)) {
+            return { index: parseInt(match[1], 10), total: match[2] ? parseInt(match[2], 10) : null };
+        }
+    }
+    return null;
+}
+
+// "24/7" at the end of a sentence is not a marker: the index never exceeds the total
+function isMarker(match) {
+    return parseInt(match[1], 10) >= 1 && (!match[2] || parseInt(match[1], 10) <= parseInt(match[2], 10));
+}
+
+function stripNumber(tweet) {
+    const strip = (match, ...groups) => (isMarker([match, ...groups]) ? '' : match);
+    return String(tweet || '').replace(TRAILING_NUMBER, strip).replace(LEADING_NUMBER, strip).trim();
+}
+
+/**
+ * Clean tweets and number them "i/n" at the end, replacing any numbering they had
+ */
+function number(tweets) {
+    const cleaned = tweets
+        .map(tweet => stripNumber(String(tweet || '').replace(/\n\s*\n+/g, '\n')))
+        .filter(Boolean);
+
+    return cleaned.map((tweet, i) => `${tweet} ${i + 1}/${cleaned.length}`);
+}
+
+function join(tweets) {
+    return tweets.join('\n\n');
+}
+
+/**
+ * Tweets of a thread's joined content
+ */
+function split(content) {
+    return String(content || '').split(/\n\s*\n/).map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Break text into tweets of at most maxLength (weighted), by paragraph, then sentence, then word
+ * Used when a thread comes back as plain text; the "i/n" marker needs room, so
+ * the numbering is reserved out of maxLength.
+ */
+function fromText(text, maxLength = charCount.limit('twitter')) {
+    const room = maxLength - ' 10/10'.length;
+    const tweets = [];
+    let current = '';
+
+    const push = (piece) => {
+        const candidate = current ? `${current} ${piece}` : piece;
+        if (charCount.count(candidate, 'twitter') <= room) {
+            current = candidate;
+            return;
+        }
+        if (current) tweets.push(current);
+        current = '';
+        if (charCount.count(piece, 'twitter') <= room) {
+            current = piece;
+            return;
+        }
+        // A single sentence longer than a tweet is cut between words
+        for (const word of piece.split(/\s+/)) {
+            const next = current ? `${current} ${word}` : word;
+            if (charCount.count(next, 'twitter') > room && current) {
+                tweets.push(current);
+                current = word;
+            } else {
+                current = next;
+            }
+        }
+    };
+
+    for (const paragraph of split(text)) {
+        const sentences = paragraph.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/);
+        for (const sentence of sentences) push(sentence);
+        if (current) tweets.push(current);
+        current = '';
+    }
+
+    return tweets;
+}
+
+/**
+ * Thread for edited content: its tweets (or, if the edit merged them, the text
+ * broken into tweets again), renumbered
+ * @returns {string[]|null} null when the content now fits a single tweet
+ */
+function rethread(content, maxLength = charCount.limit('twitter')) {
+    let tweets = split(content);
+    if (tweets.length < 2) tweets = fromText(content, maxLength);
+    return tweets.length > 1 ? number(tweets) : null;
+}
+
+module.exports = {
+    MODES,
+    maxTweets,
+    resolveMode,
+    parseNumber,
+    number,
+    join,
+    split,
+    fromText,
+    rethread
+};
@@ -0,0 +1,251 @@
+/**
+ * Verifier Rules
+ * Per-brand rule set for the deterministic verifiers
+ *
+ * Rules are stored on BrandDNA.verifierRules and resolved here into the
+ * options verifiers.verifyAll() runs with:
+ * - score threshold (image posts: also imageGenerationSettings.qualityThreshold)
+ * - must-include keywords, each with a matching mode (contains | word | exact)
+ * - regex deny / allow rules
+ * - per-platform min / max lengths on top of the defaults
+ * - brand coherence (graph memory contradictions)
+ * - fact grounding (claims missing from the source, see grounding.js)
+ * - key-message coverage: how many of Ingest's key messages each platform must carry (see coverage.js)
+ * Every rule has a severity: 'block' fails the variant, 'warn' only reports.
+ *
+ * Brands without rules keep the previous behaviour: guidelines.keywords are
+ * warnings and guidelines.avoidWords block.
+ */
+
+const { PLATFORM_LIMITS } = require('./verifiers');
+const coverage = require('./coverage');
+
+const DEFAULT_SCORE_THRESHOLD = 80;
+const SEVERITIES = ['block', 'warn'];
+const KEYWORD_MODES = ['contains', 'word', 'exact'];
+const PATTERN_TYPES = ['deny', 'allow'];
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Plain object for a mongoose subdocument (or anything already plain)
+ */
+function plain(value) {
+    return typeof value?.toObject === 'function' ? value.toObject() : value;
+}
+
+function severity(value, fallback = 'block') {
+    return SEVERITIES.includes(value) ? value : fallback;
+}
+
+/**
+ * Patterns that can backtrack catastrophically - a repeated group that itself
+ * repeats (/(a+)+$/, /(\w*\s?)*$/) or a backreference
+ * @returns {string|null} Why the pattern is unsafe
+ */
+function unsafePattern(pattern) {
+    // Each open group: does it contain a quantifier?
+    const groups = [{ quantified: false }];
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            if (!inClass && /[1-9k]/.test(pattern[i + 1])) return 'backreferences are not allowed';
+            i++;
+            continue;
+        }
+        if (inClass) {
+            if (char === ']') inClass = false;
+            continue;
+        }
+        if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push({ quantified: false });
+            // (?:, (?=, (?!, (?<=, (?<!, (?<name>
+            const prefix = pattern.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+            if (prefix) i += prefix[0].length;
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            const repeated = /^(?:[*+]|\{\d*,\d*\}|\{\d*[2-9]\d*\})/.test(pattern.slice(i + 1));
+            if (group.quantified && repeated) return 'nested quantifiers, e.g. (a+)+, are not allowed';
+            groups[groups.length - 1].quantified ||= group.quantified || repeated;
+        } else if ('*+?{'.includes(char)) {
+            groups[groups.length - 1].quantified = true;
+        }
+    }
+    return null;
+}
+
+function platformsOf(rule) {
+    return (rule.platforms || []).map(p => String(p).toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Resolve the rule set for a brand
+ * @param {Object|null} brandDNA - BrandDNA document or plain object
+ * @param {Object} overrides - Unsaved verifierRules to use instead of the stored ones (dry runs)
+ * @returns {Object} Options for verifiers.verifyAll
+ */
+function resolve(brandDNA, overrides = null) {
+    const rules = plain(overrides || brandDNA?.verifierRules) || {};
+    const guidelines = brandDNA?.guidelines || {};
+
+    const keywords = (rules.keywords || [])
+        .filter(k => k?.term?.trim())
+        .map(k => ({
+            term: k.term.trim(),
+            mode: KEYWORD_MODES.includes(k.mode) ? k.mode : 'contains',
+            platforms: platformsOf(k),
+            severity: severity(k.severity)
+        }));
+
+    // Must-use keywords from the guidelines stay advisory unless a rule covers them
+    const ruleTerms = new Set(keywords.map(k => k.term.toLowerCase()));
+    for (const term of guidelines.keywords || []) {
+        if (term?.trim() && !ruleTerms.has(term.trim().toLowerCase())) {
+            keywords.push({ term: term.trim(), mode: 'contains', platforms: [], severity: 'warn' });
+        }
+    }
+
+    const platformLimits = Object.fromEntries(
+        Object.entries(PLATFORM_LIMITS).map(([platform, limits]) => [platform, { ...limits, severity: 'block' }])
+    );
+    for (const limit of rules.platformLimits || []) {
+        if (!limit?.platform) continue;
+        const platform = limit.platform.toLowerCase();
+        const base = platformLimits[platform] || { min: 50, max: 5000 };
+        platformLimits[platform] = {
+            min: Number.isFinite(limit.min) ? limit.min : base.min,
+            max: Number.isFinite(limit.max) ? limit.max : base.max,
+            severity: severity(limit.severity)
+        };
+    }
+
+    // Top N key messages per platform; no messages value means all of them
+    const coverageRequirements = { ...coverage.DEFAULT_REQUIRED };
+    for (const rule of rules.coverage || []) {
+        if (!rule?.platform) continue;
+        coverageRequirements[rule.platform.toLowerCase()] = Number.isInteger(rule.messages) ? rule.messages : 'all';
+    }
+
+    const qualityThreshold = brandDNA?.imageGenerationSettings?.qualityThreshold;
+
+    return {
+        scoreThreshold: Number.isFinite(rules.scoreThreshold) ? rules.scoreThreshold : DEFAULT_SCORE_THRESHOLD,
+        scoreSeverity: severity(rules.scoreSeverity),
+        coherenceSeverity: severity(rules.coherenceSeverity),
+        groundingSeverity: severity(rules.groundingSeverity),
+        groundingEntitySeverity: severity(rules.groundingEntitySeverity, 'warn'),
+        // Names the brand may always use without the source mentioning them
+        groundingAllowTerms: [brandDNA?.name, ...(guidelines.keywords || []), ...(guidelines.values || [])].filter(Boolean),
+        coverageSeverity: severity(rules.coverageSeverity, coverage.defaultSeverity()),
+        coverageRequirements,
+        imageScoreThreshold: Number.isFinite(qualityThreshold) ? qualityThreshold : null,
+        keywordMatch: rules.keywordMatch === 'any' ? 'any' : 'all',
+        keywords,
+        patterns: (rules.patterns || [])
+            .filter(p => p?.pattern)
+            .map(p => ({
+                pattern: p.pattern,
+                flags: p.flags ?? 'i',
+                type: PATTERN_TYPES.includes(p.type) ? p.type : 'deny',
+                message: p.message || '',
+                platforms: platformsOf(p),
+                severity: severity(p.severity)
+            })),
+        platformLimits,
+        forbiddenPhrases: guidelines.avoidWords || []
+    };
+}
+
+/**
+ * Check a verifierRules payload before it is saved or dry-run
+ * @returns {string[]} Problems, empty when the rules are usable
+ */
+function validate(rules = {}) {
+    const errors = [];
+
+    if (rules.scoreThreshold !== undefined
+        && !(Number.isFinite(rules.scoreThreshold) && rules.scoreThreshold >= 0 && rules.scoreThreshold <= 100)) {
+        errors.push('scoreThreshold must be a number between 0 and 100');
+    }
+    for (const key of ['scoreSeverity', 'coherenceSeverity', 'groundingSeverity', 'groundingEntitySeverity', 'coverageSeverity']) {
+        if (rules[key] !== undefined && !SEVERITIES.includes(rules[key])) {
+            errors.push(`${key} must be one of: ${SEVERITIES.join(', ')}`);
+        }
+    }
+    if (rules.keywordMatch !== undefined && !['all', 'any'].includes(rules.keywordMatch)) {
+        errors.push('keywordMatch must be "all" or "any"');
+    }
+
+    (rules.keywords || []).forEach((k, i) => {
+        if (!k?.term?.trim()) errors.push(`keywords[${i}]: term is required`);
+        if (k?.mode !== undefined && !KEYWORD_MODES.includes(k.mode)) {
+            errors.push(`keywords[${i}]: mode must be one of: ${KEYWORD_MODES.join(', ')}`);
+        }
+        if (k?.severity !== undefined && !SEVERITIES.includes(k.severity)) {
+            errors.push(`keywords[${i}]: severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+    });
+
+    (rules.patterns || []).forEach((p, i) => {
+        if (!p?.pattern) {
+            errors.push(`patterns[${i}]: pattern is required`);
+            return;
+        }
+        if (p.pattern.length > MAX_PATTERN_LENGTH) {
+            errors.push(`patterns[${i}]: pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+        }
+        if (p.flags && !/^[imsu]*$/.test(p.flags)) {
+            errors.push(`patterns[${i}]: flags may only contain i, m, s, u`);
+        }
+        try {
+            new RegExp(p.pattern, p.flags ?? 'i');
+            const unsafe = unsafePattern(p.pattern);
+            if (unsafe) errors.push(`patterns[${i}]: ${unsafe}`);
+        } catch (error) {
+            errors.push(`patterns[${i}]: ${error.message}`);
+        }
+        if (p.type !== undefined && !PATTERN_TYPES.includes(p.type)) {
+            errors.push(`patterns[${i}]: type must be one of: ${PATTERN_TYPES.join(', ')}`);
+        }
+        if (p.severity !== undefined && !SEVERITIES.includes(p.severity)) {
+            errors.push(`patterns[${i}]: severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+    });
+
+    (rules.platformLimits || []).forEach((l, i) => {
+        if (!l?.platform) errors.push(`platformLimits[${i}]: platform is required`);
+        for (const key of ['min', 'max']) {
+            if (l?.[key] !== undefined && l[key] !== null && !(Number.isInteger(l[key]) && l[key] >= 0)) {
+                errors.push(`platformLimits[${i}]: ${key} must be a non-negative integer`);
+            }
+        }
+        if (Number.isInteger(l?.min) && Number.isInteger(l?.max) && l.min > l.max) {
+            errors.push(`platformLimits[${i}]: min is greater than max`);
+        }
+        if (l?.severity !== undefined && !SEVERITIES.includes(l.severity)) {
+            errors.push(`platformLimits[${i}]: severity must be one of: ${SEVERITIES.join(', ')}`);
+        }
+    });
+
+    (rules.coverage || []).forEach((c, i) => {
+        if (!c?.platform) errors.push(`coverage[${i}]: platform is required`);
+        if (c?.messages !== undefined && c.messages !== null && !(Number.isInteger(c.messages) && c.messages >= 0)) {
+            errors.push(`coverage[${i}]: messages must be a non-negative integer (or null for all)`);
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    DEFAULT_SCORE_THRESHOLD,
+    SEVERITIES,
+    KEYWORD_MODES,
+    PATTERN_TYPES,
+    resolve,
+    validate,
+    unsafePattern
+};
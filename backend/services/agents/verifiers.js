@@ -4,30 +4,56 @@
  * 
  * These are the first line of defense before any LLM review.
  * If verifiers fail, reflection loop is triggered.
+ *
+ * Brands configure thresholds, keywords, regex rules and length limits per
+ * rule with a severity (block | warn) - see verifierRules.resolve().
  */
 
+const vm = require('vm');
+const charCount = require('@saco/shared/charCount');
+const { checkGrounding } = require('./grounding');
+const platformRegistry = require('../platforms/platformRegistry');
+const twitterThread = require('./twitterThread');
+
 /**
- * Platform-specific character limits
+ * Platform-specific character limits from the platform definitions (maximums are the platforms' own, see charCount)
  */
-const PLATFORM_LIMITS = {
-    twitter: { min: 50, max: 280 },
-    linkedin: { min: 100, max: 3000 },
-    email: { min: 200, max: 5000 },
-    instagram: { min: 50, max: 2200 },
-    blog: { min: 500, max: 10000 }
-};
+const PLATFORM_LIMITS = platformRegistry.map(p => p.limits);
 
 /**
- * Check content length is within platform limits
+ * A rule with a platforms list only applies to those platforms
  */
-function checkLength(content, platform) {
-    const limits = PLATFORM_LIMITS[platform] || { min: 50, max: 5000 };
-    const length = content?.length || 0;
+function appliesTo(rule, platform) {
+    return !rule.platforms?.length || rule.platforms.includes(platform);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Keyword match by mode: contains (case-insensitive), word (whole word), exact (case-sensitive)
+ */
+function matchesKeyword(content, term, mode = 'contains') {
+    if (mode === 'exact') return content.includes(term);
+    if (mode === 'word') {
+        return new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(term)}($|[^\\p{L}\\p{N}_])`, 'iu').test(content);
+    }
+    return content.toLowerCase().includes(term.toLowerCase());
+}
+
+/**
+ * Check content length is within platform limits, counted the way the platform counts
+ * @param {Object} platformLimits - Platform → { min, max } overriding PLATFORM_LIMITS
+ */
+function checkLength(content, platform, platformLimits = PLATFORM_LIMITS) {
+    const limits = platformLimits[platform] || PLATFORM_LIMITS[platform] || { min: 50, max: 5000 };
+    const length = charCount.count(content, platform);
 
     return {
         passed: length >= limits.min && length <= limits.max,
         actual: length,
-        expected: limits,
+        expected: { min: limits.min, max: limits.max },
         message: length < limits.min
             ? `Content too short: ${length} chars (min: ${limits.min})`
             : length > limits.max
@@ -36,25 +62,154 @@ function checkLength(content, platform) {
     };
 }
 
+/**
+ * Check each tweet of a thread against the per-tweet limit, by X's weighted count
+ * The platform minimum applies to the thread as a whole.
+ * @param {string[]} thread - Ordered tweets
+ */
+function checkThreadLength(thread, platform, platformLimits = PLATFORM_LIMITS) {
+    const limits = platformLimits[platform] || PLATFORM_LIMITS[platform] || { min: 50, max: charCount.limit('twitter') };
+    const tweets = thread.map((tweet, index) => ({ index, length: charCount.count(tweet, 'twitter') }));
+    const overLimit = tweets.filter(t => t.length > limits.max);
+    const total = tweets.reduce((sum, t) => sum + t.length, 0);
+    const tooMany = tweets.length > twitterThread.maxTweets();
+
+    return {
+        passed: overLimit.length === 0 && total >= limits.min && !tooMany,
+        actual: total,
+        expected: { min: limits.min, max: limits.max },
+        tweets,
+        overLimit: overLimit.map(t => t.index),
+        message: overLimit.length > 0
+            ? `Tweet(s) too long: ${overLimit.map(t => `#${t.index + 1} ${t.length} chars`).join(', ')} (max: ${limits.max} per tweet)`
+            : tooMany
+                ? `Thread too long: ${tweets.length} tweets (max: ${twitterThread.maxTweets()})`
+                : total < limits.min
+                    ? `Content too short: ${total} chars (min: ${limits.min})`
+                    : `Length OK (${tweets.length} tweets)`
+    };
+}
+
+/**
+ * Check a thread is numbered 1/n ... n/n in order
+ */
+function checkThreadNumbering(thread) {
+    const issues = [];
+    if (thread.length < 2) {
+        issues.push('A thread needs at least 2 tweets');
+    }
+    thread.forEach((tweet, i) => {
+        const marker = twitterThread.parseNumber(tweet);
+        if (!marker) {
+            issues.push(`Tweet ${i + 1} is not numbered`);
+        } else if (marker.index !== i + 1 || marker.total !== thread.length) {
+            issues.push(`Tweet ${i + 1} is numbered ${marker.index}/${marker.total ?? ''} (expected ${i + 1}/${thread.length})`);
+        }
+    });
+
+    return {
+        passed: issues.length === 0,
+        issues,
+        message: issues.length > 0 ? `Thread numbering: ${issues.join('; ')}` : 'Thread numbered in order'
+    };
+}
+
 /**
  * Check required keywords are present
+ * @param {Array<string|Object>} requiredKeywords - Terms, or { term, mode, severity } rules
+ * @param {string} match - 'all' keywords required, or 'any' one of them
  */
-function checkKeywords(content, requiredKeywords = []) {
+function checkKeywords(content, requiredKeywords = [], match = 'all') {
     if (requiredKeywords.length === 0) {
         return { passed: true, missing: [], message: 'No required keywords' };
     }
 
-    const lowerContent = (content || '').toLowerCase();
-    const missing = requiredKeywords.filter(kw =>
-        !lowerContent.includes(kw.toLowerCase())
-    );
+    const rules = requiredKeywords.map(kw => typeof kw === 'string' ? { term: kw, severity: 'warn' } : kw);
+    // Blocking and advisory keywords are matched separately, so an advisory term
+    // cannot satisfy an 'any' rule for the blocking ones
+    const groups = [
+        rules.filter(rule => rule.severity === 'block'),
+        rules.filter(rule => rule.severity !== 'block')
+    ].filter(group => group.length > 0);
+
+    const missingRules = rules.filter(rule => !matchesKeyword(content || '', rule.term, rule.mode));
+    const failedGroups = groups.filter(group => {
+        const missingCount = group.filter(rule => missingRules.includes(rule)).length;
+        return match === 'any' ? missingCount === group.length : missingCount > 0;
+    });
+    const passed = failedGroups.length === 0;
+    const missing = failedGroups.flat().filter(rule => missingRules.includes(rule)).map(rule => rule.term);
 
     return {
-        passed: missing.length === 0,
+        passed,
         missing,
-        message: missing.length > 0
-            ? `Missing keywords: ${missing.join(', ')}`
-            : 'All keywords present'
+        severity: failedGroups.some(group => group[0].severity === 'block') ? 'block' : 'warn',
+        message: passed
+            ? 'All keywords present'
+            : match === 'any'
+                ? `None of the keywords present: ${missing.join(', ')}`
+                : `Missing keywords: ${missing.join(', ')}`
+    };
+}
+
+// Brand regexes run with a time limit so one that backtracks catastrophically cannot stall the process
+const PATTERN_TIMEOUT_MS = parseInt(process.env.VERIFIER_PATTERN_TIMEOUT_MS, 10) || 50;
+const patternSandbox = vm.createContext({});
+const patternExec = new vm.Script('pattern.exec(text)');
+
+function execPattern(regex, text) {
+    patternSandbox.pattern = regex;
+    patternSandbox.text = text;
+    try {
+        return patternExec.runInContext(patternSandbox, { timeout: PATTERN_TIMEOUT_MS });
+    } finally {
+        patternSandbox.pattern = null;
+        patternSandbox.text = null;
+    }
+}
+
+/**
+ * Check regex rules: deny patterns must not match, allow patterns must
+ * @param {Object[]} patterns - { pattern, flags, type, message, severity }
+ */
+function checkPatterns(content, patterns = []) {
+    if (patterns.length === 0) {
+        return { passed: true, violations: [], message: 'No pattern rules' };
+    }
+
+    const violations = [];
+    for (const rule of patterns) {
+        let regex;
+        try {
+            regex = new RegExp(rule.pattern, rule.flags ?? 'i');
+        } catch (error) {
+            violations.push({ ...rule, message: `Invalid pattern /${rule.pattern}/: ${error.message}` });
+            continue;
+        }
+
+        let match;
+        try {
+            match = execPattern(regex, content || '');
+        } catch (error) {
+            if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+            console.warn(`[Verifiers] Pattern /${rule.pattern}/ timed out after ${PATTERN_TIMEOUT_MS}ms`);
+            violations.push({ ...rule, message: `Pattern /${rule.pattern}/ took too long to run - simplify it` });
+            continue;
+        }
+        if (rule.type === 'allow' && !match) {
+            violations.push({ ...rule, message: rule.message || `Required pattern /${rule.pattern}/ not found` });
+        } else if (rule.type !== 'allow' && match) {
+            violations.push({ ...rule, match: match[0], message: rule.message || `Denied pattern /${rule.pattern}/ matched "${match[0]}"` });
+        }
+    }
+
+    return {
+        passed: violations.length === 0,
+        violations,
+        severity: violations.some(v => v.severity !== 'warn') ? 'block' : 'warn',
+        message: violations.length > 0
+            ? violations.map(v => v.message).join('; ')
+            : 'All pattern rules satisfied'
     };
 }
 
@@ -124,100 +279,165 @@ function checkScoreThreshold(score, threshold = 80) {
 }
 
 /**
- * Check content has required structure for platform
+ * Turn a graph memory coherence result into a check
+ * An unchecked result (graph unavailable) passes but is recorded as such.
+ * @param {Object} coherence - { checked, coherent, issues, reason } from graphMemory.checkCoherence
  */
-function checkPlatformStructure(content, platform) {
-    const checks = {
-        twitter: () => {
-            // Twitter posts shouldn't have headers
-            const hasHeaders = /^#+\s/m.test(content);
-            return {
-                passed: !hasHeaders,
-                message: hasHeaders ? 'Twitter posts should not have headers' : 'Structure OK'
-            };
-        },
-        linkedin: () => {
-            // LinkedIn should have some structure (paragraphs or emoji bullets)
-            const hasStructure = content.includes('\n\n') || /[🔹🔸•◦▪️]/m.test(content);
-            return {
-                passed: hasStructure,
-                message: hasStructure ? 'Has paragraph structure' : 'Consider adding paragraph breaks'
-            };
-        },
-        email: () => {
-            // Email should have subject-like opening or greeting
-            const hasGreeting = /^(Subject:|Dear|Hi|Hello|Hey)/mi.test(content);
-            return {
-                passed: hasGreeting,
-                message: hasGreeting ? 'Has proper email opening' : 'Missing subject line or greeting'
-            };
-        },
-        blog: () => {
-            // Blog should have headers
-            const hasHeaders = /^#+\s/m.test(content) || /<h[1-6]>/i.test(content);
-            return {
-                passed: hasHeaders,
-                message: hasHeaders ? 'Has header structure' : 'Blog posts should have headers'
-            };
-        },
-        instagram: () => {
-            // Instagram should have emojis
-            const hasEmojis = /[\u{1F300}-\u{1F9FF}]/u.test(content);
-            return {
-                passed: true, // Soft check
-                message: hasEmojis ? 'Has emojis' : 'Consider adding emojis for engagement'
-            };
-        }
+function checkCoherence(coherence, severity = 'block') {
+    if (!coherence?.checked) {
+        const reason = coherence?.reason || 'graph memory unavailable';
+        return {
+            passed: true,
+            checked: false,
+            issues: [],
+            reason,
+            severity: 'warn',
+            message: `Coherence unchecked: ${reason}`
+        };
+    }
+
+    return {
+        passed: coherence.coherent,
+        checked: true,
+        issues: coherence.issues || [],
+        severity,
+        message: coherence.coherent
+            ? 'Consistent with brand stances'
+            : `Brand coherence issues: ${coherence.issues.join('; ')}`
     };
+}
+
+/**
+ * Turn a key-message coverage report (see coverage.js) into a verifier result
+ * The report is measured asynchronously by the Manager and passed in.
+ */
+function checkCoverage(coverage, severity = 'block') {
+    if (!coverage?.checked) {
+        const reason = coverage?.reason || 'no coverage report';
+        return {
+            passed: true,
+            checked: false,
+            messages: [],
+            missing: [],
+            reason,
+            severity: 'warn',
+            message: `Coverage unchecked: ${reason}`
+        };
+    }
+
+    const passed = coverage.missing.length === 0;
+    return {
+        passed,
+        checked: true,
+        method: coverage.method,
+        threshold: coverage.threshold,
+        required: coverage.required,
+        covered: coverage.covered,
+        messages: coverage.messages,
+        missing: coverage.missing,
+        severity,
+        message: passed
+            ? `${coverage.covered}/${coverage.required} required key message(s) covered`
+            : `Key messages missing: ${coverage.missing.map(m => `"${m}"`).join(', ')}`
+    };
+}
 
-    const checker = checks[platform];
-    if (!checker) {
+/**
+ * Check content has required structure for platform (each platform definition's own check)
+ */
+function checkPlatformStructure(content, platform) {
+    const definition = platformRegistry.get(platform);
+    if (!definition) {
         return { passed: true, message: 'No structure check for platform' };
     }
 
-    return checker();
+    return definition.checkStructure(content);
 }
 
 /**
  * Run all verifiers on a variant
  * Returns aggregated result with all check details
+ * @param {Object} variant - { platform, content, thread, consistencyScore, hasImage }
+ * @param {Object} options - Rule set from verifierRules.resolve(); requiredKeywords
+ *   (advisory terms) is still accepted alongside keywords; coherence is the
+ *   graph memory result for this draft, if it was checked; sourceText is the
+ *   original content the variant's claims are grounded against
  */
 function verifyAll(variant, options = {}) {
     const {
         requiredKeywords = [],
+        keywords = [],
+        keywordMatch = 'all',
         forbiddenPhrases = [],
-        scoreThreshold = 80
+        patterns = [],
+        platformLimits = PLATFORM_LIMITS,
+        scoreThreshold = 80,
+        scoreSeverity = 'block',
+        imageScoreThreshold = null,
+        coherence = null,
+        coherenceSeverity = 'block',
+        sourceText = null,
+        groundingAllowTerms = [],
+        groundingSeverity = 'block',
+        groundingEntitySeverity = 'warn',
+        coverage = null,
+        coverageSeverity = 'block'
     } = options;
 
     const content = variant.content || '';
     const platform = variant.platform || 'unknown';
     const score = variant.consistencyScore || 0;
+    // Threads are checked tweet by tweet
+    const thread = variant.thread?.length ? variant.thread : null;
+
+    // Posts that ship with a generated image also have to clear the brand's image quality bar
+    const threshold = variant.hasImage && imageScoreThreshold !== null
+        ? Math.max(scoreThreshold, imageScoreThreshold)
+        : scoreThreshold;
 
     const results = {
-        length: checkLength(content, platform),
-        keywords: checkKeywords(content, requiredKeywords),
-        forbidden: checkForbiddenPhrases(content, forbiddenPhrases),
-        codeBlocks: checkNoCodeBlocks(content),
-        score: checkScoreThreshold(score, scoreThreshold),
-        structure: checkPlatformStructure(content, platform)
+        length: {
+            ...(thread ? checkThreadLength(thread, platform, platformLimits) : checkLength(content, platform, platformLimits)),
+            severity: platformLimits[platform]?.severity || 'block'
+        },
+        keywords: checkKeywords(content, [...requiredKeywords, ...keywords.filter(k => appliesTo(k, platform))], keywordMatch),
+        forbidden: { ...checkForbiddenPhrases(content, forbiddenPhrases), severity: 'block' },
+        patterns: checkPatterns(content, patterns.filter(p => appliesTo(p, platform))),
+        codeBlocks: { ...checkNoCodeBlocks(content), severity: 'block' },
+        score: { ...checkScoreThreshold(score, threshold), severity: scoreSeverity },
+        structure: { ...checkPlatformStructure(content, platform), severity: 'warn' }
     };
+    if (thread) {
+        results.numbering = { ...checkThreadNumbering(thread), severity: 'block' };
+    }
+    if (coherence) {
+        results.coherence = checkCoherence(coherence, coherenceSeverity);
+    }
+    if (coverage) {
+        results.coverage = checkCoverage(coverage, coverageSeverity);
+    }
+    if (sourceText !== null) {
+        results.grounding = checkGrounding(content, sourceText, {
+            allowTerms: groundingAllowTerms,
+            severity: groundingSeverity,
+            entitySeverity: groundingEntitySeverity
+        });
+    }
 
-    // Determine overall pass/fail
-    // Critical failures: length, codeBlocks, score
-    // Non-critical: keywords, structure (warnings only)
-    const criticalPassed = results.length.passed &&
-        results.codeBlocks.passed &&
-        results.forbidden.passed;
+    const failed = Object.entries(results).filter(([, r]) => !r.passed);
+    const blocking = failed.filter(([, r]) => r.severity === 'block');
 
-    const scorePassed = results.score.passed;
+    // Score is reported separately from the content checks
+    const criticalPassed = !blocking.some(([name]) => name !== 'score');
+    const scorePassed = results.score.passed || results.score.severity === 'warn';
 
     return {
-        passed: criticalPassed && scorePassed,
+        passed: blocking.length === 0,
         criticalPassed,
         scorePassed,
         results,
-        summary: Object.entries(results)
-            .filter(([, r]) => !r.passed)
+        warnings: failed.filter(([, r]) => r.severity === 'warn').map(([name, r]) => `${name}: ${r.message}`),
+        summary: failed
             .map(([name, r]) => `${name}: ${r.message}`)
             .join('; ') || 'All checks passed'
     };
@@ -225,12 +445,18 @@ function verifyAll(variant, options = {}) {
 
 module.exports = {
     checkLength,
+    checkThreadLength,
+    checkThreadNumbering,
     checkKeywords,
+    checkPatterns,
     checkForbiddenPhrases,
     checkJSON,
     checkNoCodeBlocks,
     checkScoreThreshold,
     checkPlatformStructure,
+    checkCoherence,
+    checkGrounding,
+    checkCoverage,
     verifyAll,
     PLATFORM_LIMITS
 };
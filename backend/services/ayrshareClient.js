@@ -32,7 +32,7 @@ class AyrshareClient {
 
     /**
      * Publish content to one or more platforms
-     * @param {Object} payload - { post, platforms, mediaUrls }
+     * @param {Object} payload - { post, platforms, mediaUrls, <network>Options }
      * @param {string} apiKey - Per-user API key (optional, falls back to env)
      * @returns {Object} Publish result with per-platform status
      */
@@ -52,6 +52,12 @@ class AyrshareClient {
             body.mediaUrls = payload.mediaUrls;
         }
 
+        // Per-network options from the platform's publish adapter, e.g. twitterOptions
+        // ({ thread: true } splits the post into tweets at blank lines)
+        for (const [key, value] of Object.entries(payload)) {
+            if (key.endsWith('Options') && value) body[key] = value;
+        }
+
         return this._executeWithRetry(body, key);
     }
 
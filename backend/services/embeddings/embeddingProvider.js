@@ -0,0 +1,247 @@
+/**
+ * Embedding Providers
+ * Pluggable text → vector backends for the vector store
+ *
+ * Backends:
+ * - openai: Any OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, llama.cpp, vLLM)
+ * - local: In-process ONNX sentence-transformer via @xenova/transformers
+ * - tfidf: Hashed term-frequency vectors with BM25 saturation (offline, default)
+ *
+ * Every embedder exposes a stable `id` (provider:model) and its `dimension`.
+ * The vector store stamps both on every vector it writes and filters on them
+ * when reading, so vectors from different models are never compared.
+ *
+ * Configuration (env):
+ * - EMBEDDING_PROVIDER: openai | local | tfidf
+ * - EMBEDDING_MODEL, EMBEDDING_DIMENSIONS
+ * - EMBEDDING_BASE_URL / EMBEDDING_API_KEY (fall back to OPENAI_BASE_URL / OPENAI_API_KEY)
+ */
+
+const axios = require('axios');
+
+// Common English function words - they carry no topical signal
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for',
+    'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this',
+    'that', 'these', 'those', 'we', 'our', 'you', 'your', 'they', 'their', 'i', 'me', 'my',
+    'he', 'she', 'his', 'her', 'them', 'not', 'no', 'so', 'do', 'does', 'did', 'have', 'has',
+    'had', 'will', 'would', 'can', 'could', 'should', 'about', 'into', 'than', 'then', 'there'
+]);
+
+/**
+ * FNV-1a hash → bucket index
+ */
+function hashToken(token, buckets) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % buckets;
+}
+
+function normalize(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return magnitude > 0 ? vector.map(v => v / magnitude) : vector;
+}
+
+/**
+ * Lexical fallback embedder.
+ * Unigrams and bigrams are hashed into a fixed number of buckets and weighted
+ * with BM25 term saturation. There is no corpus-wide IDF: vectors must stay
+ * identical after indexing, so stopword removal stands in for it.
+ */
+class TfidfEmbedder {
+    constructor({ dimension = 1536 } = {}) {
+        this.provider = 'tfidf';
+        this.model = 'hashed-bm25-v1';
+        this.dimension = dimension;
+        this.id = `${this.provider}:${this.model}`;
+        this.k1 = 1.2;
+    }
+
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}#@]+/u)
+            .filter(t => t.length > 1 && !STOPWORDS.has(t));
+    }
+
+    async embed(text) {
+        const tokens = this.tokenize(text);
+        const terms = [...tokens];
+        for (let i = 0; i < tokens.length - 1; i++) {
+            terms.push(`${tokens[i]}_${tokens[i + 1]}`);
+        }
+
+        const counts = new Map();
+        for (const term of terms) {
+            counts.set(term, (counts.get(term) || 0) + 1);
+        }
+
+        const vector = new Array(this.dimension).fill(0);
+        for (const [term, tf] of counts) {
+            const weight = (tf * (this.k1 + 1)) / (tf + this.k1);
+            vector[hashToken(term, this.dimension)] += term.includes('_') ? weight * 0.5 : weight;
+        }
+
+        return normalize(vector);
+    }
+
+    async embedDocuments(texts) {
+        return Promise.all(texts.map(t => this.embed(t)));
+    }
+}
+
+/**
+ * OpenAI-compatible /embeddings endpoint
+ */
+class OpenAICompatibleEmbedder {
+    constructor({ model = 'text-embedding-3-small', dimension, baseURL, apiKey } = {}) {
+        this.provider = 'openai';
+        this.model = model;
+        this.dimension = dimension || null; // Learned from the first response if not configured
+        this.baseURL = (baseURL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = apiKey;
+        this.id = `${this.provider}:${model}`;
+    }
+
+    async embedDocuments(texts) {
+        const body = { model: this.model, input: texts };
+        // Only the text-embedding-3 family accepts a dimensions parameter
+        if (this.dimension && this.model.startsWith('text-embedding-3')) {
+            body.dimensions = this.dimension;
+        }
+
+        const response = await axios.post(`${this.baseURL}/embeddings`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            timeout: 30000
+        });
+
+        const vectors = response.data.data
+            .sort((a, b) => a.index - b.index)
+            .map(d => d.embedding);
+
+        if (!this.dimension) {
+            this.dimension = vectors[0]?.length || null;
+        } else if (vectors[0] && vectors[0].length !== this.dimension) {
+            throw new Error(`Embedding model ${this.model} returned ${vectors[0].length} dims, expected ${this.dimension}`);
+        }
+
+        return vectors;
+    }
+
+    async embed(text) {
+        const [vector] = await this.embedDocuments([text]);
+        return vector;
+    }
+}
+
+/**
+ * In-process ONNX sentence-transformer (mean pooled, normalized)
+ * Requires the optional @xenova/transformers dependency; the model is
+ * downloaded to the transformers cache on first use.
+ */
+class LocalOnnxEmbedder {
+    constructor({ model = 'Xenova/all-MiniLM-L6-v2', dimension = 384 } = {}) {
+        this.provider = 'local';
+        this.model = model;
+        this.dimension = dimension;
+        this.id = `${this.provider}:${model}`;
+        this.extractor = null;
+    }
+
+    async getExtractor() {
+        if (!this.extractor) {
+            let transformers;
+            try {
+                transformers = await import('@xenova/transformers');
+            } catch (error) {
+                throw new Error('Local embeddings need the optional @xenova/transformers package: npm install @xenova/transformers');
+            }
+            this.extractor = await transformers.pipeline('feature-extraction', this.model);
+        }
+        return this.extractor;
+    }
+
+    async embed(text) {
+        const extractor = await this.getExtractor();
+        const output = await extractor(text, { pooling: 'mean', normalize: true });
+        const vector = Array.from(output.data);
+
+        if (vector.length !== this.dimension) {
+            throw new Error(`Local model ${this.model} produced ${vector.length} dims, expected ${this.dimension}`);
+        }
+        return vector;
+    }
+
+    async embedDocuments(texts) {
+        const vectors = [];
+        for (const text of texts) {
+            vectors.push(await this.embed(text));
+        }
+        return vectors;
+    }
+}
+
+class EmbeddingProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.instance = null;
+
+        this.register('tfidf', ({ dimension }) => new TfidfEmbedder({ dimension: dimension || 1536 }));
+
+        this.register('openai', ({ model, dimension }) => new OpenAICompatibleEmbedder({
+            model: model || 'text-embedding-3-small',
+            dimension,
+            baseURL: process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL,
+            apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY
+        }));
+
+        this.register('local', ({ model, dimension }) => new LocalOnnxEmbedder({
+            model: model || 'Xenova/all-MiniLM-L6-v2',
+            dimension: dimension || 384
+        }));
+    }
+
+    /**
+     * Register (or replace) an embedding backend
+     * @param {string} name - Provider name used in EMBEDDING_PROVIDER
+     * @param {Function} factory - ({ model, dimension }) → { id, dimension, embed, embedDocuments }
+     */
+    register(name, factory) {
+        this.providers.set(name, factory);
+    }
+
+    /**
+     * Build an embedder from explicit config
+     */
+    create(name, { model, dimension } = {}) {
+        const factory = this.providers.get(name);
+        if (!factory) {
+            throw new Error(`Unknown embedding provider "${name}". Available: ${Array.from(this.providers.keys()).join(', ')}`);
+        }
+        return factory({ model, dimension });
+    }
+
+    /**
+     * Configured embedder (singleton)
+     */
+    get() {
+        if (!this.instance) {
+            const name = process.env.EMBEDDING_PROVIDER || 'tfidf';
+            const dimension = parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || undefined;
+            this.instance = this.create(name, { model: process.env.EMBEDDING_MODEL, dimension });
+            console.log(`[Embeddings] Using ${this.instance.id}`);
+        }
+        return this.instance;
+    }
+}
+
+module.exports = new EmbeddingProviderRegistry();
+module.exports.TfidfEmbedder = TfidfEmbedder;
+module.exports.OpenAICompatibleEmbedder = OpenAICompatibleEmbedder;
+module.exports.LocalOnnxEmbedder = LocalOnnxEmbedder;
@@ -0,0 +1,285 @@
+/**
+ * Job Queue
+ * MongoDB-backed queue for background work (orchestration runs)
+ *
+ * - Priorities: higher priority jobs are claimed first, then oldest first
+ * - Per-user caps: a user with JOB_USER_CONCURRENCY jobs running gets no more
+ *   claimed until one finishes (enforced per claim, so with several worker
+ *   processes a user can briefly exceed the cap by the number of workers)
+ * - Visibility timeout: a claimed job is locked for JOB_VISIBILITY_TIMEOUT_MS and
+ *   the worker extends the lock while it runs; an expired lock means the worker
+ *   died, and the job is re-queued as a failed attempt
+ * - Dead-lettering: after maxAttempts failed attempts a job is parked as 'failed'
+ *   with its error history, and can be retried by hand
+ *
+ * Configuration (env):
+ * - JOB_USER_CONCURRENCY: running jobs per user (default 2)
+ * - JOB_VISIBILITY_TIMEOUT_MS: lock duration (default 600000)
+ * - JOB_MAX_ATTEMPTS: attempts before dead-lettering (default 3)
+ * - JOB_RETRY_BASE_MS: backoff before the first retry, doubled per attempt (default 30000)
+ */
+
+const Job = require('../models/Job');
+
+const ACTIVE = ['queued', 'running'];
+
+// MongoDB duplicate key error: another active job holds the dedupeKey
+const DUPLICATE_KEY = 11000;
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+class JobQueue {
+    constructor() {
+        this.perUserLimit = readInt(process.env.JOB_USER_CONCURRENCY, 2);
+        this.visibilityTimeoutMs = readInt(process.env.JOB_VISIBILITY_TIMEOUT_MS, 10 * 60 * 1000);
+        this.maxAttempts = readInt(process.env.JOB_MAX_ATTEMPTS, 3);
+        this.retryBaseMs = readInt(process.env.JOB_RETRY_BASE_MS, 30 * 1000);
+    }
+
+    /**
+     * Add a job
+     * @param {string} type - Handler name
+     * @param {Object} options - { userId, contentId, payload, priority, maxAttempts, dedupeKey }
+     * @returns {{ job, created }} created is false when an active job with the same dedupeKey exists
+     */
+    async enqueue(type, { userId, contentId = null, payload = {}, priority = 0, maxAttempts = this.maxAttempts, dedupeKey = null }) {
+        const fields = { type, userId, contentId, payload, priority, maxAttempts, status: 'queued', runAt: new Date() };
+
+        if (!dedupeKey) {
+            return { job: await Job.create(fields), created: true };
+        }
+
+        try {
+            const raw = await Job.findOneAndUpdate(
+                { dedupeKey, status: { $in: ACTIVE } },
+                { $setOnInsert: { ...fields, dedupeKey } },
+                { upsert: true, new: true, includeResultMetadata: true }
+            );
+            return { job: raw.value, created: !raw.lastErrorObject?.updatedExisting };
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY) throw error;
+            // A concurrent enqueue inserted first - that job is the one already queued
+            const job = await Job.findOne({ dedupeKey, status: { $in: ACTIVE } });
+            if (!job) throw error;
+            return { job, created: false };
+        }
+    }
+
+    /**
+     * Users already running their cap of jobs
+     */
+    async busyUsers() {
+        const running = await Job.aggregate([
+            { $match: { status: 'running' } },
+            { $group: { _id: '$userId', count: { $sum: 1 } } },
+            { $match: { count: { $gte: this.perUserLimit } } }
+        ]);
+        return running.map(r => r._id);
+    }
+
+    /**
+     * Atomically claim the next runnable job for a worker
+     * @returns {Object|null} The claimed job (attempts already incremented)
+     */
+    async claim(workerId) {
+        const now = new Date();
+        return Job.findOneAndUpdate(
+            { status: 'queued', runAt: { $lte: now }, userId: { $nin: await this.busyUsers() } },
+            {
+                $set: {
+                    status: 'running',
+                    lockedBy: workerId,
+                    lockedUntil: new Date(now.getTime() + this.visibilityTimeoutMs),
+                    startedAt: now
+                },
+                $inc: { attempts: 1 }
+            },
+            { sort: { priority: -1, runAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Keep a running job invisible to other workers
+     * @returns {boolean} false when the worker no longer owns the job
+     */
+    async extend(job, workerId) {
+        const { modifiedCount } = await Job.updateOne(
+            { _id: job._id, status: 'running', lockedBy: workerId },
+            { $set: { lockedUntil: new Date(Date.now() + this.visibilityTimeoutMs) } }
+        );
+        return modifiedCount > 0;
+    }
+
+    async complete(job, workerId, result = null) {
+        await Job.updateOne(
+            { _id: job._id, status: 'running', lockedBy: workerId },
+            { $set: { status: 'completed', result, finishedAt: new Date(), lockedBy: null, lockedUntil: null } }
+        );
+    }
+
+    /**
+     * Record a failed attempt: re-queue with backoff, or dead-letter when out of attempts
+     * (or when the error is marked retryable: false)
+     * @returns {string|null} 'queued' | 'failed', or null if the worker no longer owns the job
+     */
+    async fail(job, error, workerId) {
+        const deadLetter = job.attempts >= job.maxAttempts || error.retryable === false;
+        const now = new Date();
+
+        const update = deadLetter
+            ? { status: 'failed', finishedAt: now }
+            : { status: 'queued', runAt: new Date(now.getTime() + this.retryBaseMs * 2 ** (job.attempts - 1)) };
+
+        const { modifiedCount } = await Job.updateOne(
+            { _id: job._id, status: 'running', lockedBy: workerId },
+            {
+                $set: { ...update, lastError: error.message, lockedBy: null, lockedUntil: null },
+                $push: { failures: { attempt: job.attempts, error: error.message, at: now } }
+            }
+        );
+
+        if (modifiedCount === 0) return null;
+        console.warn(`[JobQueue] ${job.type} job ${job._id} attempt ${job.attempts}/${job.maxAttempts} failed: ${error.message}${deadLetter ? ' - dead-lettered' : ' - will retry'}`);
+        return update.status;
+    }
+
+    /**
+     * Jobs whose worker stopped extending the lock count as a failed attempt
+     * Called by workers before claiming
+     * @returns {Object[]} Jobs that were dead-lettered by this call
+     */
+    async requeueExpired() {
+        const expired = await Job.find({ status: 'running', lockedUntil: { $lt: new Date() } }).limit(50);
+        const deadLettered = [];
+
+        for (const job of expired) {
+            const outcome = await this.fail(job, new Error('Visibility timeout expired - worker stopped responding'), job.lockedBy);
+            if (outcome === 'failed') deadLettered.push(job);
+        }
+        return deadLettered;
+    }
+
+    /**
+     * Cancel a job that hasn't started
+     */
+    async cancel(jobId, userId) {
+        return Job.findOneAndUpdate(
+            { _id: jobId, userId, status: 'queued' },
+            { $set: { status: 'cancelled', finishedAt: new Date() } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Put a dead-lettered or cancelled job back in the queue with fresh attempts
+     * @returns {Object|null} null when the job can't be retried or an equivalent job is already active
+     */
+    async retry(jobId, userId) {
+        const job = await Job.findOne({ _id: jobId, userId, status: { $in: ['failed', 'cancelled'] } });
+        if (!job) return null;
+
+        if (job.dedupeKey && await Job.exists({ dedupeKey: job.dedupeKey, status: { $in: ACTIVE } })) {
+            return null;
+        }
+
+        try {
+            return await Job.findOneAndUpdate(
+                { _id: job._id, status: job.status },
+                { $set: { status: 'queued', attempts: 0, runAt: new Date(), lastError: null, finishedAt: null } },
+                { new: true }
+            );
+        } catch (error) {
+            // An equivalent job became active in the meantime
+            if (error.code === DUPLICATE_KEY) return null;
+            throw error;
+        }
+    }
+
+    async get(jobId, userId) {
+        return Job.findOne({ _id: jobId, userId }).lean();
+    }
+
+    async list({ userId, status, contentId, limit = 50 }) {
+        const query = { userId };
+        if (status) query.status = status;
+        if (contentId) query.contentId = contentId;
+
+        return Job.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    }
+
+    /**
+     * Latest job for a content, active or not
+     */
+    async latestForContent(contentId) {
+        return Job.findOne({ contentId }).sort({ createdAt: -1 }).lean();
+    }
+
+    /**
+     * Record a stop request on the content's running job
+     * Cancel wins over pause.
+     * @param {string} action - 'cancel' | 'pause'
+     */
+    async requestControl(contentId, action) {
+        return Job.updateOne(
+            { contentId, status: 'running', control: { $ne: 'cancel' } },
+            { $set: { control: action } }
+        );
+    }
+
+    /**
+     * Stop requests pending on the running jobs of these contents
+     * @returns {Object[]} [{ contentId, control }]
+     */
+    async pendingControls(contentIds) {
+        return Job.find({ contentId: { $in: contentIds }, status: 'running', control: { $ne: null } })
+            .select('contentId control')
+            .lean();
+    }
+
+    async hasActiveJob(contentId) {
+        return !!(await Job.exists({ contentId, status: { $in: ACTIVE } }));
+    }
+
+    /**
+     * Jobs that will be claimed before this one (0 = next)
+     */
+    async position(job) {
+        if (job.status !== 'queued') return null;
+
+        return Job.countDocuments({
+            status: 'queued',
+            $or: [
+                { priority: { $gt: job.priority } },
+                { priority: job.priority, runAt: { $lt: job.runAt } }
+            ]
+        });
+    }
+
+    /**
+     * Summary for API responses
+     */
+    async describe(job) {
+        if (!job) return null;
+
+        return {
+            id: job._id,
+            type: job.type,
+            status: job.status,
+            priority: job.priority,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            position: await this.position(job),
+            runAt: job.runAt,
+            lastError: job.lastError || null,
+            failures: job.failures || [],
+            createdAt: job.createdAt,
+            startedAt: job.startedAt || null,
+            finishedAt: job.finishedAt || null
+        };
+    }
+}
+
+module.exports = new JobQueue();
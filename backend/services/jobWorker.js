@@ -0,0 +1,118 @@
+/**
+ * Job Worker
+ * Claims jobs from the queue and runs their handlers
+ *
+ * Runs inside the API process by default, or on its own via `npm run worker`
+ * (set JOB_WORKER_IN_PROCESS=false on the API to leave all work to workers).
+ * Several worker processes can share one queue: claims are atomic.
+ *
+ * A handler is { run(job) → result, onFailed(job, error) } where onFailed is
+ * called once the job is dead-lettered.
+ *
+ * Configuration (env):
+ * - JOB_WORKER_CONCURRENCY: jobs run at once by this worker (default 2)
+ * - JOB_POLL_INTERVAL_MS: idle polling interval (default 2000)
+ */
+
+const os = require('os');
+const jobQueue = require('./jobQueue');
+
+class JobWorker {
+    constructor() {
+        this.id = `${os.hostname()}:${process.pid}`;
+        this.concurrency = Math.max(1, parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 2);
+        this.pollMs = Math.max(100, parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000);
+        this.handlers = {};
+        this.active = new Map(); // job id → promise
+        this.running = false;
+        this.polling = false;
+        this.timer = null;
+    }
+
+    register(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        console.log(`[Worker] ${this.id} started (concurrency ${this.concurrency}, handlers: ${Object.keys(this.handlers).join(', ')})`);
+        this.poll();
+    }
+
+    /**
+     * Stop claiming and wait for running jobs to finish
+     */
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        await Promise.allSettled(this.active.values());
+    }
+
+    /**
+     * Claim jobs until this worker is full or the queue is empty
+     */
+    async poll() {
+        if (!this.running || this.polling) return;
+        this.polling = true;
+        clearTimeout(this.timer);
+
+        try {
+            for (const job of await jobQueue.requeueExpired()) {
+                await this.deadLettered(job, new Error(job.lastError || 'Visibility timeout expired'));
+            }
+
+            while (this.running && this.active.size < this.concurrency) {
+                const job = await jobQueue.claim(this.id);
+                if (!job) break;
+
+                const promise = this.process(job).finally(() => {
+                    this.active.delete(String(job._id));
+                    this.poll(); // A slot freed up
+                });
+                this.active.set(String(job._id), promise);
+            }
+        } catch (error) {
+            console.error('[Worker] Poll failed:', error.message);
+        } finally {
+            this.polling = false;
+            if (this.running) this.timer = setTimeout(() => this.poll(), this.pollMs);
+        }
+    }
+
+    async process(job) {
+        const handler = this.handlers[job.type];
+        console.log(`[Worker] Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+        // Extend the visibility timeout while the job runs
+        const lockTimer = setInterval(() => {
+            jobQueue.extend(job, this.id)
+                .catch(error => console.warn(`[Worker] Lock extension failed for ${job._id}:`, error.message));
+        }, Math.max(1000, Math.floor(jobQueue.visibilityTimeoutMs / 3)));
+
+        try {
+            if (!handler) {
+                throw Object.assign(new Error(`No handler for job type "${job.type}"`), { retryable: false });
+            }
+
+            const result = await handler.run(job);
+            await jobQueue.complete(job, this.id, result);
+            console.log(`[Worker] Completed ${job.type} job ${job._id}`);
+        } catch (error) {
+            const outcome = await jobQueue.fail(job, error, this.id);
+            if (outcome === 'failed') await this.deadLettered(job, error);
+        } finally {
+            clearInterval(lockTimer);
+        }
+    }
+
+    async deadLettered(job, error) {
+        try {
+            await this.handlers[job.type]?.onFailed?.(job, error);
+        } catch (handlerError) {
+            console.error(`[Worker] onFailed handler error for ${job._id}:`, handlerError.message);
+        }
+    }
+}
+
+module.exports = new JobWorker();
@@ -0,0 +1,253 @@
+/**
+ * LLM Provider Registry
+ * Single place where agents obtain their chat models
+ *
+ * Providers:
+ * - groq: Groq cloud (default when GROQ_API_KEY is set)
+ * - openai: Any OpenAI-compatible endpoint (OpenAI, llama.cpp, Ollama, vLLM...)
+ * - bedrock: AWS Bedrock via the Converse API
+ * - scripted: Deterministic offline provider (default without a Groq key only when
+ *   NODE_ENV is test or development; anywhere else a missing key fails startup)
+ *
+ * Configuration (env):
+ * - LLM_PROVIDER, LLM_MODEL: global defaults
+ * - LLM_<AGENT>_PROVIDER / _MODEL / _TEMPERATURE / _MAX_TOKENS: per-agent overrides,
+ *   e.g. LLM_GENERATOR_MODEL=llama-3.1-8b-instant, LLM_MANAGER_INTERACT_TEMPERATURE=0
+ * - OPENAI_API_KEY, OPENAI_BASE_URL: OpenAI-compatible endpoint
+ * - AWS_REGION: Bedrock region
+ * - LLM_SCRIPT_FILE: JSON file of { agent: [responses] } for the scripted provider
+ *
+ * Every model is wrapped by the rate limiter (llm/rateLimiter), which owns retries
+ * and backs off on provider rate limits.
+ */
+
+const fs = require('fs');
+const { ScriptedChatModel } = require('./scriptedChatModel');
+const rateLimiter = require('./rateLimiter');
+
+const DEFAULT_MODELS = {
+    groq: 'llama-3.3-70b-versatile',
+    openai: 'gpt-4o-mini',
+    bedrock: 'anthropic.claude-3-haiku-20240307-v1:0',
+    scripted: 'scripted'
+};
+
+// Environments where a missing LLM configuration may fall back to the scripted provider
+const OFFLINE_ENVS = ['test', 'development'];
+
+/**
+ * camelCase agent name → SNAKE_CASE env segment (managerInteract → MANAGER_INTERACT)
+ */
+function envKey(agent) {
+    return agent.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readNumber(value) {
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.scripts = new Map();
+        this.calls = [];
+        this.warnedOffline = false;
+
+        this.register('groq', ({ model, temperature, maxTokens }) => {
+            const { ChatGroq } = require('@langchain/groq');
+            return new ChatGroq({
+                apiKey: process.env.GROQ_API_KEY,
+                model,
+                temperature,
+                maxTokens,
+                maxRetries: 0 // Retries are handled by the rate limiter
+            });
+        });
+
+        this.register('openai', ({ model, temperature, maxTokens }) => {
+            const { ChatOpenAI } = require('@langchain/openai');
+            const baseURL = process.env.OPENAI_BASE_URL;
+            return new ChatOpenAI({
+                modelName: model,
+                temperature,
+                maxTokens,
+                // Local servers (llama.cpp, Ollama) accept any key
+                openAIApiKey: process.env.OPENAI_API_KEY || (baseURL ? 'not-needed' : undefined),
+                configuration: baseURL ? { baseURL } : undefined,
+                maxRetries: 0 // Retries are handled by the rate limiter
+            });
+        });
+
+        this.register('bedrock', ({ model, temperature, maxTokens }) => {
+            const { ChatBedrockConverse } = require('@langchain/aws');
+            return new ChatBedrockConverse({
+                model,
+                region: process.env.AWS_REGION,
+                temperature,
+                maxTokens,
+                maxRetries: 0 // Retries are handled by the rate limiter
+            });
+        });
+
+        this.register('scripted', ({ agent, model }) => new ScriptedChatModel({
+            agent,
+            model,
+            nextResponse: (name, prompt) => this.nextScriptedResponse(name, prompt)
+        }));
+
+        this.loadScriptFile();
+    }
+
+    /**
+     * Register (or replace) a provider factory
+     * @param {string} name - Provider name used in LLM_PROVIDER
+     * @param {Function} factory - ({ agent, model, temperature, maxTokens }) → chat model
+     */
+    register(name, factory) {
+        this.providers.set(name, factory);
+    }
+
+    /**
+     * List registered provider names
+     */
+    list() {
+        return Array.from(this.providers.keys());
+    }
+
+    /**
+     * Provider for agents without their own: LLM_PROVIDER, else groq with a key,
+     * else scripted in test/development (an unset NODE_ENV counts as development,
+     * as it does for the server)
+     * @returns {string|null} null when nothing is configured
+     */
+    defaultProvider() {
+        const env = process.env;
+        if (env.LLM_PROVIDER) return env.LLM_PROVIDER;
+        if (env.GROQ_API_KEY) return 'groq';
+        return OFFLINE_ENVS.includes(env.NODE_ENV || 'development') ? 'scripted' : null;
+    }
+
+    /**
+     * Fail startup instead of silently serving scripted responses in production
+     */
+    assertConfigured() {
+        if (!this.defaultProvider()) {
+            throw new Error('No LLM provider configured: set GROQ_API_KEY or LLM_PROVIDER '
+                + `(LLM_PROVIDER=scripted for the offline provider, the default only when NODE_ENV is unset, ${OFFLINE_ENVS.join(' or ')})`);
+        }
+    }
+
+    /**
+     * Resolve the effective config for an agent: explicit overrides > env overrides > agent defaults > global defaults
+     * @param {string} agent - Agent name (generator, reviewer, ingest, ...)
+     * @param {object} defaults - Agent's own defaults ({ temperature, maxTokens })
+     * @param {object} overrides - Fixed { provider, model } that beat the env, e.g. a configured review judge
+     */
+    resolveConfig(agent, defaults = {}, overrides = {}) {
+        const key = envKey(agent);
+        const env = process.env;
+
+        const agentProvider = env[`LLM_${key}_PROVIDER`];
+        const provider = agentProvider || this.defaultProvider();
+        if (!provider) this.assertConfigured();
+
+        // The global LLM_MODEL belongs to the global provider, so skip it when the agent picks its own
+        const model = env[`LLM_${key}_MODEL`]
+            || (agentProvider ? undefined : env.LLM_MODEL)
+            || defaults.model
+            || DEFAULT_MODELS[provider];
+
+        const config = {
+            agent,
+            provider,
+            model,
+            temperature: readNumber(env[`LLM_${key}_TEMPERATURE`]) ?? defaults.temperature,
+            maxTokens: readNumber(env[`LLM_${key}_MAX_TOKENS`]) ?? defaults.maxTokens
+        };
+
+        if (overrides.provider) {
+            config.provider = overrides.provider;
+            config.model = overrides.model || DEFAULT_MODELS[overrides.provider];
+        } else if (overrides.model) {
+            config.model = overrides.model;
+        }
+        return config;
+    }
+
+    /**
+     * Build a chat model for an agent, wrapped with rate-limit backoff
+     * @param {string} agent - Agent name
+     * @param {object} defaults - Agent defaults ({ temperature, maxTokens })
+     * @param {object} overrides - Fixed { provider, model } (see resolveConfig)
+     */
+    getChatModel(agent, defaults = {}, overrides = {}) {
+        const config = this.resolveConfig(agent, defaults, overrides);
+        const factory = this.providers.get(config.provider);
+
+        if (!factory) {
+            throw new Error(`Unknown LLM provider "${config.provider}" for agent "${agent}". Available: ${this.list().join(', ')}`);
+        }
+
+        if (config.provider === 'scripted' && !process.env.LLM_PROVIDER && !this.warnedOffline) {
+            console.warn(`[LLM] No GROQ_API_KEY or LLM_PROVIDER set - using the scripted offline provider (NODE_ENV=${process.env.NODE_ENV || 'development'})`);
+            this.warnedOffline = true;
+        }
+
+        return rateLimiter.wrap(factory(config), config.provider, agent);
+    }
+
+    /**
+     * Script responses for the scripted provider
+     * @param {string} agent - Agent name, or 'default' for any agent without its own script
+     * @param {Array<string|Function>} responses - Consumed in order; the last one repeats
+     */
+    setScript(agent, responses) {
+        this.scripts.set(agent, { responses: [...responses], index: 0 });
+    }
+
+    /**
+     * Clear all scripts and recorded calls
+     */
+    resetScripts() {
+        this.scripts.clear();
+        this.calls = [];
+    }
+
+    /**
+     * Calls seen by the scripted provider (agent + prompt), for assertions in tests
+     */
+    getScriptedCalls() {
+        return this.calls;
+    }
+
+    nextScriptedResponse(agent, prompt) {
+        this.calls.push({ agent, prompt });
+        if (this.calls.length > 500) this.calls.shift();
+
+        const script = this.scripts.get(agent) || this.scripts.get('default');
+        if (!script || script.responses.length === 0) return undefined;
+
+        const response = script.responses[Math.min(script.index, script.responses.length - 1)];
+        script.index++;
+        return response;
+    }
+
+    loadScriptFile() {
+        const file = process.env.LLM_SCRIPT_FILE;
+        if (!file) return;
+
+        try {
+            const scripts = JSON.parse(fs.readFileSync(file, 'utf8'));
+            for (const [agent, responses] of Object.entries(scripts)) {
+                this.setScript(agent, Array.isArray(responses) ? responses : [responses]);
+            }
+            console.log(`[LLM] Loaded scripted responses from ${file}`);
+        } catch (error) {
+            console.error(`[LLM] Failed to load LLM_SCRIPT_FILE ${file}:`, error.message);
+        }
+    }
+}
+
+module.exports = new ProviderRegistry();
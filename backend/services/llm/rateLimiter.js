@@ -0,0 +1,151 @@
+/**
+ * LLM Rate Limiter
+ * Shared backoff for provider rate-limit and overload errors
+ *
+ * Platforms are generated concurrently and share each provider's quota, so a
+ * 429 in one lane puts the whole provider into a cooldown: every call to it
+ * waits instead of each lane hammering the API on its own. Calls are retried
+ * with exponential backoff and full jitter, honouring Retry-After when sent.
+ *
+ * This is the only retry policy for LLM calls - the registry turns off the
+ * LangChain clients' built-in retries so the two don't compound.
+ *
+ * Calls made inside withSignal() carry that AbortSignal: aborting it (e.g. a
+ * cancelled orchestration) rejects in-flight calls and any pending backoff.
+ *
+ * Configuration (env):
+ * - LLM_MAX_RETRIES: retries per call (default 4)
+ * - LLM_BACKOFF_BASE_MS / LLM_BACKOFF_MAX_MS: backoff window (default 1000 / 30000)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { RunnableLambda } = require('@langchain/core/runnables');
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504, 529];
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|throttl|overloaded/i;
+const NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Rejects with the signal's reason if it is aborted first
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+class RateLimiter {
+    constructor() {
+        this.cooldowns = new Map(); // provider → timestamp until which calls wait
+        this.maxRetries = readInt(process.env.LLM_MAX_RETRIES, 4);
+        this.baseDelayMs = readInt(process.env.LLM_BACKOFF_BASE_MS, 1000);
+        this.maxDelayMs = readInt(process.env.LLM_BACKOFF_MAX_MS, 30000);
+        this.abortContext = new AsyncLocalStorage(); // AbortSignal for calls in scope
+    }
+
+    /**
+     * Run fn with every LLM call inside it bound to an AbortSignal
+     */
+    withSignal(signal, fn) {
+        return this.abortContext.run(signal, fn);
+    }
+
+    status(error) {
+        return error?.status ?? error?.response?.status ?? error?.$metadata?.httpStatusCode;
+    }
+
+    /**
+     * Provider is asking us to slow down (429, throttling, overload)
+     */
+    isRateLimitError(error) {
+        return this.status(error) === 429
+            || error?.name === 'ThrottlingException'
+            || RATE_LIMIT_PATTERN.test(error?.message || '');
+    }
+
+    /**
+     * Worth retrying: rate limits, 5xx and dropped connections
+     */
+    isRetryable(error) {
+        return this.isRateLimitError(error)
+            || RETRYABLE_STATUS.includes(this.status(error))
+            || NETWORK_CODES.includes(error?.code);
+    }
+
+    /**
+     * Retry-After header in ms, if the provider sent one
+     */
+    retryAfterMs(error) {
+        const headers = error?.headers || error?.response?.headers || {};
+        const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+        const seconds = parseFloat(value);
+        return Number.isFinite(seconds) ? seconds * 1000 : null;
+    }
+
+    /**
+     * Full-jitter exponential delay for an attempt (0-based)
+     */
+    backoffMs(attempt) {
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(Math.random() * ceiling);
+    }
+
+    async waitForCooldown(provider, signal) {
+        const until = this.cooldowns.get(provider) || 0;
+        const wait = until - Date.now();
+        if (wait > 0) await sleep(wait, signal);
+    }
+
+    /**
+     * Run an LLM call with shared cooldown and backoff
+     * @param {string} provider - Provider name (cooldowns are per provider)
+     * @param {Function} fn - async (signal) → result
+     * @param {string} label - Agent name for logs
+     */
+    async call(provider, fn, label = 'llm') {
+        const signal = this.abortContext.getStore();
+
+        for (let attempt = 0; ; attempt++) {
+            signal?.throwIfAborted();
+            await this.waitForCooldown(provider, signal);
+
+            try {
+                return await fn(signal);
+            } catch (error) {
+                if (signal?.aborted) throw signal.reason;
+                if (attempt >= this.maxRetries || !this.isRetryable(error)) throw error;
+
+                const delay = Math.min(this.maxDelayMs, this.retryAfterMs(error) ?? this.backoffMs(attempt));
+                if (this.isRateLimitError(error)) {
+                    // Pause every lane using this provider, not just this one
+                    const until = Date.now() + delay;
+                    this.cooldowns.set(provider, Math.max(this.cooldowns.get(provider) || 0, until));
+                }
+
+                console.warn(`[LLM] ${label} (${provider}) ${this.isRateLimitError(error) ? 'rate limited' : 'failed'}: ${error.message} - retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                if (!this.isRateLimitError(error)) await sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Wrap a chat model so every invoke goes through call()
+     * The wrapper is a Runnable, so it drops into the agents' RunnableSequence chains.
+     */
+    wrap(model, provider, agent) {
+        return RunnableLambda.from((input, config) =>
+            this.call(provider, (signal) => model.invoke(input, signal ? { ...config, signal } : config), agent)
+        ).withConfig({ runName: `${agent}:${provider}` });
+    }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,143 @@
+/**
+ * Scripted Chat Model
+ * Deterministic, offline LLM provider for development and tests
+ *
+ * Behaves like any LangChain chat model (so it drops into the agents'
+ * RunnableSequence chains unchanged) but never touches the network:
+ * - Scripted responses are consumed in order per agent
+ * - A script entry may be a string or a function(promptText) → string
+ * - With no script, each agent gets a canned, schema-valid response
+ */
+
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage } = require('@langchain/core/messages');
+
+/**
+ * Pull the text of a labelled prompt section (e.g. "CONTENT TITLE: ...")
+ */
+function extractField(prompt, label) {
+    const match = prompt.match(new RegExp(`${label}:\\s*(.+)`));
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * Canned responses per agent when nothing is scripted.
+ * They follow each agent's output contract so the pipeline runs end to end.
+ */
+const DEFAULT_RESPONDERS = {
+    ingest: (prompt) => {
+        const title = extractField(prompt, 'CONTENT TITLE') || 'Untitled';
+        const words = title.toLowerCase().split(/\W+/).filter(w => w.length > 3);
+        return JSON.stringify({
+            themes: words.slice(0, 3).length > 0 ? words.slice(0, 3) : ['general'],
+            keywords: words.slice(0, 5),
+            sentiment: 'neutral',
+            audience: 'general audience',
+            keyMessages: [title],
+            summary: title
+        });
+    },
+    generator: (prompt) => {
+        const platform = extractField(prompt, 'PLATFORM') || 'blog';
+        const maxChars = parseInt(extractField(prompt, 'MAX CHARACTERS'), 10) || 280;
+        // Echo the source text: ENRICHED CONTENT on first generation, CONTENT TO FORMAT on the JSON retry
+        const original = (prompt.split('ENRICHED CONTENT:')[1] || '').split('BRAND DNA:')[0].trim()
+            || (prompt.split('CONTENT TO FORMAT:')[1] || '').split('Output ONLY')[0].trim();
+        // Thread prompts get the source in tweet-sized pieces, one sentence or more each
+        if (prompt.includes('"thread": [')) {
+            const thread = [];
+            for (const sentence of (original || `Deterministic ${platform} thread.`).split(/(?<=[.!?])\s+/)) {
+                const last = thread.length - 1;
+                if (last >= 0 && thread[last].length + sentence.length < maxChars - 20) {
+                    thread[last] += ` ${sentence}`;
+                } else {
+                    thread.push(sentence.substring(0, maxChars - 20));
+                }
+            }
+            return JSON.stringify({ thread, hashtags: [], hook: thread[0].substring(0, 50) });
+        }
+        const content = (original || `Deterministic ${platform} draft.`).substring(0, maxChars);
+        return JSON.stringify({
+            content,
+            hashtags: [],
+            hook: content.split('\n')[0].substring(0, 50),
+            charCount: content.length
+        });
+    },
+    reviewer: () => JSON.stringify({
+        scores: { tone: 85, values: 85, keywords: 85, avoidWords: 85, audience: 85 },
+        overallScore: 85,
+        passed: true,
+        feedback: 'Deterministic review (scripted provider).',
+        suggestions: []
+    }),
+    reflector: () => JSON.stringify({
+        rootCause: 'Deterministic reflection (scripted provider)',
+        canFix: true,
+        strategy: 'Retry with closer attention to the failed checks.',
+        focusAreas: [],
+        avoidPatterns: []
+    }),
+    // Every key message covered
+    coverage: (prompt) => {
+        const messages = ((prompt.split('KEY MESSAGES:')[1] || '').match(/^\d+\. /gm) || []);
+        return JSON.stringify({
+            messages: messages.map((_, i) => ({ index: i + 1, covered: true, confidence: 0.9 }))
+        });
+    },
+    manager: () => JSON.stringify({ steps: null }),
+    managerInteract: () => JSON.stringify({
+        understanding: 'Run the orchestration pipeline',
+        action: 'ORCHESTRATE',
+        confidence: 1,
+        targetPlatforms: null,
+        changes: null,
+        needsClarification: false,
+        reasoning: 'Scripted provider default'
+    }),
+    managerEdit: (prompt) => (prompt.split('CURRENT CONTENT:')[1] || '').split('USER INSTRUCTION:')[0].trim(),
+    promptConstructor: () => 'A clean conceptual illustration of a modern team collaborating around laptops and dashboards.',
+    titleGenerator: () => 'Untitled Draft'
+};
+
+class ScriptedChatModel extends BaseChatModel {
+    /**
+     * @param {object} fields
+     * @param {string} fields.agent - Agent name, used to pick the script
+     * @param {Function} fields.nextResponse - (agent, promptText) → scripted response or undefined
+     */
+    constructor(fields = {}) {
+        super(fields);
+        this.agent = fields.agent || 'default';
+        this.model = fields.model || 'scripted';
+        this.nextResponse = fields.nextResponse || (() => undefined);
+    }
+
+    _llmType() {
+        return 'scripted';
+    }
+
+    async _generate(messages) {
+        const promptText = messages
+            .map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content)))
+            .join('\n');
+
+        let text = this.nextResponse(this.agent, promptText);
+        if (typeof text === 'function') {
+            text = text(promptText);
+        }
+        if (text === undefined) {
+            const responder = DEFAULT_RESPONDERS[this.agent];
+            text = responder ? responder(promptText) : '{}';
+        }
+
+        return {
+            generations: [{ text, message: new AIMessage(text) }]
+        };
+    }
+}
+
+module.exports = {
+    ScriptedChatModel,
+    DEFAULT_RESPONDERS
+};
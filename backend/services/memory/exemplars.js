@@ -0,0 +1,140 @@
+/**
+ * Exemplars - few-shot examples for the Generator
+ *
+ * Collects the best posts a user already has for a platform:
+ * - Brand DNA examples tagged with the platform (hand-picked by the user)
+ * - Past variants that were published or approved, ranked by review score
+ * Platform-specific examples always come before generic ones (Brand DNA
+ * examples without a platform), which only fill the remaining slots.
+ *
+ * Near-duplicates are dropped - of each other and of the source being
+ * repurposed - so the model sees varied styles instead of one post to copy.
+ */
+
+const mongoose = require('mongoose');
+const Content = require('../../models/Content');
+
+const DEFAULT_LIMIT = Math.max(0, parseInt(process.env.FEW_SHOT_EXAMPLES, 10) || 3);
+
+// Word-trigram overlap above which two texts count as the same post
+const DUPLICATE_SIMILARITY = 0.6;
+
+/**
+ * Word trigrams of a text, for overlap checks
+ */
+function shingles(text) {
+    const words = (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s#@]/gu, ' ').split(/\s+/).filter(Boolean);
+    if (words.length < 3) return new Set(words.length ? [words.join(' ')] : []);
+
+    const set = new Set();
+    for (let i = 0; i <= words.length - 3; i++) {
+        set.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    }
+    return set;
+}
+
+/**
+ * Share of a's trigrams that also appear in b (0-1)
+ * Asymmetric on purpose: a short post lifted from a long one still scores high.
+ */
+function overlap(a, b) {
+    const setA = a instanceof Set ? a : shingles(a);
+    const setB = b instanceof Set ? b : shingles(b);
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    for (const gram of setA) {
+        if (setB.has(gram)) shared++;
+    }
+    return shared / Math.min(setA.size, setB.size);
+}
+
+/**
+ * Published / approved variants for a platform, best first - ranked in the query,
+ * so the limit only trims the tail
+ */
+async function pastVariants(userId, platform, excludeContentId, limit) {
+    if (!userId || mongoose.connection.readyState !== mongoose.ConnectionStates.connected) return [];
+
+    const match = { userId: new mongoose.Types.ObjectId(String(userId)) };
+    if (excludeContentId && mongoose.isValidObjectId(excludeContentId)) {
+        match._id = { $ne: new mongoose.Types.ObjectId(String(excludeContentId)) };
+    }
+
+    const rows = await Content.aggregate([
+        { $match: { ...match, 'variants.platform': platform } },
+        { $unwind: '$variants' },
+        { $match: { 'variants.platform': platform, 'variants.status': { $in: ['published', 'approved'] } } },
+        { $sort: { 'variants.consistencyScore': -1, 'variants.generatedAt': -1 } },
+        { $limit: limit },
+        {
+            $project: {
+                title: 1,
+                content: '$variants.content',
+                score: '$variants.consistencyScore',
+                status: '$variants.status'
+            }
+        }
+    ]);
+
+    return rows.map(row => ({
+        id: `content:${row._id}`,
+        source: 'published',
+        platform,
+        title: row.title,
+        content: row.content,
+        score: row.score ?? null
+    }));
+}
+
+/**
+ * Few-shot examples for one platform
+ * @param {string} platform
+ * @param {Object} options - { userId, brandDNA, excludeContentId, sourceText, limit }
+ * @returns {Object[]} [{ id, source: 'brand' | 'published', platform, title, content, score }]
+ */
+async function findExemplars(platform, { userId, brandDNA = null, excludeContentId = null, sourceText = '', limit = DEFAULT_LIMIT } = {}) {
+    if (limit <= 0) return [];
+
+    const brandExamples = (brandDNA?.examples || [])
+        .filter(ex => ex?.content?.trim())
+        .map((ex, i) => ({
+            id: `brand:${ex._id || i}`,
+            source: 'brand',
+            platform: ex.platform?.toLowerCase() || null,
+            title: ex.notes || null,
+            content: ex.content,
+            score: null
+        }));
+
+    // Hand-picked examples lead their group; past posts follow by rank (extra rows
+    // leave room for near-duplicates skipped below)
+    const published = await pastVariants(userId, platform, excludeContentId, limit * 5);
+    const specific = [
+        ...brandExamples.filter(ex => ex.platform === platform),
+        ...published
+    ];
+    const generic = brandExamples.filter(ex => !ex.platform || ex.platform === 'generic' || ex.platform === 'all');
+
+    const source = shingles(sourceText);
+    const chosen = [];
+    for (const example of [...specific, ...generic]) {
+        if (chosen.length >= limit) break;
+
+        const grams = shingles(example.content);
+        if (source.size > 0 && overlap(grams, source) >= DUPLICATE_SIMILARITY) continue;
+        if (chosen.some(c => overlap(grams, c.grams) >= DUPLICATE_SIMILARITY)) continue;
+
+        chosen.push({ ...example, grams });
+    }
+
+    return chosen.map(({ grams, ...example }) => example);
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    DUPLICATE_SIMILARITY,
+    shingles,
+    overlap,
+    findExemplars
+};
@@ -1,39 +1,98 @@
 /**
  * Graph Memory - Neo4j Integration
  * Identity graph for brand DNA, beliefs, stances, and past work
- * 
+ *
  * Only the Manager Agent accesses this directly.
  * Workers receive curated context, never query directly.
+ *
+ * Graph is keyed by BrandDNA id: (:Brand {id}) owns its Belief, Stance, Tone,
+ * ForbiddenPhrase and PastWork nodes (each carrying brandId). Topic nodes are
+ * shared and reached through the brand's PastWork.
+ *
+ * Identity nodes come from two sources:
+ * - 'brandDNA': kept in sync with the BrandDNA document (syncBrandDNA)
+ * - 'user': curated through the brand graph API; never touched by a sync
+ *
+ * Backends (GRAPH_MEMORY env):
+ * - neo4j: Neo4j server (default when NEO4J_URI is set)
+ * - local: MongoDB-backed store (memory/localGraphStore) - also used
+ *   automatically when Neo4j is not configured
+ * Once Neo4j is the backend it stays the backend: a failed connect is retried
+ * with backoff (NEO4J_CONNECT_ATTEMPTS, NEO4J_CONNECT_BACKOFF_MS) and the graph
+ * reports unavailable until Neo4j is back, so writes never split between stores.
  */
 
+const crypto = require('crypto');
 const neo4j = require('neo4j-driver');
+const localGraphStore = require('./localGraphStore');
 
 let driver = null;
+let useLocalStore = false;
+// No new connect attempt before this time after one failed
+let retryAt = 0;
+
+const CONNECT_ATTEMPTS = parseInt(process.env.NEO4J_CONNECT_ATTEMPTS, 10) || 3;
+// Wait before the second attempt, doubled for each one after it
+const CONNECT_BACKOFF_MS = parseInt(process.env.NEO4J_CONNECT_BACKOFF_MS, 10) || 500;
+// Quiet period after a failed connect, so callers don't each wait out the retries
+const RECONNECT_COOLDOWN_MS = 30 * 1000;
+
+// Curatable identity nodes: kind → node label and relationship from the brand
+const IDENTITY_KINDS = {
+    beliefs: { label: 'Belief', rel: 'HAS_BELIEF' },
+    stances: { label: 'Stance', rel: 'HAS_STANCE' },
+    opposedStances: { label: 'Stance', rel: 'OPPOSES' },
+    tones: { label: 'Tone', rel: 'HAS_TONE' },
+    forbiddenPhrases: { label: 'ForbiddenPhrase', rel: 'AVOIDS' }
+};
 
 /**
- * Initialize Neo4j connection
+ * Initialize Neo4j connection, or the local store when Neo4j is not in use
+ * @returns {Object|null} The Neo4j driver, or null on the local store
  */
 async function connect() {
     if (driver) return driver;
+    if (useLocalStore) return null;
+
+    const backend = process.env.GRAPH_MEMORY || (process.env.NEO4J_URI ? 'neo4j' : 'local');
+    if (backend === 'local') {
+        useLocalStore = true;
+        console.log('[GraphMemory] Using local graph store (MongoDB)');
+        return null;
+    }
+
+    if (Date.now() < retryAt) return null;
 
     const uri = process.env.NEO4J_URI;
     const user = process.env.NEO4J_USER || 'neo4j';
     const password = process.env.NEO4J_PASSWORD;
 
     if (!uri || !password) {
-        console.warn('[GraphMemory] Neo4j credentials not configured. Graph memory disabled.');
+        console.error('[GraphMemory] GRAPH_MEMORY=neo4j but NEO4J_URI / NEO4J_PASSWORD are not set - graph memory unavailable');
+        retryAt = Date.now() + RECONNECT_COOLDOWN_MS;
         return null;
     }
 
-    try {
-        driver = neo4j.driver(uri, neo4j.auth.basic(user, password));
-        await driver.verifyConnectivity();
-        console.log('[GraphMemory] Connected to Neo4j');
-        return driver;
-    } catch (error) {
-        console.error('[GraphMemory] Connection failed:', error.message);
-        return null;
+    for (let attempt = 1; attempt <= CONNECT_ATTEMPTS; attempt++) {
+        const candidate = neo4j.driver(uri, neo4j.auth.basic(user, password), { disableLosslessIntegers: true });
+        try {
+            await candidate.verifyConnectivity();
+            driver = candidate;
+            retryAt = 0;
+            console.log('[GraphMemory] Connected to Neo4j');
+            return driver;
+        } catch (error) {
+            await candidate.close().catch(() => {});
+            console.error(`[GraphMemory] Neo4j connection attempt ${attempt}/${CONNECT_ATTEMPTS} failed:`, error.message);
+            if (attempt < CONNECT_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, CONNECT_BACKOFF_MS * 2 ** (attempt - 1)));
+            }
+        }
     }
+
+    console.error(`[GraphMemory] Neo4j unreachable - graph memory unavailable, retrying in ${RECONNECT_COOLDOWN_MS / 1000}s`);
+    retryAt = Date.now() + RECONNECT_COOLDOWN_MS;
+    return null;
 }
 
 /**
@@ -47,29 +106,79 @@ async function disconnect() {
 }
 
 /**
- * Query brand identity from graph
- * Returns beliefs, stances, tone descriptors, and past successful content
+ * The local store when it is the active backend, otherwise null (connects on first use)
+ */
+async function localStore() {
+    if (!driver && !useLocalStore) await connect();
+    return useLocalStore ? localGraphStore : null;
+}
+
+/**
+ * Whether the graph can be queried (connects on first use)
+ */
+async function available() {
+    const local = await localStore();
+    return local ? local.available() : !!driver;
+}
+
+/**
+ * Active backend: 'neo4j' | 'local' (connects on first use)
+ */
+async function backendName() {
+    return (await localStore()) ? 'local' : 'neo4j';
+}
+
+/**
+ * Run work(session) on a fresh session
+ * @returns {*} work's result, or fallback when Neo4j is not available
  */
-async function queryBrandIdentity(brandName) {
+async function withSession(work, fallback = null) {
     if (!driver) {
         await connect();
-        if (!driver) return null;
+        if (!driver) return fallback;
     }
 
     const session = driver.session();
     try {
+        return await work(session);
+    } finally {
+        await session.close();
+    }
+}
+
+function identityKind(kind) {
+    const spec = IDENTITY_KINDS[kind];
+    if (!spec) {
+        throw Object.assign(new Error(`Unknown identity kind: ${kind}`), { code: 'INVALID_KIND' });
+    }
+    return spec;
+}
+
+/**
+ * Query brand identity from graph
+ * Returns beliefs, stances, tone descriptors, and past successful content
+ */
+async function queryBrandIdentity(brandId) {
+    const local = await localStore();
+    if (local) return local.queryBrandIdentity(String(brandId));
+
+    return withSession(async (session) => {
         const result = await session.run(`
-            MATCH (b:Brand {name: $brandName})
+            MATCH (b:Brand {id: $brandId})
+            // One relationship per stage, collected before the next, so rows never multiply
             OPTIONAL MATCH (b)-[:HAS_BELIEF]->(belief:Belief)
+            WITH b, collect(DISTINCT belief.text) as beliefs
             OPTIONAL MATCH (b)-[:HAS_STANCE]->(stance:Stance)
+            WITH b, beliefs, collect(DISTINCT stance.text) as stances
+            OPTIONAL MATCH (b)-[:OPPOSES]->(opposed:Stance)
+            WITH b, beliefs, stances, collect(DISTINCT opposed.text) as opposedStances
             OPTIONAL MATCH (b)-[:HAS_TONE]->(tone:Tone)
+            WITH b, beliefs, stances, opposedStances, collect(DISTINCT tone.text) as tones
             OPTIONAL MATCH (b)-[:AUTHORED]->(work:PastWork)
-            RETURN b, 
-                   collect(DISTINCT belief.text) as beliefs,
-                   collect(DISTINCT stance.text) as stances,
-                   collect(DISTINCT tone.descriptor) as tones,
-                   collect(DISTINCT work{.title, .platform, .score})[0..5] as pastWorks
-        `, { brandName });
+            WITH b, beliefs, stances, opposedStances, tones, work ORDER BY work.createdAt DESC
+            RETURN b, beliefs, stances, opposedStances, tones,
+                   collect(work{.title, .platform, .score})[0..5] as pastWorks
+        `, { brandId: String(brandId) });
 
         if (result.records.length === 0) {
             return null;
@@ -77,78 +186,79 @@ async function queryBrandIdentity(brandName) {
 
         const record = result.records[0];
         return {
-            brand: record.get('b')?.properties || { name: brandName },
+            brand: record.get('b')?.properties || { id: String(brandId) },
             beliefs: record.get('beliefs') || [],
             stances: record.get('stances') || [],
+            opposedStances: record.get('opposedStances') || [],
             tones: record.get('tones') || [],
             pastWorks: record.get('pastWorks') || []
         };
-    } finally {
-        await session.close();
-    }
+    });
 }
 
 /**
- * Query past work by topic for RAG-style context
+ * Query the brand's past work by topic for RAG-style context
  */
-async function queryPastWorkByTopic(topic, limit = 5) {
-    if (!driver) {
-        await connect();
-        if (!driver) return [];
-    }
+async function queryPastWorkByTopic(brandId, topic, limit = 5) {
+    const local = await localStore();
+    if (local) return local.queryPastWorkByTopic(String(brandId), topic, limit);
 
-    const session = driver.session();
-    try {
+    return withSession(async (session) => {
         const result = await session.run(`
-            MATCH (w:PastWork)-[:ABOUT]->(t:Topic)
+            MATCH (:Brand {id: $brandId})-[:AUTHORED]->(w:PastWork)-[:ABOUT]->(t:Topic)
             WHERE t.name CONTAINS $topic OR w.content CONTAINS $topic
-            RETURN w{.title, .platform, .content, .score}
+            RETURN DISTINCT w{.title, .platform, .content, .score}
             ORDER BY w.score DESC
             LIMIT $limit
-        `, { topic, limit: neo4j.int(limit) });
+        `, { brandId: String(brandId), topic, limit: neo4j.int(limit) });
 
         return result.records.map(r => r.get('w'));
-    } finally {
-        await session.close();
-    }
+    }, []);
 }
 
 /**
  * Check for contradictions between draft and brand beliefs
+ * @returns {Object} { checked, coherent, issues } - checked is false (coherent null,
+ *   with a reason) when the graph could not be queried
  */
-async function checkCoherence(brandName, draftContent) {
-    if (!driver) {
-        await connect();
-        if (!driver) return { coherent: true, issues: [] };
-    }
+async function checkCoherence(brandId, draftContent) {
+    const unchecked = { checked: false, coherent: null, issues: [], reason: 'Graph memory unavailable' };
 
-    const session = driver.session();
     try {
-        // Get forbidden phrases and contradictory stances
-        const result = await session.run(`
-            MATCH (b:Brand {name: $brandName})
-            OPTIONAL MATCH (b)-[:AVOIDS]->(avoid:ForbiddenPhrase)
-            OPTIONAL MATCH (b)-[:OPPOSES]->(oppose:Stance)
-            RETURN collect(DISTINCT avoid.phrase) as forbidden,
-                   collect(DISTINCT oppose.text) as opposedStances
-        `, { brandName });
-
-        const record = result.records[0];
-        const forbidden = record?.get('forbidden') || [];
-        const opposedStances = record?.get('opposedStances') || [];
+        const local = await localStore();
+        const rules = local
+            ? (local.available() ? await local.coherenceRules(String(brandId)) : null)
+            : await withSession(async (session) => {
+                // Get forbidden phrases and contradictory stances
+                const result = await session.run(`
+                    MATCH (b:Brand {id: $brandId})
+                    OPTIONAL MATCH (b)-[:AVOIDS]->(avoid:ForbiddenPhrase)
+                    WITH b, collect(DISTINCT avoid.text) as forbidden
+                    OPTIONAL MATCH (b)-[:OPPOSES]->(oppose:Stance)
+                    RETURN forbidden, collect(DISTINCT oppose.text) as opposedStances
+                `, { brandId: String(brandId) });
+
+                const record = result.records[0];
+                return {
+                    forbidden: record?.get('forbidden') || [],
+                    opposedStances: record?.get('opposedStances') || []
+                };
+            });
+
+        if (!rules) return unchecked;
 
         const issues = [];
         const lowerContent = draftContent.toLowerCase();
 
         // Check for forbidden phrases
-        for (const phrase of forbidden) {
+        for (const phrase of rules.forbidden) {
             if (lowerContent.includes(phrase.toLowerCase())) {
                 issues.push(`Contains forbidden phrase: "${phrase}"`);
             }
         }
 
         // Simple keyword check for opposed stances
-        for (const stance of opposedStances) {
+        for (const stance of rules.opposedStances) {
             const keywords = stance.toLowerCase().split(' ').filter(w => w.length > 4);
             if (keywords.some(kw => lowerContent.includes(kw))) {
                 issues.push(`May conflict with brand stance: "${stance}"`);
@@ -156,73 +266,51 @@ async function checkCoherence(brandName, draftContent) {
         }
 
         return {
+            checked: true,
             coherent: issues.length === 0,
             issues
         };
-    } finally {
-        await session.close();
+    } catch (error) {
+        console.warn('[GraphMemory] Coherence check failed:', error.message);
+        return { ...unchecked, reason: `Graph query failed: ${error.message}` };
     }
 }
 
 /**
  * Upsert a brand node with properties
  */
-async function upsertBrand(brandName, properties = {}) {
-    if (!driver) {
-        await connect();
-        if (!driver) return null;
-    }
+async function upsertBrand(brandId, properties = {}) {
+    const local = await localStore();
+    if (local) return local.upsertBrand(String(brandId), properties);
 
-    const session = driver.session();
-    try {
+    return withSession(async (session) => {
         const result = await session.run(`
-            MERGE (b:Brand {name: $brandName})
+            MERGE (b:Brand {id: $brandId})
             SET b += $properties
             RETURN b
-        `, { brandName, properties });
+        `, { brandId: String(brandId), properties });
 
         return result.records[0]?.get('b')?.properties;
-    } finally {
-        await session.close();
-    }
-}
-
-/**
- * Add a belief to a brand
- */
-async function addBelief(brandName, beliefText) {
-    if (!driver) {
-        await connect();
-        if (!driver) return null;
-    }
-
-    const session = driver.session();
-    try {
-        await session.run(`
-            MERGE (b:Brand {name: $brandName})
-            MERGE (belief:Belief {text: $beliefText})
-            MERGE (b)-[:HAS_BELIEF]->(belief)
-        `, { brandName, beliefText });
-        return true;
-    } finally {
-        await session.close();
-    }
+    });
 }
 
 /**
  * Record past work for future context
  */
-async function recordPastWork(brandName, work) {
-    if (!driver) {
-        await connect();
-        if (!driver) return null;
-    }
+async function recordPastWork(brandId, work) {
+    const local = await localStore();
+    if (local) return local.recordPastWork(String(brandId), {
+        ...work,
+        content: work.content?.substring(0, 500) || '',
+        score: work.score || 0
+    });
 
-    const session = driver.session();
-    try {
+    return withSession(async (session) => {
         await session.run(`
-            MERGE (b:Brand {name: $brandName})
+            MERGE (b:Brand {id: $brandId})
             CREATE (w:PastWork {
+                id: $id,
+                brandId: $brandId,
                 title: $title,
                 platform: $platform,
                 content: $content,
@@ -235,7 +323,8 @@ async function recordPastWork(brandName, work) {
             MERGE (t:Topic {name: topicName})
             MERGE (w)-[:ABOUT]->(t)
         `, {
-            brandName,
+            brandId: String(brandId),
+            id: crypto.randomUUID(),
             title: work.title,
             platform: work.platform,
             content: work.content?.substring(0, 500) || '',
@@ -243,56 +332,242 @@ async function recordPastWork(brandName, work) {
             topics: work.topics || []
         });
         return true;
-    } finally {
-        await session.close();
+    });
+}
+
+/**
+ * Mirror a BrandDNA document into the graph
+ * values → Belief, voice → Stance, tone → Tone, avoidWords → ForbiddenPhrase.
+ * Nodes a previous sync created that are no longer in the document are removed;
+ * user-curated nodes are left alone.
+ */
+async function syncBrandDNA(brandDNA) {
+    if (!brandDNA?._id) return null;
+
+    const brandId = String(brandDNA._id);
+    const guidelines = brandDNA.guidelines || {};
+    const clean = (list) => [...new Set((list || []).map(t => t?.trim()).filter(Boolean))];
+    const synced = {
+        beliefs: clean(guidelines.values),
+        stances: clean([guidelines.voice]),
+        tones: clean([guidelines.tone]),
+        forbiddenPhrases: clean(guidelines.avoidWords)
+    };
+    const properties = { name: brandDNA.name || 'Unknown Brand', targetAudience: guidelines.targetAudience || '' };
+
+    const local = await localStore();
+    if (local) {
+        await local.syncBrand(brandId, properties, Object.entries(synced).map(([kind, texts]) => ({ ...IDENTITY_KINDS[kind], texts })));
+        console.log(`[GraphMemory] Synced brand: ${brandDNA.name} (${brandId})`);
+        return synced;
     }
+
+    return withSession(async (session) => {
+        await session.executeWrite(async (tx) => {
+            await tx.run(`
+                MERGE (b:Brand {id: $brandId})
+                SET b += $properties, b.updatedAt = datetime()
+            `, { brandId, properties });
+
+            for (const [kind, texts] of Object.entries(synced)) {
+                const { label, rel } = IDENTITY_KINDS[kind];
+
+                await tx.run(`
+                    MATCH (:Brand {id: $brandId})-[:${rel}]->(n:${label} {source: 'brandDNA'})
+                    WHERE NOT n.text IN $texts
+                    DETACH DELETE n
+                `, { brandId, texts });
+
+                await tx.run(`
+                    MATCH (b:Brand {id: $brandId})
+                    UNWIND $items AS item
+                    MERGE (b)-[:${rel}]->(n:${label} {brandId: $brandId, text: item.text})
+                    ON CREATE SET n.id = item.id, n.source = 'brandDNA', n.createdAt = datetime()
+                `, { brandId, items: texts.map(text => ({ text, id: crypto.randomUUID() })) });
+            }
+        });
+
+        console.log(`[GraphMemory] Synced brand: ${brandDNA.name} (${brandId})`);
+        return synced;
+    });
+}
+
+/**
+ * Remove a brand and everything it owns; topics left without past work go too
+ */
+async function deleteBrand(brandId) {
+    const local = await localStore();
+    if (local) return local.deleteBrand(String(brandId));
+
+    return withSession(async (session) => {
+        await session.executeWrite(async (tx) => {
+            await tx.run(`
+                MATCH (n)
+                WHERE (n:Brand AND n.id = $brandId)
+                   OR ((n:Belief OR n:Stance OR n:Tone OR n:ForbiddenPhrase OR n:PastWork) AND n.brandId = $brandId)
+                DETACH DELETE n
+            `, { brandId: String(brandId) });
+
+            await tx.run(`
+                MATCH (t:Topic)
+                WHERE NOT (t)<-[:ABOUT]-()
+                DELETE t
+            `);
+        });
+        return true;
+    });
 }
 
 /**
- * Seed initial brand DNA from MongoDB document
+ * List a brand's identity nodes of one kind (beliefs, opposedStances, ...)
  */
-async function seedFromBrandDNA(brandDNA) {
-    if (!brandDNA || !driver) return;
+async function listIdentityNodes(brandId, kind) {
+    const { label, rel } = identityKind(kind);
 
-    const brandName = brandDNA.companyName || 'Unknown Brand';
+    const local = await localStore();
+    if (local) return local.listIdentityNodes(String(brandId), { label, rel });
+
+    return withSession(async (session) => {
+        const result = await session.run(`
+            MATCH (:Brand {id: $brandId})-[:${rel}]->(n:${label})
+            RETURN n{.id, .text, .source, createdAt: toString(n.createdAt)} AS node
+            ORDER BY n.createdAt
+        `, { brandId: String(brandId) });
+
+        return result.records.map(r => r.get('node'));
+    }, []);
+}
+
+/**
+ * Add an identity node (no-op if the brand already has one with that text)
+ */
+async function addIdentityNode(brandId, kind, text, source = 'user') {
+    const { label, rel } = identityKind(kind);
+
+    const local = await localStore();
+    if (local) return local.addIdentityNode(String(brandId), { label, rel }, text, source);
+
+    return withSession(async (session) => {
+        const result = await session.run(`
+            MERGE (b:Brand {id: $brandId})
+            MERGE (b)-[:${rel}]->(n:${label} {brandId: $brandId, text: $text})
+            ON CREATE SET n.id = $id, n.source = $source, n.createdAt = datetime()
+            RETURN n{.id, .text, .source, createdAt: toString(n.createdAt)} AS node
+        `, { brandId: String(brandId), text, id: crypto.randomUUID(), source });
 
-    await upsertBrand(brandName, {
-        industry: brandDNA.industry,
-        description: brandDNA.description
+        return result.records[0]?.get('node') || null;
     });
+}
 
-    // Add beliefs from DNA
-    if (brandDNA.beliefs?.length > 0) {
-        for (const belief of brandDNA.beliefs) {
-            await addBelief(brandName, belief);
-        }
-    }
+/**
+ * Add a user belief to the brand
+ */
+async function addBelief(brandId, belief) {
+    return addIdentityNode(brandId, 'beliefs', belief);
+}
 
-    // Add tone descriptors
-    if (brandDNA.guidelines?.voice) {
-        const session = driver.session();
-        try {
-            await session.run(`
-                MERGE (b:Brand {name: $brandName})
-                MERGE (t:Tone {descriptor: $voice})
-                MERGE (b)-[:HAS_TONE]->(t)
-            `, { brandName, voice: brandDNA.guidelines.voice });
-        } finally {
-            await session.close();
-        }
-    }
+/**
+ * Edit an identity node's text; edited nodes become user-curated
+ * @returns {Object|null} The node, or null when it doesn't exist
+ */
+async function updateIdentityNode(brandId, kind, nodeId, text) {
+    const { label, rel } = identityKind(kind);
+
+    const local = await localStore();
+    if (local) return local.updateIdentityNode(String(brandId), { label, rel }, nodeId, text);
 
-    console.log(`[GraphMemory] Seeded brand: ${brandName}`);
+    return withSession(async (session) => {
+        const result = await session.run(`
+            MATCH (:Brand {id: $brandId})-[:${rel}]->(n:${label} {id: $nodeId})
+            SET n.text = $text, n.source = 'user', n.updatedAt = datetime()
+            RETURN n{.id, .text, .source, createdAt: toString(n.createdAt)} AS node
+        `, { brandId: String(brandId), nodeId, text });
+
+        return result.records[0]?.get('node') || null;
+    });
+}
+
+/**
+ * @returns {boolean} false when the node doesn't exist
+ */
+async function removeIdentityNode(brandId, kind, nodeId) {
+    const { label, rel } = identityKind(kind);
+
+    const local = await localStore();
+    if (local) return local.removeIdentityNode(String(brandId), { label, rel }, nodeId);
+
+    return withSession(async (session) => {
+        const result = await session.run(`
+            MATCH (:Brand {id: $brandId})-[:${rel}]->(n:${label} {id: $nodeId})
+            DETACH DELETE n
+            RETURN count(n) AS removed
+        `, { brandId: String(brandId), nodeId });
+
+        return result.records[0]?.get('removed') > 0;
+    }, false);
+}
+
+/**
+ * Browse the brand's past work, newest first
+ * @param {Object} filters - { topic, platform, limit, skip }
+ */
+async function listPastWork(brandId, { topic = null, platform = null, limit = 20, skip = 0 } = {}) {
+    const local = await localStore();
+    if (local) return local.listPastWork(String(brandId), { topic, platform, limit, skip });
+
+    return withSession(async (session) => {
+        const result = await session.run(`
+            MATCH (:Brand {id: $brandId})-[:AUTHORED]->(w:PastWork)
+            WHERE ($platform IS NULL OR w.platform = $platform)
+              AND ($topic IS NULL OR (w)-[:ABOUT]->(:Topic {name: $topic}))
+            OPTIONAL MATCH (w)-[:ABOUT]->(t:Topic)
+            WITH w, collect(t.name) AS topics
+            ORDER BY w.createdAt DESC
+            SKIP $skip LIMIT $limit
+            RETURN w{.id, .title, .platform, .content, .score, createdAt: toString(w.createdAt), topics: topics} AS work
+        `, { brandId: String(brandId), topic, platform, limit: neo4j.int(limit), skip: neo4j.int(skip) });
+
+        return result.records.map(r => r.get('work'));
+    }, []);
+}
+
+/**
+ * Topics the brand's past work is about, with how many pieces cover each
+ */
+async function listTopics(brandId, limit = 100) {
+    const local = await localStore();
+    if (local) return local.listTopics(String(brandId), limit);
+
+    return withSession(async (session) => {
+        const result = await session.run(`
+            MATCH (:Brand {id: $brandId})-[:AUTHORED]->(w:PastWork)-[:ABOUT]->(t:Topic)
+            RETURN t.name AS name, count(DISTINCT w) AS works
+            ORDER BY works DESC, name
+            LIMIT $limit
+        `, { brandId: String(brandId), limit: neo4j.int(limit) });
+
+        return result.records.map(r => ({ name: r.get('name'), works: r.get('works') }));
+    }, []);
 }
 
 module.exports = {
+    IDENTITY_KINDS,
     connect,
     disconnect,
+    available,
+    backendName,
     queryBrandIdentity,
     queryPastWorkByTopic,
     checkCoherence,
     upsertBrand,
-    addBelief,
     recordPastWork,
-    seedFromBrandDNA
+    syncBrandDNA,
+    deleteBrand,
+    listIdentityNodes,
+    addIdentityNode,
+    addBelief,
+    updateIdentityNode,
+    removeIdentityNode,
+    listPastWork,
+    listTopics
 };
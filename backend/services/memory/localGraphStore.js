@@ -0,0 +1,239 @@
+/**
+ * Local Graph Store - MongoDB Backend
+ * Brand identity graph for deployments without Neo4j
+ *
+ * Nodes live in the GraphNode collection, one document per node, tagged with
+ * the relationship that links them to their brand. The graph is a star around
+ * each Brand, so the traversals graphMemory runs become single-collection
+ * queries on (brandId, rel). Topics are stored on the PastWork that covers them.
+ *
+ * Identity operations take the { label, rel } spec from graphMemory.IDENTITY_KINDS
+ * and return nodes in the same shape as the Neo4j backend.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GraphNode = require('../../models/GraphNode');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+function toIdentityNode(doc) {
+    return { id: doc.nodeId, text: doc.text, source: doc.source, createdAt: doc.createdAt };
+}
+
+class LocalGraphStore {
+    /**
+     * Whether MongoDB is connected (or connecting)
+     */
+    available() {
+        return mongoose.connection.readyState !== mongoose.ConnectionStates.disconnected;
+    }
+
+    /**
+     * Fail fast when no MongoDB connection is open or opening
+     * (mongoose would otherwise buffer the operation indefinitely)
+     */
+    ensureConnected() {
+        if (!this.available()) {
+            throw new Error('Local graph store needs a MongoDB connection');
+        }
+    }
+
+    async queryBrandIdentity(brandId) {
+        this.ensureConnected();
+        const brand = await GraphNode.findOne({ nodeId: brandId, label: 'Brand' }).lean();
+        if (!brand) return null;
+
+        const nodes = await GraphNode.find({ brandId, rel: { $in: ['HAS_BELIEF', 'HAS_STANCE', 'OPPOSES', 'HAS_TONE'] } })
+            .sort({ createdAt: 1 })
+            .select('rel text')
+            .lean();
+        const texts = (rel) => [...new Set(nodes.filter(n => n.rel === rel).map(n => n.text))];
+
+        const pastWorks = await GraphNode.find({ brandId, rel: 'AUTHORED' })
+            .sort({ createdAt: -1 })
+            .limit(5)
+            .select('title platform score')
+            .lean();
+
+        return {
+            brand: { id: brand.nodeId, ...brand.properties },
+            beliefs: texts('HAS_BELIEF'),
+            stances: texts('HAS_STANCE'),
+            opposedStances: texts('OPPOSES'),
+            tones: texts('HAS_TONE'),
+            pastWorks: pastWorks.map(w => ({ title: w.title, platform: w.platform, score: w.score }))
+        };
+    }
+
+    async queryPastWorkByTopic(brandId, topic, limit = 5) {
+        this.ensureConnected();
+        const pattern = new RegExp(escapeRegExp(topic));
+
+        const works = await GraphNode.find({
+            brandId,
+            rel: 'AUTHORED',
+            $or: [{ topics: pattern }, { content: pattern }]
+        })
+            .sort({ score: -1 })
+            .limit(limit)
+            .select('title platform content score')
+            .lean();
+
+        return works.map(w => ({ title: w.title, platform: w.platform, content: w.content, score: w.score }));
+    }
+
+    /**
+     * Forbidden phrases and opposed stances the coherence check runs against
+     */
+    async coherenceRules(brandId) {
+        this.ensureConnected();
+        const nodes = await GraphNode.find({ brandId, rel: { $in: ['AVOIDS', 'OPPOSES'] } })
+            .select('rel text')
+            .lean();
+
+        return {
+            forbidden: [...new Set(nodes.filter(n => n.rel === 'AVOIDS').map(n => n.text))],
+            opposedStances: [...new Set(nodes.filter(n => n.rel === 'OPPOSES').map(n => n.text))]
+        };
+    }
+
+    async upsertBrand(brandId, properties = {}) {
+        this.ensureConnected();
+        const set = Object.fromEntries(Object.entries(properties).map(([key, value]) => [`properties.${key}`, value]));
+
+        const brand = await GraphNode.findOneAndUpdate(
+            { nodeId: brandId },
+            { $set: set, $setOnInsert: { brandId, label: 'Brand' } },
+            { upsert: true, new: true }
+        ).lean();
+
+        return { id: brand.nodeId, ...brand.properties };
+    }
+
+    async recordPastWork(brandId, work) {
+        this.ensureConnected();
+        await this.upsertBrand(brandId);
+        await GraphNode.create({
+            nodeId: crypto.randomUUID(),
+            brandId,
+            label: 'PastWork',
+            rel: 'AUTHORED',
+            title: work.title,
+            platform: work.platform,
+            content: work.content,
+            score: work.score,
+            topics: [...new Set(work.topics || [])]
+        });
+        return true;
+    }
+
+    /**
+     * Apply a Brand DNA sync
+     * @param {Object[]} kinds - [{ label, rel, texts }] - the brandDNA-sourced nodes to keep
+     */
+    async syncBrand(brandId, properties, kinds) {
+        this.ensureConnected();
+        await this.upsertBrand(brandId, properties);
+
+        for (const { label, rel, texts } of kinds) {
+            await GraphNode.deleteMany({ brandId, label, rel, source: 'brandDNA', text: { $nin: texts } });
+            for (const text of texts) {
+                await this.addIdentityNode(brandId, { label, rel }, text, 'brandDNA');
+            }
+        }
+    }
+
+    async deleteBrand(brandId) {
+        this.ensureConnected();
+        await GraphNode.deleteMany({ brandId });
+        return true;
+    }
+
+    async listIdentityNodes(brandId, { label, rel }) {
+        this.ensureConnected();
+        const nodes = await GraphNode.find({ brandId, label, rel }).sort({ createdAt: 1 }).lean();
+        return nodes.map(toIdentityNode);
+    }
+
+    /**
+     * Add a node unless the brand already has one with that text
+     */
+    async addIdentityNode(brandId, { label, rel }, text, source = 'user') {
+        this.ensureConnected();
+        await this.upsertBrand(brandId);
+
+        const query = { brandId, label, rel, text };
+        try {
+            const node = await GraphNode.findOneAndUpdate(
+                query,
+                { $setOnInsert: { nodeId: crypto.randomUUID(), source } },
+                { upsert: true, new: true }
+            ).lean();
+            return toIdentityNode(node);
+        } catch (error) {
+            // A concurrent add inserted the same text first
+            if (error.code !== DUPLICATE_KEY) throw error;
+            return toIdentityNode(await GraphNode.findOne(query).lean());
+        }
+    }
+
+    async updateIdentityNode(brandId, { label, rel }, nodeId, text) {
+        this.ensureConnected();
+        try {
+            const node = await GraphNode.findOneAndUpdate(
+                { brandId, label, rel, nodeId },
+                { $set: { text, source: 'user' } },
+                { new: true }
+            ).lean();
+            return node ? toIdentityNode(node) : null;
+        } catch (error) {
+            if (error.code !== DUPLICATE_KEY) throw error;
+            throw Object.assign(new Error(`The brand already has a ${label} with that text`), { code: 'DUPLICATE_NODE' });
+        }
+    }
+
+    async removeIdentityNode(brandId, { label, rel }, nodeId) {
+        this.ensureConnected();
+        const result = await GraphNode.deleteOne({ brandId, label, rel, nodeId });
+        return result.deletedCount > 0;
+    }
+
+    async listPastWork(brandId, { topic = null, platform = null, limit = 20, skip = 0 } = {}) {
+        this.ensureConnected();
+        const query = { brandId, rel: 'AUTHORED' };
+        if (topic) query.topics = topic;
+        if (platform) query.platform = platform;
+
+        const works = await GraphNode.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean();
+        return works.map(w => ({
+            id: w.nodeId,
+            title: w.title,
+            platform: w.platform,
+            content: w.content,
+            score: w.score,
+            createdAt: w.createdAt,
+            topics: w.topics || []
+        }));
+    }
+
+    async listTopics(brandId, limit = 100) {
+        this.ensureConnected();
+        const topics = await GraphNode.aggregate([
+            { $match: { brandId, rel: 'AUTHORED' } },
+            { $unwind: '$topics' },
+            { $group: { _id: '$topics', works: { $sum: 1 } } },
+            { $sort: { works: -1, _id: 1 } },
+            { $limit: limit }
+        ]);
+
+        return topics.map(t => ({ name: t._id, works: t.works }));
+    }
+}
+
+module.exports = new LocalGraphStore();
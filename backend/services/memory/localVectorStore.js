@@ -0,0 +1,130 @@
+/**
+ * Local Vector Store - MongoDB Backend
+ * Durable replacement for Pinecone when it is not configured or unavailable
+ *
+ * Vectors live in the VectorRecord collection, so RAG memory survives restarts
+ * without a Pinecone account. Search is exact (brute-force cosine) over the
+ * candidates that pass the metadata filter; tenant and embedding-model filters
+ * are always present and indexed, which keeps the scanned set small.
+ *
+ * Filters use the Pinecone operators ($eq, $ne, $in, $nin), which MongoDB
+ * understands natively, so callers pass the same filter to either backend.
+ */
+
+const mongoose = require('mongoose');
+const VectorRecord = require('../../models/VectorRecord');
+
+/**
+ * Cosine similarity between two vectors
+ */
+function cosineSimilarity(vecA, vecB) {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vecA.length; i++) {
+        dotProduct += vecA[i] * vecB[i];
+        normA += vecA[i] * vecA[i];
+        normB += vecB[i] * vecB[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Pinecone-style metadata filter → MongoDB query on the metadata subdocument
+ */
+function toMongoFilter(filter = {}) {
+    const query = {};
+    for (const [key, condition] of Object.entries(filter)) {
+        query[`metadata.${key}`] = condition;
+    }
+    return query;
+}
+
+class LocalVectorStore {
+    /**
+     * Fail fast when no MongoDB connection is open or opening
+     * (mongoose would otherwise buffer the operation indefinitely)
+     */
+    ensureConnected() {
+        if (mongoose.connection.readyState === mongoose.ConnectionStates.disconnected) {
+            throw new Error('Local vector store needs a MongoDB connection');
+        }
+    }
+
+    /**
+     * Insert or replace a vector
+     */
+    async upsert(id, values, metadata, text) {
+        this.ensureConnected();
+        await VectorRecord.updateOne(
+            { vectorId: id },
+            { $set: { values, metadata, text } },
+            { upsert: true }
+        );
+        return id;
+    }
+
+    /**
+     * Top-K cosine matches among the vectors that pass the filter
+     * @param {number[]} vector - Query embedding
+     * @param {number} topK - Number of results
+     * @param {object} filter - Pinecone-style metadata filter
+     */
+    async query(vector, topK, filter) {
+        this.ensureConnected();
+        const matches = [];
+        const cursor = VectorRecord.find(toMongoFilter(filter))
+            .select('vectorId values metadata text')
+            .lean()
+            .cursor();
+
+        // Keep only the best K while streaming so large tenants don't load into memory
+        for await (const record of cursor) {
+            const score = cosineSimilarity(vector, record.values);
+            if (matches.length === topK && score <= matches[topK - 1].score) continue;
+
+            matches.push({ id: record.vectorId, score, metadata: record.metadata, text: record.text });
+            matches.sort((a, b) => b.score - a.score);
+            if (matches.length > topK) matches.pop();
+        }
+
+        return matches;
+    }
+
+    /**
+     * Delete a vector, only if it belongs to the given user
+     */
+    async delete(id, userId) {
+        this.ensureConnected();
+        await VectorRecord.deleteOne({ vectorId: id, 'metadata.userId': String(userId) });
+    }
+
+    /**
+     * Stream stored records (for bulk re-indexing)
+     * @param {object} filter - Pinecone-style metadata filter
+     */
+    async *records(filter = {}) {
+        this.ensureConnected();
+        const cursor = VectorRecord.find(toMongoFilter(filter))
+            .select('vectorId metadata text')
+            .lean()
+            .cursor();
+
+        for await (const record of cursor) {
+            yield { id: record.vectorId, metadata: record.metadata, text: record.text };
+        }
+    }
+
+    /**
+     * Number of stored vectors matching a filter
+     */
+    async count(filter = {}) {
+        return VectorRecord.countDocuments(toMongoFilter(filter));
+    }
+}
+
+module.exports = new LocalVectorStore();
+module.exports.cosineSimilarity = cosineSimilarity;
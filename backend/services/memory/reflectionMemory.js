@@ -0,0 +1,210 @@
+/**
+ * Reflection Memory
+ * Remembers which retry strategies fixed which verifier failures
+ *
+ * The Manager records each reflection when it decides to retry and resolves it
+ * once the retry has been verified (passed / failed). Lookups only return
+ * strategies that passed, scoped to the same user, brand and platform:
+ * - similarStrategies: for a new failure, ranked by how many failed checks match
+ * - provenStrategies: the platform's most reliable fixes, for first attempts
+ *
+ * Memory is best-effort: without a MongoDB connection every lookup is empty and
+ * nothing is recorded.
+ */
+
+const mongoose = require('mongoose');
+const Reflection = require('../../models/Reflection');
+
+function connected() {
+    return mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+}
+
+function objectId(id) {
+    return id && mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(String(id)) : null;
+}
+
+/**
+ * Names of the blocking checks a verification failed
+ */
+function failedChecksOf(verification) {
+    return Object.entries(verification?.results || {})
+        .filter(([, result]) => !result.passed && result.severity !== 'warn')
+        .map(([name]) => name);
+}
+
+/**
+ * Scope shared by every lookup
+ */
+function scope({ userId, brandId, platform }) {
+    const query = { userId: objectId(userId), brandId: objectId(brandId) };
+    if (platform) query.platform = platform;
+    return query;
+}
+
+/**
+ * Collapse passed reflections into distinct strategies, most fixes first
+ */
+function groupStrategies(records, limit) {
+    const byStrategy = new Map();
+    for (const record of records) {
+        const key = record.strategy.trim().toLowerCase();
+        const entry = byStrategy.get(key) || {
+            id: String(record._id),
+            strategy: record.strategy,
+            rootCause: record.rootCause,
+            failedChecks: record.failedChecks,
+            fixes: 0,
+            rank: record.rank || 0
+        };
+        entry.fixes++;
+        byStrategy.set(key, entry);
+    }
+
+    return [...byStrategy.values()]
+        .sort((a, b) => b.rank - a.rank || b.fixes - a.fixes)
+        .slice(0, limit)
+        .map(({ rank, ...entry }) => entry);
+}
+
+/**
+ * Store a reflection
+ * @param {Object} entry - { userId, brandId, contentId, platform, verification, reflection, outcome }
+ * @returns {string|null} Reflection id, or null when not recorded
+ */
+async function record({ userId, brandId = null, contentId = null, platform, verification, reflection, outcome = 'pending' }) {
+    if (!connected() || !objectId(userId) || !reflection?.strategy) return null;
+
+    const doc = await Reflection.create({
+        userId: objectId(userId),
+        brandId: objectId(brandId),
+        contentId: objectId(contentId),
+        platform,
+        failureSummary: verification?.summary,
+        failedChecks: failedChecksOf(verification),
+        rootCause: reflection.rootCause,
+        strategy: reflection.strategy,
+        outcome,
+        resolvedAt: outcome === 'pending' ? null : new Date()
+    });
+    return String(doc._id);
+}
+
+/**
+ * Settle a pending reflection once its retry was verified
+ * @param {string} id
+ * @param {boolean} passed
+ */
+async function resolve(id, passed) {
+    if (!connected() || !objectId(id)) return;
+
+    await Reflection.updateOne(
+        { _id: objectId(id), outcome: 'pending' },
+        { $set: { outcome: passed ? 'passed' : 'failed', resolvedAt: new Date() } }
+    );
+}
+
+/**
+ * Strategies that fixed similar failures before
+ * @param {Object} query - { userId, brandId, platform, verification, limit }
+ * @returns {Object[]} [{ id, strategy, rootCause, failedChecks, fixes }]
+ */
+async function similarStrategies({ userId, brandId = null, platform, verification, limit = 3 }) {
+    const failedChecks = failedChecksOf(verification);
+    if (!connected() || !objectId(userId) || failedChecks.length === 0) return [];
+
+    const records = await Reflection.find({
+        ...scope({ userId, brandId, platform }),
+        outcome: 'passed',
+        failedChecks: { $in: failedChecks }
+    })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .select('strategy rootCause failedChecks')
+        .lean();
+
+    // More checks in common = more similar failure
+    for (const record of records) {
+        record.rank = record.failedChecks.filter(check => failedChecks.includes(check)).length;
+    }
+
+    return groupStrategies(records, limit);
+}
+
+/**
+ * The platform's most reliable fixes, regardless of failure
+ */
+async function provenStrategies({ userId, brandId = null, platform, limit = 3 }) {
+    if (!connected() || !objectId(userId)) return [];
+
+    const records = await Reflection.find({ ...scope({ userId, brandId, platform }), outcome: 'passed' })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .select('strategy rootCause failedChecks')
+        .lean();
+
+    return groupStrategies(records, limit);
+}
+
+/**
+ * Most common failure causes with how often a retry fixed them
+ * @param {Object} query - { userId, brandId, platform, since }
+ * @returns {Object[]} [{ cause, failures, fixed, failed, escalated, pending, successRate, platforms, topStrategies }]
+ */
+async function failureStats({ userId, brandId, platform = null, since = null }) {
+    const match = { userId: objectId(userId) };
+    if (brandId !== undefined) match.brandId = objectId(brandId);
+    if (platform) match.platform = platform;
+    if (since) match.createdAt = { $gte: since };
+
+    const rows = await Reflection.aggregate([
+        { $match: match },
+        { $unwind: '$failedChecks' },
+        {
+            $group: {
+                _id: { cause: '$failedChecks', outcome: '$outcome', platform: '$platform' },
+                count: { $sum: 1 },
+                strategies: { $push: '$strategy' }
+            }
+        }
+    ]);
+
+    const causes = new Map();
+    for (const row of rows) {
+        const { cause, outcome, platform: rowPlatform } = row._id;
+        const entry = causes.get(cause) || {
+            cause, failures: 0, passed: 0, failed: 0, escalated: 0, pending: 0, platforms: {}, strategies: {}
+        };
+        entry.failures += row.count;
+        entry[outcome] += row.count;
+        entry.platforms[rowPlatform] = (entry.platforms[rowPlatform] || 0) + row.count;
+        for (const strategy of outcome === 'passed' ? row.strategies : []) {
+            entry.strategies[strategy] = (entry.strategies[strategy] || 0) + 1;
+        }
+        causes.set(cause, entry);
+    }
+
+    return [...causes.values()]
+        .map(({ passed, strategies, ...entry }) => {
+            const settled = passed + entry.failed + entry.escalated;
+            return {
+                ...entry,
+                fixed: passed,
+                successRate: settled > 0 ? Math.round((passed / settled) * 100) : null,
+                topStrategies: Object.entries(strategies)
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, 3)
+                    .map(([strategy, fixes]) => ({ strategy, fixes }))
+            };
+        })
+        .sort((a, b) => b.failures - a.failures);
+}
+
+module.exports = {
+    failedChecksOf,
+    groupStrategies,
+    record,
+    resolve,
+    similarStrategies,
+    provenStrategies,
+    failureStats
+};
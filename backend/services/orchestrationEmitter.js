@@ -15,14 +15,16 @@ class OrchestrationEmitter extends EventEmitter {
 
     /**
      * Emit a natural language log message
+     * @param {Object} meta - Extra payload fields, e.g. { platform } for lane messages
      */
-    log(contentId, message) {
+    log(contentId, message, meta = {}) {
         // Ensure contentId is always a string for consistent event names
         const idString = String(contentId);
 
         const payload = {
             type: 'log',
             message,
+            ...meta,
             timestamp: new Date().toISOString()
         };
 
@@ -155,6 +157,39 @@ class OrchestrationEmitter extends EventEmitter {
         }, 5 * 60 * 1000);
     }
 
+    /**
+     * Emit cancellation: the run stopped for good
+     * @param {string[]} published - Platforms published before the cancel took effect
+     */
+    cancelled(contentId, reason, published = []) {
+        const payload = {
+            type: 'cancelled',
+            reason,
+            published,
+            timestamp: new Date().toISOString()
+        };
+
+        this.emit(`cancelled:${contentId}`, payload);
+
+        setTimeout(() => {
+            this.history.delete(contentId);
+        }, 5 * 60 * 1000);
+    }
+
+    /**
+     * Emit pause: the run is checkpointed and can be resumed
+     */
+    paused(contentId, completedSteps, totalSteps) {
+        const payload = {
+            type: 'paused',
+            completedSteps,
+            totalSteps,
+            timestamp: new Date().toISOString()
+        };
+
+        this.emit(`paused:${contentId}`, payload);
+    }
+
     /**
      * Get buffered history for a content ID
      */
@@ -0,0 +1,173 @@
+/**
+ * Orchestration Jobs
+ * Queue handlers that run the Manager for a content item
+ *
+ * - orchestrate: a fresh run requested through POST /api/content/:id/orchestrate
+ * - resume: continue a failed or interrupted run from its checkpoint
+ *
+ * Failed orchestrations throw, so the queue retries them with backoff. A retry
+ * (or a redelivery after a worker died) resumes from the checkpoint the previous
+ * attempt left behind instead of starting over.
+ */
+
+const Content = require('../models/Content');
+const BrandDNA = require('../models/BrandDNA');
+const jobQueue = require('./jobQueue');
+const checkpointStore = require('./agents/checkpointStore');
+const managerInteract = require('./agents/managerInteract');
+
+// Interrupted work finishes before new work starts
+const PRIORITY = {
+    orchestrate: 0,
+    resume: 10
+};
+
+/**
+ * One active orchestration job per content
+ */
+function dedupeKey(contentId) {
+    return `orchestrate:${contentId}`;
+}
+
+function enqueueOrchestration(content, userId, { message, platforms }) {
+    return jobQueue.enqueue('orchestrate', {
+        userId,
+        contentId: content._id,
+        payload: { message, platforms },
+        priority: PRIORITY.orchestrate,
+        dedupeKey: dedupeKey(content._id)
+    });
+}
+
+function enqueueResume(contentId, userId) {
+    return jobQueue.enqueue('resume', {
+        userId,
+        contentId,
+        priority: PRIORITY.resume,
+        dedupeKey: dedupeKey(contentId)
+    });
+}
+
+async function markProcessing(contentId) {
+    await Content.updateOne({ _id: contentId }, { $set: { orchestrationStatus: 'processing', updatedAt: new Date() } });
+}
+
+/**
+ * Resume from the run's checkpoint if it can be claimed
+ * @returns {Object|null} Orchestration result, or null when there is nothing to resume
+ */
+async function resumeFromCheckpoint(job) {
+    const run = await checkpointStore.claim(job.contentId);
+    if (!run) return null;
+
+    const content = await Content.findById(job.contentId);
+    if (!content) {
+        throw Object.assign(new Error('Content no longer exists'), { retryable: false });
+    }
+
+    console.log(`[Jobs] Resuming ${job.contentId} from checkpoint (last step: ${run.lastStep || 'none'})`);
+    await markProcessing(job.contentId);
+    // Checkpoints keep the Brand DNA by id; older ones are resolved by owner
+    const brandDNA = await BrandDNA.findOne(run.state.brandDNAId
+        ? { _id: run.state.brandDNAId, userId: content.userId }
+        : { userId: content.userId });
+    const outcome = await managerInteract.resumeOrchestration(content, brandDNA, run.state);
+    return outcome.result;
+}
+
+/**
+ * Throw on a failed orchestration so the queue retries it
+ */
+function assertSucceeded(result) {
+    if (result?.status === 'failed') {
+        throw new Error(result.error || 'Orchestration failed');
+    }
+}
+
+async function markFailed(job, error) {
+    await Content.updateOne(
+        { _id: job.contentId },
+        {
+            $set: { orchestrationStatus: 'failed', updatedAt: new Date() },
+            $push: {
+                orchestrationLog: {
+                    agent: 'system',
+                    action: 'error',
+                    timestamp: new Date(),
+                    details: { error: error.message, jobId: String(job._id), attempts: job.attempts }
+                }
+            }
+        }
+    );
+}
+
+const handlers = {
+    orchestrate: {
+        async run(job) {
+            await markProcessing(job.contentId);
+
+            // A retried attempt continues where the previous one stopped
+            if (job.attempts > 1) {
+                const resumed = await resumeFromCheckpoint(job);
+                if (resumed) {
+                    assertSucceeded(resumed);
+                    return { action: 'orchestration_resumed', status: resumed.status };
+                }
+            }
+
+            // The selected platforms go to the Manager as they are; only jobs without
+            // them (queued before platforms were stored) go through the intent prompt
+            const platforms = job.payload?.platforms;
+            if (platforms?.length > 0) {
+                const content = await Content.findOne({ _id: job.contentId, userId: job.userId });
+                if (!content) {
+                    throw Object.assign(new Error('Content no longer exists'), { retryable: false });
+                }
+                const brandDNA = await BrandDNA.findOne({ userId: job.userId });
+                const outcome = await managerInteract.runOrchestration(content, brandDNA, job.userId, { targetPlatforms: platforms });
+                assertSucceeded(outcome.result);
+
+                return { action: outcome.action, status: outcome.result?.status || null };
+            }
+
+            const outcome = await managerInteract.interact(job.contentId, job.payload.message, job.userId);
+            if (!outcome.success) {
+                throw new Error(outcome.error || 'Manager interaction failed');
+            }
+            assertSucceeded(outcome.result?.result);
+
+            return { action: outcome.action, status: outcome.result?.result?.status || null };
+        },
+        onFailed: markFailed
+    },
+
+    resume: {
+        async run(job) {
+            const resumed = await resumeFromCheckpoint(job);
+            if (!resumed) {
+                // Completed meanwhile, or its owner is still alive - leave the content alone
+                return { action: 'skipped', reason: 'Checkpoint is not resumable (completed or still running)' };
+            }
+            assertSucceeded(resumed);
+
+            return { action: 'orchestration_resumed', status: resumed.status };
+        },
+        onFailed: markFailed
+    }
+};
+
+/**
+ * Register the handlers on a worker
+ */
+function register(worker) {
+    for (const [type, handler] of Object.entries(handlers)) {
+        worker.register(type, handler);
+    }
+}
+
+module.exports = {
+    PRIORITY,
+    enqueueOrchestration,
+    enqueueResume,
+    register
+};
@@ -0,0 +1,139 @@
+/**
+ * Orchestration Sweeper
+ * Recovers orchestration runs orphaned by a crash or restart
+ *
+ * Runs on boot and then every stale window. A run whose heartbeat went stale
+ * is either queued for a resume job (the worker claims it atomically and
+ * continues from its last checkpoint) or, once it has used up its resumes,
+ * failed. Runs that still have an active queue job are left to the queue:
+ * a redelivered job resumes them itself.
+ * Content stuck in 'processing' with no live run or job behind it (the process
+ * died before the first checkpoint) is failed as well, so it can be re-orchestrated.
+ *
+ * Configuration (env):
+ * - ORCHESTRATION_AUTO_RESUME: resume stale runs instead of failing them (default true)
+ * - ORCHESTRATION_MAX_RESUMES: resumes per run before giving up (default 2)
+ */
+
+const Content = require('../models/Content');
+const OrchestrationRun = require('../models/OrchestrationRun');
+const checkpointStore = require('./agents/checkpointStore');
+const jobQueue = require('./jobQueue');
+const orchestrationJobs = require('./orchestrationJobs');
+
+class OrchestrationSweeper {
+    constructor() {
+        this.autoResume = process.env.ORCHESTRATION_AUTO_RESUME !== 'false';
+        this.maxResumes = parseInt(process.env.ORCHESTRATION_MAX_RESUMES, 10);
+        if (!Number.isFinite(this.maxResumes)) this.maxResumes = 2;
+        this.sweeping = false;
+        this.timer = null;
+    }
+
+    /**
+     * Sweep now and keep sweeping every stale window
+     */
+    start() {
+        if (this.timer) return;
+        this.sweep();
+        this.timer = setInterval(() => this.sweep(), checkpointStore.staleMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async sweep() {
+        if (this.sweeping) return;
+        this.sweeping = true;
+
+        try {
+            const stale = await OrchestrationRun.find({
+                status: 'running',
+                heartbeatAt: { $lt: checkpointStore.staleCutoff() }
+            }).select('-state').lean();
+
+            for (const run of stale) {
+                if (await jobQueue.hasActiveJob(run.contentId)) continue;
+
+                if (this.autoResume && run.resumeCount < this.maxResumes) {
+                    await this.resume(run);
+                } else {
+                    const reason = this.autoResume
+                        ? `Interrupted ${run.resumeCount + 1} times - giving up`
+                        : 'Interrupted by a restart';
+                    // Claim first so a process that is resuming it concurrently wins
+                    if (await checkpointStore.claim(run.contentId)) {
+                        await this.fail(run.contentId, reason);
+                    }
+                }
+            }
+
+            await this.failOrphans();
+        } catch (error) {
+            console.error('[Sweeper] Sweep failed:', error.message);
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    async resume(run) {
+        if (!run.userId) {
+            // Claimed first: markFailed only updates runs this process owns
+            if (await checkpointStore.claim(run.contentId)) {
+                await this.fail(run.contentId, 'Run has no owner to resume for', false);
+            }
+            return;
+        }
+
+        const { job, created } = await orchestrationJobs.enqueueResume(run.contentId, run.userId);
+        if (created) {
+            console.log(`[Sweeper] Queued resume job ${job._id} for ${run.contentId} (last step: ${run.lastStep || 'none'}, resume #${run.resumeCount + 1})`);
+        }
+    }
+
+    /**
+     * Mark a run and its content failed
+     * @param {boolean} resumable - A checkpoint exists to resume from via the API
+     */
+    async fail(contentId, reason, resumable = true) {
+        console.warn(`[Sweeper] Failing orchestration for ${contentId}: ${reason}`);
+        await checkpointStore.markFailed(contentId, reason);
+        await Content.updateOne(
+            { _id: contentId },
+            {
+                $set: { orchestrationStatus: 'failed', updatedAt: new Date() },
+                $push: {
+                    orchestrationLog: {
+                        agent: 'system',
+                        action: 'error',
+                        timestamp: new Date(),
+                        details: { error: reason, resumable }
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * 'processing' content with no running checkpoint or queue job that hasn't been touched in a stale window
+     */
+    async failOrphans() {
+        const stuck = await Content.find({
+            orchestrationStatus: 'processing',
+            updatedAt: { $lt: checkpointStore.staleCutoff() }
+        }).select('_id');
+
+        for (const { _id } of stuck) {
+            const live = await OrchestrationRun.exists({ contentId: _id, status: 'running' })
+                || await jobQueue.hasActiveJob(_id);
+            if (!live) {
+                await this.fail(_id, 'Orchestration was interrupted before its first checkpoint', false);
+            }
+        }
+    }
+}
+
+module.exports = new OrchestrationSweeper();
@@ -0,0 +1,72 @@
+/**
+ * Blog
+ * Long-form articles - mock publish only (no Ayrshare network)
+ */
+
+const charCount = require('@saco/shared/charCount');
+
+module.exports = {
+    id: 'blog',
+    label: 'Blog',
+    limits: { min: 500, max: charCount.limit('blog') },
+    generator: {
+        brief: 'long-form, SEO',
+        style: 'SEO-optimized long-form with clear structure',
+        format: 'intro + H2 sections + conclusion',
+        template: `Create a blog post (max 10000 chars):
+- Start with compelling introduction
+- Use clear headers (H2: ##, H3: ###)
+- Include bullet points for lists
+- Provide depth and examples
+- SEO-conscious language
+- Professional and authoritative tone`
+    },
+    keyMessages: 'all',
+    image: { width: 1920, height: 1080, aspectRatio: '16:9' },
+
+    checkStructure(content) {
+        // Blog should have headers
+        const hasHeaders = /^#+\s/m.test(content) || /<h[1-6]>/i.test(content);
+        return {
+            passed: hasHeaders,
+            message: hasHeaders ? 'Has header structure' : 'Blog posts should have headers'
+        };
+    },
+
+    /**
+     * SEO-ready with headers
+     */
+    format(variant) {
+        const content = variant.content;
+        const keywords = variant.metadata?.themes || [];
+
+        return {
+            type: 'blog_post',
+            content,
+            charCount: charCount.count(content, 'blog'),
+            seoMeta: {
+                title: variant.metadata?.hook || 'Blog Post',
+                description: content.substring(0, 160),
+                keywords
+            },
+            apiFormat: {
+                html: content.split('\n\n').map(p => {
+                    if (p.startsWith('# ')) return `<h1>${p.substring(2)}</h1>`;
+                    if (p.startsWith('## ')) return `<h2>${p.substring(3)}</h2>`;
+                    if (p.startsWith('### ')) return `<h3>${p.substring(4)}</h3>`;
+                    return `<p>${p}</p>`;
+                }).join('\n'),
+                markdown: content
+            }
+        };
+    },
+
+    publish: null,
+
+    preview: {
+        color: '#10B981',
+        glyph: '📝',
+        description: 'Full article',
+        layout: 'document'
+    }
+};
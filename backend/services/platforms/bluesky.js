@@ -0,0 +1,65 @@
+/**
+ * Bluesky
+ * 300-character posts; Bluesky shows markdown as typed, so none is allowed
+ */
+
+const charCount = require('@saco/shared/charCount');
+const { withHashtags } = require('./formatting');
+
+// Markdown Bluesky would show literally: headers, bold/italic markers, [text](url) links
+const MARKDOWN = /^#+\s|\*\*[^*]+\*\*|__[^_]+__|\[[^\]]+\]\([^)]+\)/m;
+
+module.exports = {
+    id: 'bluesky',
+    label: 'Bluesky',
+    limits: { min: 50, max: charCount.limit('bluesky') },
+    generator: {
+        brief: 'brief, plain text',
+        style: 'brief, candid and plain-spoken',
+        format: 'one or two sentences of plain text, hashtags optional',
+        template: `Create a Bluesky post (max 300 characters):
+- One clear point in one or two sentences
+- Plain text only: no markdown, bold markers, headers or bullet lists (Bluesky shows them as typed)
+- Candid, human tone - no marketing speak
+- 0-2 hashtags at the end, only if they add something`
+    },
+    keyMessages: 1,
+    image: { width: 1200, height: 675, aspectRatio: '16:9' },
+
+    checkStructure(content) {
+        const hasMarkdown = MARKDOWN.test(content);
+        return {
+            passed: !hasMarkdown,
+            message: hasMarkdown ? 'Bluesky does not render markdown - use plain text' : 'Structure OK'
+        };
+    },
+
+    /**
+     * Hashtags are added when there is room
+     */
+    format(variant) {
+        const hashtags = variant.metadata?.hashtags || [];
+        const content = withHashtags(variant.content, hashtags.slice(0, 2), 'bluesky');
+
+        return {
+            type: 'bluesky_post',
+            content,
+            hashtags,
+            charCount: charCount.count(content, 'bluesky'),
+            apiFormat: {
+                text: content,
+                langs: ['en']
+            }
+        };
+    },
+
+    publish: { network: 'bluesky' },
+
+    preview: {
+        color: '#1185FE',
+        glyph: '🦋',
+        description: '300 char posts',
+        layout: 'feed',
+        actions: ['💬', '🔁', '🤍', '⋯']
+    }
+};
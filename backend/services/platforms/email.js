@@ -0,0 +1,91 @@
+/**
+ * Email
+ * Newsletters - mock publish only (no Ayrshare network)
+ */
+
+const charCount = require('@saco/shared/charCount');
+const { paragraphsToHtml } = require('./formatting');
+
+module.exports = {
+    id: 'email',
+    label: 'Email',
+    limits: { min: 200, max: charCount.limit('email') },
+    generator: {
+        brief: 'newsletter, scannable',
+        style: 'newsletter format with clear structure and scannable sections',
+        format: 'subject line + greeting + sections with headers + closing',
+        template: `Create an email newsletter (max 5000 chars):
+- Start with implied subject line context
+- Use clear section breaks with spacing
+- Make it scannable with short paragraphs
+- Include concrete insights or examples
+- Professional yet conversational tone
+- End with a subtle call-to-action or insight
+Example structure:
+"As teams scale, shortcuts stop working.
+
+Communication breaks down, decisions slow, and ownership becomes unclear.
+
+High-performing organizations invest in process early to preserve clarity as complexity grows.
+
+AI-powered systems are changing how teams design, build, and operate digital products.
+
+By embedding intelligent capabilities directly into workflows, organizations can automate routine decisions and adapt systems dynamically."`
+    },
+    keyMessages: 'all',
+    image: { width: 600, height: 400, aspectRatio: '3:2' },
+
+    checkStructure(content) {
+        // Email should have subject-like opening or greeting
+        const hasGreeting = /^(Subject:|Dear|Hi|Hello|Hey)/mi.test(content);
+        return {
+            passed: hasGreeting,
+            message: hasGreeting ? 'Has proper email opening' : 'Missing subject line or greeting'
+        };
+    },
+
+    /**
+     * Subject line and body structure
+     */
+    format(variant) {
+        const content = variant.content;
+        const hook = variant.metadata?.hook || variant.content.split('\n')[0];
+
+        // Parse subject if included, otherwise use hook
+        let subject = hook.substring(0, 60);
+        let body = content;
+
+        if (content.toLowerCase().includes('subject:')) {
+            const lines = content.split('\n');
+            const subjectLine = lines.find(l => l.toLowerCase().startsWith('subject:'));
+            if (subjectLine) {
+                subject = subjectLine.replace(/^subject:\s*/i, '').substring(0, 60);
+                body = lines.filter(l => !l.toLowerCase().startsWith('subject:')).join('\n').trim();
+            }
+        }
+
+        return {
+            type: 'email_newsletter',
+            subject,
+            body,
+            preview: body.substring(0, 100),
+            charCount: charCount.count(body, 'email'),
+            apiFormat: {
+                subject,
+                html_body: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          ${paragraphsToHtml(body)}
+        </div>`,
+                plain_body: body
+            }
+        };
+    },
+
+    publish: null,
+
+    preview: {
+        color: '#EA4335',
+        glyph: '✉️',
+        description: 'Newsletter format',
+        layout: 'document'
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * Facebook
+ * Page posts - the limit is high, but short posts with a clear ask do best
+ */
+
+const charCount = require('@saco/shared/charCount');
+const { withHashtags } = require('./formatting');
+
+module.exports = {
+    id: 'facebook',
+    label: 'Facebook',
+    limits: { min: 50, max: charCount.limit('facebook') },
+    generator: {
+        brief: 'friendly, community',
+        style: 'friendly and community-oriented, inviting comments',
+        format: 'hook + short paragraphs + question or call-to-action',
+        template: `Create a Facebook page post (aim for under 500 chars):
+- Open with a relatable hook in the first line (it shows before "See more")
+- 2-3 short paragraphs with line breaks between them
+- Warm, friendly tone that speaks to the community
+- End with a question or clear call-to-action to spark comments
+- 0-3 hashtags at most`
+    },
+    keyMessages: 2,
+    image: { width: 1200, height: 630, aspectRatio: '1.91:1' },
+
+    checkStructure(content) {
+        // Long posts need breaks to stay readable behind "See more"
+        const readable = charCount.count(content, 'facebook') <= 300 || content.includes('\n\n');
+        return {
+            passed: readable,
+            message: readable ? 'Structure OK' : 'Consider adding paragraph breaks'
+        };
+    },
+
+    /**
+     * Hashtags are added when there is room
+     */
+    format(variant) {
+        const hashtags = variant.metadata?.hashtags || [];
+        const content = withHashtags(variant.content, hashtags.slice(0, 3), 'facebook');
+
+        return {
+            type: 'facebook_post',
+            content,
+            hashtags,
+            charCount: charCount.count(content, 'facebook'),
+            apiFormat: {
+                message: content
+            }
+        };
+    },
+
+    publish: { network: 'facebook' },
+
+    preview: {
+        color: '#1877F2',
+        glyph: 'f',
+        description: 'Page posts',
+        layout: 'feed',
+        actions: ['👍 Like', '💬 Comment', '↪️ Share']
+    }
+};
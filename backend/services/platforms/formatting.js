@@ -0,0 +1,37 @@
+/**
+ * Formatting Helpers
+ * Small pieces the platform formatters share
+ */
+
+const charCount = require('@saco/shared/charCount');
+
+/**
+ * "#tag1 #tag2" from a variant's hashtags (with or without their #)
+ */
+function hashtagLine(hashtags = []) {
+    return hashtags.map(t => `#${t.replace(/^#/, '')}`).join(' ');
+}
+
+/**
+ * Content with the hashtags appended after a blank line, if they fit the platform's limit
+ */
+function withHashtags(content, hashtags, platform) {
+    const line = hashtagLine(hashtags);
+    if (!line || content.includes('#')) return content;
+
+    const candidate = `${content}\n\n${line}`;
+    return charCount.fits(candidate, platform) ? candidate : content;
+}
+
+/**
+ * Plain text paragraphs as HTML paragraphs
+ */
+function paragraphsToHtml(text) {
+    return text.split('\n\n').map(p => `<p>${p}</p>`).join('');
+}
+
+module.exports = {
+    hashtagLine,
+    withHashtags,
+    paragraphsToHtml
+};
@@ -0,0 +1,70 @@
+/**
+ * Instagram
+ * Captions for image posts
+ */
+
+const charCount = require('@saco/shared/charCount');
+const { hashtagLine } = require('./formatting');
+
+module.exports = {
+    id: 'instagram',
+    label: 'Instagram',
+    limits: { min: 50, max: charCount.limit('instagram') },
+    generator: {
+        brief: 'visual, engaging',
+        style: 'visual-first caption with storytelling and emojis',
+        format: 'engaging story + line break + hashtag block',
+        template: `Create an Instagram caption (max 2200 chars):
+- Tell a story or share an insight
+- Use emojis naturally throughout
+- Break into short, readable paragraphs
+- Add spacing for visual appeal
+- End with 8-15 relevant hashtags grouped together
+- Engaging and approachable tone`
+    },
+    keyMessages: 1,
+    image: { width: 1080, height: 1080, aspectRatio: '1:1' },
+
+    checkStructure(content) {
+        // Instagram should have emojis
+        const hasEmojis = /[\u{1F300}-\u{1F9FF}]/u.test(content);
+        return {
+            passed: true, // Soft check
+            message: hasEmojis ? 'Has emojis' : 'Consider adding emojis for engagement'
+        };
+    },
+
+    /**
+     * Caption with hashtag block
+     */
+    format(variant) {
+        const content = variant.content;
+        const hashtags = variant.metadata?.hashtags || [];
+
+        // Instagram: content + line breaks + hashtag block
+        const hashtagBlock = hashtagLine(hashtags);
+        const formatted = content.includes('#')
+            ? content
+            : `${content}\n\n.\n.\n.\n\n${hashtagBlock}`;
+
+        return {
+            type: 'instagram_caption',
+            content: formatted,
+            hashtags,
+            charCount: charCount.count(formatted, 'instagram'),
+            apiFormat: {
+                caption: formatted
+            }
+        };
+    },
+
+    publish: { network: 'instagram' },
+
+    preview: {
+        color: '#E4405F',
+        glyph: '📷',
+        description: 'Caption style',
+        layout: 'media',
+        actions: ['❤️', '💬', '📤', '🔖']
+    }
+};
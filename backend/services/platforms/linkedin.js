@@ -0,0 +1,77 @@
+/**
+ * LinkedIn
+ * Professional feed posts
+ */
+
+const charCount = require('@saco/shared/charCount');
+
+module.exports = {
+    id: 'linkedin',
+    label: 'LinkedIn',
+    limits: { min: 100, max: charCount.limit('linkedin') },
+    generator: {
+        brief: 'professional, thought-leadership',
+        style: 'professional thought-leadership with strategic use of emojis',
+        format: 'hook + body with bullet points + call-to-action',
+        template: `Create a LinkedIn post (max 3000 chars):
+- Start with a powerful hook (1-2 sentences)
+- Use 1-2 emojis strategically (not excessive)
+- Break into digestible sections
+- Include "Key takeaways:" section with bullet points (*)
+- End with brand voice statement or insight
+- Professional but engaging tone
+Example structure:
+"As teams scale, talent alone is not enough 🚀
+High-performing organizations invest in process optimization early.
+
+Key takeaways:
+* Scaling exposes process weaknesses, not talent gaps
+* Early investment in optimization preserves clarity
+* AI-powered systems enable dynamic adaptation
+
+We make complex AI topics accessible, inspiring action through facts, not hype."`
+    },
+    keyMessages: 2,
+    image: { width: 1200, height: 627, aspectRatio: '1.91:1' },
+
+    checkStructure(content) {
+        // LinkedIn should have some structure (paragraphs or emoji bullets)
+        const hasStructure = content.includes('\n\n') || /[🔹🔸•◦▪️]/m.test(content);
+        return {
+            passed: hasStructure,
+            message: hasStructure ? 'Has paragraph structure' : 'Consider adding paragraph breaks'
+        };
+    },
+
+    /**
+     * Professional with engagement hooks
+     */
+    format(variant) {
+        const content = variant.content;
+        const hashtags = variant.metadata?.hashtags || [];
+
+        // LinkedIn likes hooks and CTAs
+        const formatted = content;
+
+        return {
+            type: 'linkedin_post',
+            content: formatted,
+            hashtags,
+            charCount: charCount.count(formatted, 'linkedin'),
+            apiFormat: {
+                commentary: formatted,
+                visibility: 'PUBLIC'
+            }
+        };
+    },
+
+    publish: { network: 'linkedin' },
+
+    preview: {
+        color: '#0A66C2',
+        glyph: 'in',
+        description: 'Professional posts',
+        layout: 'feed',
+        actions: ['👍 Like', '💬 Comment', '🔄 Repost', '📤 Send']
+    }
+};
@@ -0,0 +1,72 @@
+/**
+ * Mastodon
+ * 500-character statuses (links count 23) - mock publish only, Ayrshare has no
+ * Mastodon network
+ */
+
+const charCount = require('@saco/shared/charCount');
+const { withHashtags } = require('./formatting');
+
+/**
+ * Long all-lowercase hashtags (#scalingteams) - likely several words a screen reader cannot split
+ */
+function lowercaseTags(content) {
+    return (content.match(/(^|\s)#[\p{Ll}\p{N}_]{12,}/gu) || []).map(t => t.trim());
+}
+
+module.exports = {
+    id: 'mastodon',
+    label: 'Mastodon',
+    limits: { min: 50, max: charCount.limit('mastodon') },
+    generator: {
+        brief: 'community-minded, CamelCase hashtags',
+        style: 'informative and community-minded, no hard sell',
+        format: 'short text + CamelCase hashtags at the end',
+        template: `Create a Mastodon post (max 500 chars):
+- Lead with the substance - Mastodon audiences dislike marketing hype
+- 1-3 short paragraphs of plain text, no markdown headers
+- End with 2-4 hashtags written in CamelCase (#ScalingTeams) so screen readers can read them
+- Hashtags matter: Mastodon has no algorithmic feed, people follow tags`
+    },
+    keyMessages: 1,
+    image: { width: 1280, height: 720, aspectRatio: '16:9' },
+
+    checkStructure(content) {
+        const lowercase = lowercaseTags(content);
+        return {
+            passed: true, // Soft check
+            message: lowercase.length > 0
+                ? `Consider CamelCase hashtags for screen readers: ${lowercase.join(', ')}`
+                : 'Structure OK'
+        };
+    },
+
+    /**
+     * Hashtags are added when there is room
+     */
+    format(variant) {
+        const hashtags = variant.metadata?.hashtags || [];
+        const content = withHashtags(variant.content, hashtags, 'mastodon');
+
+        return {
+            type: 'mastodon_status',
+            content,
+            hashtags,
+            charCount: charCount.count(content, 'mastodon'),
+            apiFormat: {
+                status: content,
+                visibility: 'public'
+            }
+        };
+    },
+
+    publish: null,
+
+    preview: {
+        color: '#6364FF',
+        glyph: '🐘',
+        description: '500 char toots',
+        layout: 'feed',
+        actions: ['↩️', '🔁', '⭐', '🔖']
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * Platform Registry
+ * Single place where a publishing platform is defined
+ *
+ * Each platform is one definition module in this folder covering everything
+ * the pipeline needs to know about it:
+ * - label, limits: { min, max } (max is the platform's own, counted by @saco/shared/charCount)
+ * - generator: { template, style, format, brief } - prompt instructions for the Generator
+ * - keyMessages: top N key messages a variant must cover ('all' = every message)
+ * - image: { width, height, aspectRatio } for generated images (null: generic 16:9)
+ * - checkStructure(content): platform structure check, { passed, message }
+ * - format(variant): Publisher formatter, { type, content, charCount, apiFormat, ... }
+ * - publish: { network, options(formatted, variant) } for live publishing through
+ *   Ayrshare, or null when the platform is mock only
+ * - preview: { color, glyph, description, layout, actions } for the frontend previews
+ *
+ * Adding a network: write its definition module, register it below and, if the
+ * network counts characters its own way, add its rule to shared/charCount.
+ * GET /api/platforms serves the definitions to the frontend (see describe()).
+ */
+
+const charCount = require('@saco/shared/charCount');
+
+// Registration order is the order the UI lists platforms in
+const BUILT_IN = ['twitter', 'linkedin', 'email', 'instagram', 'blog', 'threads', 'bluesky', 'mastodon', 'facebook'];
+
+const REQUIRED_FIELDS = ['id', 'label', 'limits', 'generator', 'checkStructure', 'format'];
+
+class PlatformRegistry {
+    constructor() {
+        this.platforms = new Map();
+
+        for (const id of BUILT_IN) {
+            this.register(require(`./${id}`));
+        }
+    }
+
+    /**
+     * Register (or replace) a platform definition
+     * @param {Object} definition - See the module header for its fields
+     */
+    register(definition) {
+        const missing = REQUIRED_FIELDS.filter(field => definition?.[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Platform definition ${definition?.id || '(no id)'} is missing: ${missing.join(', ')}`);
+        }
+
+        this.platforms.set(definition.id, {
+            keyMessages: 1,
+            image: null,
+            publish: null,
+            preview: {},
+            ...definition
+        });
+    }
+
+    /**
+     * Platform definition by id (null when unknown)
+     */
+    get(id) {
+        return this.platforms.get(id) || null;
+    }
+
+    has(id) {
+        return this.platforms.has(id);
+    }
+
+    /**
+     * Registered platform ids, in registration order
+     */
+    ids() {
+        return Array.from(this.platforms.keys());
+    }
+
+    /**
+     * Registered platform definitions, in registration order
+     */
+    list() {
+        return Array.from(this.platforms.values());
+    }
+
+    /**
+     * Ids of the platforms that can be published live
+     */
+    liveIds() {
+        return this.list().filter(p => p.publish).map(p => p.id);
+    }
+
+    /**
+     * Platform → value map over every registered platform
+     * @param {Function} pick - definition → value
+     */
+    map(pick) {
+        return Object.fromEntries(this.list().map(p => [p.id, pick(p)]));
+    }
+
+    /**
+     * Serializable view of a platform for the API (no functions, no prompts)
+     */
+    describe(id) {
+        const platform = this.get(id);
+        if (!platform) return null;
+
+        return {
+            id: platform.id,
+            label: platform.label,
+            limits: platform.limits,
+            counting: charCount.COUNTING_RULES[platform.id] || { unit: 'grapheme', max: null },
+            style: platform.generator.brief || platform.generator.style,
+            keyMessages: platform.keyMessages,
+            image: platform.image,
+            publish: {
+                live: Boolean(platform.publish),
+                network: platform.publish?.network || null
+            },
+            preview: platform.preview
+        };
+    }
+}
+
+module.exports = new PlatformRegistry();
@@ -0,0 +1,66 @@
+/**
+ * Threads (Meta)
+ * Short conversational posts; a post carries at most one topic tag
+ */
+
+const charCount = require('@saco/shared/charCount');
+const { withHashtags } = require('./formatting');
+
+module.exports = {
+    id: 'threads',
+    label: 'Threads',
+    limits: { min: 50, max: charCount.limit('threads') },
+    generator: {
+        brief: 'conversational, one topic tag',
+        style: 'conversational and personal, written like a reply in a discussion',
+        format: 'short text, optionally ending with a single topic tag',
+        template: `Create a Threads post (max 500 chars):
+- Open with a take or question that invites replies
+- Keep it conversational: short sentences, first person
+- 1-2 short paragraphs, no headers or bullet lists
+- At most ONE hashtag - Threads only turns the first one into a topic tag`
+    },
+    keyMessages: 1,
+    image: { width: 1080, height: 1350, aspectRatio: '4:5' },
+
+    checkStructure(content) {
+        const tags = content.match(/(^|\s)#[\p{L}\p{N}_]+/gu) || [];
+        const hasHeaders = /^#+\s/m.test(content);
+        if (hasHeaders) {
+            return { passed: false, message: 'Threads posts should not have headers' };
+        }
+        return {
+            passed: tags.length <= 1,
+            message: tags.length <= 1 ? 'Structure OK' : `Threads uses one topic tag per post (found ${tags.length})`
+        };
+    },
+
+    /**
+     * The first hashtag becomes the post's topic tag, if there is room
+     */
+    format(variant) {
+        const hashtags = variant.metadata?.hashtags || [];
+        const content = withHashtags(variant.content, hashtags.slice(0, 1), 'threads');
+
+        return {
+            type: 'threads_post',
+            content,
+            hashtags: hashtags.slice(0, 1),
+            charCount: charCount.count(content, 'threads'),
+            apiFormat: {
+                text: content,
+                media_type: 'TEXT'
+            }
+        };
+    },
+
+    publish: { network: 'threads' },
+
+    preview: {
+        color: '#101010',
+        glyph: '@',
+        description: '500 char posts',
+        layout: 'feed',
+        actions: ['❤️', '💬', '🔁', '📤']
+    }
+};
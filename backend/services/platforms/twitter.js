@@ -0,0 +1,111 @@
+/**
+ * Twitter/X
+ * Single tweets, or threads of numbered tweets (see agents/twitterThread)
+ */
+
+const charCount = require('@saco/shared/charCount');
+const twitterThread = require('../agents/twitterThread');
+const { hashtagLine } = require('./formatting');
+
+/**
+ * Hashtags are added when there is room
+ * A thread variant's tweets are posted in order, each as a reply to the one before
+ */
+function format(variant) {
+    const hashtags = variant.metadata?.hashtags || [];
+    const hashtagStr = hashtagLine(hashtags);
+
+    if (variant.thread?.length > 1) {
+        const tweets = [...variant.thread];
+        const last = tweets.length - 1;
+        // Hashtags go on the last tweet, ahead of its n/n marker, if it has none yet and there is room
+        const withHashtags = tweets[last].replace(/(\s+\d+\/\d+)?\s*$/, (marker) => `\n${hashtagStr}${marker}`);
+        if (hashtagStr && !tweets[last].includes('#')
+            && charCount.fits(withHashtags, 'twitter')) {
+            tweets[last] = withHashtags;
+        }
+        const content = twitterThread.join(tweets);
+
+        return {
+            type: 'thread',
+            content,
+            tweets,
+            hashtags,
+            charCount: charCount.count(content, 'twitter'),
+            isThread: true,
+            apiFormat: {
+                tweets: tweets.map((text, i) => ({ text, position: i + 1 }))
+            }
+        };
+    }
+
+    let content = variant.content;
+    // Add hashtags if space allows
+    if (charCount.fits(`${content}\n\n${hashtagStr}`, 'twitter')) {
+        content = `${content}\n\n${hashtagStr}`;
+    }
+
+    return {
+        type: 'tweet',
+        content,
+        hashtags,
+        charCount: charCount.count(content, 'twitter'),
+        isThread: false,
+        apiFormat: {
+            text: content,
+            // reply_settings, etc. would go here
+        }
+    };
+}
+
+module.exports = {
+    id: 'twitter',
+    label: 'Twitter/X',
+    limits: { min: 50, max: charCount.limit('twitter') },
+    generator: {
+        brief: 'punchy, hashtags',
+        style: 'concise, punchy, use 2-3 hashtags max',
+        format: 'short text with hashtags at the end',
+        template: `Create a Twitter/X post (max 280 chars):
+- Hook in the first sentence
+- Core message in 2-3 sentences
+- End with 2-3 relevant hashtags
+- Make it shareable and thought-provoking
+Example: "As teams scale, talent isn't the issue, it's the process. Investing early preserves clarity and supports growth. #AIpowered #ScalingTeams"`,
+        threadTemplate: `Create a Twitter/X thread (max 280 chars per tweet):
+- Tweet 1 is the hook: the single most compelling point, and it must work on its own
+- One idea per tweet, in a logical order that builds on the previous tweet
+- Write only as many tweets as the content needs (2 to {maxTweets})
+- The last tweet wraps up with a takeaway or call-to-action and carries 2-3 hashtags
+- Do not number the tweets - numbering (1/n) is added for you`
+    },
+    keyMessages: 1,
+    image: { width: 1200, height: 675, aspectRatio: '16:9' },
+
+    checkStructure(content) {
+        // Twitter posts shouldn't have headers
+        const hasHeaders = /^#+\s/m.test(content);
+        return {
+            passed: !hasHeaders,
+            message: hasHeaders ? 'Twitter posts should not have headers' : 'Structure OK'
+        };
+    },
+
+    format,
+
+    publish: {
+        network: 'twitter',
+        // Tweets are already numbered and separated by blank lines
+        options: (formatted) => (formatted.isThread
+            ? { twitterOptions: { thread: true, threadNumber: false } }
+            : {})
+    },
+
+    preview: {
+        color: '#1DA1F2',
+        glyph: '𝕏',
+        description: '280 char tweets',
+        layout: 'feed',
+        actions: ['💬', '🔁', '❤️', '📊']
+    }
+};
@@ -34,16 +34,14 @@
  * context understanding should heavily influence application.
  */
 
-const { ChatGroq } = require('@langchain/groq');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
+const llmProvider = require('./llm/providerRegistry');
 
 class PromptConstructor {
     constructor() {
-        this.llm = new ChatGroq({
-            apiKey: process.env.GROQ_API_KEY,
-            model: 'llama-3.3-70b-versatile',
+        this.llm = llmProvider.getChatModel('promptConstructor', {
             temperature: 0.5
         });
 
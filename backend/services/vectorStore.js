@@ -6,24 +6,50 @@
  * - Long-term memory via vector DB (vs session amnesia)
  * - Context retrieval for every agent call
  * - Brand DNA embedding for consistency scoring
+ *
+ * Every vector is stamped with the embedding model and dimension it was
+ * built with (embeddingModel / embeddingDim metadata). Queries only match
+ * vectors from the active model, so switching EMBEDDING_PROVIDER never
+ * mixes incompatible vectors - re-index to carry old memory across.
+ *
+ * Tenant isolation: every vector belongs to a user. Upserts without a
+ * userId are rejected, each user gets their own Pinecone namespace, and
+ * queries without a userId return nothing rather than cross-tenant matches.
+ *
+ * Backends (VECTOR_STORE env):
+ * - pinecone: Pinecone serverless index (default when PINECONE_API_KEY is set)
+ * - local: MongoDB-backed store (memory/localVectorStore) - durable across
+ *   restarts; also used automatically when Pinecone fails to initialize
  */
 
 const { Pinecone } = require('@pinecone-database/pinecone');
 const { v4: uuidv4 } = require('uuid');
+const embeddingProvider = require('./embeddings/embeddingProvider');
+const localVectorStore = require('./memory/localVectorStore');
 
 class VectorStore {
     constructor() {
         this.pinecone = null;
         this.index = null;
+        this.indexDimension = null;
         this.initialized = false;
+        this.embedder = embeddingProvider.get();
     }
 
     /**
-     * Initialize Pinecone connection
+     * Initialize Pinecone connection, or the local store when Pinecone is not in use
      */
     async initialize() {
         if (this.initialized) return;
 
+        const backend = process.env.VECTOR_STORE || (process.env.PINECONE_API_KEY ? 'pinecone' : 'local');
+        if (backend === 'local') {
+            this.useLocalStore = true;
+            this.initialized = true;
+            console.log(`✅ Local vector store initialized (MongoDB, ${this.embedder.id})`);
+            return;
+        }
+
         try {
             // Initialize Pinecone client
             this.pinecone = new Pinecone({
@@ -34,71 +60,121 @@ class VectorStore {
             const indexName = process.env.PINECONE_INDEX || 'saco';
             this.index = this.pinecone.index(indexName);
 
+            // Record the index dimension so a mismatched embedder fails loudly instead of silently
+            try {
+                const stats = await this.index.describeIndexStats();
+                this.indexDimension = stats.dimension || null;
+            } catch (statsError) {
+                console.warn('⚠️ Could not read Pinecone index dimension:', statsError.message);
+            }
+
+            if (this.indexDimension && this.embedder.dimension && this.indexDimension !== this.embedder.dimension) {
+                throw Object.assign(
+                    new Error(`Index "${indexName}" has dimension ${this.indexDimension} but ${this.embedder.id} produces ${this.embedder.dimension}`),
+                    { code: 'DIMENSION_MISMATCH' }
+                );
+            }
+
             this.initialized = true;
-            console.log('✅ Pinecone vector store initialized');
+            console.log(`✅ Pinecone vector store initialized (${this.embedder.id})`);
         } catch (error) {
+            // A misconfigured embedder is not an outage: refuse to start rather than
+            // silently moving memory off Pinecone (every call rethrows until fixed)
+            if (error.code === 'DIMENSION_MISMATCH') {
+                console.error('❌ Pinecone initialization refused:', error.message);
+                this.index = null;
+                this.indexDimension = null;
+                throw error;
+            }
             console.error('❌ Pinecone initialization failed:', error.message);
-            // Fallback: use mock vector store for development
-            this.useMockStore = true;
-            this.mockVectors = new Map();
-            console.log('⚠️ Using mock vector store (Pinecone unavailable)');
+            // Fallback: durable local store so memory still survives restarts
+            this.useLocalStore = true;
+            this.initialized = true;
+            console.log('⚠️ Using local vector store (Pinecone unavailable)');
         }
     }
 
     /**
-     * Generate embeddings
-     * Uses a simple hash-based approach since Groq doesn't have embeddings
-     * In production, you'd want to use a dedicated embeddings service
+     * Generate embeddings with the configured provider (see embeddings/embeddingProvider)
+     * Throws on failure - a random or zero vector would silently poison the index
      */
     async generateEmbedding(text) {
-        try {
-            // Simple deterministic hash-based pseudo-embedding
-            // This provides reasonable semantic similarity for demo purposes
-            const vector = new Array(1536).fill(0);
-
-            // Create pseudo-embeddings based on text characteristics
-            const words = text.toLowerCase().split(/\s+/);
-            for (let i = 0; i < words.length; i++) {
-                const word = words[i];
-                for (let j = 0; j < word.length; j++) {
-                    const idx = (word.charCodeAt(j) * (i + 1) * (j + 1)) % 1536;
-                    vector[idx] += 0.1 / (j + 1);
-                }
-            }
+        const vector = await this.embedder.embed(text || '');
 
-            // Normalize the vector
-            const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
-            return vector.map(v => v / magnitude);
-        } catch (error) {
-            console.error('Embedding generation failed:', error.message);
-            return Array(1536).fill(0).map(() => Math.random() - 0.5);
+        if (this.indexDimension && vector.length !== this.indexDimension) {
+            throw new Error(`Embedding has ${vector.length} dims but the index expects ${this.indexDimension}`);
         }
+
+        return vector;
+    }
+
+    /**
+     * Embedding model and dimension this store reads and writes
+     */
+    getIndexInfo() {
+        return {
+            backend: this.useLocalStore ? 'local' : 'pinecone',
+            embeddingModel: this.embedder.id,
+            embeddingDim: this.embedder.dimension,
+            indexDimension: this.indexDimension
+        };
+    }
+
+    /**
+     * Metadata filter that restricts matches to the active embedding model
+     */
+    modelFilter(filter = {}) {
+        return { ...filter, embeddingModel: { $eq: this.embedder.id } };
+    }
+
+    /**
+     * Pinecone namespace holding a user's vectors
+     */
+    tenantNamespace(userId) {
+        return `user-${userId}`;
+    }
+
+    /**
+     * Index handle scoped to a user's namespace
+     */
+    tenantIndex(userId) {
+        return this.index.namespace(this.tenantNamespace(userId));
     }
 
     /**
      * Store content with embedding
      * @param {string} text - Content to embed
-     * @param {object} metadata - Associated metadata
+     * @param {object} metadata - Associated metadata; userId is required, brandId recommended
+     * @param {object} options - { id } to overwrite an existing vector instead of minting a new ID
      * @returns {string} Vector ID
      */
-    async upsert(text, metadata = {}) {
+    async upsert(text, metadata = {}, options = {}) {
         await this.initialize();
 
-        const id = uuidv4();
-        const embedding = await this.generateEmbedding(text);
-
-        if (this.useMockStore) {
-            // Mock storage
-            this.mockVectors.set(id, { embedding, metadata, text });
-            return id;
+        if (!metadata.userId) {
+            throw new Error('Vector upsert requires metadata.userId (tenant isolation)');
         }
+        metadata = { ...metadata, userId: String(metadata.userId) };
+        if (metadata.brandId) metadata.brandId = String(metadata.brandId);
+
+        const id = options.id || uuidv4();
+        const embedding = await this.generateEmbedding(text);
+        const stampedMetadata = {
+            ...metadata,
+            embeddingModel: this.embedder.id,
+            embeddingDim: embedding.length
+        };
 
         try {
-            await this.index.upsert([{
+            if (this.useLocalStore) {
+                return await localVectorStore.upsert(id, embedding, stampedMetadata, text);
+            }
+
+            await this.tenantIndex(metadata.userId).upsert([{
                 id,
                 values: embedding,
                 metadata: {
-                    ...metadata,
+                    ...stampedMetadata,
                     text: text.substring(0, 1000) // Store truncated text for retrieval
                 }
             }]);
@@ -114,31 +190,33 @@ class VectorStore {
      * Query similar vectors (RAG retrieval)
      * @param {string} query - Query text
      * @param {number} topK - Number of results
-     * @param {object} filter - Metadata filter
+     * @param {object} filter - Metadata filter; must include userId, may include brandId
      */
     async query(query, topK = 5, filter = {}) {
         await this.initialize();
 
+        const { userId, ...rest } = filter;
+        if (!userId) {
+            console.warn('[VectorStore] Query without userId refused (tenant isolation)');
+            return [];
+        }
+        filter = { ...rest, userId: { $eq: String(userId) } };
+        if (typeof filter.brandId === 'string') {
+            filter.brandId = { $eq: filter.brandId };
+        }
+
         const queryEmbedding = await this.generateEmbedding(query);
 
-        if (this.useMockStore) {
-            // Mock similarity search (cosine similarity)
-            const results = [];
-            for (const [id, data] of this.mockVectors) {
-                const score = this.cosineSimilarity(queryEmbedding, data.embedding);
-                results.push({ id, score, metadata: data.metadata, text: data.text });
+        try {
+            if (this.useLocalStore) {
+                return await localVectorStore.query(queryEmbedding, topK, this.modelFilter(filter));
             }
-            return results
-                .sort((a, b) => b.score - a.score)
-                .slice(0, topK);
-        }
 
-        try {
-            const response = await this.index.query({
+            const response = await this.tenantIndex(userId).query({
                 vector: queryEmbedding,
                 topK,
                 includeMetadata: true,
-                filter: Object.keys(filter).length > 0 ? filter : undefined
+                filter: this.modelFilter(filter)
             });
 
             return response.matches.map(match => ({
@@ -157,36 +235,74 @@ class VectorStore {
      * Calculate cosine similarity between two vectors
      */
     cosineSimilarity(vecA, vecB) {
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-
-        for (let i = 0; i < vecA.length; i++) {
-            dotProduct += vecA[i] * vecB[i];
-            normA += vecA[i] * vecA[i];
-            normB += vecB[i] * vecB[i];
-        }
-
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+        return localVectorStore.cosineSimilarity(vecA, vecB);
     }
 
     /**
      * Delete vector by ID
+     * @param {string} id - Vector ID
+     * @param {string} userId - Owning user (selects the namespace)
      */
-    async delete(id) {
+    async delete(id, userId) {
         await this.initialize();
 
-        if (this.useMockStore) {
-            this.mockVectors.delete(id);
+        if (!userId) {
+            console.warn(`[VectorStore] Delete of ${id} without userId refused (tenant isolation)`);
             return;
         }
 
         try {
-            await this.index.deleteOne(id);
+            if (this.useLocalStore) {
+                await localVectorStore.delete(id, userId);
+                return;
+            }
+            await this.tenantIndex(userId).deleteOne(id);
         } catch (error) {
             console.error('Vector delete failed:', error.message);
         }
     }
+
+    /**
+     * Re-embed stored vectors with the active embedding model, in place (same IDs)
+     * Only the local store keeps full source text; Pinecone vectors are moved
+     * with scripts/migrateVectorTenancy.js instead.
+     * @param {object} options - { userId } to limit to one tenant, { force } to re-embed current-model vectors too
+     * @returns {object} { scanned, reindexed, skipped, failed }
+     */
+    async reindex({ userId, force = false } = {}) {
+        await this.initialize();
+
+        if (!this.useLocalStore) {
+            throw new Error('Bulk re-index is only supported by the local vector store');
+        }
+
+        const filter = {};
+        if (userId) filter.userId = { $eq: String(userId) };
+        if (!force) filter.embeddingModel = { $ne: this.embedder.id };
+
+        const stats = { scanned: 0, reindexed: 0, skipped: 0, failed: 0 };
+
+        for await (const record of localVectorStore.records(filter)) {
+            stats.scanned++;
+
+            if (!record.text || !record.metadata?.userId) {
+                stats.skipped++;
+                continue;
+            }
+
+            try {
+                const { embeddingModel, embeddingDim, ...metadata } = record.metadata;
+                await this.upsert(record.text, metadata, { id: record.id });
+                stats.reindexed++;
+            } catch (error) {
+                stats.failed++;
+                console.error(`[VectorStore] Re-index of ${record.id} failed:`, error.message);
+            }
+        }
+
+        console.log(`[VectorStore] Re-index to ${this.embedder.id} done:`, stats);
+        return stats;
+    }
 }
 
 // Singleton instance
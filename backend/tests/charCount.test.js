@@ -0,0 +1,57 @@
+/**
+ * Platform character counting (shared with the frontend previews)
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const charCount = require('@saco/shared/charCount');
+
+const url = 'https://example.com/a/very/long/path/that/goes/on/and/on';
+
+test('X and Mastodon count every link as 23, other platforms count it as written', () => {
+    assert.equal(charCount.count(`Read ${url}`, 'twitter'), 5 + 23);
+    assert.equal(charCount.count(`Read ${url}`, 'mastodon'), 5 + 23);
+    assert.equal(charCount.count(`Read ${url}`, 'linkedin'), 5 + url.length);
+});
+
+test('an emoji sequence is one character to a reader, two to X, and its parts elsewhere', () => {
+    const thumbsUp = '👍🏽';
+    assert.equal(charCount.count(thumbsUp, 'bluesky'), 1);
+    assert.equal(charCount.count(thumbsUp, 'twitter'), 2);
+    assert.equal(charCount.count(thumbsUp, 'instagram'), 2);
+    assert.equal(charCount.count(thumbsUp, 'linkedin'), 4);
+
+    const family = '👨‍👩‍👧';
+    assert.equal(charCount.count(family, 'bluesky'), 1);
+    assert.equal(charCount.count(family, 'twitter'), 2);
+    assert.equal(charCount.count(family, 'threads'), 5);
+});
+
+test('X counts CJK characters double', () => {
+    assert.equal(charCount.count('日本語', 'twitter'), 6);
+    assert.equal(charCount.count('日本語', 'linkedin'), 3);
+});
+
+test('combining marks are normalized before counting', () => {
+    const decomposed = 'cafe\u0301';
+    assert.equal(charCount.count(decomposed, 'linkedin'), 4);
+    assert.equal(charCount.count(decomposed, 'twitter'), 4);
+    assert.equal(charCount.count(decomposed, 'bluesky'), 4);
+});
+
+test('limits come from the platform, and unknown platforms have none', () => {
+    assert.equal(charCount.limit('twitter'), 280);
+    assert.equal(charCount.limit('unknown'), null);
+    assert.ok(charCount.fits('a'.repeat(280), 'twitter'));
+    assert.ok(!charCount.fits('a'.repeat(281), 'twitter'));
+    assert.ok(charCount.fits('a'.repeat(100000), 'unknown'));
+    assert.equal(charCount.remaining('abc', 'twitter'), 277);
+});
+
+test('truncation never splits an emoji or a link', () => {
+    assert.equal(charCount.truncate('Hello 👍🏽 world', 'twitter', 9), 'Hello ...');
+    assert.equal(charCount.truncate('Hello 👍🏽 world', 'twitter', 11), 'Hello 👍🏽...');
+    assert.equal(charCount.truncate(`Go to ${url} now`, 'twitter', 20), 'Go to ...');
+    assert.equal(charCount.truncate('Short', 'twitter'), 'Short');
+});
@@ -0,0 +1,45 @@
+/**
+ * Orchestration checkpoints
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AgentState = require('../services/agents/agentState');
+const checkpointStore = require('../services/agents/checkpointStore');
+
+test('a checkpoint keeps the content and Brand DNA by id and the step outputs whole', () => {
+    const state = new AgentState({
+        content: { _id: 'c1', title: 'Launch', originalContent: 'Long source text. '.repeat(200) },
+        brandDNA: { _id: 'b1', name: 'Acme', voice: { personality: 'Direct' } },
+        platforms: ['twitter'],
+        plan: [{ agent: 'generator', action: 'generate', platform: 'twitter', status: 'completed' }],
+        drafts: { twitter: { content: 'Spring launch is here.' } }
+    });
+
+    const snapshot = checkpointStore.snapshot(state);
+
+    assert.equal(snapshot.content, undefined);
+    assert.equal(snapshot.brandDNA, undefined);
+    assert.equal(snapshot.contentId, 'c1');
+    assert.equal(snapshot.brandDNAId, 'b1');
+    assert.deepEqual(snapshot.drafts, { twitter: { content: 'Spring launch is here.' } });
+    assert.equal(snapshot.plan[0].status, 'completed');
+});
+
+test('a run resumes from a checkpoint with the documents it is given', () => {
+    const snapshot = checkpointStore.snapshot(new AgentState({
+        content: { _id: 'c1' },
+        brandDNA: null,
+        platforms: ['linkedin']
+    }));
+    const content = { _id: 'c1', title: 'Launch' };
+    const brandDNA = { _id: 'b1', name: 'Acme' };
+
+    const state = AgentState.fromJSON({ ...snapshot, content, brandDNA });
+
+    assert.equal(snapshot.brandDNAId, null);
+    assert.equal(state.content, content);
+    assert.equal(state.brandDNA, brandDNA);
+    assert.deepEqual(state.platforms, ['linkedin']);
+});
@@ -0,0 +1,77 @@
+/**
+ * Cross-variant consistency of facts, dates, offers and calls to action
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const consistency = require('../services/agents/consistency');
+
+const source = 'Acme Pro launches on May 3. Early-bird price is $49 per month, 20% off. Register at acme.com/launch.';
+
+test('a date that differs from the source is a conflict for that variant only', () => {
+    const report = consistency.compareVariants([
+        { platform: 'twitter', content: 'Acme Pro launches May 5! $49 per month. Register now.' },
+        { platform: 'linkedin', content: 'Acme Pro launches on May 3 at $49 per month.' },
+        { platform: 'email', content: 'Acme Pro launches on May 3. Register today.' }
+    ], source);
+
+    assert.equal(report.passed, false);
+    assert.equal(report.conflicts.length, 1);
+    assert.equal(report.conflicts[0].type, 'date');
+    assert.equal(report.conflicts[0].canonical, 'May 3');
+    assert.equal(report.conflicts[0].basis, 'source');
+    assert.deepEqual(report.conflicts[0].platforms, ['twitter']);
+    assert.deepEqual(Object.keys(report.byPlatform), ['twitter']);
+
+    const conflicts = consistency.conflictsFor(report, 'twitter');
+    assert.equal(conflicts[0].value, 'May 5');
+    assert.equal(consistency.summarize(conflicts), 'Cross-variant conflict: date "May 5" (use "May 3")');
+    assert.deepEqual(consistency.conflictsFor(report, 'linkedin'), []);
+});
+
+test('variants that agree pass', () => {
+    const report = consistency.compareVariants([
+        { platform: 'twitter', content: 'Acme Pro launches May 3.' },
+        { platform: 'linkedin', content: 'Acme Pro launches on May 3.' }
+    ], source);
+
+    assert.equal(report.checked, true);
+    assert.equal(report.passed, true);
+});
+
+test('without a source or a majority, every side of a conflict has to fix it', () => {
+    const report = consistency.compareVariants([
+        { platform: 'twitter', content: 'Sale: 30% off everything.' },
+        { platform: 'linkedin', content: 'Sale: 40% off everything.' }
+    ], '');
+
+    assert.equal(report.conflicts[0].type, 'percent');
+    assert.equal(report.conflicts[0].canonical, null);
+    assert.deepEqual(report.conflicts[0].platforms, ['twitter', 'linkedin']);
+    assert.match(
+        consistency.summarize(consistency.conflictsFor(report, 'twitter')),
+        /percentage "30%" \(variants disagree; leave it out\)/
+    );
+});
+
+test('calls to action asking for different things conflict', () => {
+    const report = consistency.compareVariants([
+        { platform: 'twitter', content: 'Buy it now at the shop.' },
+        { platform: 'linkedin', content: 'Download the guide today.' }
+    ], 'Download the guide.');
+
+    assert.equal(report.conflicts[0].type, 'cta');
+    assert.equal(report.conflicts[0].canonical, 'Download');
+    assert.deepEqual(report.conflicts[0].platforms, ['twitter']);
+});
+
+test('fewer than two non-empty variants are left unchecked', () => {
+    const report = consistency.compareVariants([
+        { platform: 'twitter', content: 'Launching May 3.' },
+        { platform: 'linkedin', content: '  ' }
+    ], source);
+
+    assert.equal(report.checked, false);
+    assert.equal(report.passed, true);
+});
@@ -0,0 +1,33 @@
+/**
+ * Context assembly within the token budget
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const contextAssembler = require('../services/agents/contextAssembler');
+
+test('an over-budget project instruction is shortened, not dropped behind lower priorities', () => {
+    const state = {
+        content: { projectStateOverrides: { customInstructions: 'Mention the spring launch event. '.repeat(40) } },
+        identityContext: { brandBeliefs: ['Clarity over hype'] }
+    };
+    const context = contextAssembler.assemble(state, { agent: 'reviewer', platform: 'twitter', budget: 100 });
+
+    assert.deepEqual(context.truncated, ['override:instructions']);
+    assert.ok(context.used.includes('override:instructions'));
+    assert.ok(context.dropped.includes('belief:Clarity over hype'));
+    assert.ok(context.tokens <= 100);
+    assert.match(context.text, /- Instructions: Mention the spring launch event\..*\.\.\.$/m);
+});
+
+test('items that fit are kept whole', () => {
+    const state = {
+        content: { projectStateOverrides: { customInstructions: 'Keep it short.' } },
+        identityContext: { brandBeliefs: ['Clarity over hype'] }
+    };
+    const context = contextAssembler.assemble(state, { agent: 'reviewer', platform: 'twitter' });
+
+    assert.deepEqual(context.truncated, []);
+    assert.deepEqual(context.used, ['override:instructions', 'belief:Clarity over hype']);
+});
@@ -0,0 +1,62 @@
+/**
+ * Key-message coverage per variant
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const coverage = require('../services/agents/coverage');
+
+const messages = [
+    'Acme Pro cuts onboarding time in half',
+    'Teams keep their existing tools',
+    'Pricing starts at 49 dollars'
+];
+
+// Embedding coverage at the default threshold of the configured embedder
+function withEmbeddingMethod(fn) {
+    const saved = { method: process.env.COVERAGE_METHOD, threshold: process.env.COVERAGE_THRESHOLD };
+    delete process.env.COVERAGE_METHOD;
+    delete process.env.COVERAGE_THRESHOLD;
+    return fn().finally(() => {
+        if (saved.method !== undefined) process.env.COVERAGE_METHOD = saved.method;
+        if (saved.threshold !== undefined) process.env.COVERAGE_THRESHOLD = saved.threshold;
+    });
+}
+
+test('each platform requires its top messages, and brands override how many', () => {
+    assert.equal(coverage.requiredCount('twitter', 3), 1);
+    assert.equal(coverage.requiredCount('linkedin', 3), 2);
+    assert.equal(coverage.requiredCount('email', 3), 3);
+    assert.equal(coverage.requiredCount('linkedin', 1), 1);
+    assert.equal(coverage.requiredCount('twitter', 3, { twitter: 'all' }), 3);
+    assert.equal(coverage.requiredCount('twitter', 3, { twitter: -2 }), 0);
+});
+
+test('a variant that states the primary message covers what Twitter requires', () => withEmbeddingMethod(async () => {
+    const report = await coverage.measure(
+        'Acme Pro cuts onboarding time in half for new hires. Try it today.',
+        messages,
+        'twitter'
+    );
+
+    assert.equal(report.checked, true);
+    assert.equal(report.required, 1);
+    assert.equal(report.covered, 1);
+    assert.deepEqual(report.missing, []);
+    assert.deepEqual(report.messages.map(m => m.required), [true, false, false]);
+    assert.ok(report.messages[0].score >= report.threshold);
+}));
+
+test('missing required messages are listed, most important first', () => withEmbeddingMethod(async () => {
+    const report = await coverage.measure('Something unrelated about gardening and tomatoes.', messages, 'email');
+
+    assert.equal(report.required, 3);
+    assert.equal(report.covered, 0);
+    assert.deepEqual(report.missing, messages);
+}));
+
+test('coverage is unchecked without key messages or content', async () => {
+    assert.equal((await coverage.measure('Some post.', [], 'twitter')).reason, 'No key messages from ingest');
+    assert.equal((await coverage.measure('   ', messages, 'twitter')).reason, 'Empty variant');
+});
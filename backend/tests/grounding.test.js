@@ -0,0 +1,49 @@
+/**
+ * Grounding claim extraction
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractClaims, checkGrounding } = require('../services/agents/grounding');
+
+const entities = (text) => extractClaims(text).filter(c => c.type === 'entity').map(c => c.text);
+
+test('the first word after a line break starts a sentence', () => {
+    assert.deepEqual(entities('Hi there,\n\nGreat news! We shipped it.'), []);
+});
+
+test('the first word of a list item starts a sentence', () => {
+    const post = [
+        'Key takeaways:',
+        '* Scaling exposes process weaknesses',
+        '- Teams need clarity',
+        '1. Process beats talent',
+        '🔹 Clarity wins',
+        "What's next for your team?"
+    ].join('\n');
+    assert.deepEqual(entities(post), []);
+});
+
+test('short title-case lines are headings', () => {
+    assert.deepEqual(entities('Sales Demo\n\nWe ran a live walkthrough for the team.\n\nDemo\n\nIt went well.'), []);
+});
+
+test('names inside a sentence are still found', () => {
+    assert.deepEqual(entities('Hi there,\n\nWe partnered with Acme Corp this year.'), ['Acme Corp']);
+    assert.deepEqual(entities('* We built it together with Acme Corp last spring'), ['Acme Corp']);
+    assert.deepEqual(entities('* Acme Corp built it for us'), ['Corp']);
+});
+
+test('unsupported names alone only warn by default', () => {
+    const source = 'We launched a new dashboard for campaign tracking.';
+    const names = checkGrounding('We launched it with Acme Corp.', source);
+    assert.equal(names.passed, false);
+    assert.equal(names.severity, 'warn');
+
+    const figures = checkGrounding('We launched it with Acme Corp for $5,000.', source);
+    assert.equal(figures.severity, 'block');
+
+    const strict = checkGrounding('We launched it with Acme Corp.', source, { entitySeverity: 'block' });
+    assert.equal(strict.severity, 'block');
+});
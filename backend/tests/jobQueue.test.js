@@ -0,0 +1,90 @@
+/**
+ * Job queue dedupe, claiming and retries
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+
+const userId = '64b000000000000000000001';
+
+test('a job without a dedupe key is always created', async (t) => {
+    const create = t.mock.method(Job, 'create', async (fields) => ({ _id: 'j1', ...fields }));
+
+    const { job, created } = await jobQueue.enqueue('orchestrate', { userId, payload: { platforms: ['twitter'] } });
+
+    assert.equal(created, true);
+    assert.equal(job.status, 'queued');
+    assert.deepEqual(create.mock.calls[0].arguments[0].payload, { platforms: ['twitter'] });
+});
+
+test('enqueueing a key with an active job returns that job', async (t) => {
+    const existing = { _id: 'j1', status: 'running', dedupeKey: 'orchestrate:c1' };
+    const upsert = t.mock.method(Job, 'findOneAndUpdate', async () => ({
+        value: existing,
+        lastErrorObject: { updatedExisting: true }
+    }));
+
+    const { job, created } = await jobQueue.enqueue('orchestrate', { userId, dedupeKey: 'orchestrate:c1' });
+
+    assert.equal(created, false);
+    assert.equal(job, existing);
+    const [filter, update] = upsert.mock.calls[0].arguments;
+    assert.deepEqual(filter, { dedupeKey: 'orchestrate:c1', status: { $in: ['queued', 'running'] } });
+    assert.equal(update.$setOnInsert.dedupeKey, 'orchestrate:c1');
+});
+
+test('losing an enqueue race to the unique index returns the winner', async (t) => {
+    const winner = { _id: 'j2', status: 'queued' };
+    t.mock.method(Job, 'findOneAndUpdate', async () => {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    t.mock.method(Job, 'findOne', async () => winner);
+
+    const { job, created } = await jobQueue.enqueue('orchestrate', { userId, dedupeKey: 'orchestrate:c1' });
+
+    assert.equal(created, false);
+    assert.equal(job, winner);
+});
+
+test('claiming skips users at their cap and takes the highest priority first', async (t) => {
+    t.mock.method(Job, 'aggregate', async () => [{ _id: 'busy-user', count: 2 }]);
+    const claim = t.mock.method(Job, 'findOneAndUpdate', async () => ({ _id: 'j3', attempts: 1 }));
+
+    await jobQueue.claim('worker-1');
+
+    const [filter, update, options] = claim.mock.calls[0].arguments;
+    assert.equal(filter.status, 'queued');
+    assert.deepEqual(filter.userId, { $nin: ['busy-user'] });
+    assert.equal(update.$set.lockedBy, 'worker-1');
+    assert.deepEqual(update.$inc, { attempts: 1 });
+    assert.deepEqual(options.sort, { priority: -1, runAt: 1 });
+});
+
+test('a failed attempt is retried with backoff until it runs out of attempts', async (t) => {
+    const updateOne = t.mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+    t.mock.method(console, 'warn', () => {});
+
+    const retried = await jobQueue.fail({ _id: 'j4', type: 'orchestrate', attempts: 2, maxAttempts: 3 }, new Error('boom'), 'worker-1');
+    assert.equal(retried, 'queued');
+    const runAt = updateOne.mock.calls[0].arguments[1].$set.runAt;
+    assert.ok(runAt.getTime() - Date.now() > jobQueue.retryBaseMs);
+
+    const deadLettered = await jobQueue.fail({ _id: 'j4', type: 'orchestrate', attempts: 3, maxAttempts: 3 }, new Error('boom'), 'worker-1');
+    assert.equal(deadLettered, 'failed');
+
+    const notRetryable = Object.assign(new Error('gone'), { retryable: false });
+    assert.equal(await jobQueue.fail({ _id: 'j5', type: 'orchestrate', attempts: 1, maxAttempts: 3 }, notRetryable, 'worker-1'), 'failed');
+});
+
+test('a stop request on the running job never downgrades a cancel to a pause', async (t) => {
+    const updateOne = t.mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await jobQueue.requestControl('c1', 'pause');
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { contentId: 'c1', status: 'running', control: { $ne: 'cancel' } });
+    assert.deepEqual(update, { $set: { control: 'pause' } });
+});
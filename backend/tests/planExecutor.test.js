@@ -0,0 +1,64 @@
+/**
+ * Plan manifest validation
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePlan } = require('../services/agents/planExecutor');
+
+const step = (id, agent, action, platform = null) => ({ id, agent, action, platform });
+
+test('reviewer and verifier steps depend on their platform generator', () => {
+    const plan = validatePlan([
+        step(1, 'ingest', 'analyze'),
+        step(2, 'generator', 'generate', 'twitter'),
+        step(3, 'image', 'generate'),
+        step(4, 'reviewer', 'review', 'twitter'),
+        step(5, 'verifier', 'verify', 'twitter')
+    ], ['twitter']);
+
+    assert.equal(plan.valid, true, plan.errors.join('; '));
+    const byId = Object.fromEntries(plan.steps.map(s => [s.id, s]));
+    assert.deepEqual(byId[4].dependsOn, ['2']);
+    assert.deepEqual(byId[5].dependsOn, ['2', '4']);
+});
+
+test('a review or verification before the draft is rejected', () => {
+    const plan = validatePlan([
+        step(1, 'ingest', 'analyze'),
+        step(2, 'reviewer', 'review', 'twitter'),
+        step(3, 'verifier', 'verify', 'twitter'),
+        step(4, 'generator', 'generate', 'twitter')
+    ], ['twitter']);
+
+    assert.equal(plan.valid, false);
+    assert.ok(plan.errors.some(e => e.startsWith('Step 2: reviewer:review for twitter comes before its generator step')));
+    assert.ok(plan.errors.some(e => e.startsWith('Step 3: verifier:verify for twitter comes before its generator step')));
+});
+
+test('a verification before the review is rejected', () => {
+    const plan = validatePlan([
+        step(1, 'ingest', 'analyze'),
+        step(2, 'generator', 'generate', 'twitter'),
+        step(3, 'verifier', 'verify', 'twitter'),
+        step(4, 'reviewer', 'review', 'twitter')
+    ], ['twitter']);
+
+    assert.equal(plan.valid, false);
+    assert.deepEqual(plan.errors, ['Step 3: verifier:verify for twitter comes before its reviewer step']);
+});
+
+test('a missing review is added ahead of the verification', () => {
+    const plan = validatePlan([
+        step(1, 'ingest', 'analyze'),
+        step(2, 'generator', 'generate', 'twitter'),
+        step(3, 'verifier', 'verify', 'twitter')
+    ], ['twitter']);
+
+    assert.equal(plan.valid, true, plan.errors.join('; '));
+    const lane = plan.steps.filter(s => s.platform === 'twitter').map(s => s.agent);
+    assert.deepEqual(lane, ['generator', 'reviewer', 'verifier']);
+    const reviewer = plan.steps.find(s => s.agent === 'reviewer');
+    assert.deepEqual(plan.steps.find(s => s.agent === 'verifier').dependsOn, ['2', reviewer.id]);
+});
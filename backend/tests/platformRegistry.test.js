@@ -0,0 +1,57 @@
+/**
+ * Platform plugin registry
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const platformRegistry = require('../services/platforms/platformRegistry');
+
+const pixelfed = {
+    id: 'pixelfed',
+    label: 'Pixelfed',
+    limits: { min: 10, max: 500 },
+    generator: { brief: 'photo captions', style: 'short captions' },
+    checkStructure: () => ({ passed: true, message: 'Structure OK' }),
+    format: (variant) => ({ type: 'pixelfed_post', content: variant.content })
+};
+
+test('a definition missing required fields is refused', () => {
+    assert.throws(
+        () => platformRegistry.register({ id: 'broken', label: 'Broken', limits: {} }),
+        /Platform definition broken is missing: generator, checkStructure, format/
+    );
+    assert.throws(() => platformRegistry.register(null), /\(no id\) is missing/);
+    assert.equal(platformRegistry.has('broken'), false);
+});
+
+test('a registered platform gets defaults and is served without functions or prompts', (t) => {
+    platformRegistry.register(pixelfed);
+    t.after(() => platformRegistry.platforms.delete('pixelfed'));
+
+    assert.ok(platformRegistry.ids().includes('pixelfed'));
+    assert.equal(platformRegistry.get('pixelfed').keyMessages, 1);
+    assert.equal(platformRegistry.liveIds().includes('pixelfed'), false);
+
+    const described = platformRegistry.describe('pixelfed');
+    assert.deepEqual(described.publish, { live: false, network: null });
+    assert.deepEqual(described.counting, { unit: 'grapheme', max: null });
+    assert.equal(described.style, 'photo captions');
+    assert.ok(Object.values(described).every(value => typeof value !== 'function'));
+    assert.equal(JSON.stringify(described).includes('template'), false);
+});
+
+test('built-in platforms are registered in UI order', () => {
+    assert.deepEqual(platformRegistry.ids().slice(0, 3), ['twitter', 'linkedin', 'email']);
+    assert.equal(platformRegistry.get('unknown'), null);
+    assert.equal(platformRegistry.describe('unknown'), null);
+    assert.equal(platformRegistry.map(p => p.limits.max).twitter, 280);
+});
+
+test('Threads keeps a single topic tag', () => {
+    const threads = platformRegistry.get('threads');
+    const formatted = threads.format({ content: 'Shipping today.', metadata: { hashtags: ['launch', 'saas'] } });
+
+    assert.deepEqual(formatted.hashtags, ['launch']);
+    assert.equal(threads.checkStructure('Two tags #launch #saas').passed, false);
+});
@@ -0,0 +1,49 @@
+/**
+ * LLM provider selection
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const providerRegistry = require('../services/llm/providerRegistry');
+
+function withEnv(vars, fn) {
+    const saved = {};
+    for (const [key, value] of Object.entries(vars)) {
+        saved[key] = process.env[key];
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    try {
+        return fn();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+const unconfigured = { LLM_PROVIDER: undefined, LLM_GENERATOR_PROVIDER: undefined, GROQ_API_KEY: undefined };
+
+test('a missing provider fails outside test and development', () => {
+    withEnv({ ...unconfigured, NODE_ENV: 'production' }, () => {
+        assert.throws(() => providerRegistry.assertConfigured(), /No LLM provider configured/);
+        assert.throws(() => providerRegistry.resolveConfig('generator'), /No LLM provider configured/);
+    });
+});
+
+test('the scripted provider is the default only in test and development (or NODE_ENV unset), or when asked for', () => {
+    withEnv({ ...unconfigured, NODE_ENV: 'development' }, () => {
+        assert.equal(providerRegistry.resolveConfig('generator').provider, 'scripted');
+    });
+    withEnv({ ...unconfigured, NODE_ENV: undefined }, () => {
+        assert.equal(providerRegistry.resolveConfig('generator').provider, 'scripted');
+    });
+    withEnv({ ...unconfigured, NODE_ENV: 'production', LLM_PROVIDER: 'scripted' }, () => {
+        assert.equal(providerRegistry.resolveConfig('generator').provider, 'scripted');
+    });
+    withEnv({ ...unconfigured, NODE_ENV: 'production', GROQ_API_KEY: 'key' }, () => {
+        assert.equal(providerRegistry.resolveConfig('generator').provider, 'groq');
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Reflection memory: which retry strategies fixed which failures
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Reflection = require('../models/Reflection');
+const reflectionMemory = require('../services/memory/reflectionMemory');
+
+test('only blocking failed checks are remembered', () => {
+    const verification = {
+        results: {
+            length: { passed: false, severity: 'block' },
+            structure: { passed: false, severity: 'warn' },
+            grounding: { passed: true, severity: 'block' },
+            coherence: { passed: false, severity: 'block' }
+        }
+    };
+
+    assert.deepEqual(reflectionMemory.failedChecksOf(verification), ['length', 'coherence']);
+    assert.deepEqual(reflectionMemory.failedChecksOf(null), []);
+});
+
+test('the same strategy worded differently is one strategy, ranked by match then fixes', () => {
+    const records = [
+        { _id: 'a', strategy: 'Shorten the hook', rootCause: 'Too long', failedChecks: ['length'], rank: 1 },
+        { _id: 'b', strategy: 'shorten the hook ', rootCause: 'Too long', failedChecks: ['length'], rank: 1 },
+        { _id: 'c', strategy: 'Cite the source', rootCause: 'Unsupported claim', failedChecks: ['grounding', 'length'], rank: 2 },
+        { _id: 'd', strategy: 'Drop the hashtags', rootCause: 'Too long', failedChecks: ['length'], rank: 1 }
+    ];
+
+    const strategies = reflectionMemory.groupStrategies(records, 2);
+
+    assert.deepEqual(strategies.map(s => [s.strategy, s.fixes]), [['Cite the source', 1], ['Shorten the hook', 2]]);
+    assert.equal(strategies[1].id, 'a');
+    assert.ok(strategies.every(s => !('rank' in s)));
+});
+
+test('failure stats count outcomes per cause and list the strategies that fixed it', async (t) => {
+    const aggregate = t.mock.method(Reflection, 'aggregate', async () => [
+        { _id: { cause: 'length', outcome: 'passed', platform: 'twitter' }, count: 3, strategies: ['Shorten', 'Shorten', 'Drop hashtags'] },
+        { _id: { cause: 'length', outcome: 'failed', platform: 'linkedin' }, count: 1, strategies: ['Split it'] },
+        { _id: { cause: 'grounding', outcome: 'escalated', platform: 'twitter' }, count: 1, strategies: ['Cite'] },
+        { _id: { cause: 'grounding', outcome: 'pending', platform: 'twitter' }, count: 1, strategies: ['Cite'] }
+    ]);
+
+    const stats = await reflectionMemory.failureStats({ userId: '64b000000000000000000001', platform: 'twitter' });
+
+    assert.equal(aggregate.mock.calls[0].arguments[0][0].$match.platform, 'twitter');
+    assert.deepEqual(stats.map(s => s.cause), ['length', 'grounding']);
+
+    const [length, grounding] = stats;
+    assert.equal(length.failures, 4);
+    assert.equal(length.fixed, 3);
+    assert.equal(length.successRate, 75);
+    assert.deepEqual(length.platforms, { twitter: 3, linkedin: 1 });
+    assert.deepEqual(length.topStrategies, [{ strategy: 'Shorten', fixes: 2 }, { strategy: 'Drop hashtags', fixes: 1 }]);
+
+    // Pending retries don't count towards the success rate
+    assert.equal(grounding.successRate, 0);
+    assert.equal(grounding.pending, 1);
+    assert.deepEqual(grounding.topStrategies, []);
+});
+
+test('lookups are empty without a database connection', async () => {
+    const verification = { results: { length: { passed: false, severity: 'block' } } };
+
+    assert.deepEqual(await reflectionMemory.similarStrategies({ userId: '64b000000000000000000001', platform: 'twitter', verification }), []);
+    assert.equal(await reflectionMemory.record({ userId: '64b000000000000000000001', platform: 'twitter', reflection: { strategy: 'x' } }), null);
+});
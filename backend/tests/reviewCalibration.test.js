@@ -0,0 +1,41 @@
+/**
+ * Reviewer score calibration
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const reviewerAgent = require('../services/agents/reviewerAgent');
+const reviewCalibration = require('../services/agents/reviewCalibration');
+
+test('examples whose judge review failed are left out of the fit', async (t) => {
+    const reviews = {
+        good: { score: 90, breakdown: { rawScore: 85 } },
+        fine: { score: 80, breakdown: { rawScore: 78 } },
+        bad: { score: 40, breakdown: { rawScore: 35 } },
+        poor: { score: 45, breakdown: { rawScore: 42 } },
+        // semanticReview fallback: no breakdown, score on another scale
+        fallback: { score: 95 }
+    };
+    t.mock.method(reviewerAgent, 'review', async (variant) => reviews[variant.content]);
+
+    const examples = [
+        { _id: '1', content: 'good', label: 'approved' },
+        { _id: '2', content: 'fine', label: 'approved' },
+        { _id: '3', content: 'bad', label: 'rejected' },
+        { _id: '4', content: 'poor', label: 'rejected' },
+        { _id: '5', content: 'fallback', label: 'rejected' }
+    ];
+    const { fit, points } = await reviewerAgent.calibrate({ calibration: { examples } });
+
+    assert.equal(fit.samples, 4);
+    assert.equal(fit.rejected, 2);
+    assert.equal(points.find(p => p.exampleId === '5').score, null);
+    assert.ok(points.find(p => p.exampleId === '5').skipped);
+});
+
+test('a stale fit is not applied', () => {
+    const fit = { slope: 2, intercept: -1, stale: false };
+    assert.equal(reviewCalibration.apply(fit, 80), 80);
+    assert.equal(reviewCalibration.apply({ ...fit, stale: true }, 80), null);
+});
@@ -0,0 +1,67 @@
+/**
+ * Twitter/X thread numbering, splitting and re-threading
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const charCount = require('@saco/shared/charCount');
+const twitterThread = require('../services/agents/twitterThread');
+
+test('numbering replaces existing markers, drops empty tweets and keeps "24/7"', () => {
+    const tweets = twitterThread.number(['1/3 First point.', 'Second\n\npoint (2/3)', '', 'Open 24/7']);
+
+    assert.deepEqual(tweets, ['First point. 1/3', 'Second\npoint 2/3', 'Open 24/7 3/3']);
+});
+
+test('markers are read at either end, and an index above its total is not one', () => {
+    assert.deepEqual(twitterThread.parseNumber('Hook 1/5'), { index: 1, total: 5 });
+    assert.deepEqual(twitterThread.parseNumber('🧵 1/ Hook'), { index: 1, total: null });
+    assert.equal(twitterThread.parseNumber('We are open 24/7'), null);
+});
+
+test('split gives back the tweets join put together', () => {
+    const tweets = ['First 1/2', 'Second line\nstill second 2/2'];
+
+    assert.deepEqual(twitterThread.split(twitterThread.join(tweets)), tweets);
+});
+
+test('plain text is broken into tweets that leave room for the marker', () => {
+    const text = 'This is a sentence about scaling teams. '.repeat(20);
+    const tweets = twitterThread.fromText(text);
+
+    assert.ok(tweets.length > 1);
+    for (const tweet of twitterThread.number(tweets)) {
+        assert.ok(charCount.fits(tweet, 'twitter'), `${charCount.count(tweet, 'twitter')} chars`);
+    }
+    assert.ok(tweets.every(tweet => tweet.endsWith('.')), 'tweets break between sentences');
+});
+
+test('a sentence longer than a tweet is cut between words', () => {
+    const tweets = twitterThread.fromText(`Start ${'word '.repeat(100)}`);
+
+    assert.equal(tweets.length, 2);
+    assert.ok(tweets.every(tweet => charCount.count(tweet, 'twitter') <= 280 - ' 10/10'.length));
+});
+
+test('edited content is renumbered, or becomes a single tweet when it fits one', () => {
+    assert.deepEqual(
+        twitterThread.rethread('First 1/2\n\nSecond 2/2\n\nThird added'),
+        ['First 1/3', 'Second 2/3', 'Third added 3/3']
+    );
+    assert.equal(twitterThread.rethread('Just one short tweet.'), null);
+});
+
+test('the content thread mode beats the length-based default', () => {
+    const saved = { mode: process.env.TWITTER_THREAD_MODE, min: process.env.TWITTER_THREAD_MIN_CHARS };
+    delete process.env.TWITTER_THREAD_MODE;
+    delete process.env.TWITTER_THREAD_MIN_CHARS;
+    try {
+        assert.equal(twitterThread.resolveMode({ threadMode: 'single', data: 'x'.repeat(5000) }), 'single');
+        assert.equal(twitterThread.resolveMode({ data: 'x'.repeat(1300) }), 'thread');
+        assert.equal(twitterThread.resolveMode({ data: 'short' }), 'single');
+    } finally {
+        if (saved.mode !== undefined) process.env.TWITTER_THREAD_MODE = saved.mode;
+        if (saved.min !== undefined) process.env.TWITTER_THREAD_MIN_CHARS = saved.min;
+    }
+});
@@ -0,0 +1,62 @@
+/**
+ * Deterministic verifiers and brand rule validation
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const verifiers = require('../services/agents/verifiers');
+const verifierRules = require('../services/agents/verifierRules');
+
+test('patterns that can backtrack catastrophically are rejected', () => {
+    for (const pattern of ['(a+)+$', '(\\w*\\s?)*$', '(?:a?){3}', '([a-z]+\\.)+com', '(a)\\1']) {
+        const errors = verifierRules.validate({ patterns: [{ pattern }] });
+        assert.equal(errors.length, 1, pattern);
+    }
+    for (const pattern of ['\\bfree\\b', '(?:foo)+bar', 'free (trial|money)!*', '[(a+)+]', '(\\d+)?%']) {
+        assert.deepEqual(verifierRules.validate({ patterns: [{ pattern }] }), [], pattern);
+    }
+});
+
+test('a pattern that runs too long fails instead of stalling', () => {
+    const started = Date.now();
+    const result = verifiers.checkPatterns(`${'a'.repeat(40)}b`, [{ pattern: '(a|aa)+$', type: 'deny', severity: 'block' }]);
+    assert.equal(result.passed, false);
+    assert.equal(result.severity, 'block');
+    assert.match(result.message, /took too long/);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test("advisory keywords do not satisfy an 'any' rule for blocking keywords", () => {
+    const keywords = [
+        { term: 'dashboard', severity: 'block' },
+        { term: 'analytics', severity: 'block' },
+        'innovation'
+    ];
+    const result = verifiers.checkKeywords('Innovation at every step.', keywords, 'any');
+    assert.equal(result.passed, false);
+    assert.equal(result.severity, 'block');
+    assert.deepEqual(result.missing, ['dashboard', 'analytics']);
+
+    const advisoryOnly = verifiers.checkKeywords('Our new dashboard is live.', keywords, 'any');
+    assert.equal(advisoryOnly.passed, false);
+    assert.equal(advisoryOnly.severity, 'warn');
+    assert.deepEqual(advisoryOnly.missing, ['innovation']);
+
+    assert.equal(verifiers.checkKeywords('Innovation in our new dashboard.', keywords, 'any').passed, true);
+});
+
+test('missing key messages only warn by default with the lexical embedder', () => {
+    const saved = process.env.COVERAGE_METHOD;
+    try {
+        delete process.env.COVERAGE_METHOD;
+        assert.equal(verifierRules.resolve(null).coverageSeverity, 'warn');
+        assert.equal(verifierRules.resolve({ verifierRules: { coverageSeverity: 'block' } }).coverageSeverity, 'block');
+
+        process.env.COVERAGE_METHOD = 'entailment';
+        assert.equal(verifierRules.resolve(null).coverageSeverity, 'block');
+    } finally {
+        if (saved === undefined) delete process.env.COVERAGE_METHOD;
+        else process.env.COVERAGE_METHOD = saved;
+    }
+});
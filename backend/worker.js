@@ -0,0 +1,49 @@
+/**
+ * SACO Job Worker
+ * Standalone process that runs queued orchestration jobs
+ *
+ * Usage: npm run worker (alongside the API with JOB_WORKER_IN_PROCESS=false)
+ * Any number of workers can share the queue.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Checked before the job handlers load: their agents build LLM clients when required
+const providerRegistry = require('./services/llm/providerRegistry');
+try {
+  providerRegistry.assertConfigured();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+const jobWorker = require('./services/jobWorker');
+const orchestrationJobs = require('./services/orchestrationJobs');
+const orchestrationSweeper = require('./services/orchestrationSweeper');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log('✅ MongoDB connected successfully');
+
+  orchestrationJobs.register(jobWorker);
+  jobWorker.start();
+  orchestrationSweeper.start();
+}
+
+// Finish running jobs before exiting; an unfinished job is redelivered after its lock expires
+async function shutdown(signal) {
+  console.log(`[Worker] ${signal} received - waiting for running jobs...`);
+  orchestrationSweeper.stop();
+  await jobWorker.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+main().catch(error => {
+  console.error('❌ Worker failed to start:', error.message);
+  process.exit(1);
+});
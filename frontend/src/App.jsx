@@ -21,6 +21,7 @@ import { FaXTwitter } from 'react-icons/fa6';
 import { FiMail, FiBookOpen } from 'react-icons/fi';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { BrandDNAProvider, useBrandDNA } from './context/BrandDNAContext';
+import { PlatformsProvider } from './context/PlatformsContext';
 import { ThemeProvider, useTheme } from './context/ThemeContext';
 import { PageTransition, showToast, KeyboardShortcutsModal, useKeyboardShortcuts } from './components/common';
 import WelcomeScreen from './components/Welcome/WelcomeScreen';
@@ -385,15 +386,17 @@ function AnimatedRoutes() {
 function App() {
     return (
         <AuthProvider>
-            <BrandDNAProvider>
-                <ThemeProvider>
-                    <BrowserRouter>
-                        <WelcomeScreen>
-                            <AnimatedRoutes />
-                        </WelcomeScreen>
-                    </BrowserRouter>
-                </ThemeProvider>
-            </BrandDNAProvider>
+            <PlatformsProvider>
+                <BrandDNAProvider>
+                    <ThemeProvider>
+                        <BrowserRouter>
+                            <WelcomeScreen>
+                                <AnimatedRoutes />
+                            </WelcomeScreen>
+                        </BrowserRouter>
+                    </ThemeProvider>
+                </BrandDNAProvider>
+            </PlatformsProvider>
         </AuthProvider>
     );
 }
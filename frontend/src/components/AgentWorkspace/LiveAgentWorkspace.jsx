@@ -33,6 +33,9 @@ import {
     FiCheckCircle,
     FiActivity,
     FiClock,
+    FiPause,
+    FiPlay,
+    FiSquare,
 } from 'react-icons/fi';
 import api from '../../services/api';
 import { showToast } from '../common';
@@ -443,6 +446,7 @@ function LiveAgentWorkspace() {
     const [masterProgress, setMasterProgress] = useState(0);
     const [status, setStatus] = useState('processing');
     const [showConfetti, setShowConfetti] = useState(false);
+    const [controlPending, setControlPending] = useState(null); // 'cancel' | 'pause' | 'resume'
     const [elapsedTimes, setElapsedTimes] = useState({});
     const startTimeRef = useRef(Date.now());
 
@@ -545,8 +549,16 @@ function LiveAgentWorkspace() {
                     setStatus('failed');
                     showToast.error('Orchestration failed');
                     return true;
+                } else if (data.status === 'cancelled') {
+                    setStatus('cancelled');
+                    setControlPending(null);
+                    showToast.info('Orchestration cancelled');
+                    return true;
                 }
 
+                // Paused runs keep polling so a resume picks up where it left off
+                setStatus(data.status === 'paused' ? 'paused' : 'processing');
+                if (data.status === 'paused') setControlPending((p) => (p === 'pause' ? null : p));
                 return false;
             } catch (err) {
                 console.error('Polling error:', err);
@@ -569,6 +581,24 @@ function LiveAgentWorkspace() {
         // Implement restart logic here
     };
 
+    // Stop / pause / resume the running orchestration
+    const handleControl = async (action) => {
+        setControlPending(action);
+        try {
+            const res = await api.post(`/content/${contentId}/orchestrate/${action}`);
+            if (action === 'cancel') showToast.info(res.data.message);
+            if (action === 'pause') showToast.info('Pausing after the running steps finish...');
+            if (action === 'resume') {
+                setStatus('processing');
+                setControlPending(null);
+                showToast.agent('Resuming from checkpoint');
+            }
+        } catch (err) {
+            setControlPending(null);
+            showToast.error(err.response?.data?.error || `Failed to ${action} orchestration`);
+        }
+    };
+
     const handleBackToDashboard = () => {
         navigate('/');
     };
@@ -649,6 +679,49 @@ function LiveAgentWorkspace() {
                         </HStack>
 
                         <HStack spacing={3}>
+                            {(status === 'processing' || status === 'paused') && (
+                                <>
+                                    {status === 'paused' ? (
+                                        <Button
+                                            leftIcon={<FiPlay />}
+                                            size="sm"
+                                            colorScheme="green"
+                                            variant="outline"
+                                            isLoading={controlPending === 'resume'}
+                                            isDisabled={!!controlPending}
+                                            onClick={() => handleControl('resume')}
+                                        >
+                                            Resume
+                                        </Button>
+                                    ) : (
+                                        <Button
+                                            leftIcon={<FiPause />}
+                                            size="sm"
+                                            variant="outline"
+                                            color="white"
+                                            _hover={{ bg: 'whiteAlpha.200' }}
+                                            isLoading={controlPending === 'pause'}
+                                            loadingText="Pausing"
+                                            isDisabled={!!controlPending}
+                                            onClick={() => handleControl('pause')}
+                                        >
+                                            Pause
+                                        </Button>
+                                    )}
+                                    <Button
+                                        leftIcon={<FiSquare />}
+                                        size="sm"
+                                        colorScheme="red"
+                                        variant="outline"
+                                        isLoading={controlPending === 'cancel'}
+                                        loadingText="Stopping"
+                                        isDisabled={controlPending === 'cancel'}
+                                        onClick={() => handleControl('cancel')}
+                                    >
+                                        Stop
+                                    </Button>
+                                </>
+                            )}
                             <Icon as={FiActivity} color="brand.400" boxSize={5} />
                             <Text color="white" fontWeight="600">
                                 {Object.keys(agentStates).length} / {AGENTS.length} Active
@@ -45,6 +45,7 @@ import { HexColorPicker } from 'react-colorful';
 import api from '../../services/api';
 import { showToast } from '../common';
 import { useBrandDNA } from '../../context/BrandDNAContext';
+import VerifierRulesEditor from './VerifierRulesEditor';
 
 const MotionBox = motion(Box);
 
@@ -199,6 +200,7 @@ function BrandSettings() {
     const [saving, setSaving] = useState(false);
     const [brandColor, setBrandColor] = useState('#FF6B01');
     const [showColorPicker, setShowColorPicker] = useState(false);
+    const [hasBrand, setHasBrand] = useState(false);
 
     const [form, setForm] = useState({
         name: '',
@@ -218,6 +220,7 @@ function BrandSettings() {
         try {
             const res = await api.get('/brand');
             if (res.data.brandDNA) {
+                setHasBrand(true);
                 const b = res.data.brandDNA;
                 setForm({
                     name: b.name || '',
@@ -636,6 +639,9 @@ function BrandSettings() {
                     </MotionBox>
                 </VStack>
             </SimpleGrid>
+
+            {/* Verifier rules (only once the brand exists) */}
+            {hasBrand && <VerifierRulesEditor />}
         </VStack>
     );
 }
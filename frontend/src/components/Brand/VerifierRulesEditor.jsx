@@ -0,0 +1,522 @@
+/**
+ * Verifier Rules Editor
+ * Brand-specific quality gates: score threshold, keywords, regex rules and
+ * per-platform length limits, with a dry run against sample text
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Flex,
+    VStack,
+    HStack,
+    Heading,
+    Text,
+    Input,
+    Textarea,
+    Button,
+    Badge,
+    SimpleGrid,
+    Select,
+    Icon,
+    IconButton,
+    NumberInput,
+    NumberInputField,
+    Checkbox,
+    Spinner,
+    Center,
+} from '@chakra-ui/react';
+import { motion } from 'framer-motion';
+import {
+    FiPlus,
+    FiTrash2,
+    FiSave,
+    FiPlay,
+    FiShield,
+    FiCheckCircle,
+    FiAlertCircle,
+    FiAlertTriangle,
+} from 'react-icons/fi';
+import api from '../../services/api';
+import { showToast } from '../common';
+import { usePlatforms } from '../../context/PlatformsContext';
+
+const MotionBox = motion(Box);
+
+// Until the registered platforms have loaded
+const DEFAULT_PLATFORMS = ['twitter', 'linkedin', 'email', 'instagram', 'blog'];
+
+const EMPTY_RULES = {
+    scoreThreshold: 80,
+    scoreSeverity: 'block',
+    coherenceSeverity: 'block',
+    groundingSeverity: 'block',
+    groundingEntitySeverity: 'warn',
+    // Unset follows the server default (warn with a lexical embedder)
+    coverageSeverity: null,
+    keywordMatch: 'all',
+    keywords: [],
+    patterns: [],
+    platformLimits: [],
+    coverage: []
+};
+
+const inputStyle = {
+    bg: 'surface.bg',
+    border: '1px solid',
+    borderColor: 'surface.border',
+    _hover: { borderColor: 'surface.borderHover' },
+    _focus: { borderColor: 'brand.500', boxShadow: '0 0 0 1px #FF6B01' },
+};
+
+// Block / warn picker shared by every rule row
+const SeveritySelect = ({ value, onChange }) => (
+    <Select size="sm" value={value || 'block'} onChange={(e) => onChange(e.target.value)} maxW="110px" {...inputStyle}>
+        <option value="block">Block</option>
+        <option value="warn">Warn</option>
+    </Select>
+);
+
+const Section = ({ title, description, onAdd, children }) => (
+    <Box>
+        <Flex justify="space-between" align="center" mb={2}>
+            <Box>
+                <Text fontWeight="600" color="app.text" fontSize="sm">{title}</Text>
+                <Text fontSize="xs" color="gray.500">{description}</Text>
+            </Box>
+            {onAdd && (
+                <Button size="xs" leftIcon={<FiPlus />} variant="ghost" color="brand.400" onClick={onAdd}>
+                    Add
+                </Button>
+            )}
+        </Flex>
+        <VStack spacing={2} align="stretch">{children}</VStack>
+    </Box>
+);
+
+// Numbers from the form come back as strings; empty inputs are dropped
+// (a cleared score threshold falls back to the default instead of turning the gate off)
+const toPayload = ({ scoreThreshold, ...rules }) => ({
+    ...rules,
+    ...(scoreThreshold !== '' && scoreThreshold !== undefined && scoreThreshold !== null
+        ? { scoreThreshold: Number(scoreThreshold) }
+        : {}),
+    keywords: rules.keywords.filter(k => k.term.trim()),
+    patterns: rules.patterns.filter(p => p.pattern),
+    platformLimits: rules.platformLimits.map(({ platform, min, max, severity }) => ({
+        platform,
+        severity,
+        ...(min !== '' && min !== undefined && min !== null ? { min: Number(min) } : {}),
+        ...(max !== '' && max !== undefined && max !== null ? { max: Number(max) } : {}),
+    })),
+    // Blank = all key messages
+    coverage: rules.coverage.map(({ platform, messages }) => ({
+        platform,
+        messages: messages === '' || messages === undefined || messages === null ? null : Number(messages),
+    })),
+});
+
+function VerifierRulesEditor() {
+    const { platforms } = usePlatforms();
+    const platformIds = platforms.length > 0 ? platforms.map(p => p.id) : DEFAULT_PLATFORMS;
+    const [rules, setRules] = useState(EMPTY_RULES);
+    const [defaults, setDefaults] = useState(null);
+    const [imageThreshold, setImageThreshold] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [sample, setSample] = useState({ text: '', platform: 'twitter', score: 85, hasImage: false });
+    const [dryRun, setDryRun] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    useEffect(() => {
+        fetchRules();
+    }, []);
+
+    const fetchRules = async () => {
+        try {
+            const res = await api.get('/brand/rules');
+            setDefaults(res.data.defaults);
+            setImageThreshold(res.data.effective?.imageScoreThreshold ?? null);
+            if (res.data.rules) {
+                setRules({ ...EMPTY_RULES, ...res.data.rules });
+            }
+        } catch (err) {
+            console.error('Verifier rules fetch error:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const update = (key, value) => setRules(prev => ({ ...prev, [key]: value }));
+
+    const updateItem = (key, index, field, value) => {
+        setRules(prev => ({
+            ...prev,
+            [key]: prev[key].map((item, i) => (i === index ? { ...item, [field]: value } : item))
+        }));
+    };
+
+    const removeItem = (key, index) => {
+        setRules(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }));
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        try {
+            await api.put('/brand/rules', { rules: toPayload(rules) });
+            showToast.success('Verifier rules saved');
+        } catch (err) {
+            const details = err.response?.data?.details;
+            showToast.error(details?.length ? details[0] : err.response?.data?.error || 'Failed to save rules');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDryRun = async () => {
+        setRunning(true);
+        try {
+            const res = await api.post('/brand/rules/dry-run', { ...sample, rules: toPayload(rules) });
+            setDryRun(res.data.verification);
+        } catch (err) {
+            const details = err.response?.data?.details;
+            showToast.error(details?.length ? details[0] : err.response?.data?.error || 'Dry run failed');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <Center py={10}>
+                <Spinner color="brand.500" />
+            </Center>
+        );
+    }
+
+    return (
+        <SimpleGrid columns={{ base: 1, lg: 3 }} spacing={6}>
+            {/* Rules */}
+            <MotionBox
+                gridColumn={{ lg: 'span 2' }}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                bg="surface.card"
+                borderRadius="xl"
+                border="1px solid"
+                borderColor="surface.border"
+                p={6}
+            >
+                <HStack mb={1}>
+                    <Icon as={FiShield} color="brand.400" />
+                    <Heading size="md" color="app.text">Verifier Rules</Heading>
+                </HStack>
+                <Text color="gray.400" fontSize="sm" mb={6}>
+                    Quality gates every variant must pass before publishing. Blocking rules send the variant back
+                    for another attempt; warnings are only reported.
+                </Text>
+
+                <VStack spacing={6} align="stretch">
+                    <Section title="Review Score" description="Minimum brand consistency score from the Reviewer">
+                        <HStack>
+                            <NumberInput
+                                size="sm"
+                                min={0}
+                                max={100}
+                                value={rules.scoreThreshold}
+                                onChange={(value) => update('scoreThreshold', value)}
+                                maxW="100px"
+                            >
+                                <NumberInputField {...inputStyle} />
+                            </NumberInput>
+                            <Text fontSize="sm" color="gray.400">%</Text>
+                            <SeveritySelect value={rules.scoreSeverity} onChange={(v) => update('scoreSeverity', v)} />
+                            {imageThreshold !== null && (
+                                <Badge colorScheme="purple">Image posts: at least {imageThreshold}%</Badge>
+                            )}
+                        </HStack>
+                    </Section>
+
+                    <Section
+                        title="Brand Coherence"
+                        description="Contradictions with the brand's stances in graph memory (unchecked when Neo4j is unavailable)"
+                    >
+                        <SeveritySelect value={rules.coherenceSeverity} onChange={(v) => update('coherenceSeverity', v)} />
+                    </Section>
+
+                    <Section
+                        title="Fact Grounding"
+                        description="Numbers, dates, names, quotes and links that do not appear in the source content"
+                    >
+                        <SeveritySelect value={rules.groundingSeverity} onChange={(v) => update('groundingSeverity', v)} />
+                        <HStack>
+                            <Text fontSize="xs" color="gray.500">Names only</Text>
+                            <SeveritySelect value={rules.groundingEntitySeverity} onChange={(v) => update('groundingEntitySeverity', v)} />
+                        </HStack>
+                    </Section>
+
+                    <Section
+                        title="Key-Message Coverage"
+                        description="How many of the top key messages each platform must carry; blank means all of them"
+                        onAdd={() => {
+                            const platform = platformIds.find(p => !rules.coverage.some(c => c.platform === p));
+                            if (platform) update('coverage', [...rules.coverage, { platform, messages: '' }]);
+                        }}
+                    >
+                        <SeveritySelect value={rules.coverageSeverity || defaults?.coverageSeverity} onChange={(v) => update('coverageSeverity', v)} />
+                        {rules.coverage.map((requirement, idx) => {
+                            const fallback = defaults?.coverage?.[requirement.platform] ?? 1;
+                            return (
+                                <HStack key={idx}>
+                                    <Select size="sm" value={requirement.platform} onChange={(e) => updateItem('coverage', idx, 'platform', e.target.value)} maxW="130px" {...inputStyle}>
+                                        {platformIds.map(p => <option key={p} value={p}>{p}</option>)}
+                                    </Select>
+                                    <Input
+                                        size="sm"
+                                        type="number"
+                                        min={0}
+                                        value={requirement.messages ?? ''}
+                                        onChange={(e) => updateItem('coverage', idx, 'messages', e.target.value)}
+                                        placeholder={`all (default: ${fallback === 'all' ? 'all' : `top ${fallback}`})`}
+                                        {...inputStyle}
+                                    />
+                                    <IconButton size="sm" variant="ghost" icon={<FiTrash2 />} aria-label="Remove requirement" onClick={() => removeItem('coverage', idx)} />
+                                </HStack>
+                            );
+                        })}
+                    </Section>
+
+                    <Section
+                        title="Must-Include Keywords"
+                        description="Guideline keywords are checked as warnings unless listed here"
+                        onAdd={() => update('keywords', [...rules.keywords, { term: '', mode: 'contains', platforms: [], severity: 'block' }])}
+                    >
+                        {rules.keywords.length > 0 && (
+                            <HStack>
+                                <Text fontSize="xs" color="gray.500">Require</Text>
+                                <Select size="xs" value={rules.keywordMatch} onChange={(e) => update('keywordMatch', e.target.value)} maxW="120px" {...inputStyle}>
+                                    <option value="all">all keywords</option>
+                                    <option value="any">any keyword</option>
+                                </Select>
+                            </HStack>
+                        )}
+                        {rules.keywords.map((keyword, idx) => (
+                            <HStack key={idx}>
+                                <Input
+                                    size="sm"
+                                    value={keyword.term}
+                                    onChange={(e) => updateItem('keywords', idx, 'term', e.target.value)}
+                                    placeholder="e.g., AI-powered"
+                                    {...inputStyle}
+                                />
+                                <Select size="sm" value={keyword.mode} onChange={(e) => updateItem('keywords', idx, 'mode', e.target.value)} maxW="140px" {...inputStyle}>
+                                    <option value="contains">Contains</option>
+                                    <option value="word">Whole word</option>
+                                    <option value="exact">Exact case</option>
+                                </Select>
+                                <Select
+                                    size="sm"
+                                    value={keyword.platforms?.[0] || ''}
+                                    onChange={(e) => updateItem('keywords', idx, 'platforms', e.target.value ? [e.target.value] : [])}
+                                    maxW="130px"
+                                    {...inputStyle}
+                                >
+                                    <option value="">All platforms</option>
+                                    {platformIds.map(p => <option key={p} value={p}>{p}</option>)}
+                                </Select>
+                                <SeveritySelect value={keyword.severity} onChange={(v) => updateItem('keywords', idx, 'severity', v)} />
+                                <IconButton size="sm" variant="ghost" icon={<FiTrash2 />} aria-label="Remove keyword" onClick={() => removeItem('keywords', idx)} />
+                            </HStack>
+                        ))}
+                    </Section>
+
+                    <Section
+                        title="Pattern Rules"
+                        description="Regular expressions: deny must not match, allow must match"
+                        onAdd={() => update('patterns', [...rules.patterns, { pattern: '', flags: 'i', type: 'deny', message: '', platforms: [], severity: 'block' }])}
+                    >
+                        {rules.patterns.map((rule, idx) => (
+                            <VStack key={idx} spacing={1} align="stretch" p={2} borderRadius="md" bg="whiteAlpha.50">
+                                <HStack>
+                                    <Select size="sm" value={rule.type} onChange={(e) => updateItem('patterns', idx, 'type', e.target.value)} maxW="100px" {...inputStyle}>
+                                        <option value="deny">Deny</option>
+                                        <option value="allow">Allow</option>
+                                    </Select>
+                                    <Input
+                                        size="sm"
+                                        fontFamily="mono"
+                                        value={rule.pattern}
+                                        onChange={(e) => updateItem('patterns', idx, 'pattern', e.target.value)}
+                                        placeholder="e.g., \bguarantee(d|s)?\b"
+                                        {...inputStyle}
+                                    />
+                                    <Input
+                                        size="sm"
+                                        fontFamily="mono"
+                                        value={rule.flags}
+                                        onChange={(e) => updateItem('patterns', idx, 'flags', e.target.value)}
+                                        maxW="60px"
+                                        {...inputStyle}
+                                    />
+                                    <SeveritySelect value={rule.severity} onChange={(v) => updateItem('patterns', idx, 'severity', v)} />
+                                    <IconButton size="sm" variant="ghost" icon={<FiTrash2 />} aria-label="Remove pattern" onClick={() => removeItem('patterns', idx)} />
+                                </HStack>
+                                <HStack>
+                                    <Input
+                                        size="sm"
+                                        value={rule.message || ''}
+                                        onChange={(e) => updateItem('patterns', idx, 'message', e.target.value)}
+                                        placeholder="Message shown when the rule fails (optional)"
+                                        {...inputStyle}
+                                    />
+                                    <Select
+                                        size="sm"
+                                        value={rule.platforms?.[0] || ''}
+                                        onChange={(e) => updateItem('patterns', idx, 'platforms', e.target.value ? [e.target.value] : [])}
+                                        maxW="130px"
+                                        {...inputStyle}
+                                    >
+                                        <option value="">All platforms</option>
+                                        {platformIds.map(p => <option key={p} value={p}>{p}</option>)}
+                                    </Select>
+                                </HStack>
+                            </VStack>
+                        ))}
+                    </Section>
+
+                    <Section
+                        title="Length Limits"
+                        description="Per-platform character limits; blank uses the default"
+                        onAdd={() => {
+                            const platform = platformIds.find(p => !rules.platformLimits.some(l => l.platform === p));
+                            if (platform) update('platformLimits', [...rules.platformLimits, { platform, min: '', max: '', severity: 'block' }]);
+                        }}
+                    >
+                        {rules.platformLimits.map((limit, idx) => (
+                            <HStack key={idx}>
+                                <Select size="sm" value={limit.platform} onChange={(e) => updateItem('platformLimits', idx, 'platform', e.target.value)} maxW="130px" {...inputStyle}>
+                                    {platformIds.map(p => <option key={p} value={p}>{p}</option>)}
+                                </Select>
+                                <Input
+                                    size="sm"
+                                    type="number"
+                                    value={limit.min ?? ''}
+                                    onChange={(e) => updateItem('platformLimits', idx, 'min', e.target.value)}
+                                    placeholder={`min (${defaults?.platformLimits?.[limit.platform]?.min ?? 50})`}
+                                    {...inputStyle}
+                                />
+                                <Input
+                                    size="sm"
+                                    type="number"
+                                    value={limit.max ?? ''}
+                                    onChange={(e) => updateItem('platformLimits', idx, 'max', e.target.value)}
+                                    placeholder={`max (${defaults?.platformLimits?.[limit.platform]?.max ?? 5000})`}
+                                    {...inputStyle}
+                                />
+                                <SeveritySelect value={limit.severity} onChange={(v) => updateItem('platformLimits', idx, 'severity', v)} />
+                                <IconButton size="sm" variant="ghost" icon={<FiTrash2 />} aria-label="Remove limit" onClick={() => removeItem('platformLimits', idx)} />
+                            </HStack>
+                        ))}
+                    </Section>
+                </VStack>
+
+                <Flex justify="flex-end" mt={6}>
+                    <Button
+                        leftIcon={<FiSave />}
+                        onClick={handleSave}
+                        isLoading={saving}
+                        loadingText="Saving..."
+                        bg="success.500"
+                        color="white"
+                        _hover={{ bg: 'success.600' }}
+                    >
+                        Save Rules
+                    </Button>
+                </Flex>
+            </MotionBox>
+
+            {/* Dry Run */}
+            <MotionBox
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.1 }}
+                bg="surface.card"
+                borderRadius="xl"
+                border="1px solid"
+                borderColor="surface.border"
+                overflow="hidden"
+                alignSelf="start"
+            >
+                <Box p={4} borderBottom="1px solid" borderColor="surface.border" bg="surface.bg">
+                    <Heading size="sm" color="app.text">Dry Run</Heading>
+                    <Text fontSize="xs" color="gray.500">Test the rules above (unsaved edits included)</Text>
+                </Box>
+                <VStack p={4} spacing={3} align="stretch">
+                    <Textarea
+                        value={sample.text}
+                        onChange={(e) => setSample({ ...sample, text: e.target.value })}
+                        placeholder="Paste a sample post..."
+                        minH="120px"
+                        fontSize="sm"
+                        {...inputStyle}
+                    />
+                    <HStack>
+                        <Select size="sm" value={sample.platform} onChange={(e) => setSample({ ...sample, platform: e.target.value })} {...inputStyle}>
+                            {platformIds.map(p => <option key={p} value={p}>{p}</option>)}
+                        </Select>
+                        <NumberInput size="sm" min={0} max={100} value={sample.score} onChange={(value) => setSample({ ...sample, score: value })} maxW="90px">
+                            <NumberInputField {...inputStyle} />
+                        </NumberInput>
+                        <Text fontSize="xs" color="gray.500" whiteSpace="nowrap">score</Text>
+                    </HStack>
+                    {imageThreshold !== null && (
+                        <Checkbox
+                            size="sm"
+                            colorScheme="orange"
+                            isChecked={sample.hasImage}
+                            onChange={(e) => setSample({ ...sample, hasImage: e.target.checked })}
+                        >
+                            <Text fontSize="xs" color="gray.400">Post ships with a generated image</Text>
+                        </Checkbox>
+                    )}
+                    <Button
+                        leftIcon={<FiPlay />}
+                        size="sm"
+                        onClick={handleDryRun}
+                        isLoading={running}
+                        isDisabled={!sample.text.trim()}
+                        bg="brand.500"
+                        color="white"
+                        _hover={{ bg: 'brand.600' }}
+                    >
+                        Run Verifiers
+                    </Button>
+
+                    {dryRun && (
+                        <VStack spacing={2} align="stretch" pt={2}>
+                            <HStack>
+                                <Icon as={dryRun.passed ? FiCheckCircle : FiAlertCircle} color={dryRun.passed ? 'success.400' : 'red.400'} />
+                                <Text fontWeight="600" color="app.text">{dryRun.passed ? 'Would pass' : 'Would be blocked'}</Text>
+                            </HStack>
+                            {Object.entries(dryRun.results).map(([name, result]) => (
+                                <HStack key={name} align="start" spacing={2} fontSize="sm">
+                                    <Icon
+                                        mt={1}
+                                        as={result.passed ? FiCheckCircle : result.severity === 'warn' ? FiAlertTriangle : FiAlertCircle}
+                                        color={result.passed ? 'success.400' : result.severity === 'warn' ? 'yellow.400' : 'red.400'}
+                                    />
+                                    <Box>
+                                        <Text color="app.text" fontWeight="500" textTransform="capitalize">{name}</Text>
+                                        <Text color="gray.400" fontSize="xs">{result.message}</Text>
+                                    </Box>
+                                </HStack>
+                            ))}
+                        </VStack>
+                    )}
+                </VStack>
+            </MotionBox>
+        </SimpleGrid>
+    );
+}
+
+export default VerifierRulesEditor;
@@ -26,6 +26,12 @@ import {
     IconButton,
     Tooltip,
     Textarea,
+    Table,
+    Thead,
+    Tbody,
+    Tr,
+    Th,
+    Td,
     useColorMode,
 } from '@chakra-ui/react';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -53,11 +59,15 @@ import {
     FiEdit3,
     FiSave,
     FiX,
+    FiShuffle,
+    FiGlobe,
 } from 'react-icons/fi';
 import api from '../../services/api';
 import PlatformPreview from '../PlatformPreviews';
+import { count, limit } from '@saco/shared/charCount';
 import ManagerPanel from '../ManagerPanel/ManagerPanel';
 import { showToast } from '../common';
+import { usePlatforms, registeredPlatformConfig } from '../../context/PlatformsContext';
 
 const MotionBox = motion(Box);
 
@@ -72,6 +82,11 @@ const platformConfig = {
     blog: { icon: FiFileText, color: '#10B981', label: 'Blog' },
 };
 
+// Config of a platform, falling back to its registered definition
+const configFor = (platform, getPlatform) => platformConfig[platform]
+    || registeredPlatformConfig(getPlatform(platform), FiGlobe)
+    || { icon: FiFileText, color: '#9CA3AF', label: platform };
+
 // Helper to convert relative image URLs to absolute backend URLs
 const resolveImageUrl = (url) => {
     if (!url) return null;
@@ -138,6 +153,7 @@ const StatusBadge = ({ status }) => {
         failed: { colorScheme: 'red', icon: FiAlertCircle, label: 'Failed' },
         approved: { colorScheme: 'green', icon: FiCheckCircle, label: 'Approved' },
         flagged: { colorScheme: 'orange', icon: FiAlertCircle, label: 'Flagged' },
+        escalated: { colorScheme: 'red', icon: FiAlertCircle, label: 'Escalated' },
         published: { colorScheme: 'teal', icon: FiCheckCircle, label: 'Published' },
     };
 
@@ -160,6 +176,367 @@ const StatusBadge = ({ status }) => {
     );
 };
 
+// Attempt History Component - why a variant passed or was escalated
+const AttemptHistory = ({ attempts = [], escalationReason }) => {
+    if (attempts.length === 0 && !escalationReason) return null;
+
+    const outcomeColors = { passed: 'green', retry: 'orange', escalated: 'red' };
+
+    return (
+        <VStack align="stretch" spacing={2} mt={4}>
+            {escalationReason && (
+                <HStack
+                    bg="rgba(239, 68, 68, 0.1)"
+                    border="1px solid"
+                    borderColor="red.500"
+                    borderRadius="lg"
+                    px={4}
+                    py={2}
+                >
+                    <Icon as={FiAlertCircle} color="red.400" />
+                    <Text fontSize="sm" color="red.300">
+                        Escalated for human review: {escalationReason}
+                    </Text>
+                </HStack>
+            )}
+            {attempts.map((attempt) => (
+                <Box
+                    key={attempt.attempt}
+                    bg="surface.bg"
+                    border="1px solid"
+                    borderColor="surface.border"
+                    borderRadius="lg"
+                    px={4}
+                    py={2}
+                >
+                    <HStack justify="space-between">
+                        <Text fontSize="sm" fontWeight="600" color="app.text">
+                            Attempt {attempt.attempt}
+                        </Text>
+                        <HStack spacing={2}>
+                            {attempt.review?.score !== undefined && (
+                                <Text fontSize="xs" color="gray.500">Score {attempt.review.score}%</Text>
+                            )}
+                            <Badge colorScheme={outcomeColors[attempt.outcome] || 'gray'} variant="subtle">
+                                {attempt.outcome}
+                            </Badge>
+                        </HStack>
+                    </HStack>
+                    {attempt.verification?.failures?.length > 0 ? (
+                        <VStack align="stretch" spacing={1} mt={1}>
+                            {attempt.verification.failures.map((failure) => (
+                                <HStack key={failure.name} spacing={2} align="start">
+                                    <Badge
+                                        colorScheme={failure.severity === 'block' ? 'red' : 'yellow'}
+                                        variant="subtle"
+                                        fontSize="2xs"
+                                    >
+                                        {failure.name}
+                                    </Badge>
+                                    <Text fontSize="xs" color="gray.400">
+                                        {failure.message}
+                                    </Text>
+                                </HStack>
+                            ))}
+                        </VStack>
+                    ) : !attempt.verification?.passed && attempt.verification?.summary && (
+                        <Text fontSize="xs" color="gray.400" mt={1}>
+                            {attempt.verification.summary}
+                        </Text>
+                    )}
+                    {attempt.reflection?.strategy && (
+                        <Text fontSize="xs" color="gray.500" mt={1}>
+                            Strategy: {attempt.reflection.strategy}
+                        </Text>
+                    )}
+                </Box>
+            ))}
+        </VStack>
+    );
+};
+
+// Grounding Report Component - variant claims the source does not support
+const GroundingReport = ({ grounding, content }) => {
+    if (!grounding?.checked) return null;
+
+    const unsupported = [...(grounding.unsupported || [])].sort((a, b) => a.start - b.start);
+
+    // Variant text with the unsupported spans highlighted
+    const parts = [];
+    let cursor = 0;
+    unsupported.forEach((claim, idx) => {
+        if (claim.start < cursor || claim.end > (content || '').length) return;
+        parts.push(content.slice(cursor, claim.start));
+        parts.push(
+            <Tooltip key={idx} label={`Unsupported ${claim.type}`}>
+                <Box as="mark" bg="rgba(239, 68, 68, 0.25)" color="red.200" borderRadius="sm" px="1px">
+                    {content.slice(claim.start, claim.end)}
+                </Box>
+            </Tooltip>
+        );
+        cursor = claim.end;
+    });
+    parts.push((content || '').slice(cursor));
+
+    return (
+        <Box
+            mt={4}
+            bg="surface.bg"
+            border="1px solid"
+            borderColor={grounding.passed ? 'surface.border' : 'red.500'}
+            borderRadius="lg"
+            px={4}
+            py={3}
+        >
+            <HStack justify="space-between" mb={unsupported.length > 0 ? 2 : 0}>
+                <HStack spacing={2}>
+                    <Icon as={grounding.passed ? FiCheckCircle : FiAlertCircle} color={grounding.passed ? 'success.400' : 'red.400'} />
+                    <Text fontSize="sm" fontWeight="600" color="app.text">Fact grounding</Text>
+                </HStack>
+                <Text fontSize="xs" color="gray.500">
+                    {grounding.supported}/{grounding.claims} claim(s) found in the source
+                </Text>
+            </HStack>
+            {unsupported.length > 0 && (
+                <>
+                    <HStack spacing={2} flexWrap="wrap" mb={2}>
+                        {unsupported.map((claim, idx) => (
+                            <Badge key={idx} colorScheme="red" variant="subtle">
+                                {claim.type}: {claim.text}
+                            </Badge>
+                        ))}
+                    </HStack>
+                    <Text fontSize="xs" color="gray.400" whiteSpace="pre-wrap" lineHeight="1.7">
+                        {parts}
+                    </Text>
+                </>
+            )}
+        </Box>
+    );
+};
+
+// Consistency Conflicts Component - facts this variant states differently from the others
+const ConsistencyConflicts = ({ conflicts = [] }) => {
+    if (conflicts.length === 0) return null;
+
+    return (
+        <Box
+            mt={4}
+            bg="rgba(245, 158, 11, 0.08)"
+            border="1px solid"
+            borderColor="orange.400"
+            borderRadius="lg"
+            px={4}
+            py={3}
+        >
+            <HStack spacing={2} mb={2}>
+                <Icon as={FiAlertCircle} color="orange.300" />
+                <Text fontSize="sm" fontWeight="600" color="app.text">Conflicts with other variants</Text>
+            </HStack>
+            <VStack align="stretch" spacing={1}>
+                {conflicts.map((conflict, idx) => (
+                    <Text key={idx} fontSize="xs" color="gray.400">
+                        <Badge colorScheme="orange" variant="subtle" mr={2}>{conflict.label || conflict.type}</Badge>
+                        "{conflict.value}"
+                        {conflict.others?.length > 0 && ` vs ${conflict.others.map(o => `${o.platform} "${o.text}"`).join(', ')}`}
+                        {' → '}
+                        {conflict.canonical
+                            ? `use "${conflict.canonical}" (${conflict.basis === 'source' ? 'from the source' : 'most variants'})`
+                            : 'the source does not settle it'}
+                    </Text>
+                ))}
+            </VStack>
+        </Box>
+    );
+};
+
+// Coverage Matrix Component - key messages (rows) carried by each platform (columns)
+const CoverageMatrix = ({ coverage }) => {
+    const { getPlatform } = usePlatforms();
+    if (!coverage?.messages?.length || !coverage?.platforms?.length) return null;
+
+    return (
+        <MotionBox
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.35 }}
+            bg="surface.card"
+            borderRadius="xl"
+            border="1px solid"
+            borderColor="surface.border"
+            overflow="hidden"
+        >
+            <HStack justify="space-between" p={4} borderBottom="1px solid" borderColor="surface.border">
+                <Heading size="sm" color="app.text">Key-Message Coverage</Heading>
+                <Text fontSize="xs" color="gray.500">
+                    {coverage.method}, covered at {coverage.threshold}+
+                </Text>
+            </HStack>
+            <Box overflowX="auto" p={4}>
+                <Table size="sm" variant="simple">
+                    <Thead>
+                        <Tr>
+                            <Th color="gray.500">Key message</Th>
+                            {coverage.platforms.map(p => (
+                                <Th key={p.platform} color="gray.500" textAlign="center">
+                                    <VStack spacing={1}>
+                                        <Icon as={configFor(p.platform, getPlatform).icon} color={configFor(p.platform, getPlatform).color} />
+                                        <Badge colorScheme={p.passed ? 'green' : 'orange'} variant="subtle">
+                                            {p.covered}/{p.required}
+                                        </Badge>
+                                    </VStack>
+                                </Th>
+                            ))}
+                        </Tr>
+                    </Thead>
+                    <Tbody>
+                        {coverage.messages.map(message => (
+                            <Tr key={message.index}>
+                                <Td color="gray.300" fontSize="xs" maxW="320px">
+                                    {message.index + 1}. {message.text}
+                                </Td>
+                                {coverage.platforms.map(p => {
+                                    const required = message.index < p.required;
+                                    const covered = p.coveredMessages?.[message.index];
+                                    return (
+                                        <Td key={p.platform} textAlign="center">
+                                            <Tooltip label={required ? 'Required on this platform' : 'Optional on this platform'}>
+                                                <Badge
+                                                    colorScheme={covered ? 'green' : required ? 'red' : 'gray'}
+                                                    variant={required ? 'solid' : 'subtle'}
+                                                >
+                                                    {p.scores?.[message.index] ?? '-'}
+                                                </Badge>
+                                            </Tooltip>
+                                        </Td>
+                                    );
+                                })}
+                            </Tr>
+                        ))}
+                    </Tbody>
+                </Table>
+            </Box>
+        </MotionBox>
+    );
+};
+
+// Score Breakdown Component - Reviewer ensemble per dimension
+const DIMENSION_LABELS = {
+    tone: 'Tone',
+    values: 'Values',
+    keywords: 'Keywords',
+    avoidWords: 'Avoid words',
+    audience: 'Audience',
+};
+
+const ScoreBreakdown = ({ breakdown }) => {
+    if (!breakdown) return null;
+
+    const dimensions = Object.keys(DIMENSION_LABELS).filter(dim => breakdown[dim] !== undefined && breakdown[dim] !== null);
+    if (dimensions.length === 0) return null;
+
+    return (
+        <Box
+            mt={4}
+            bg="surface.bg"
+            border="1px solid"
+            borderColor="surface.border"
+            borderRadius="lg"
+            px={4}
+            py={3}
+        >
+            <HStack justify="space-between" mb={2}>
+                <Text fontSize="sm" fontWeight="600" color="app.text">Score breakdown</Text>
+                <HStack spacing={2}>
+                    {breakdown.calibrated && (
+                        <Tooltip label={`Calibrated from raw score ${breakdown.rawScore}%`}>
+                            <Badge colorScheme="purple" variant="subtle">calibrated</Badge>
+                        </Tooltip>
+                    )}
+                    <Text fontSize="xs" color="gray.500">
+                        {breakdown.samples?.length || 1} judge sample(s), ±{breakdown.stdDev ?? 0}
+                    </Text>
+                </HStack>
+            </HStack>
+            <SimpleGrid columns={{ base: 2, md: 5 }} spacing={2}>
+                {dimensions.map(dim => {
+                    const detail = breakdown.dimensions?.[dim];
+                    return (
+                        <Tooltip
+                            key={dim}
+                            label={detail ? `Judges ${detail.llm ?? '-'} · Lexical ${detail.lexical ?? '-'} · ±${detail.stdDev ?? 0}` : undefined}
+                        >
+                            <VStack spacing={0} align="start">
+                                <Text fontSize="xs" color="gray.500">{DIMENSION_LABELS[dim]}</Text>
+                                <Text fontSize="sm" fontWeight="600" color={breakdown[dim] >= 80 ? 'success.400' : 'warning.400'}>
+                                    {breakdown[dim]}%
+                                </Text>
+                            </VStack>
+                        </Tooltip>
+                    );
+                })}
+            </SimpleGrid>
+        </Box>
+    );
+};
+
+// Alternates Component - best-of-N runner-ups the user can swap in
+const Alternates = ({ alternates = [], onSwap, swapping, disabled }) => {
+    if (alternates.length === 0) return null;
+
+    return (
+        <VStack align="stretch" spacing={2} mt={4}>
+            <Text fontSize="sm" fontWeight="600" color="app.text">
+                Alternates ({alternates.length})
+            </Text>
+            {alternates.map((alternate, idx) => (
+                <Box
+                    key={idx}
+                    bg="surface.bg"
+                    border="1px solid"
+                    borderColor="surface.border"
+                    borderRadius="lg"
+                    px={4}
+                    py={3}
+                >
+                    <HStack justify="space-between" mb={2}>
+                        <HStack spacing={2}>
+                            {alternate.variation && (
+                                <Badge colorScheme="purple" variant="subtle">{alternate.variation}</Badge>
+                            )}
+                            {alternate.score !== undefined && alternate.score !== null && (
+                                <Text fontSize="xs" color="gray.500">Score {alternate.score}%</Text>
+                            )}
+                            <Badge colorScheme={alternate.passed ? 'green' : 'orange'} variant="subtle">
+                                {alternate.passed ? 'passes checks' : 'needs review'}
+                            </Badge>
+                        </HStack>
+                        <Button
+                            size="xs"
+                            leftIcon={<FiShuffle />}
+                            colorScheme="purple"
+                            variant="outline"
+                            isLoading={swapping === idx}
+                            isDisabled={disabled || (swapping !== null && swapping !== idx)}
+                            onClick={() => onSwap(idx)}
+                        >
+                            Use this
+                        </Button>
+                    </HStack>
+                    <Text fontSize="sm" color="gray.300" whiteSpace="pre-wrap" noOfLines={4}>
+                        {alternate.content}
+                    </Text>
+                    {!alternate.passed && alternate.summary && (
+                        <Text fontSize="xs" color="gray.500" mt={1}>
+                            {alternate.summary}
+                        </Text>
+                    )}
+                </Box>
+            ))}
+        </VStack>
+    );
+};
+
 // Device Frame Component
 const DeviceFrame = ({ children, mode }) => {
     if (mode === 'mobile') {
@@ -216,6 +593,7 @@ const DeviceFrame = ({ children, mode }) => {
 
 function ContentDetail() {
     const { id } = useParams();
+    const { getPlatform } = usePlatforms();
     const [content, setContent] = useState(null);
     const [status, setStatus] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -225,6 +603,7 @@ function ContentDetail() {
     const [activeTab, setActiveTab] = useState(0);
     const [editingVariant, setEditingVariant] = useState(null); // Platform ID being edited
     const [editContent, setEditContent] = useState('');
+    const [swapping, setSwapping] = useState(null); // Index of the alternate being swapped in
     const [searchParams] = useSearchParams();
 
     // Auto-select the variant tab matching the ?platform= query param
@@ -305,6 +684,19 @@ function ContentDetail() {
         }
     };
 
+    const swapAlternate = async (variant, index) => {
+        setSwapping(index);
+        try {
+            await api.post(`/content/${id}/variants/${variant.platform}/alternates/${index}/swap`);
+            showToast.success('Alternate swapped in');
+            await fetchContent();
+        } catch (err) {
+            showToast.error(err.response?.data?.error || 'Failed to swap alternate');
+        } finally {
+            setSwapping(null);
+        }
+    };
+
     if (loading) {
         return (
             <Center h="50vh">
@@ -499,7 +891,7 @@ function ContentDetail() {
                                     <Tabs index={activeTab} onChange={setActiveTab} variant="soft-rounded" colorScheme="purple" p={4}>
                                         <TabList flexWrap="wrap" gap={2}>
                                             {status.variants.map((variant, idx) => {
-                                                const config = platformConfig[variant.platform] || { icon: FiFileText, color: '#9CA3AF', label: variant.platform };
+                                                const config = configFor(variant.platform, getPlatform);
                                                 return (
                                                     <Tab
                                                         key={idx}
@@ -530,6 +922,7 @@ function ContentDetail() {
                                                                 <PlatformPreview
                                                                     platform={variant.platform}
                                                                     content={variant.content}
+                                                                    thread={variant.thread}
                                                                     image={resolveImageUrl(variant.image?.url)}
                                                                     score={variant.consistencyScore}
                                                                     title={content?.title}
@@ -556,6 +949,8 @@ function ContentDetail() {
                                                                     </Text>
                                                                 </HStack>
 
+                                                                {variant.status && <StatusBadge status={variant.status} />}
+
                                                                 {/* Edit/Copy/Export Buttons */}
                                                                 <HStack spacing={2}>
                                                                     {editingVariant === variant.platform ? (
@@ -652,11 +1047,33 @@ function ContentDetail() {
                                                                         _focus={{ borderColor: 'brand.400', boxShadow: '0 0 0 1px var(--chakra-colors-brand-400)' }}
                                                                         placeholder="Edit your content..."
                                                                     />
-                                                                    <Text fontSize="xs" color="gray.500" mt={2}>
-                                                                        {editContent.length} characters
+                                                                    <Text
+                                                                        fontSize="xs"
+                                                                        color={count(editContent, variant.platform) > limit(variant.platform) ? 'red.400' : 'gray.500'}
+                                                                        mt={2}
+                                                                    >
+                                                                        {count(editContent, variant.platform)}/{limit(variant.platform)} characters
                                                                     </Text>
                                                                 </Box>
                                                             )}
+
+                                                            <ScoreBreakdown breakdown={variant.scoreBreakdown} />
+
+                                                            <GroundingReport grounding={variant.grounding} content={variant.content} />
+
+                                                            <ConsistencyConflicts conflicts={variant.consistencyConflicts} />
+
+                                                            <AttemptHistory
+                                                                attempts={variant.attempts}
+                                                                escalationReason={variant.escalationReason}
+                                                            />
+
+                                                            <Alternates
+                                                                alternates={variant.alternates}
+                                                                onSwap={(index) => swapAlternate(variant, index)}
+                                                                swapping={swapping}
+                                                                disabled={variant.isLocked || variant.status === 'published'}
+                                                            />
                                                         </MotionBox>
                                                     </AnimatePresence>
                                                 </TabPanel>
@@ -673,6 +1090,8 @@ function ContentDetail() {
                                 </Center>
                             )}
                         </MotionBox>
+
+                        <CoverageMatrix coverage={content?.coverage} />
                     </VStack>
                 </Box>
 
@@ -37,9 +37,12 @@ import {
     FiX,
     FiAlertTriangle,
     FiExternalLink,
+    FiGlobe,
 } from 'react-icons/fi';
 import api from '../../services/api';
+import { count } from '@saco/shared/charCount';
 import { showToast } from '../common';
+import { usePlatforms, registeredPlatformConfig } from '../../context/PlatformsContext';
 
 const PLATFORM_CONFIG = {
     twitter: { icon: FiTwitter, color: '#1DA1F2', label: 'Twitter/X' },
@@ -55,6 +58,11 @@ function PublishPreviewModal({ isOpen, onClose, contentId, variants, mode = 'moc
     );
     const [publishing, setPublishing] = useState(false);
     const [results, setResults] = useState(null);
+    const { getPlatform } = usePlatforms();
+
+    const configFor = (platform) => PLATFORM_CONFIG[platform]
+        || registeredPlatformConfig(getPlatform(platform), FiGlobe)
+        || PLATFORM_CONFIG.blog;
 
     const approvedVariants = variants.filter(v => v.status === 'approved');
 
@@ -150,7 +158,7 @@ function PublishPreviewModal({ isOpen, onClose, contentId, variants, mode = 'moc
                             )}
 
                             {approvedVariants.map((variant) => {
-                                const config = PLATFORM_CONFIG[variant.platform] || PLATFORM_CONFIG.blog;
+                                const config = configFor(variant.platform);
                                 const isSelected = selectedPlatforms.includes(variant.platform);
 
                                 return (
@@ -183,11 +191,17 @@ function PublishPreviewModal({ isOpen, onClose, contentId, variants, mode = 'moc
                                                 </Text>
                                             </HStack>
                                             <HStack spacing={2}>
+                                                {/* No publish adapter for this platform: it stays a mock publish */}
+                                                {isLive && getPlatform(variant.platform)?.publish?.live === false && (
+                                                    <Badge colorScheme="gray" fontSize="2xs" rounded="full">
+                                                        mock only
+                                                    </Badge>
+                                                )}
                                                 <Badge colorScheme="green" fontSize="2xs" rounded="full">
                                                     {variant.consistencyScore}%
                                                 </Badge>
                                                 <Text fontSize="xs" color="gray.500">
-                                                    {variant.content?.length || 0} chars
+                                                    {count(variant.content, variant.platform)} chars
                                                 </Text>
                                             </HStack>
                                         </HStack>
@@ -220,7 +234,7 @@ function PublishPreviewModal({ isOpen, onClose, contentId, variants, mode = 'moc
                         // Results state
                         <VStack spacing={4} align="stretch">
                             {results.published?.map((item) => {
-                                const config = PLATFORM_CONFIG[item.platform] || PLATFORM_CONFIG.blog;
+                                const config = configFor(item.platform);
                                 return (
                                     <HStack
                                         key={item.platform}
@@ -257,7 +271,7 @@ function PublishPreviewModal({ isOpen, onClose, contentId, variants, mode = 'moc
                             })}
 
                             {results.failed?.map((item) => {
-                                const config = PLATFORM_CONFIG[item.platform] || PLATFORM_CONFIG.blog;
+                                const config = configFor(item.platform);
                                 return (
                                     <HStack
                                         key={item.platform}
@@ -4,8 +4,12 @@
  * Image-first, dominant visual with caption below
  */
 import React from 'react';
+import { count, limit } from '@saco/shared/charCount';
 
 function InstagramPreview({ content, image, score, authorName = 'yourbrand' }) {
+    const charCount = count(content, 'instagram');
+    const isOverLimit = charCount > limit('instagram');
+
     // Split content into caption and hashtags
     const hashtagMatch = content?.match(/(#\w+\s*)+$/);
     const mainCaption = hashtagMatch
@@ -68,6 +72,13 @@ function InstagramPreview({ content, image, score, authorName = 'yourbrand' }) {
                 )}
             </div>
 
+            {/* Character Count */}
+            {isOverLimit && (
+                <div className="preview-char-warning">
+                    ⚠️ {charCount}/{limit('instagram')} characters
+                </div>
+            )}
+
             {/* View Comments */}
             <div className="instagram-comments-link">
                 View all 23 comments
@@ -3,8 +3,12 @@
  * Renders content as it would appear in a LinkedIn feed post
  */
 import React from 'react';
+import { count, limit } from '@saco/shared/charCount';
 
 function LinkedInPreview({ content, image, score, authorName = 'Your Brand' }) {
+    const charCount = count(content, 'linkedin');
+    const isOverLimit = charCount > limit('linkedin');
+
     return (
         <div className="preview-linkedin">
             {/* Header */}
@@ -25,6 +29,13 @@ function LinkedInPreview({ content, image, score, authorName = 'Your Brand' }) {
                 {content}
             </div>
 
+            {/* Character Count */}
+            {isOverLimit && (
+                <div className="preview-char-warning">
+                    ⚠️ {charCount}/{limit('linkedin')} characters
+                </div>
+            )}
+
             {/* Image */}
             {image && (
                 <div className="linkedin-image">
@@ -0,0 +1,68 @@
+/**
+ * Social Post Preview Component
+ * Renders a feed post for any registered platform from its definition's
+ * preview metadata (GET /api/platforms) - used for platforms without a
+ * dedicated preview, e.g. Threads, Bluesky, Mastodon and Facebook
+ */
+import React from 'react';
+import { count } from '@saco/shared/charCount';
+
+function SocialPostPreview({ platform, content, image, score, authorName = 'Your Brand', handle = '@yourbrand' }) {
+    const { id, label, limits = {}, preview = {} } = platform;
+    const charCount = count(content, id);
+    const isOverLimit = limits.max != null && charCount > limits.max;
+
+    return (
+        <div className="preview-social" style={{ '--platform-color': preview.color || '#9CA3AF' }}>
+            {/* Header */}
+            <div className="social-header">
+                <div className="social-avatar">
+                    <span>{authorName.charAt(0)}</span>
+                </div>
+                <div className="social-author">
+                    <span className="social-name">{authorName}</span>
+                    <span className="social-handle">{handle} · now</span>
+                </div>
+                <span className="social-platform" title={label}>{preview.glyph || label}</span>
+            </div>
+
+            {/* Content */}
+            <div className={`social-content ${isOverLimit ? 'over-limit' : ''}`}>
+                {content}
+            </div>
+
+            {/* Character Count */}
+            {isOverLimit && (
+                <div className="preview-char-warning">
+                    ⚠️ {charCount}/{limits.max} characters
+                </div>
+            )}
+
+            {/* Image */}
+            {image && (
+                <div className="social-media">
+                    <img src={image} alt="Post visual" />
+                </div>
+            )}
+
+            {/* Actions */}
+            {preview.actions?.length > 0 && (
+                <div className="social-actions">
+                    {preview.actions.map(action => (
+                        <button key={action}>{action}</button>
+                    ))}
+                </div>
+            )}
+
+            {/* Score Badge */}
+            {score && (
+                <div className="preview-score">
+                    <span className="score-label">Consistency</span>
+                    <span className="score-value">{score}%</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default SocialPostPreview;
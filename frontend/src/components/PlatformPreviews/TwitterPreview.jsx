@@ -1,12 +1,81 @@
 /**
  * Twitter/X Preview Component
- * Renders content as it would appear as a tweet
+ * Renders content as it would appear as a tweet, or a thread as a connected chain
  */
 import React from 'react';
+import { count, limit } from '@saco/shared/charCount';
 
-function TwitterPreview({ content, image, score, authorName = 'YourBrand', handle = '@yourbrand' }) {
-    const charCount = content?.length || 0;
-    const isOverLimit = charCount > 280;
+// Counted the way X counts: links 23, emoji and CJK characters 2
+const TWEET_LIMIT = limit('twitter');
+
+// One tweet of a thread: avatar on a rail that connects it to the next tweet
+function ThreadTweet({ tweet, index, total, image, authorName, handle }) {
+    const charCount = count(tweet, 'twitter');
+    const isOverLimit = charCount > TWEET_LIMIT;
+
+    return (
+        <div className="twitter-thread-item">
+            <div className="twitter-thread-rail">
+                <div className="twitter-avatar">
+                    <span>{authorName.charAt(0)}</span>
+                </div>
+                {index < total - 1 && <div className="twitter-thread-line" />}
+            </div>
+            <div className="twitter-thread-body">
+                <div className="twitter-name-row">
+                    <span className="twitter-name">{authorName}</span>
+                    <span className="twitter-verified">✓</span>
+                    <span className="twitter-handle">{handle} · {index === 0 ? '1m' : 'now'}</span>
+                </div>
+                <div className={`twitter-thread-content ${isOverLimit ? 'over-limit' : ''}`}>
+                    {tweet}
+                </div>
+                {isOverLimit && (
+                    <div className="twitter-thread-warning">
+                        ⚠️ {charCount}/{TWEET_LIMIT} characters
+                    </div>
+                )}
+                {/* The image goes out with the first tweet */}
+                {index === 0 && image && (
+                    <div className="twitter-thread-media">
+                        <img src={image} alt="Tweet media" />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+function TwitterPreview({ content, thread, image, score, authorName = 'YourBrand', handle = '@yourbrand' }) {
+    const charCount = count(content, 'twitter');
+    const isOverLimit = charCount > TWEET_LIMIT;
+
+    if (thread?.length > 1) {
+        return (
+            <div className="preview-twitter">
+                <div className="twitter-thread-label">🧵 Thread · {thread.length} posts</div>
+                {thread.map((tweet, index) => (
+                    <ThreadTweet
+                        key={index}
+                        tweet={tweet}
+                        index={index}
+                        total={thread.length}
+                        image={image}
+                        authorName={authorName}
+                        handle={handle}
+                    />
+                ))}
+
+                {/* Score Badge */}
+                {score && (
+                    <div className="preview-score">
+                        <span className="score-label">Consistency</span>
+                        <span className="score-value">{score}%</span>
+                    </div>
+                )}
+            </div>
+        );
+    }
 
     return (
         <div className="preview-twitter">
@@ -33,7 +102,7 @@ function TwitterPreview({ content, image, score, authorName = 'YourBrand', handl
             {/* Character Count */}
             {isOverLimit && (
                 <div className="twitter-char-warning">
-                    ⚠️ {charCount}/280 characters
+                    ⚠️ {charCount}/{TWEET_LIMIT} characters
                 </div>
             )}
 
@@ -1,6 +1,7 @@
 /**
  * Platform Previews - Unified Export
- * Maps platform names to their preview components
+ * Maps platform names to their preview components; other registered platforms
+ * get the metadata-driven SocialPostPreview
  */
 
 import LinkedInPreview from './LinkedInPreview';
@@ -8,6 +9,8 @@ import TwitterPreview from './TwitterPreview';
 import InstagramPreview from './InstagramPreview';
 import BlogPreview from './BlogPreview';
 import EmailPreview from './EmailPreview';
+import SocialPostPreview from './SocialPostPreview';
+import { usePlatforms } from '../../context/PlatformsContext';
 
 // Map platform names to components
 export const PlatformPreviewMap = {
@@ -24,8 +27,22 @@ export function getPlatformPreview(platform) {
 }
 
 // Render platform preview with props
-export function PlatformPreview({ platform, content, image, score, title, authorName }) {
+export function PlatformPreview({ platform, content, thread, image, score, title, authorName }) {
+    const { getPlatform } = usePlatforms();
     const PreviewComponent = getPlatformPreview(platform);
+    const definition = getPlatform(platform);
+
+    if (!PreviewComponent && definition) {
+        return (
+            <SocialPostPreview
+                platform={definition}
+                content={content}
+                image={image}
+                score={score}
+                authorName={authorName}
+            />
+        );
+    }
 
     if (!PreviewComponent) {
         return (
@@ -43,6 +60,7 @@ export function PlatformPreview({ platform, content, image, score, title, author
     return (
         <PreviewComponent
             content={content}
+            thread={thread}
             image={image}
             score={score}
             title={title}
@@ -56,7 +74,8 @@ export {
     TwitterPreview,
     InstagramPreview,
     BlogPreview,
-    EmailPreview
+    EmailPreview,
+    SocialPostPreview
 };
 
 export default PlatformPreview;
@@ -21,6 +21,7 @@ import {
     Icon,
     Tooltip,
     Switch,
+    Select,
     useBreakpointValue,
     useDisclosure,
 } from '@chakra-ui/react';
@@ -46,9 +47,11 @@ import {
     FiSend,
     FiEye,
     FiAlertTriangle,
+    FiGlobe,
 } from 'react-icons/fi';
 import api from '../../services/api';
 import { showToast } from '../common';
+import { usePlatforms } from '../../context/PlatformsContext';
 import PublishPreviewModal from '../Content/PublishPreviewModal';
 
 const MotionBox = motion(Box);
@@ -63,6 +66,14 @@ const PLATFORMS = [
     { id: 'blog', name: 'Blog', icon: FiFileText, color: '#10B981', desc: 'Full article' },
 ];
 
+// Built-in platforms keep their icons; other platforms registered on the backend are listed from their definitions
+const withRegisteredPlatforms = (registered) => [
+    ...PLATFORMS,
+    ...registered
+        .filter(p => !PLATFORMS.some(builtIn => builtIn.id === p.id))
+        .map(p => ({ id: p.id, name: p.label, icon: FiGlobe, color: p.preview?.color, desc: p.preview?.description })),
+];
+
 // Pipeline steps for visualization
 const PIPELINE_STEPS = [
     { id: 'init', label: 'Initialize', icon: FiZap },
@@ -181,7 +192,10 @@ function ContentUpload() {
     const [showConfetti, setShowConfetti] = useState(false);
     const [publicationMode, setPublicationMode] = useState('mock');
     const [autoPublish, setAutoPublish] = useState(false);
+    const [threadMode, setThreadMode] = useState('auto');
     const [showPreview, setShowPreview] = useState(false);
+    const { platforms: registeredPlatforms } = usePlatforms();
+    const platformOptions = withRegisteredPlatforms(registeredPlatforms);
 
     const logsEndRef = useRef(null);
     const titleGenTimeout = useRef(null);
@@ -367,6 +381,7 @@ function ContentUpload() {
                 type: 'text',
                 publicationMode,
                 autoPublish,
+                threadMode,
             });
 
             const newContentId = createRes.data.content.id;
@@ -376,6 +391,7 @@ function ContentUpload() {
                 platforms: selectedPlatforms,
                 publicationMode,
                 autoPublish,
+                threadMode,
             });
 
             setLoading(false);
@@ -550,7 +566,7 @@ function ContentUpload() {
                                     <Box>
                                         <Text fontWeight="500" color="gray.300" fontSize="sm" mb={3}>Target Platforms</Text>
                                         <SimpleGrid columns={{ base: 2, sm: 3 }} spacing={3}>
-                                            {PLATFORMS.map(platform => (
+                                            {platformOptions.map(platform => (
                                                 <PlatformCard
                                                     key={platform.id}
                                                     platform={platform}
@@ -560,6 +576,24 @@ function ContentUpload() {
                                                 />
                                             ))}
                                         </SimpleGrid>
+                                        {selectedPlatforms.includes('twitter') && (
+                                            <HStack justify="space-between" mt={3}>
+                                                <Text fontSize="sm" color="gray.400">Twitter/X format</Text>
+                                                <Select
+                                                    size="sm"
+                                                    w="200px"
+                                                    value={threadMode}
+                                                    onChange={(e) => setThreadMode(e.target.value)}
+                                                    isDisabled={orchestrating}
+                                                    bg="surface.bg"
+                                                    borderColor="surface.border"
+                                                >
+                                                    <option value="auto">Auto (thread for long content)</option>
+                                                    <option value="single">Single tweet</option>
+                                                    <option value="thread">Thread</option>
+                                                </Select>
+                                            </HStack>
+                                        )}
                                     </Box>
 
                                     {/* Publication Mode & Auto-Publish */}
@@ -814,7 +848,7 @@ function ContentUpload() {
 
                                 <VStack p={4} spacing={3} align="stretch">
                                     {variants.slice(0, 2).map((variant, idx) => {
-                                        const platform = PLATFORMS.find(p => p.id === variant.platform);
+                                        const platform = platformOptions.find(p => p.id === variant.platform);
                                         return (
                                             <Box
                                                 key={idx}
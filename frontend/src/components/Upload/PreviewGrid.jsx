@@ -13,8 +13,9 @@ import {
 import { motion } from 'framer-motion';
 import {
     FiCopy, FiEdit3, FiCheck, FiX, FiUploadCloud,
-    FiTwitter, FiLinkedin, FiMail, FiInstagram, FiFileText,
+    FiTwitter, FiLinkedin, FiMail, FiInstagram, FiFileText, FiGlobe,
 } from 'react-icons/fi';
+import { usePlatforms, registeredPlatformConfig } from '../../context/PlatformsContext';
 
 const MotionBox = motion(Box);
 
@@ -41,9 +42,10 @@ function PreviewCard({ variant, onUpdate, onPublish }) {
     const [published, setPublished] = useState(false);
     const [copied, setCopied] = useState(false);
 
-    const meta = PLATFORM_META[variant.platform?.toLowerCase()] || {
-        icon: FiFileText, color: '#888', label: variant.platform,
-    };
+    const { getPlatform } = usePlatforms();
+    const meta = PLATFORM_META[variant.platform?.toLowerCase()]
+        || registeredPlatformConfig(getPlatform(variant.platform), FiGlobe)
+        || { icon: FiFileText, color: '#888', label: variant.platform };
 
     const cardBg = useColorModeValue('white', '#2A2A2A');
     const cardBorder = useColorModeValue('rgba(0,0,0,0.08)', 'rgba(255,255,255,0.08)');
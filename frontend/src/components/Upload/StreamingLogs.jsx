@@ -17,6 +17,8 @@ const STEP_ICONS = {
     publish: '🚀',
     complete: '🎉',
     error: '❌',
+    cancelled: '⏹️',
+    paused: '⏸️',
     start: '⚡',
     processing: '⟳'
 };
@@ -26,9 +28,12 @@ function StreamingLogs({ contentId, onComplete }) {
     const [status, setStatus] = useState('processing');
     const [elapsed, setElapsed] = useState(0);
     const [kpis, setKpis] = useState(null);
+    const [job, setJob] = useState(null); // Queue job behind the run
+    const [controlPending, setControlPending] = useState(null); // 'cancel' | 'pause' | 'resume'
     const logsEndRef = useRef(null);
     const startTimeRef = useRef(Date.now());
     const lastLogCountRef = useRef(0);
+    const pausedRef = useRef(false);
 
     // Auto-scroll to bottom
     useEffect(() => {
@@ -51,6 +56,7 @@ function StreamingLogs({ contentId, onComplete }) {
             try {
                 const res = await api.get(`/content/${contentId}/status`);
                 const data = res.data;
+                setJob(data.job || null);
 
                 // Update logs from orchestrationLog
                 if (data.log && data.log.length > lastLogCountRef.current) {
@@ -83,8 +89,27 @@ function StreamingLogs({ contentId, onComplete }) {
                     return true; // Stop polling
                 } else if (data.status === 'failed') {
                     setStatus('error');
-                    setLogs(prev => [...prev, { message: 'Orchestration failed', type: 'error' }]);
+                    setLogs(prev => [...prev, {
+                        message: data.job?.lastError ? `Orchestration failed: ${data.job.lastError}` : 'Orchestration failed',
+                        type: 'error'
+                    }]);
                     return true; // Stop polling
+                } else if (data.status === 'cancelled') {
+                    setStatus('cancelled');
+                    setControlPending(null);
+                    setLogs(prev => [...prev, { message: 'Orchestration cancelled', type: 'cancelled' }]);
+                    return true; // Stop polling
+                } else if (data.status === 'paused') {
+                    // Keep polling: resuming flips the status back to processing
+                    if (!pausedRef.current) {
+                        pausedRef.current = true;
+                        setLogs(prev => [...prev, { message: 'Orchestration paused - resume to continue', type: 'paused' }]);
+                    }
+                    setStatus('paused');
+                    setControlPending(prev => (prev === 'pause' ? null : prev));
+                } else {
+                    pausedRef.current = false;
+                    setStatus('processing');
                 }
 
                 return false; // Continue polling
@@ -108,6 +133,24 @@ function StreamingLogs({ contentId, onComplete }) {
         return () => clearInterval(interval);
     }, [contentId, onComplete]);
 
+    // Stop / pause / resume the run
+    const control = async (action) => {
+        setControlPending(action);
+        try {
+            await api.post(`/content/${contentId}/orchestrate/${action}`);
+            if (action === 'resume') {
+                setControlPending(null);
+                setLogs(prev => [...prev, { message: 'Resuming from checkpoint...', type: 'start' }]);
+            }
+        } catch (err) {
+            setControlPending(null);
+            setLogs(prev => [...prev, {
+                message: err.response?.data?.error || `Failed to ${action} orchestration`,
+                type: 'error'
+            }]);
+        }
+    };
+
     return (
         <div className="streaming-logs card" style={{
             maxWidth: '600px',
@@ -129,18 +172,61 @@ function StreamingLogs({ contentId, onComplete }) {
                         <span style={{ fontSize: '1.25rem' }}>🎉</span>
                     ) : status === 'error' ? (
                         <span style={{ fontSize: '1.25rem' }}>❌</span>
+                    ) : status === 'cancelled' || status === 'paused' ? (
+                        <span style={{ fontSize: '1.25rem' }}>{STEP_ICONS[status]}</span>
                     ) : (
                         <span className="spinner spinner-sm"></span>
                     )}
                     <h3 style={{ margin: 0 }}>
                         {status === 'complete' ? 'Orchestration Complete!'
                             : status === 'error' ? 'Orchestration Failed'
-                                : 'Orchestrating...'}
+                                : status === 'cancelled' ? 'Orchestration Cancelled'
+                                    : status === 'paused' ? 'Paused'
+                                        : controlPending === 'cancel' ? 'Stopping...'
+                                            : controlPending === 'pause' ? 'Pausing...'
+                                                : job?.status === 'queued' ? 'Queued...'
+                                                    : 'Orchestrating...'}
                     </h3>
+                    {status === 'processing' && job?.status === 'queued' && (
+                        <span className="text-muted" style={{ fontSize: '0.8rem' }}>
+                            {job.position > 0 ? `${job.position} ahead in queue` : 'next up'}
+                            {job.attempts > 0 && ` · retry ${job.attempts + 1}/${job.maxAttempts}`}
+                        </span>
+                    )}
+                </div>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {status === 'paused' && (
+                        <button
+                            className="btn btn-secondary btn-sm"
+                            disabled={!!controlPending}
+                            onClick={() => control('resume')}
+                        >
+                            Resume
+                        </button>
+                    )}
+                    {status === 'processing' && (
+                        <button
+                            className="btn btn-ghost btn-sm"
+                            disabled={!!controlPending}
+                            onClick={() => control('pause')}
+                        >
+                            Pause
+                        </button>
+                    )}
+                    {(status === 'processing' || status === 'paused') && (
+                        <button
+                            className="btn btn-ghost btn-sm"
+                            style={{ color: 'var(--color-error)' }}
+                            disabled={controlPending === 'cancel'}
+                            onClick={() => control('cancel')}
+                        >
+                            Stop
+                        </button>
+                    )}
+                    <span className="text-muted" style={{ fontFamily: 'monospace' }}>
+                        {elapsed}s
+                    </span>
                 </div>
-                <span className="text-muted" style={{ fontFamily: 'monospace' }}>
-                    {elapsed}s
-                </span>
             </div>
 
             {/* Logs Stream */}
@@ -0,0 +1,63 @@
+/**
+ * Platforms Context
+ * The publishing platforms registered on the backend (GET /api/platforms):
+ * limits, counting rule, publish support and preview metadata.
+ * Components keep their own look for the built-in platforms and fall back to
+ * this metadata for the rest.
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useAuth } from './AuthContext';
+
+const PlatformsContext = createContext(null);
+
+/** Icon, color and label for a registered platform a component has no config of its own for */
+export function registeredPlatformConfig(definition, icon) {
+    if (!definition) return null;
+    return { icon, color: definition.preview?.color || '#9CA3AF', label: definition.label };
+}
+
+export function PlatformsProvider({ children }) {
+    const { user } = useAuth();
+    const [platforms, setPlatforms] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (!user) return;
+
+        let cancelled = false;
+        setLoading(true);
+        api.get('/platforms')
+            .then((response) => {
+                if (!cancelled) setPlatforms(response.data.platforms || []);
+            })
+            .catch((err) => console.error('Platform list fetch failed:', err))
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => { cancelled = true; };
+    }, [user]);
+
+    const getPlatform = useCallback(
+        (id) => platforms.find(p => p.id === id?.toLowerCase()) || null,
+        [platforms]
+    );
+
+    return (
+        <PlatformsContext.Provider value={{ platforms, loading, getPlatform }}>
+            {children}
+        </PlatformsContext.Provider>
+    );
+}
+
+export function usePlatforms() {
+    const context = useContext(PlatformsContext);
+    if (!context) {
+        throw new Error('usePlatforms must be used within PlatformsProvider');
+    }
+    return context;
+}
+
+export default PlatformsContext;
@@ -0,0 +1,164 @@
+/**
+ * Platform Character Counting
+ * Counts a post the way the platform that receives it does
+ *
+ * Shared by the backend (verifiers, Generator, Publisher) and the frontend
+ * previews, so a post the UI shows as fitting is never rejected for length.
+ * `String.length` counts UTF-16 code units, which is none of these:
+ * - twitter: X's weighted count - URLs 23, emoji 2, CJK and other wide scripts 2, the rest 1
+ * - linkedin: UTF-16 code units (emoji usually 2)
+ * - instagram, threads: Unicode code points (a skin-toned or ZWJ emoji counts each part)
+ * - mastodon: code points, with every URL counting 23
+ * - facebook: UTF-16 code units
+ * - bluesky and everything else: grapheme clusters, i.e. the characters a reader sees
+ *
+ * Plain CommonJS without dependencies - the frontend bundler imports it as is.
+ */
+
+// X (t.co) and Mastodon count every link as 23, whatever its length
+const LINK_LENGTH = 23;
+
+// Code point ranges X counts as 1 (Latin, Greek, Cyrillic, Arabic, Hebrew, Indic... and common punctuation)
+const TWITTER_LIGHT_RANGES = [
+    [0x0000, 0x10FF],
+    [0x2000, 0x200D],
+    [0x2010, 0x201F],
+    [0x2032, 0x2037]
+];
+
+/**
+ * How each platform counts, and its post limit
+ * unit: weighted | utf16 | codepoint | grapheme
+ */
+const COUNTING_RULES = {
+    twitter: { unit: 'weighted', max: 280, urlLength: LINK_LENGTH },
+    linkedin: { unit: 'utf16', max: 3000 },
+    instagram: { unit: 'codepoint', max: 2200 },
+    email: { unit: 'grapheme', max: 5000 },
+    blog: { unit: 'grapheme', max: 10000 },
+    threads: { unit: 'codepoint', max: 500 },
+    bluesky: { unit: 'grapheme', max: 300 },
+    mastodon: { unit: 'codepoint', max: 500, urlLength: LINK_LENGTH },
+    facebook: { unit: 'utf16', max: 63206 }
+};
+const DEFAULT_RULE = { unit: 'grapheme', max: null };
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s]+|\b(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|org|net|io|co|ai|dev|app|ly|me|gg|tv|us|uk|de|fr)\b(?:\/[^\s]*)?/gi;
+const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * Grapheme clusters of a string
+ * Without Intl.Segmenter, combining marks and ZWJ sequences are joined by hand.
+ */
+function graphemes(text) {
+    if (segmenter) {
+        return Array.from(segmenter.segment(text), s => s.segment);
+    }
+    return text.match(/(?:\P{M}\p{M}*)(?:\u200D\P{M}\p{M}*)*|\p{M}+/gsu) || [];
+}
+
+function rule(platform) {
+    return COUNTING_RULES[platform] || DEFAULT_RULE;
+}
+
+function twitterWeight(grapheme) {
+    // An emoji sequence (skin tones, ZWJ families, flags) counts once
+    if (EMOJI.test(grapheme)) return 2;
+    const codePoint = grapheme.codePointAt(0);
+    return TWITTER_LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2;
+}
+
+function unitLength(text, unit) {
+    if (unit === 'utf16') return text.length;
+    if (unit === 'codepoint') return Array.from(text).length;
+    if (unit === 'weighted') return graphemes(text).reduce((sum, g) => sum + twitterWeight(g), 0);
+    return graphemes(text).length;
+}
+
+/**
+ * Pieces of a text with their counted length - URLs are one piece when the platform weights them
+ */
+function pieces(text, platformRule) {
+    const out = [];
+    let last = 0;
+    const pushText = (segment) => {
+        for (const grapheme of graphemes(segment)) {
+            out.push({ text: grapheme, length: unitLength(grapheme, platformRule.unit) });
+        }
+    };
+
+    if (platformRule.urlLength) {
+        for (const match of text.matchAll(URL_PATTERN)) {
+            pushText(text.slice(last, match.index));
+            out.push({ text: match[0], length: platformRule.urlLength });
+            last = match.index + match[0].length;
+        }
+    }
+    pushText(text.slice(last));
+    return out;
+}
+
+/**
+ * Length of a post as the platform counts it
+ */
+function count(text, platform) {
+    const normalized = String(text || '').normalize('NFC');
+    const platformRule = rule(platform);
+
+    if (!platformRule.urlLength) return unitLength(normalized, platformRule.unit);
+    return pieces(normalized, platformRule).reduce((sum, p) => sum + p.length, 0);
+}
+
+/**
+ * Post limit for a platform (null when it has none)
+ */
+function limit(platform) {
+    return rule(platform).max;
+}
+
+/**
+ * Whether a post fits, against the platform limit or a given max
+ */
+function fits(text, platform, max = limit(platform)) {
+    return max === null || count(text, platform) <= max;
+}
+
+/**
+ * Characters left before the limit (negative when over)
+ */
+function remaining(text, platform, max = limit(platform)) {
+    return max === null ? null : max - count(text, platform);
+}
+
+/**
+ * Cut a post to fit, at a character boundary, ending with the suffix
+ * Never splits an emoji, a URL or a combined character.
+ */
+function truncate(text, platform, max = limit(platform), suffix = '...') {
+    const normalized = String(text || '').normalize('NFC');
+    if (max === null || count(normalized, platform) <= max) return normalized;
+
+    const platformRule = rule(platform);
+    const room = max - count(suffix, platform);
+    let used = 0;
+    let kept = '';
+    for (const piece of pieces(normalized, platformRule)) {
+        if (used + piece.length > room) break;
+        used += piece.length;
+        kept += piece.text;
+    }
+    return kept + suffix;
+}
+
+module.exports = {
+    COUNTING_RULES,
+    count,
+    limit,
+    fits,
+    remaining,
+    truncate
+};